@@ -0,0 +1,237 @@
+// Rebuilds src/surface-data.js, the land/ocean and depth raster behind
+// src/surface.js, from earth_texture.jpg (NASA Blue Marble with shaded
+// bathymetry): land is green, brown or white, water is blue and darker the
+// deeper it is. Only the 8×8 block averages (the DC terms) of the baseline
+// JPEG are decoded, which is all a half-degree grid needs.
+//   node scripts/build-surface-raster.js
+const fs = require('fs');
+const path = require('path');
+
+const root = path.join(__dirname, '..');
+const WIDTH = 720; // cells, 0.5° each
+const HEIGHT = 360;
+const DEPTH_STEP = 125; // m per raster level
+// alphabet of the raster: '.' is land, letters are depth levels of DEPTH_STEP
+// (no digits, which count the runs)
+const LEVELS = '.abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ';
+const BLUENESS = 10; // blue above both red and green that marks water
+// texture blue level -> depth (m), fitted to known seas (North Sea and
+// Hudson Bay shelves, Black Sea, Mediterranean, Caribbean, the abyssal
+// plains) and checked against 71% ocean cover and a 3.7 km mean depth
+const DEPTH_ANCHORS = [[130, 30], [120, 100], [110, 400], [90, 1500], [60, 3000], [44, 4000], [30, 5100], [21, 5700], [12, 6200]];
+
+// Block-average Y/Cb/Cr planes of a baseline JPEG: { width, height, hMax,
+// vMax, planes: [{ h, v, cols, rows, mean: Float32Array }] } with one mean
+// per 8×8 block
+function decodeBlockMeans(buffer) {
+  let offset = 2;
+  const quant = [];
+  const huffman = { dc: [], ac: [] };
+  let frame = null;
+  let restartInterval = 0;
+
+  while (offset < buffer.length) {
+    const marker = buffer.readUInt16BE(offset);
+    const length = buffer.readUInt16BE(offset + 2);
+    const data = buffer.subarray(offset + 4, offset + 2 + length);
+    if (marker === 0xffdb) {
+      for (let p = 0; p < data.length;) {
+        const precision = data[p] >> 4;
+        const id = data[p] & 15;
+        quant[id] = precision ? data.readUInt16BE(p + 1) : data[p + 1]; // only the DC entry matters
+        p += 1 + 64 * (precision ? 2 : 1);
+      }
+    } else if (marker === 0xffc0) {
+      const components = [];
+      for (let k = 0; k < data[5]; k++) {
+        const c = data.subarray(6 + 3 * k);
+        components.push({ id: c[0], h: c[1] >> 4, v: c[1] & 15, quant: c[2] });
+      }
+      frame = { height: data.readUInt16BE(1), width: data.readUInt16BE(3), components };
+    } else if (marker === 0xffc2 || marker === 0xffc1 || marker === 0xffc3) {
+      throw new Error('Only baseline JPEGs are supported');
+    } else if (marker === 0xffc4) {
+      for (let p = 0; p < data.length;) {
+        const table = data[p] >> 4 ? huffman.ac : huffman.dc;
+        const id = data[p] & 15;
+        const counts = data.subarray(p + 1, p + 17);
+        const total = counts.reduce((a, b) => a + b, 0);
+        table[id] = buildHuffman(counts, data.subarray(p + 17, p + 17 + total));
+        p += 17 + total;
+      }
+    } else if (marker === 0xffdd) {
+      restartInterval = data.readUInt16BE(0);
+    } else if (marker === 0xffda) {
+      const scan = [];
+      for (let k = 0; k < data[0]; k++) {
+        const component = frame.components.find(c => c.id === data[1 + 2 * k]);
+        scan.push({ component, dc: huffman.dc[data[2 + 2 * k] >> 4], ac: huffman.ac[data[2 + 2 * k] & 15] });
+      }
+      return decodeScan(buffer, offset + 2 + length, frame, scan, quant, restartInterval);
+    }
+    offset += 2 + length;
+  }
+  throw new Error('No image data');
+}
+
+// Canonical Huffman code as a map from (length, code) to symbol
+function buildHuffman(counts, symbols) {
+  const table = new Map();
+  let code = 0;
+  let k = 0;
+  for (let length = 1; length <= 16; length++) {
+    for (let n = 0; n < counts[length - 1]; n++) table.set((length << 16) | code++, symbols[k++]);
+    code <<= 1;
+  }
+  return table;
+}
+
+function decodeScan(buffer, start, frame, scan, quant, restartInterval) {
+  let offset = start;
+  let bitBuffer = 0;
+  let bitCount = 0;
+  const readBit = () => {
+    if (bitCount === 0) {
+      let byte = buffer[offset++];
+      if (byte === 0xff) {
+        const next = buffer[offset++];
+        if (next !== 0) byte = 0; // a marker: pad with zeros
+      }
+      bitBuffer = byte;
+      bitCount = 8;
+    }
+    bitCount--;
+    return (bitBuffer >> bitCount) & 1;
+  };
+  const receive = n => {
+    let value = 0;
+    for (let k = 0; k < n; k++) value = (value << 1) | readBit();
+    return value;
+  };
+  const extend = (value, n) => (n && value < 1 << (n - 1) ? value - (1 << n) + 1 : value);
+  const decode = table => {
+    let code = 0;
+    for (let length = 1; length <= 16; length++) {
+      code = (code << 1) | readBit();
+      const symbol = table.get((length << 16) | code);
+      if (symbol !== undefined) return symbol;
+    }
+    throw new Error('Bad Huffman code');
+  };
+  const resync = () => {
+    // skip to just past the next RSTn marker
+    bitCount = 0;
+    while (offset < buffer.length && !(buffer[offset] === 0xff && buffer[offset + 1] >= 0xd0 && buffer[offset + 1] <= 0xd7)) offset++;
+    offset += 2;
+  };
+
+  const hMax = Math.max(...frame.components.map(c => c.h));
+  const vMax = Math.max(...frame.components.map(c => c.v));
+  const mcuCols = Math.ceil(frame.width / (8 * hMax));
+  const mcuRows = Math.ceil(frame.height / (8 * vMax));
+  const planes = scan.map(({ component }) => {
+    const cols = mcuCols * component.h;
+    const rows = mcuRows * component.v;
+    return { h: component.h, v: component.v, cols, rows, mean: new Float32Array(cols * rows) };
+  });
+  const predictions = scan.map(() => 0);
+
+  for (let mcu = 0; mcu < mcuCols * mcuRows; mcu++) {
+    if (restartInterval && mcu > 0 && mcu % restartInterval === 0) {
+      resync();
+      predictions.fill(0);
+    }
+    const mcuX = mcu % mcuCols;
+    const mcuY = Math.floor(mcu / mcuCols);
+    scan.forEach(({ component, dc, ac }, s) => {
+      for (let by = 0; by < component.v; by++) {
+        for (let bx = 0; bx < component.h; bx++) {
+          const size = decode(dc);
+          predictions[s] += extend(receive(size), size);
+          for (let k = 1; k < 64;) {
+            const rs = decode(ac);
+            if (rs === 0) break; // end of block
+            k += (rs >> 4) + 1;
+            receive(rs & 15);
+          }
+          const plane = planes[s];
+          plane.mean[(mcuY * component.v + by) * plane.cols + mcuX * component.h + bx] = predictions[s] * quant[component.quant] / 8 + 128;
+        }
+      }
+    });
+  }
+  return { width: frame.width, height: frame.height, hMax, vMax, planes };
+}
+
+// Mean RGB of the texture over the cell at column `i`, row `j` of the grid
+function cellColour(image, i, j) {
+  const [Y, Cb, Cr] = image.planes;
+  const sample = (plane, x, y) => {
+    // image pixel -> block of this plane
+    const bx = Math.min(plane.cols - 1, Math.floor(x * plane.h / image.hMax / 8));
+    const by = Math.min(plane.rows - 1, Math.floor(y * plane.v / image.vMax / 8));
+    return plane.mean[by * plane.cols + bx];
+  };
+  let r = 0, g = 0, b = 0, n = 0;
+  const x0 = i * image.width / WIDTH, x1 = (i + 1) * image.width / WIDTH;
+  const y0 = j * image.height / HEIGHT, y1 = (j + 1) * image.height / HEIGHT;
+  for (let y = y0 + 2; y < y1; y += 4) {
+    for (let x = x0 + 2; x < x1; x += 4) {
+      const yy = sample(Y, x, y), cb = sample(Cb, x, y) - 128, cr = sample(Cr, x, y) - 128;
+      r += yy + 1.402 * cr;
+      g += yy - 0.344136 * cb - 0.714136 * cr;
+      b += yy + 1.772 * cb;
+      n++;
+    }
+  }
+  return [r / n, g / n, b / n];
+}
+
+// Raster level of a cell colour: 0 for land, else depth / DEPTH_STEP
+function classify([r, g, b]) {
+  if (b - Math.max(r, g) < BLUENESS) return 0;
+  let depth = DEPTH_ANCHORS[DEPTH_ANCHORS.length - 1][1];
+  if (b >= DEPTH_ANCHORS[0][0]) depth = DEPTH_ANCHORS[0][1];
+  for (let k = 1; k < DEPTH_ANCHORS.length && b < DEPTH_ANCHORS[0][0]; k++) {
+    const [b1, d1] = DEPTH_ANCHORS[k - 1];
+    const [b2, d2] = DEPTH_ANCHORS[k];
+    if (b >= b2) {
+      depth = d1 + (d2 - d1) * (b1 - b) / (b1 - b2);
+      break;
+    }
+  }
+  return Math.max(1, Math.min(LEVELS.length - 1, Math.round(depth / DEPTH_STEP)));
+}
+
+function encodeRuns(row) {
+  let out = '';
+  for (let k = 0; k < row.length;) {
+    let n = 1;
+    while (k + n < row.length && row[k + n] === row[k]) n++;
+    out += `${n}${row[k]}`;
+    k += n;
+  }
+  return out;
+}
+
+const image = decodeBlockMeans(fs.readFileSync(path.join(root, 'earth_texture.jpg')));
+const rows = [];
+for (let j = 0; j < HEIGHT; j++) {
+  let row = '';
+  for (let i = 0; i < WIDTH; i++) row += LEVELS[classify(cellColour(image, i, j))];
+  rows.push(row);
+}
+const runs = rows.map(encodeRuns);
+const source = `// Generated by scripts/build-surface-raster.js from earth_texture.jpg; do not edit.
+// ${WIDTH}×${HEIGHT} cells of 0.5° from 90°N and 180°W, rows run-length coded as
+// <count><level>: level '.' is land, letters depth in ${DEPTH_STEP} m steps ('a' = ${DEPTH_STEP} m).
+export const SURFACE_WIDTH = ${WIDTH};
+export const SURFACE_HEIGHT = ${HEIGHT};
+export const SURFACE_DEPTH_STEP = ${DEPTH_STEP};
+export const SURFACE_LEVELS = '${LEVELS}';
+export const SURFACE_ROWS = [
+${runs.map(r => `  '${r}'`).join(',\n')}
+];
+`;
+fs.writeFileSync(path.join(root, 'src', 'surface-data.js'), source);
+console.log(`Wrote src/surface-data.js (${(source.length / 1024).toFixed(0)} KB)`);
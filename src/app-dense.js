@@ -1,5 +1,6 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
+import { SEA_LEVEL, standardAtmosphere } from './atmosphere.js';
 
 class App {
   constructor() {
@@ -32,15 +33,7 @@ class App {
     };
     // Atmosphere
     this.atmosphereHeight = 500000; this.atmosphereHeightScene = this.atmosphereHeight / this.SCENE_SCALE;
-    this.atmosphereDensity = 1.225; this.dragCoefficient = 0.47; this.burnTemperature = 1500; this.burnSpeedThreshold = 2000;
-    this.seaLevelPressure = 101325; this.gasConstant = 287; this.standardTemperature = 288;
-    this.atmosphereLayers = [
-      { name: 'Troposphere', height: 12000, density: 1.225, temperature: 288, windSpeed: 10 },
-      { name: 'Stratosphere', height: 50000, density: 0.088, temperature: 216, windSpeed: 50 },
-      { name: 'Mesosphere', height: 80000, density: 0.001, temperature: 190, windSpeed: 100 },
-      { name: 'Thermosphere', height: 200000, density: 0.0001, temperature: 1000, windSpeed: 200 },
-      { name: 'Exosphere', height: 500000, density: 0.00001, temperature: 1500, windSpeed: 300 }
-    ];
+    this.atmosphereDensity = SEA_LEVEL.density; this.dragCoefficient = 0.47; this.burnTemperature = 1500; this.burnSpeedThreshold = 2000;
     this.windDirection = new THREE.Vector3(1, 0, 0); this.windStrength = 0.1;
     this.mouse = new THREE.Vector2(); this.raycaster = new THREE.Raycaster();
     this.cursor = null; this.predictedImpactMarker = null; this.cameraFrame = { active: false };
@@ -284,44 +277,17 @@ class App {
     this.updateLabels();
   }
 
+  // Shared U.S. Standard Atmosphere 1976 (same model as the main simulation)
   getAtmosphereDensity(height) {
-    // Exponential density decay with altitude
-    if (height < 0) return this.atmosphereLayers[0].density;
-    if (height > this.atmosphereHeight) return 0;
-    
-    // Barometric formula: ρ = ρ₀ * exp(-h/H)
-    const scaleHeight = 8400; // meters
-    const density = this.atmosphereLayers[0].density * Math.exp(-height / scaleHeight);
-    
-    // Layer-based adjustments
-    for (let i = this.atmosphereLayers.length - 1; i >= 0; i--) {
-      if (height >= this.atmosphereLayers[i].height) {
-        return Math.max(density, this.atmosphereLayers[i].density);
-      }
-    }
-    return density;
+    return standardAtmosphere(height).density;
   }
 
   getAtmospherePressure(height) {
-    if (height < 0) return this.seaLevelPressure;
-    if (height > this.atmosphereHeight) return 0;
-    
-    // Barometric formula: P = P₀ * exp(-h/H)
-    const scaleHeight = 8400;
-    return this.seaLevelPressure * Math.exp(-height / scaleHeight);
+    return standardAtmosphere(height).pressure;
   }
 
   getAtmosphereTemperature(height) {
-    if (height < 0) return this.standardTemperature;
-    if (height > this.atmosphereHeight) return 1500;
-    
-    // Temperature profile by atmospheric layer
-    for (let i = this.atmosphereLayers.length - 1; i >= 0; i--) {
-      if (height >= this.atmosphereLayers[i].height) {
-        return this.atmosphereLayers[i].temperature;
-      }
-    }
-    return this.standardTemperature;
+    return standardAtmosphere(height).temperature;
   }
 
   handleImpact(meteor) {
@@ -1,5 +1,24 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
+import { Simulation } from './simulation.js';
+import { INTEGRATORS } from './integrators.js';
+import { randomSeed } from './random.js';
+import { createScenario, serializeScenario, parseScenario, applyScenario, ScenarioError, encodeScenarioHash, decodeScenarioHash } from './scenario.js';
+import { Recorder } from './recorder.js';
+import { craterScaling, TARGET_TYPES } from './crater.js';
+import { groundCoupling, ejectaPattern, ejectaReach, blastReach, azimuthalOutline } from './impact-angle.js';
+import { surfaceAt } from './surface.js';
+import { damageRings, THERMAL_LEVELS } from './blast.js';
+import { seismicEffects } from './seismic.js';
+import { ejectaLayers, ejectaAt, EJECTA_LEVELS } from './ejecta.js';
+import { climateAftermath, CLIMATE_MIN_ENERGY } from './climate.js';
+import { propagateTsunami, coastalRunUp, contourSegments, TSUNAMI_HEIGHTS, TSUNAMI_ISOCHRONES } from './tsunami.js';
+import { atmosphereProfile, standardAtmosphere } from './atmosphere.js';
+import { drawLineChart } from './charts.js';
+import { orbitalElementsFromNeoWs, closeApproaches } from './neo.js';
+import { runMonteCarlo } from './montecarlo.js';
+import { METHODS, planDeflection, applyDeflection, requiredLeadTime } from './deflection.js';
+import { planIntercept } from './lambert.js';
 
 class App {
   constructor() {
@@ -9,29 +28,37 @@ class App {
     this.renderer = null;
     this.controls = null;
 
-    // simulation state
-    this.meteors = [];
+    // render state
     this.impactEffects = [];
+    this.craterMeshes = [];
     this.labels = [];
 
-    // UI/state
-    this.simSpeed = 1;
-    this.realistic = false;
-    this.paused = false;
+    // UI/state (simSpeed and paused live on the simulation clock, see below)
     this.impactCount = 0;
     this.showAiming = true;
     this.showAtmosphere = true;
     this.showMoon = true;
     this.showGravityViz = false;
     this.enableExplosions = true;
+    this.targetType = 'auto'; // key of TARGET_TYPES, or 'auto' to follow land/ocean
+    this.showAtmosphereChart = false;
+    this.showAftermath = false;
+    this.aftermath = null; // { result, meteor } of the impact with the worst climate aftermath
+    this.neoTrack = null; // real orbit of the selected NEO, see showNeoOrbit()
+    this.lastElementsUpdate = 0;
+    this.monteCarlo = null; // { result, points, ellipse, layer } of the last uncertainty run
+    this.monteCarloRunning = false;
+    this.deflection = null; // { plan, meteor, line, marker } of the planned deflection
+    this.deflectionComparing = false;
+    this.intercept = null; // { plan, meteor, line, marker, spacecraft } of the solved transfer
+    this.lastChartDraw = 0;
     this.lastMeteorData = null;
     this.cameraFocus = 'free'; // 'free', 'earth', 'moon', 'meteor'
     this.focusedMeteor = null;
     this.gravityVisualizers = [];
     this.explosionEffects = [];
     this.trajectoryLines = [];
-    this.simulationStartTime = Date.now();
-    this.lastUpdateTime = Date.now();
+    this.lastUpdateTime = Date.now(); // wall clock at the last simulated frame
     
     // Statistics tracking
     this.totalImpactEnergy = 0;
@@ -53,76 +80,38 @@ class App {
     this.mapExpanded = false;
     this.leafletReady = false;
 
-    // physics
-    this.G = 6.67430e-11;
-    this.earthMass = 5.972e24;
-    this.earthRadiusMeters = 6371000;
-    this.SCENE_SCALE = 1e5; // meters per scene unit (changed from 1e6 to make Earth larger)
-    this.earthRadius = this.earthRadiusMeters / this.SCENE_SCALE; // scene units
-    this.gravityStrength = 2.0; // Much more powerful gravity for realistic simulation
-
-    // Moon properties
-    this.moonMass = 7.342e22; // kg
-    this.moonRadiusMeters = 1737400; // meters
-    this.moonRadius = this.moonRadiusMeters / this.SCENE_SCALE; // scene units
-    this.moonDistance = 384400000 / this.SCENE_SCALE; // scene units (384,400 km)
-    this.moonOrbitalSpeed = 1022 / this.SCENE_SCALE; // m/s converted to scene units
-    this.moonAngle = 0; // current orbital angle
-
-    // Earth-Moon system only
-    this.earthMoonSystem = {
-      earth: {
-        name: 'Earth',
-        mass: 5.972e24, // kg
-        radius: 6371000, // meters
-        position: new THREE.Vector3(0, 0, 0),
-        color: 0x6b93d6
-      },
-      moon: {
-        name: 'Moon',
-        mass: 7.342e22, // kg
-        radius: 1737400, // meters
-        distance: 384400000 / this.SCENE_SCALE, // 384,400 km in scene units
-        orbitalSpeed: 0.000001, // radians per frame
-        angle: 0,
-        color: 0xcccccc
-      }
-    };
+    // Physics lives in the headless simulation core; the App renders it
+    this.sim = new Simulation();
+    this.sim.on('burnStart', ({ meteor }) => this.onMeteorBurnStart(meteor));
+    this.sim.on('burnUp', ({ meteor }) => this.onMeteorBurnUp(meteor));
+    this.sim.on('impact', (impact) => this.onMeteorImpact(impact));
+    this.sim.on('breakup', ({ meteor }) => this.onMeteorBreakup(meteor));
+    this.sim.on('airburst', (airburst) => this.onMeteorAirburst(airburst));
+    this.sim.on('deflection', ({ meteor, deltaV }) => this.onMeteorDeflected(meteor, deltaV));
+
+    // Every step is recorded so the run can be scrubbed and replayed
+    this.recorder = new Recorder(this.sim);
+    this.replay = null; // { time, playing, speed, meshes } while replaying
+
+    // Seeded randomness: outcome-affecting draws (meteor shapes, random
+    // orbits) and purely cosmetic particle jitter
+    this.setSeed(randomSeed());
+
+    // Scene constants shared with the simulation
+    this.SCENE_SCALE = this.sim.SCENE_SCALE;
+    this.earthMass = this.sim.earthMass;
+    this.earthRadiusMeters = this.sim.earthRadiusMeters;
+    this.earthRadius = this.sim.earthRadius;
+    this.moonMass = this.sim.moonMass;
+    this.moonRadius = this.sim.moonRadius;
+    this.moonDistance = this.sim.moonDistance;
+    this.atmosphereHeight = this.sim.atmosphereHeight;
+    this.atmosphereHeightScene = this.sim.atmosphereHeightScene;
 
-    // Advanced atmosphere properties (much larger atmosphere)
-    this.atmosphereHeight = 500000; // 500km in meters (increased from 200km)
-    this.atmosphereHeightScene = this.atmosphereHeight / this.SCENE_SCALE; // scene units
-    this.atmosphereDensity = 1.225; // kg/m³ at sea level
-    this.dragCoefficient = 0.47; // for spherical objects
-    this.burnTemperature = 1500; // Kelvin
-    this.burnSpeedThreshold = 2000; // m/s - speed at which burning starts
-    
-    // Enhanced atmosphere physics
-    this.seaLevelPressure = 101325; // Pa (Pascals)
-    this.gasConstant = 287; // J/(kg·K) for air
-    this.standardTemperature = 288; // K at sea level
-    
-    // Orbital mechanics (based on NASA elliptical orbit design)
-    this.orbitalObjects = [];
-    this.orbitalTrails = [];
-    this.keplerTolerance = 1.0e-14;
-    
     // Tsunami and earthquake effects
     this.tsunamiZones = [];
     this.earthquakeEffects = [];
-    
-    // Advanced atmosphere layers (extended for much larger atmosphere)
-    this.atmosphereLayers = [
-      { name: 'Troposphere', height: 12000, density: 1.225, temperature: 288, windSpeed: 10 },
-      { name: 'Stratosphere', height: 50000, density: 0.088, temperature: 216, windSpeed: 50 },
-      { name: 'Mesosphere', height: 80000, density: 0.001, temperature: 190, windSpeed: 100 },
-      { name: 'Thermosphere', height: 200000, density: 0.0001, temperature: 1000, windSpeed: 200 },
-      { name: 'Exosphere', height: 500000, density: 0.00001, temperature: 1500, windSpeed: 300 }
-    ];
-    
-    // Wind system
-    this.windDirection = new THREE.Vector3(1, 0, 0);
-    this.windStrength = 0.1;
+    this.tsunamiEpoch = 0; // bumped on reset to drop tsunamis still being computed
 
     this.mouse = new THREE.Vector2();
     this.raycaster = new THREE.Raycaster();
@@ -134,6 +123,23 @@ class App {
     this.cameraFrame = { active: false };
   }
 
+  // Time warp and pause are the simulation clock's
+  get simSpeed() {
+    return this.sim.clock.warp;
+  }
+
+  set simSpeed(value) {
+    this.sim.clock.warp = value;
+  }
+
+  get paused() {
+    return this.sim.clock.paused;
+  }
+
+  set paused(value) {
+    this.sim.clock.paused = value;
+  }
+
   // Smoothly frame the camera to look at `targetPos` and move camera to `endCamPos` over `durationMs`
   frameCameraTo(targetPos, endCamPos, durationMs = 1200){
     this.cameraFrame = {
@@ -191,7 +197,9 @@ class App {
     const earthGeo = new THREE.SphereGeometry(this.earthRadius, 32, 32);
     const earthMat = new THREE.MeshPhongMaterial({ color: 0x2233ff });
     const earth = new THREE.Mesh(earthGeo, earthMat);
+    earth.name = 'earth';
     this.scene.add(earth);
+    this.earthMesh = earth; // spins with the simulation clock; craters are its children
     this.createLabel('Earth', new THREE.Vector3(0, this.earthRadius + 0.2, 0));
 
     // Atmosphere visualization
@@ -211,9 +219,9 @@ class App {
     const moonMat = new THREE.MeshPhongMaterial({ color: 0xcccccc, roughness: 0.8 });
     const moon = new THREE.Mesh(moonGeo, moonMat);
     moon.name = 'moon';
-    moon.position.set(this.moonDistance, 0, 0);
+    moon.position.copy(this.sim.moonPosition);
     this.scene.add(moon);
-    this.createLabel('Moon', new THREE.Vector3(this.moonDistance + this.moonRadius + 0.2, 0, 0));
+    this.createLabel('Moon', moon.position.clone().add(new THREE.Vector3(this.moonRadius + 0.2, 0, 0)));
 
     // Earth-Moon system is already created above
 
@@ -223,9 +231,10 @@ class App {
   this.scene.add(hemi);
   // directional light to simulate sunlight
   const dirLight = new THREE.DirectionalLight(0xfff8e6, 1.0);
-  dirLight.position.set(10, 10, 10);
   dirLight.castShadow = false;
   this.scene.add(dirLight);
+  this.sunLight = dirLight; // placed along the clock's sun direction in updateSun()
+  this.updateSun();
     const cameraLight = new THREE.PointLight(0xffeecc, 1.0, 100);
     this.camera.add(cameraLight);
 
@@ -278,21 +287,74 @@ class App {
     if (el('speed')) { const s = el('speed'); if (el('speedVal')) el('speedVal').innerText = s.value; s.oninput = (e) => { if (el('speedVal')) el('speedVal').innerText = parseFloat(e.target.value).toFixed(2); if (el('speedInput')) el('speedInput').value = parseFloat(e.target.value); }; }
     if (el('speedInput')) el('speedInput').oninput = (e) => { const speed = Math.max(0.01, Math.min(10, parseFloat(e.target.value) || 0.05)); if (el('speed')) el('speed').value = speed; if (el('speedVal')) el('speedVal').innerText = speed.toFixed(2); };
     if (el('reset')) el('reset').onclick = () => this.resetScene();
+    // the picker edits UTC, so read its value as such
+    if (el('simDate')) el('simDate').onchange = (e) => this.setSimDate(new Date(`${e.target.value}Z`));
+    if (el('simDateNow')) el('simDateNow').onclick = () => this.setSimDate(new Date());
     if (el('pause')) el('pause').onclick = (e) => { this.paused = !this.paused; e.target.innerText = this.paused ? 'Resume' : 'Pause'; };
+    if (el('copyLink')) el('copyLink').onclick = (e) => this.copyShareLink(e.target);
     if (el('toggleAiming')) el('toggleAiming').onclick = (e) => { this.showAiming = !this.showAiming; e.target.innerText = this.showAiming ? 'Hide Aiming' : 'Show Aiming'; const aim = this.scene.getObjectByName('aimingLine'); if (aim) aim.visible = this.showAiming; };
     if (el('fire')) el('fire').onclick = () => this.shootMeteor();
+    if (el('seed')) el('seed').onchange = (e) => { this.setSeed(e.target.value); this.resetScene(); };
+    if (el('newSeed')) el('newSeed').onclick = () => { this.setSeed(randomSeed()); this.resetScene(); };
     if (el('loadMore')) el('loadMore').onclick = () => this.fetchAsteroidList(true);
     if (el('highResTex')) el('highResTex').onclick = () => this.loadHighResEarthTexture();
     const uploadInput = el('uploadTex');
     if (uploadInput) uploadInput.addEventListener('change', (ev) => this.onUploadTexture(ev));
-    const realBtn = el('toggleRealism'); if(realBtn) realBtn.onclick = (e)=>{ this.realistic = !this.realistic; e.target.innerText = this.realistic? 'Disable Realistic Physics' : 'Enable Realistic Physics'; };
+    const realBtn = el('toggleRealism'); if(realBtn) realBtn.onclick = (e)=>{ this.sim.realistic = !this.sim.realistic; e.target.innerText = this.sim.realistic? 'Disable Realistic Physics' : 'Enable Realistic Physics'; };
+    const integratorSelect = el('integrator');
+    if(integratorSelect){
+      Object.entries(INTEGRATORS).forEach(([key, { label }]) => { const option = document.createElement('option'); option.value = key; option.textContent = label; integratorSelect.appendChild(option); });
+      integratorSelect.value = this.sim.integrator;
+      integratorSelect.onchange = (e) => { this.sim.integrator = e.target.value; };
+    }
+    const targetSelect = el('targetType');
+    if(targetSelect){
+      Object.entries(TARGET_TYPES).forEach(([key, { label }]) => { const option = document.createElement('option'); option.value = key; option.textContent = `Target: ${label}`; targetSelect.appendChild(option); });
+      targetSelect.value = this.targetType;
+      targetSelect.onchange = (e) => { this.targetType = e.target.value; };
+    }
     const atmBtn = el('toggleAtmosphere'); if(atmBtn) atmBtn.onclick = (e)=>{ this.showAtmosphere = !this.showAtmosphere; e.target.innerText = this.showAtmosphere? 'Hide Atmosphere' : 'Show Atmosphere'; const atm = this.scene.getObjectByName('atmosphere'); if(atm) atm.visible = this.showAtmosphere; };
     const moonBtn = el('toggleMoon'); if(moonBtn) moonBtn.onclick = (e)=>{ this.showMoon = !this.showMoon; e.target.innerText = this.showMoon? 'Hide Moon' : 'Show Moon'; const moon = this.scene.getObjectByName('moon'); if(moon) moon.visible = this.showMoon; };
+    if (el('toggleAtmosphereChart')) el('toggleAtmosphereChart').onclick = () => this.toggleAtmosphereChart();
+    if (el('closeAtmosphereChart')) el('closeAtmosphereChart').onclick = () => this.toggleAtmosphereChart(false);
+    if (el('toggleAftermath')) el('toggleAftermath').onclick = () => this.toggleAftermath();
+    if (el('closeAftermath')) el('closeAftermath').onclick = () => this.toggleAftermath(false);
     const gravityBtn = el('toggleGravityViz'); if(gravityBtn) gravityBtn.onclick = (e)=>{ this.showGravityViz = !this.showGravityViz; e.target.innerText = this.showGravityViz? 'Hide Gravity Fields' : 'Show Gravity Fields'; this.toggleGravityVisualizers(); };
     if (el('selectAsteroid')) el('selectAsteroid').onclick = () => this.selectAsteroid();
+    if (el('showNeoOrbit')) el('showNeoOrbit').onclick = () => this.showNeoOrbit();
+    if (el('jumpToApproach')) el('jumpToApproach').onclick = () => this.jumpToCloseApproach();
+    if (el('spawnAsteroid')) el('spawnAsteroid').onclick = () => this.spawnSelectedAsteroid();
+    if (el('runMonteCarlo')) el('runMonteCarlo').onclick = () => this.runMonteCarlo();
+    if (el('clearMonteCarlo')) el('clearMonteCarlo').onclick = () => this.clearMonteCarlo();
+    if (el('planDeflection')) el('planDeflection').onclick = () => this.planDeflection();
+    if (el('applyDeflection')) el('applyDeflection').onclick = () => this.applyDeflection();
+    if (el('clearDeflection')) el('clearDeflection').onclick = () => this.clearDeflection();
+    if (el('compareDeflection')) el('compareDeflection').onclick = () => this.compareDeflections();
+    if (el('solveIntercept')) el('solveIntercept').onclick = () => this.solveIntercept();
+    if (el('launchIntercept')) el('launchIntercept').onclick = () => this.launchIntercept();
+    if (el('clearIntercept')) el('clearIntercept').onclick = () => this.clearIntercept();
+    if (el('defMethod')) {
+      el('defMethod').onchange = () => this.updateDeflectionInputs();
+      this.updateDeflectionInputs();
+    }
     if (el('toggleMapSize')) el('toggleMapSize').onclick = () => this.toggleMapSize();
     if (el('toggleHelp')) el('toggleHelp').onclick = () => this.toggleHelp();
     if (el('createOrbit')) el('createOrbit').onclick = () => this.createRandomOrbit();
+    if (el('saveScenario')) el('saveScenario').onclick = () => this.saveScenario();
+    if (el('loadScenario')) el('loadScenario').onclick = () => el('scenarioFile') && el('scenarioFile').click();
+    if (el('scenarioFile')) el('scenarioFile').addEventListener('change', (ev) => { this.loadScenarioFile(ev.target.files && ev.target.files[0]); ev.target.value = ''; });
+
+    // Scenario files can be dropped onto the canvas
+    this.renderer.domElement.addEventListener('dragover', (e) => { e.preventDefault(); e.dataTransfer.dropEffect = 'copy'; });
+    this.renderer.domElement.addEventListener('drop', (e) => { e.preventDefault(); this.loadScenarioFile(e.dataTransfer.files && e.dataTransfer.files[0]); });
+
+    // Replay timeline
+    if (el('timelinePlay')) el('timelinePlay').onclick = () => this.toggleReplayPlayback();
+    if (el('timelineLive')) el('timelineLive').onclick = () => this.stopReplay();
+    if (el('timelineScrub')) el('timelineScrub').oninput = (e) => { this.seekReplay(parseFloat(e.target.value)); };
+    if (el('timelineSpeed')) el('timelineSpeed').onchange = (e) => { if (this.replay) this.replay.speed = parseFloat(e.target.value) || 1; };
+    if (el('timelineFrame')) el('timelineFrame').onclick = () => this.frameReplay();
+    if (el('timelineExport')) el('timelineExport').onclick = () => this.exportRecording();
     
     // Camera focus buttons
     if (el('focusEarth')) el('focusEarth').onclick = () => this.focusOnEarth();
@@ -318,6 +380,10 @@ class App {
       // Set up callback for when Leaflet loads
       window.initLeafletMap = () => this.initLeafletMap();
     }
+
+    // Shared links carry the whole setup in the URL hash
+    this.restoreFromHash();
+    window.addEventListener('hashchange', () => this.restoreFromHash());
   }
 
   tryLoadLocalEarthTexture(){
@@ -436,9 +502,10 @@ class App {
   }
 
   focusOnLastMeteor() {
-    if (this.meteors.length > 0) {
+    const meteors = this.sim.meteors;
+    if (meteors.length > 0) {
       this.cameraFocus = 'meteor';
-      this.focusedMeteor = this.meteors[this.meteors.length - 1];
+      this.focusedMeteor = meteors[meteors.length - 1];
       const meteorPos = this.focusedMeteor.mesh.position.clone();
       
       // Convert meteor size to scene units for proper camera distance
@@ -518,198 +585,54 @@ class App {
     }
   }
 
-  // Update moon orbital position
-  updateMoon() {
-    const moon = this.scene.getObjectByName('moon');
-    if (!moon) return;
-    
-    // Update orbital angle
-    this.moonAngle += this.moonOrbitalSpeed * this.simSpeed * 0.02;
-    if (this.moonAngle > Math.PI * 2) this.moonAngle -= Math.PI * 2;
-    
-    // Calculate new position
-    const x = Math.cos(this.moonAngle) * this.moonDistance;
-    const z = Math.sin(this.moonAngle) * this.moonDistance;
-    moon.position.set(x, 0, z);
-    
-    // Update moon label position
-    const moonLabel = this.labels.find(l => l.element.innerText.includes('Moon'));
-    if (moonLabel) {
-      moonLabel.position.set(x + this.moonRadius + 0.2, 0, z);
-    }
-  }
-
-
-  // Calculate gravitational force from moon
-  calculateMoonGravity(meteor) {
-    const moon = this.scene.getObjectByName('moon');
-    if (!moon) return new THREE.Vector3();
-    
-    const meteorPos = meteor.mesh.position.clone().multiplyScalar(this.SCENE_SCALE);
-    const moonPos = moon.position.clone().multiplyScalar(this.SCENE_SCALE);
-    const distance = meteorPos.distanceTo(moonPos);
-    
-    if (distance < 1) return new THREE.Vector3(); // Avoid division by zero
-    
-    const force = this.G * this.moonMass * meteor.mass / (distance * distance);
-    const direction = moonPos.sub(meteorPos).normalize();
-    
-    return direction.multiplyScalar(force);
-  }
-
-  // Calculate gravitational force from Earth
-  calculateEarthGravity(meteor) {
-    const earthPos = new THREE.Vector3(0, 0, 0);
-    const meteorPos = meteor.mesh.position.clone().multiplyScalar(this.SCENE_SCALE);
-    const distance = meteorPos.length();
-    
-    if (distance < 1) return new THREE.Vector3(); // Avoid division by zero
-    
-    const force = this.G * this.earthMass * meteor.mass / (distance * distance);
-    const direction = earthPos.sub(meteorPos).normalize();
-    
-    return direction.multiplyScalar(force);
+  // Elapsed time, UTC date and Julian date from the simulation clock
+  updateClockDisplay() {
+    const { clock } = this.sim;
+    const date = clock.date();
+    const st = document.getElementById('simTime'); if(st) st.innerText = `${this.sim.time.toFixed(1)}s`;
+    const utc = document.getElementById('simUtc'); if(utc) utc.innerText = `${date.toISOString().slice(0, 19).replace('T', ' ')} UTC`;
+    const jd = document.getElementById('julianDate'); if(jd) jd.innerText = clock.julianDate().toFixed(5);
+    const picker = document.getElementById('simDate');
+    if (picker && document.activeElement !== picker) picker.value = date.toISOString().slice(0, 19);
   }
 
-  // Calculate meteor gravity force on another meteor
-  calculateMeteorGravity(meteor, otherMeteor) {
-    if (meteor === otherMeteor) return new THREE.Vector3(0, 0, 0);
-    
-    const meteorPos = meteor.mesh.position.clone().multiplyScalar(this.SCENE_SCALE);
-    const otherPos = otherMeteor.mesh.position.clone().multiplyScalar(this.SCENE_SCALE);
-    const toOther = otherPos.sub(meteorPos);
-    const distance = toOther.length();
-    
-    if (distance < 0.1) return new THREE.Vector3(0, 0, 0); // Avoid division by zero
-    
-    const forceMagnitude = this.G * otherMeteor.mass * meteor.mass / (distance * distance);
-    return toOther.normalize().multiplyScalar(forceMagnitude);
-  }
-
-  // Calculate atmospheric density at given altitude using layered model
-  getAtmosphericDensity(altitude) {
-    if (altitude < 0) return this.atmosphereDensity; // Below surface
-    
-    // Find which layer the altitude is in
-    let currentLayer = this.atmosphereLayers[0];
-    for (let i = 0; i < this.atmosphereLayers.length; i++) {
-      if (altitude <= this.atmosphereLayers[i].height) {
-        currentLayer = this.atmosphereLayers[i];
-        break;
-      }
-    }
-    
-    // Interpolate density within the layer
-    const layerIndex = this.atmosphereLayers.indexOf(currentLayer);
-    if (layerIndex === 0) {
-      // Troposphere - exponential decay
-      const scaleHeight = 8400;
-      return this.atmosphereDensity * Math.exp(-altitude / scaleHeight);
-    } else {
-      // Other layers - linear interpolation
-      const prevLayer = this.atmosphereLayers[layerIndex - 1];
-      const layerHeight = currentLayer.height - prevLayer.height;
-      const altitudeInLayer = altitude - prevLayer.height;
-      const ratio = altitudeInLayer / layerHeight;
-      
-      // Exponential interpolation for more realistic density
-      const densityRatio = Math.exp(-ratio * 2);
-      return prevLayer.density * densityRatio;
-    }
-  }
-
-  // Get wind force at given altitude
-  getWindForce(altitude) {
-    if (altitude < 0 || altitude > this.atmosphereHeight) return new THREE.Vector3();
-    
-    // Find wind speed for altitude
-    let windSpeed = 0;
-    for (let i = 0; i < this.atmosphereLayers.length; i++) {
-      if (altitude <= this.atmosphereLayers[i].height) {
-        windSpeed = this.atmosphereLayers[i].windSpeed;
-        break;
-      }
-    }
-    
-    // Add some randomness to wind direction
-    const windDir = this.windDirection.clone();
-    windDir.x += (Math.random() - 0.5) * 0.2;
-    windDir.z += (Math.random() - 0.5) * 0.2;
-    windDir.normalize();
-    
-    return windDir.multiplyScalar(windSpeed * this.windStrength);
+  // Jump the clock to `date`; Earth, Moon and Sun move with it, meteors stay where they are
+  setSimDate(date) {
+    if (!Number.isFinite(date.valueOf())) return;
+    this.sim.clock.setDate(date);
+    this.sim.updateMoon();
+    this.updateMoon();
+    this.updateEarthRotation();
+    this.updateSun();
+    this.updateNeoTrack();
+    this.updateClockDisplay();
   }
 
-  // Calculate atmospheric pressure at given altitude
-  getAtmosphericPressure(altitude) {
-    if (altitude < 0) return this.seaLevelPressure;
-    
-    // Barometric formula: P = P0 * exp(-g * h / (R * T))
-    const g = 9.81; // gravitational acceleration
-    const h = altitude;
-    const R = this.gasConstant;
-    const T = this.standardTemperature;
-    
-    return this.seaLevelPressure * Math.exp(-g * h / (R * T));
+  updateSun() {
+    if (this.sunLight) this.sunLight.position.copy(this.sim.getSunDirection()).multiplyScalar(1000);
   }
 
-  // Calculate terminal velocity for meteor
-  calculateTerminalVelocity(meteor, altitude) {
-    const density = this.getAtmosphericDensity(altitude);
-    const area = meteor.area || Math.PI * Math.pow(meteor.size / 2, 2);
-    const mass = meteor.mass;
-    
-    // Terminal velocity: v = sqrt(2 * m * g / (ρ * A * Cd))
-    const g = 9.81;
-    const terminalVelocity = Math.sqrt((2 * mass * g) / (density * area * this.dragCoefficient));
-    
-    return terminalVelocity;
+  // Turn the globe to the simulation's Earth rotation angle (radians)
+  updateEarthRotation(angle = this.sim.earthRotationAngle()) {
+    if (this.earthMesh) this.earthMesh.rotation.y = angle;
+    const el = document.getElementById('earthRotation');
+    if (el) el.innerText = `${(THREE.MathUtils.radToDeg(angle) % 360).toFixed(2)}°`;
   }
 
-  // Calculate mass reduction due to atmospheric ablation with enhanced physics
-  calculateMassReduction(meteor, dt) {
-    const altitude = meteor.mesh.position.length() * this.SCENE_SCALE - this.earthRadiusMeters;
-    if (altitude < 0 || altitude > this.atmosphereHeight) return 0;
-    
-    const density = this.getAtmosphericDensity(altitude);
-    const pressure = this.getAtmosphericPressure(altitude);
-    const speed = meteor.physVelocity ? meteor.physVelocity.length() : meteor.velocity.length() * this.SCENE_SCALE;
-    
-    if (speed < this.burnSpeedThreshold) return 0;
-    
-    // Enhanced ablation calculation based on pressure and density
-    const ablationCoefficient = 0.002 * (pressure / this.seaLevelPressure); // Pressure-dependent ablation
-    const area = meteor.area || Math.PI * Math.pow(meteor.size / 2, 2);
-    const ablationRate = ablationCoefficient * density * speed * speed * area;
+  // Sync the moon mesh and label with the simulated orbit
+  updateMoon() {
+    const moon = this.scene.getObjectByName('moon');
+    if (!moon) return;
     
-    // Calculate mass loss
-    const massLoss = ablationRate * dt;
+    moon.position.copy(this.sim.moonPosition);
+    this.moonDistance = this.sim.moonDistance;
     
-    // Update meteor mass and size
-    if (meteor.mass > massLoss) {
-      meteor.mass -= massLoss;
-      
-      // Update size based on mass reduction (assuming constant density)
-      const originalVolume = (4/3) * Math.PI * Math.pow(meteor.size / 2, 3);
-      const meteorDensity = meteor.mass / originalVolume;
-      const newVolume = meteor.mass / meteorDensity;
-      const newRadius = Math.pow((3 * newVolume) / (4 * Math.PI), 1/3);
-      meteor.size = newRadius * 2;
-      
-      // Update area
-      meteor.area = Math.PI * Math.pow(meteor.size / 2, 2);
-      
-      // Scale the mesh
-      const radiusMeters = meteor.size / 2;
-      const radiusScene = radiusMeters / this.SCENE_SCALE;
-      meteor.mesh.scale.setScalar(Math.max(radiusScene, 1e-6));
-      
-      return massLoss;
+    // Update moon label position
+    const moonLabel = this.labels.find(l => l.element.innerText.includes('Moon'));
+    if (moonLabel) {
+      moonLabel.position.copy(moon.position).add(new THREE.Vector3(this.moonRadius + 0.2, 0, 0));
     }
-    
-    return 0;
   }
-
   // Create fire trail for burning meteors
   createFireTrail(meteor) {
     if (!meteor.burning || meteor.fireTrail) return;
@@ -747,62 +670,22 @@ class App {
     }
   }
 
-  // Kepler's equation solver (based on NASA design)
-  keplerStart3(e, M) {
-    const t34 = e * e;
-    const t35 = e * t34;
-    const t33 = Math.cos(M);
-    return M + (-0.5 * t35 + e + (t34 + 1.5 * t33 * t35) * t33) * Math.sin(M);
-  }
-
-  eps3(e, M, x) {
-    const t1 = Math.cos(x);
-    const t2 = -1 + e * t1;
-    const t3 = Math.sin(x);
-    const t4 = e * t3;
-    const t5 = -x + t4 + M;
-    const t6 = t5 / (0.5 * t5 * t4 / t2 + t2);
-    return t5 / ((0.5 * t3 - (1/6) * t1 * t6) * e * t6 + t2);
-  }
-
-  keplerSolve(e, M) {
-    const Mnorm = M % (2 * Math.PI);
-    let E0 = this.keplerStart3(e, Mnorm);
-    let dE = this.keplerTolerance + 1;
-    let count = 0;
-
-    while (dE > this.keplerTolerance) {
-      const E = E0 - this.eps3(e, Mnorm, E0);
-      dE = Math.abs(E - E0);
-      E0 = E;
-      count++;
-      
-      if (count === 100) {
-        console.warn("KeplerSolve failed to converge!");
-        break;
-      }
-    }
-    return E0;
+  // Create orbital object: simulated by the core, drawn as a mesh plus trail
+  createOrbitalObject(orbitalParams) {
+    const orbitalObject = this.sim.addOrbitalObject(orbitalParams);
+    this.attachOrbitalObjectVisuals(orbitalObject);
+    return orbitalObject;
   }
 
-  // Create orbital object
-  createOrbitalObject(orbitalParams) {
-    const {
-      semiMajorAxis = 1000000, // meters
-      eccentricity = 0.1,
-      inclination = Math.PI / 6, // 30 degrees
-      longitudeOfAscendingNode = 0,
-      argumentOfPeriapsis = 0,
-      meanAnomaly = 0,
-      period = 3600, // seconds
-      color = 0x00ff00,
-      size = 1000
-    } = orbitalParams;
+  // Give a simulated orbital object its mesh and trail
+  attachOrbitalObjectVisuals(orbitalObject) {
+    const { color = 0x00ff00, size = 1000 } = orbitalObject.params;
 
     // Create orbital object mesh
     const geometry = new THREE.SphereGeometry(size / this.SCENE_SCALE, 8, 6);
     const material = new THREE.MeshBasicMaterial({ color: color });
     const mesh = new THREE.Mesh(geometry, material);
+    mesh.position.copy(orbitalObject.position);
     
     // Create orbital trail
     const trailGeometry = new THREE.BufferGeometry();
@@ -813,69 +696,23 @@ class App {
     });
     const trail = new THREE.Line(trailGeometry, trailMaterial);
     
-    const orbitalObject = {
-      mesh: mesh,
-      trail: trail,
-      orbitalParams: {
-        a: semiMajorAxis,
-        e: eccentricity,
-        i: inclination,
-        Ω: longitudeOfAscendingNode,
-        ω: argumentOfPeriapsis,
-        M: meanAnomaly,
-        T: period,
-        n: 2 * Math.PI / period // mean motion
-      },
-      currentTime: 0,
-      trailPoints: []
-    };
+    orbitalObject.mesh = mesh;
+    orbitalObject.trail = trail;
+    orbitalObject.trailPoints = [];
     
     this.scene.add(mesh);
     this.scene.add(trail);
-    this.orbitalObjects.push(orbitalObject);
-    
-    return orbitalObject;
   }
 
-  // Propagate orbital object (based on NASA design)
-  propagateOrbit(orbitalObject, timeStep) {
-    const { a, e, i, Ω, ω, n } = orbitalObject.orbitalParams;
-    
-    // Update mean anomaly
-    orbitalObject.currentTime += timeStep;
-    const M = n * orbitalObject.currentTime;
-    
-    // Solve Kepler's equation
-    const E = this.keplerSolve(e, M);
-    
-    // Calculate position in orbital plane
-    const cosE = Math.cos(E);
-    const sinE = Math.sin(E);
-    const r = a * (1 - e * cosE);
-    
-    const s_x = r * ((cosE - e) / (1 - e * cosE));
-    const s_y = r * ((Math.sqrt(1 - e * e) * sinE) / (1 - e * cosE));
-    const s_z = 0;
-    
-    // Apply 3D rotations (pitch, yaw, roll)
-    let point = new THREE.Vector3(s_x, s_y, s_z);
-    
-    // Pitch ~ inclination (rotate around Y axis)
-    point.applyAxisAngle(new THREE.Vector3(0, 1, 0), i);
-    
-    // Yaw ~ longitude of ascending node (rotate around Z axis)
-    point.applyAxisAngle(new THREE.Vector3(0, 0, 1), Ω);
-    
-    // Roll ~ argument of periapsis (rotate around X axis)
-    point.applyAxisAngle(new THREE.Vector3(1, 0, 0), ω);
-    
-    // Convert to scene coordinates
-    point.divideScalar(this.SCENE_SCALE);
-    
-    // Update mesh position
+  // Move an orbital object's mesh to its simulated position and extend its trail
+  updateOrbitalObject(orbitalObject) {
+    // transfers appear at launch
+    const launched = !orbitalObject.transfer || this.sim.time >= orbitalObject.transfer.time;
+    orbitalObject.mesh.visible = launched;
+    if (!launched) return;
+    const point = orbitalObject.position;
     orbitalObject.mesh.position.copy(point);
     
-    // Update trail
     orbitalObject.trailPoints.push(point.clone());
     if (orbitalObject.trailPoints.length > 200) {
       orbitalObject.trailPoints.shift();
@@ -884,10 +721,7 @@ class App {
     if (orbitalObject.trailPoints.length > 1) {
       orbitalObject.trail.geometry.setFromPoints(orbitalObject.trailPoints);
     }
-    
-    return point;
   }
-
   // Initialize Leaflet Map
   initLeafletMap() {
     if (typeof L === 'undefined') {
@@ -974,7 +808,11 @@ class App {
   }
 
   // Add impact marker to Leaflet map
-  addImpactToLeafletMap(lat, lon, energy, blastRadius) {
+  // `airburstAltitude` (m) marks an airburst rather than a ground impact;
+  // `crater` is a craterScaling() result for ground impacts. With the entry
+  // `angle` and `heading` (rad) the blast zones take the oblique butterfly
+  // shape and the ejecta blanket is drawn around the crater.
+  addImpactToLeafletMap(lat, lon, energy, blastRadius, { airburstAltitude = null, crater = null, angle = null, heading = 0 } = {}) {
     if (!this.leafletReady || !this.leafletMap) return;
     
     const kilotons = energy / 4.184e12;
@@ -1009,15 +847,30 @@ class App {
     // Create marker
     const marker = L.marker([lat, lon], {
       icon: customIcon,
-      title: `Impact: ${kilotons.toFixed(2)} kt`
+      title: `${airburstAltitude === null ? 'Impact' : 'Airburst'}: ${kilotons.toFixed(2)} kt`
     }).addTo(this.leafletMap);
     
+    // Overpressure and thermal damage rings, from the burst height
+    const rings = damageRings(energy, airburstAltitude || 0);
+    
     // Create popup content
     const popupContent = `
       <div style="color: #e6eef8; font-family: Arial, sans-serif; min-width: 200px;">
-        <h3 style="margin: 0 0 8px 0; color: #cfe6ff;">Meteor Impact</h3>
+        <h3 style="margin: 0 0 8px 0; color: #cfe6ff;">${airburstAltitude === null ? 'Meteor Impact' : 'Meteor Airburst'}</h3>
         <p style="margin: 4px 0;"><strong>Energy:</strong> ${kilotons.toFixed(2)} kt</p>
+        ${airburstAltitude === null ? '' : `<p style="margin: 4px 0;"><strong>Burst Altitude:</strong> ${(airburstAltitude / 1000).toFixed(1)} km</p>`}
+        ${crater ? `
+        <p style="margin: 4px 0;"><strong>Target:</strong> ${TARGET_TYPES[crater.target].label}</p>
+        ${crater.waterDepth === undefined ? '' : `<p style="margin: 4px 0;"><strong>Water Depth:</strong> ${this.formatLength(crater.waterDepth)}</p>`}
+        <p style="margin: 4px 0;"><strong>Transient Crater:</strong> ${this.formatLength(crater.transientDiameter)} × ${this.formatLength(crater.transientDepth)} deep</p>
+        <p style="margin: 4px 0;"><strong>Final Crater:</strong> ${this.formatLength(crater.finalDiameter)} × ${this.formatLength(crater.finalDepth)} deep (${crater.type})</p>
+        ${crater.ellipticity > 1 ? `<p style="margin: 4px 0;"><strong>Elliptical:</strong> ${this.formatLength(crater.finalLength)} × ${this.formatLength(crater.finalWidth)} along the track</p>` : ''}
+        <p style="margin: 4px 0;"><strong>Ejecta:</strong> ${ejectaPattern(crater.angle).pattern}</p>
+        ${this.ejectaSummary(crater)}` : ''}
+        ${angle === null ? '' : `<p style="margin: 4px 0;"><strong>Entry:</strong> ${THREE.MathUtils.radToDeg(angle).toFixed(0)}° above the horizon, heading ${((THREE.MathUtils.radToDeg(heading) + 360) % 360).toFixed(0)}°</p>`}
+        ${crater ? `<p style="margin: 4px 0;"><strong>Into the Ground:</strong> ${(100 * groundCoupling(crater.angle)).toFixed(0)}% of the energy</p>` : ''}
         <p style="margin: 4px 0;"><strong>Blast Radius:</strong> ${blastRadius.toFixed(1)} km</p>
+        ${rings.length ? '' : '<p style="margin: 4px 0;"><strong>Damage Rings:</strong> none, no overpressure or heat threshold is reached on the ground</p>'}
         <p style="margin: 4px 0;"><strong>Location:</strong> ${lat.toFixed(4)}°, ${lon.toFixed(4)}°</p>
       </div>
     `;
@@ -1029,20 +882,24 @@ class App {
     
     this.mapMarkers.push(marker);
     
+    // Blast reach by direction: round unless the entry was oblique
+    const shape = angle === null ? null : { heading, reach: azimuth => blastReach(angle, azimuth) };
+
     // Create blast radius circle
     if (blastRadius > 0) {
-      const circle = L.circle([lat, lon], {
+      const circle = this.createMapArea(lat, lon, blastRadius * 1000, shape, {
         color: markerColor,
         fillColor: markerColor,
-        fillOpacity: 0.2,
-        radius: blastRadius * 1000 // Convert km to meters
+        fillOpacity: 0.2
       }).addTo(this.leafletMap);
       
       this.mapCircles.push(circle);
     }
     
-    // Create effect areas (death/life percentage zones)
-    this.createEffectAreas(lat, lon, blastRadius);
+    // Overpressure and thermal damage rings
+    this.createEffectAreas(lat, lon, rings, shape);
+
+    if (crater) this.createEjectaLayers(lat, lon, crater, heading);
     
     // Auto-zoom to impact area
     this.autoZoomToImpact(lat, lon, blastRadius);
@@ -1055,37 +912,80 @@ class App {
     return Math.pow(kilotons, 0.33) * 0.5;
   }
 
-  // Create effect areas showing death/life percentage zones
-  createEffectAreas(lat, lon, blastRadius) {
+  // A circle of `radius` metres on the map, or, given `shape` ({ heading,
+  // reach(azimuth) }), the outline reaching radius × reach in each direction
+  createMapArea(lat, lon, radius, shape, style) {
+    if (!shape) return L.circle([lat, lon], { ...style, radius });
+    return L.polygon(azimuthalOutline(lat, lon, shape.heading, azimuth => radius * shape.reach(azimuth)), style);
+  }
+
+  // Damage rings (damageRings() results) on the map: peak overpressure
+  // (solid, shaped like the blast) and thermal radiation (dashed, round),
+  // each labelled with its threshold
+  createEffectAreas(lat, lon, rings, shape = null) {
     if (!this.leafletReady || !this.leafletMap) return;
-    
-    const effectZones = [
-      { radius: blastRadius * 0.1, color: '#000000', opacity: 0.8, label: 'Instant Death (100%)' },
-      { radius: blastRadius * 0.3, color: '#ff0000', opacity: 0.6, label: 'Severe Burns (90%)' },
-      { radius: blastRadius * 0.5, color: '#ff8800', opacity: 0.5, label: 'Third Degree Burns (70%)' },
-      { radius: blastRadius * 0.7, color: '#ffaa00', opacity: 0.4, label: 'Second Degree Burns (50%)' },
-      { radius: blastRadius * 0.9, color: '#0000ff', opacity: 0.3, label: 'First Degree Burns (30%)' },
-      { radius: blastRadius * 1.2, color: '#00ff00', opacity: 0.2, label: 'Minor Injuries (10%)' }
-    ];
-    
-    effectZones.forEach((zone, index) => {
-      const circle = L.circle([lat, lon], {
-        color: zone.color,
-        fillColor: zone.color,
-        fillOpacity: zone.opacity,
-        radius: zone.radius * 1000, // Convert km to meters
-        weight: 2
+
+    const colors = {
+      overpressure: { 20: '#000000', 5: '#ff0000', 3: '#ff8800', 1: '#0000ff', 0.5: '#3399ff', 0.1: '#00cc66' },
+      thermal: ['#ffdd00', '#ffaa00', '#ff6600', '#cc3300', '#800000']
+    };
+    rings.forEach(ring => {
+      const thermal = ring.kind === 'thermal';
+      const color = thermal
+        ? colors.thermal[THERMAL_LEVELS.findIndex(level => level.label === ring.label)]
+        : colors.overpressure[ring.threshold];
+      const area = this.createMapArea(lat, lon, ring.radius, thermal ? null : shape, {
+        color,
+        fillColor: color,
+        fillOpacity: thermal ? 0.1 : 0.2,
+        weight: 2,
+        dashArray: thermal ? '6, 4' : null
       }).addTo(this.leafletMap);
       
-      // Add popup with zone information
-      circle.bindPopup(`
+      area.bindPopup(`
         <div style="color: #e6eef8; font-family: Arial, sans-serif;">
-          <h4 style="margin: 0 0 8px 0; color: #cfe6ff;">${zone.label}</h4>
-          <p style="margin: 4px 0;"><strong>Radius:</strong> ${zone.radius.toFixed(1)} km</p>
+          <h4 style="margin: 0 0 8px 0; color: #cfe6ff;">${ring.label}</h4>
+          <p style="margin: 4px 0;"><strong>${thermal ? 'Thermal exposure' : 'Peak overpressure'}:</strong> ${thermal ? `${(ring.threshold / 1e6).toPrecision(2)} MJ/m²` : `${ring.threshold} psi`}</p>
+          ${ring.note ? `<p style="margin: 4px 0;">${ring.note}</p>` : ''}
+          <p style="margin: 4px 0;"><strong>Radius:</strong> ${this.formatLength(ring.radius)}</p>
         </div>
       `);
       
-      this.mapCircles.push(circle);
+      this.mapCircles.push(area);
+    });
+  }
+
+  // Ejecta blanket around a crater, thrown downrange and missing from the
+  // forbidden zones of shallow impacts. Craters from EJECTA_MIN_DIAMETER up
+  // get a layer per thickness, shading darker toward the rim; smaller ones
+  // just their continuous blanket out to about a crater diameter past the rim.
+  createEjectaLayers(lat, lon, crater, heading = 0) {
+    const pattern = ejectaPattern(crater.angle);
+    const rim = crater.finalDiameter / 2;
+    const outline = distance => azimuthalOutline(lat, lon, heading, azimuth => Math.max(rim, distance * ejectaReach(pattern, azimuth)));
+    const popup = (title, rows) => `
+      <div style="color: #e6eef8; font-family: Arial, sans-serif;">
+        <h4 style="margin: 0 0 8px 0; color: #cfe6ff;">${title}</h4>
+        ${rows.map(row => `<p style="margin: 4px 0;">${row}</p>`).join('')}
+      </div>
+    `;
+    const layers = ejectaLayers(crater);
+    if (!layers.length) {
+      const ejecta = L.polygon(outline(3 * rim), { color: '#a0784a', fillColor: '#a0784a', fillOpacity: 0.35, weight: 1 }).addTo(this.leafletMap);
+      ejecta.bindPopup(popup('Ejecta Blanket', [pattern.pattern]));
+      this.mapCircles.push(ejecta);
+      return;
+    }
+    const colors = ['#4a2c14', '#6b4423', '#8b5a2b', '#a0784a', '#c8a97e'];
+    layers.slice().reverse().forEach(layer => {
+      const color = colors[EJECTA_LEVELS.indexOf(layer.level)];
+      const area = L.polygon(outline(layer.distance), { color, fillColor: color, fillOpacity: 0.18, weight: 1 }).addTo(this.leafletMap);
+      area.bindPopup(popup(`Ejecta ${this.formatThickness(layer.level)} deep`, [
+        `<strong>Out to:</strong> ${this.formatLength(layer.distance)} (${pattern.pattern})`,
+        `<strong>Mean fragment:</strong> ${this.formatThickness(layer.fragmentSize)}`,
+        `<strong>Arrives:</strong> ${this.formatDuration(layer.arrival)} after the impact`
+      ]));
+      this.mapCircles.push(area);
     });
   }
 
@@ -1168,114 +1068,297 @@ class App {
 
   // Calculate earthquake effects after meteor impact
   calculateEarthquakeEffects(lat, lon, energy) {
-    const kilotons = energy / 4.184e12;
-    
-    // Calculate earthquake magnitude based on impact energy
-    // Using empirical relationship: Mw ≈ log10(energy) - 4.4
-    const magnitude = Math.log10(kilotons * 4.184e12) - 4.4;
-    
-    // Calculate earthquake radius based on magnitude
-    const earthquakeRadius = Math.pow(10, (magnitude - 2.5) / 1.5) * 10; // km
-    
-    // Create earthquake effect on map
-    this.addEarthquakeEffect(lat, lon, magnitude, earthquakeRadius);
-    
-    // Check for tsunami generation if impact is in ocean
-    if (this.isOceanImpact(lat, lon)) {
-      this.generateTsunami(lat, lon, magnitude, earthquakeRadius);
-    }
-    
-    console.log(`Earthquake: M${magnitude.toFixed(1)} with ${earthquakeRadius.toFixed(1)}km radius`);
+    const { magnitude, intensity, contours } = seismicEffects(energy);
+    this.addEarthquakeEffect(lat, lon, magnitude, contours);
+    console.log(`Earthquake: M${magnitude.toFixed(1)}, intensity ${intensity.toFixed(1)} at the epicentre, ${contours.length} Mercalli contours`);
   }
 
-  // Add earthquake effect to map
-  addEarthquakeEffect(lat, lon, magnitude, radius) {
+  // Modified Mercalli contours on the map, strongest shaking darkest
+  addEarthquakeEffect(lat, lon, magnitude, contours) {
     if (!this.leafletReady || !this.leafletMap) return;
     
-    // Color based on magnitude
-    let color = '#00ff00'; // Green for small
-    if (magnitude > 4) color = '#ffff00'; // Yellow
-    if (magnitude > 5) color = '#ff8800'; // Orange  
-    if (magnitude > 6) color = '#ff0000'; // Red
-    if (magnitude > 7) color = '#800080'; // Purple
-    
-    // Create earthquake zone
-    const earthquakeZone = L.circle([lat, lon], {
-      color: color,
-      fillColor: color,
-      fillOpacity: 0.2,
-      radius: radius * 1000, // Convert km to meters
-      weight: 3,
-      dashArray: '5, 5'
-    }).addTo(this.leafletMap);
-    
-    // Add popup
-    earthquakeZone.bindPopup(`
-      <div style="color: #e6eef8; font-family: Arial, sans-serif;">
-        <h4 style="margin: 0 0 8px 0; color: #cfe6ff;">Earthquake</h4>
-        <p style="margin: 4px 0;"><strong>Magnitude:</strong> M${magnitude.toFixed(1)}</p>
-        <p style="margin: 4px 0;"><strong>Radius:</strong> ${radius.toFixed(1)} km</p>
-        <p style="margin: 4px 0;"><strong>Intensity:</strong> ${this.getEarthquakeIntensity(magnitude)}</p>
-      </div>
-    `);
-    
-    this.earthquakeEffects.push(earthquakeZone);
+    const colors = ['#a0e6ff', '#80ffff', '#7aff93', '#ffff00', '#ffc800', '#ff9100', '#ff0000', '#c80000', '#800000', '#500050', '#200020'];
+    contours.forEach(contour => {
+      const color = colors[contour.intensity - 2];
+      const zone = L.circle([lat, lon], {
+        color,
+        fillColor: color,
+        fillOpacity: 0.08,
+        radius: contour.radius,
+        weight: 2,
+        dashArray: '5, 5'
+      }).addTo(this.leafletMap);
+      
+      zone.bindPopup(`
+        <div style="color: #e6eef8; font-family: Arial, sans-serif;">
+          <h4 style="margin: 0 0 8px 0; color: #cfe6ff;">Intensity ${contour.roman}: ${contour.shaking}</h4>
+          <p style="margin: 4px 0;">${contour.description}</p>
+          <p style="margin: 4px 0;"><strong>Magnitude:</strong> M${magnitude.toFixed(1)}</p>
+          <p style="margin: 4px 0;"><strong>Radius:</strong> ${this.formatLength(contour.radius)}</p>
+        </div>
+      `);
+      
+      this.earthquakeEffects.push(zone);
+    });
   }
 
-  // Generate tsunami effect
-  generateTsunami(lat, lon, magnitude, earthquakeRadius) {
-    if (!this.leafletReady || !this.leafletMap) return;
-    
-    // Tsunami radius is typically 10-50x the earthquake radius
-    const tsunamiRadius = earthquakeRadius * (20 + Math.random() * 30);
-    
-    // Create tsunami zone
-    const tsunamiZone = L.circle([lat, lon], {
-      color: '#0066ff',
-      fillColor: '#0066ff',
-      fillOpacity: 0.15,
-      radius: tsunamiRadius * 1000, // Convert km to meters
-      weight: 2,
-      dashArray: '15, 10'
-    }).addTo(this.leafletMap);
-    
-    // Add popup
-    tsunamiZone.bindPopup(`
+  // Tsunami from a water impact's cavity (`crater` from craterScaling), spread
+  // over the depth raster: wave-height contours, arrival-time isochrones and
+  // the run-up at the coastal cities it reaches. Runs in batches so the globe
+  // keeps animating; a reset in the meantime drops the result.
+  async generateTsunami(lat, lon, crater) {
+    if (!this.leafletReady || !this.leafletMap || !crater.waterCavityDiameter) return;
+
+    const epoch = this.tsunamiEpoch;
+    const current = () => this.tsunamiEpoch === epoch;
+    const yieldToPage = () => new Promise(resolve => setTimeout(resolve, 0));
+    const list = document.getElementById('tsunamiCities');
+    if (list) list.innerHTML = '<b>Tsunami</b>: spreading over the ocean…';
+
+    const tsunami = await propagateTsunami({ lat, lon, cavityDiameter: crater.waterCavityDiameter, waterDepth: crater.waterDepth });
+    if (!current()) return;
+    const addLines = (segments, style, popup) => {
+      if (!segments.length) return;
+      const lines = L.polyline(segments, { interactive: true, ...style }).addTo(this.leafletMap);
+      lines.bindPopup(popup);
+      this.earthquakeEffects.push(lines);
+    };
+    const popup = (title, rows) => `
       <div style="color: #e6eef8; font-family: Arial, sans-serif;">
-        <h4 style="margin: 0 0 8px 0; color: #cfe6ff;">Tsunami</h4>
-        <p style="margin: 4px 0;"><strong>Triggered by:</strong> M${magnitude.toFixed(1)} Earthquake</p>
-        <p style="margin: 4px 0;"><strong>Radius:</strong> ${tsunamiRadius.toFixed(1)} km</p>
-        <p style="margin: 4px 0;"><strong>Risk:</strong> ${this.getTsunamiRisk(magnitude)}</p>
+        <h4 style="margin: 0 0 8px 0; color: #cfe6ff;">${title}</h4>
+        ${rows.map(([label, value]) => `<p style="margin: 4px 0;"><strong>${label}:</strong> ${value}</p>`).join('')}
       </div>
-    `);
-    
-    this.earthquakeEffects.push(tsunamiZone);
+    `;
+
+    for (const height of TSUNAMI_HEIGHTS.filter(height => height < tsunami.source.amplitude)) {
+      const color = height >= 10 ? '#d0021b' : height >= 1 ? '#ff8800' : '#3399ff';
+      addLines(contourSegments(tsunami, tsunami.amplitude, height), { color, weight: 2, opacity: 0.8 },
+        popup('Tsunami wave height', [['Offshore', `${height} m`], ['Source', `${tsunami.source.amplitude.toFixed(0)} m`]]));
+      await yieldToPage();
+      if (!current()) return;
+    }
+    for (const hours of TSUNAMI_ISOCHRONES) {
+      addLines(contourSegments(tsunami, tsunami.arrival, hours * 3600), { color: '#9ad0ff', weight: 1, opacity: 0.6, dashArray: '4, 6' },
+        popup('Tsunami arrival', [['Time', `${hours} h`]]));
+      await yieldToPage();
+      if (!current()) return;
+    }
+
+    const cities = coastalRunUp(tsunami).filter(city => city.runUp >= 0.5);
+    cities.forEach(city => {
+      const color = city.runUp >= 10 ? '#d0021b' : city.runUp >= 3 ? '#ff8800' : '#ffd000';
+      const marker = L.circleMarker([city.lat, city.lon], { radius: 5, color, fillColor: color, fillOpacity: 0.8, weight: 1 }).addTo(this.leafletMap);
+      marker.bindPopup(popup(city.name, [
+        ['Run-up', this.formatLength(city.runUp)],
+        ['Wave offshore', `${city.amplitude.toFixed(1)} m in ${city.depth.toFixed(0)} m of water`],
+        ['Arrival', this.formatDuration(city.arrival)],
+        ['Population', `${city.population} million`]
+      ]));
+      this.earthquakeEffects.push(marker);
+    });
+
+    if (list) {
+      const header = `<b>Tsunami</b>: ${this.formatLength(tsunami.source.amplitude)} at the source`;
+      list.innerHTML = cities.length
+        ? `${header}, run-up at ${cities.length} coastal cities<br>${cities.slice(0, 5).map(city => `${city.name}: ${this.formatLength(city.runUp)} in ${this.formatDuration(city.arrival)}`).join('<br>')}`
+        : `${header}, no coastal city above 0.5 m`;
+    }
   }
 
   // Check if impact location is in ocean
   isOceanImpact(lat, lon) {
-    // Simple ocean detection (in real implementation, would use proper ocean data)
-    // Most of Earth's surface is ocean, so use a simple probability
-    return Math.random() > 0.3; // 70% chance of ocean impact
-  }
-
-  // Get earthquake intensity description
-  getEarthquakeIntensity(magnitude) {
-    if (magnitude < 3) return 'Weak';
-    if (magnitude < 4) return 'Light';
-    if (magnitude < 5) return 'Moderate';
-    if (magnitude < 6) return 'Strong';
-    if (magnitude < 7) return 'Major';
-    if (magnitude < 8) return 'Great';
-    return 'Catastrophic';
+    return surfaceAt(lat, lon).ocean;
   }
 
-  // Get tsunami risk level
-  getTsunamiRisk(magnitude) {
-    if (magnitude < 5) return 'Low';
-    if (magnitude < 6) return 'Medium';
-    if (magnitude < 7) return 'High';
-    return 'Very High';
+  // Target type for crater scaling: the user's choice, else land or ocean
+  getImpactTarget(lat, lon) {
+    if (TARGET_TYPES[this.targetType]) return this.targetType;
+    return this.isOceanImpact(lat, lon) ? 'water' : 'sedimentary';
+  }
+
+  // Final crater drawn to scale on the globe: dark floor inside a raised rim,
+  // stretched along `heading` (rad from north) when the impact was shallow
+  // enough to make it elliptical. Placed in the Earth-fixed frame so it turns
+  // with the globe.
+  createCrater(position, crater, heading = 0) {
+    const radius = crater.finalDiameter / 2 / this.SCENE_SCALE;
+    const normal = this.sim.toEarthFixed(position).normalize();
+    const floorMat = new THREE.MeshBasicMaterial({
+      color: crater.target === 'water' ? 0x16324f : 0x3b2a1c,
+      transparent: true,
+      opacity: 0.85,
+      side: THREE.DoubleSide,
+      polygonOffset: true,
+      polygonOffsetFactor: -2
+    });
+    const rimMat = new THREE.MeshBasicMaterial({ color: 0x9a7a55, side: THREE.DoubleSide, polygonOffset: true, polygonOffsetFactor: -2 });
+    const crater3d = new THREE.Group();
+    crater3d.add(new THREE.Mesh(new THREE.CircleGeometry(radius, 48), floorMat));
+    crater3d.add(new THREE.Mesh(new THREE.RingGeometry(radius, radius * 1.12, 48), rimMat));
+    // circle geometry faces +Z; turn it to face out of the surface with +X
+    // along the track (north and east in the Earth-fixed frame, +Y the axis)
+    const north = new THREE.Vector3(0, 1, 0).addScaledVector(normal, -normal.y);
+    if (north.lengthSq() < 1e-12) north.set(1, 0, 0);
+    north.normalize();
+    const east = new THREE.Vector3().crossVectors(north, normal);
+    const along = north.multiplyScalar(Math.cos(heading)).addScaledVector(east, Math.sin(heading));
+    const across = new THREE.Vector3().crossVectors(normal, along);
+    crater3d.quaternion.setFromRotationMatrix(new THREE.Matrix4().makeBasis(along, across, normal));
+    crater3d.scale.set(Math.sqrt(crater.ellipticity || 1), 1 / Math.sqrt(crater.ellipticity || 1), 1);
+    crater3d.position.copy(normal.multiplyScalar(this.earthRadius + 0.002));
+    this.earthMesh.add(crater3d);
+    this.craterMeshes.push(crater3d);
+  }
+
+  // Popup lines on the ejecta blanket: its thickness at the rim and the
+  // thinnest layer drawn, with its fragments and arrival
+  ejectaSummary(crater) {
+    const layers = ejectaLayers(crater);
+    if (!layers.length) return '';
+    const rim = ejectaAt(crater, crater.finalDiameter / 2);
+    const outer = layers[layers.length - 1];
+    return `
+        <p style="margin: 4px 0;"><strong>Ejecta Depth:</strong> ${this.formatThickness(rim.thickness)} at the rim, ${this.formatThickness(outer.level)} at ${this.formatLength(outer.distance)}</p>
+        <p style="margin: 4px 0;"><strong>Ejecta There:</strong> ${this.formatThickness(outer.fragmentSize)} fragments, ${this.formatDuration(outer.arrival)} after the impact</p>`;
+  }
+
+  // Thicknesses and fragment sizes to two significant figures in mm, cm, m
+  // or km, never in exponent notation
+  formatThickness(meters) {
+    const snapped = Number(meters.toPrecision(6)); // 0.9999999999999998 is 1 m, not 100 cm
+    const [value, unit] = snapped < 0.01 ? [snapped * 1000, 'mm']
+      : snapped < 1 ? [snapped * 100, 'cm']
+      : snapped < 1000 ? [snapped, 'm']
+      : [snapped / 1000, 'km'];
+    if (value < 0.001) return `< 0.001 ${unit}`; // finer than a micrometre
+    return `${value.toFixed(Math.max(0, 1 - Math.floor(Math.log10(value))))} ${unit}`;
+  }
+
+  // Metres below 1 km, kilometres above
+  formatLength(meters) {
+    return meters >= 1000 ? `${(meters / 1000).toFixed(2)} km` : `${meters.toFixed(0)} m`;
+  }
+
+  toggleAftermath(show = !this.showAftermath) {
+    this.showAftermath = show;
+    const panel = document.getElementById('aftermathUI');
+    if (panel) panel.hidden = !show;
+    const btn = document.getElementById('toggleAftermath');
+    if (btn) btn.innerText = show ? 'Hide Aftermath' : 'Show Aftermath';
+    if (show) this.drawAftermathChart();
+  }
+
+  // Climate aftermath of a ground impact; the worst one so far is charted,
+  // and the panel opens by itself once an impact cools the globe
+  recordAftermath(meteor, energy, crater) {
+    const diameter = meteor.breakupSize || meteor.size;
+    const result = climateAftermath({
+      energy,
+      projectileMass: Math.PI / 6 * Math.pow(diameter, 3) * (meteor.density || 3000),
+      transientDiameter: crater.transientDiameter,
+      target: crater.target,
+      targetDensity: crater.targetDensity
+    });
+    if (this.aftermath && this.aftermath.result.coldest.temperature <= result.coldest.temperature) return;
+    this.aftermath = { result, meteor: `${meteor.name || 'Meteor'} #${meteor.id}` };
+    if (result.coldest.temperature < -1 && !this.showAftermath) this.toggleAftermath(true);
+    else if (this.showAftermath) this.drawAftermathChart();
+  }
+
+  // Sunlight and temperature anomaly over the years after the worst impact
+  drawAftermathChart() {
+    const sunlightCanvas = document.getElementById('aftermathSunlightChart');
+    const temperatureCanvas = document.getElementById('aftermathTemperatureChart');
+    const readout = document.getElementById('aftermathReadout');
+    if (!sunlightCanvas || !temperatureCanvas) return;
+    if (!this.aftermath) {
+      [sunlightCanvas, temperatureCanvas].forEach(canvas => canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height));
+      if (readout) readout.innerText = 'No impact yet.';
+      return;
+    }
+
+    const { result, meteor } = this.aftermath;
+    const years = p => p.month / 12;
+    drawLineChart(sunlightCanvas, {
+      series: [{ points: result.series.map(p => [years(p), 100 * p.sunlight]), color: '#ffd36b' }],
+      xLabel: 'Years after impact',
+      yLabel: 'Sunlight at the ground (%)',
+      yRange: [0, 100]
+    });
+    const temperatures = result.series.map(p => [years(p), p.temperature]);
+    drawLineChart(temperatureCanvas, {
+      series: [{ points: temperatures, color: '#7fc8ff' }],
+      xLabel: 'Years after impact',
+      yLabel: 'Temperature anomaly (K)',
+      yRange: [Math.min(-1, Math.floor(result.coldest.temperature)), 0]
+    });
+
+    if (readout) {
+      const { injection, darkest, coldest, recovery } = result;
+      const tg = kg => `${(kg / 1e9).toPrecision(2)} Tg`;
+      const when = month => this.formatDuration(month * 2629800);
+      readout.innerHTML = [
+        `<b>${meteor}</b>: ${(100 * injection.globalShare).toFixed(0)}% of the plume spread worldwide`,
+        `Injected: ${tg(injection.dust)} fine dust, ${tg(injection.soot)} soot, ${tg(injection.sulfur)} sulfur`,
+        `Darkest: ${(100 * darkest.sunlight).toPrecision(2)}% sunlight after ${when(darkest.month)}`,
+        `Coldest: ${coldest.temperature.toFixed(1)} K after ${when(coldest.month)}, ${recovery === null ? 'still colder than 1 K after 10 years' : recovery === 0 ? 'never more than 1 K' : `back within 1 K after ${when(recovery)}`}`
+      ].join('<br>');
+    }
+  }
+
+  toggleAtmosphereChart(show = !this.showAtmosphereChart) {
+    this.showAtmosphereChart = show;
+    const panel = document.getElementById('atmosphereUI');
+    if (panel) panel.hidden = !show;
+    const btn = document.getElementById('toggleAtmosphereChart');
+    if (btn) btn.innerText = show ? 'Hide Atmosphere Chart' : 'Show Atmosphere Chart';
+    if (show) this.drawAtmosphereChart();
+  }
+
+  // Temperature and density against altitude, with the tracked meteor marked
+  drawAtmosphereChart() {
+    this.lastChartDraw = Date.now();
+    const tempCanvas = document.getElementById('atmTemperatureChart');
+    const densityCanvas = document.getElementById('atmDensityChart');
+    if (!tempCanvas || !densityCanvas) return;
+
+    const maxKm = 150;
+    if (!this.atmosphereProfile) this.atmosphereProfile = atmosphereProfile(maxKm * 1000, 300);
+    const profile = this.atmosphereProfile;
+
+    const meteor = this.focusedMeteor && this.focusedMeteor.active
+      ? this.focusedMeteor
+      : this.sim.meteors.filter(m => m.active).slice(-1)[0];
+    const altitude = meteor ? this.sim.getAltitude(meteor.position) : 0;
+    const markers = meteor && altitude < maxKm * 1000
+      ? [{ axis: 'y', value: altitude / 1000, label: `${(altitude / 1000).toFixed(1)} km` }]
+      : [];
+
+    drawLineChart(tempCanvas, {
+      series: [{ points: profile.map(p => [p.temperature, p.altitude / 1000]), color: '#ff9f6b' }],
+      xLabel: 'Temperature (K)',
+      yLabel: 'Altitude (km)',
+      yRange: [0, maxKm],
+      markers
+    });
+    drawLineChart(densityCanvas, {
+      series: [
+        { points: profile.map(p => [p.density, p.altitude / 1000]), color: '#7fc8ff', label: 'Density (kg/m³)' },
+        { points: profile.map(p => [p.pressure, p.altitude / 1000]), color: '#9be59b', label: 'Pressure (Pa)', dashed: true }
+      ],
+      xLabel: 'Density / Pressure',
+      yLabel: 'Altitude (km)',
+      xLog: true,
+      yRange: [0, maxKm],
+      markers
+    });
+
+    const readout = document.getElementById('atmosphereReadout');
+    if (readout) {
+      const air = standardAtmosphere(altitude);
+      const where = meteor ? `${meteor.name || 'Meteor'} at ${(altitude / 1000).toFixed(1)} km` : 'Sea level';
+      readout.innerText = `${where}: ${air.temperature.toFixed(1)} K, ${air.pressure.toExponential(3)} Pa, ${air.density.toExponential(3)} kg/m³ (${air.layer})`;
+    }
   }
 
   // Toggle map size
@@ -1315,46 +1398,6 @@ class App {
     }
   }
 
-  // Calculate drag force on meteor with wind effects
-  calculateDragForce(meteor) {
-    const altitude = meteor.mesh.position.length() * this.SCENE_SCALE - this.earthRadiusMeters;
-    if (altitude < 0) return new THREE.Vector3(); // Below surface
-    
-    const density = this.getAtmosphericDensity(altitude);
-    const velocity = meteor.physVelocity ? meteor.physVelocity.clone() : meteor.velocity.clone().multiplyScalar(this.SCENE_SCALE);
-    const speed = velocity.length();
-    
-    if (speed < 1) return new THREE.Vector3(); // No drag for very slow objects
-    
-    const area = meteor.area || Math.PI * Math.pow(meteor.size / 2, 2);
-    
-    // Get wind force
-    const windForce = this.getWindForce(altitude);
-    
-    // Calculate relative velocity (meteor velocity - wind velocity)
-    const relativeVelocity = velocity.clone().sub(windForce);
-    const relativeSpeed = relativeVelocity.length();
-    
-    if (relativeSpeed < 0.1) return new THREE.Vector3(); // No drag for very slow relative motion
-    
-    // Drag force based on relative velocity
-    const dragForce = 0.5 * density * relativeSpeed * relativeSpeed * this.dragCoefficient * area;
-    
-    // Drag force opposes relative velocity direction
-    const dragDirection = relativeVelocity.normalize().multiplyScalar(-1);
-    
-    return dragDirection.multiplyScalar(dragForce);
-  }
-
-  // Check if meteor should burn up
-  shouldBurnUp(meteor) {
-    const altitude = meteor.mesh.position.length() * this.SCENE_SCALE - this.earthRadiusMeters;
-    if (altitude > this.atmosphereHeight) return false;
-    
-    const speed = meteor.physVelocity ? meteor.physVelocity.length() : meteor.velocity.length() * this.SCENE_SCALE;
-    return speed > this.burnSpeedThreshold;
-  }
-
   // Create randomized meteor geometry for more realistic appearance
   createRandomizedMeteor() {
     // Create irregular geometry using noise or random deformation
@@ -1371,7 +1414,7 @@ class App {
       const distance = Math.sqrt(x * x + y * y + z * z);
       
       // Add random noise based on distance from center
-      const noise = (Math.random() - 0.5) * 0.3;
+      const noise = (this.random.next() - 0.5) * 0.3;
       const scale = 1 + noise * (1 - distance * 0.5); // More noise at edges
       
       positions[i] *= scale;
@@ -1385,9 +1428,9 @@ class App {
     // Try to load meteor texture
     const meteorMat = new THREE.MeshStandardMaterial({ 
       color: 0x888888, 
-      metalness: Math.random() * 0.2 + 0.05, 
-      roughness: Math.random() * 0.4 + 0.4,
-      bumpScale: Math.random() * 0.1 + 0.05
+      metalness: this.random.next() * 0.2 + 0.05, 
+      roughness: this.random.next() * 0.4 + 0.4,
+      bumpScale: this.random.next() * 0.1 + 0.05
     });
     
     // Load meteor texture if available
@@ -1511,7 +1554,9 @@ class App {
   }
 
   // Create dome-shaped explosion effect
-  createExplosion(position, energy, meteorSize = 1000) {
+  // `ocean` impacts splash and send out waves; on land and in the air the
+  // blast is a fireball throwing up dust
+  createExplosion(position, energy, meteorSize = 1000, { ocean = false } = {}) {
     if (!this.enableExplosions) return;
     
     // Add to impact map
@@ -1522,11 +1567,11 @@ class App {
     console.log(`Impact: ${kilotons.toFixed(2)} kt`);
     
     // Create dome-shaped explosion
-    this.createDomeExplosion(position, energy, meteorSize);
+    this.createDomeExplosion(position, energy, meteorSize, ocean);
   }
 
   // Create dome-shaped explosion effect
-  createDomeExplosion(position, energy, meteorSize = 1000) {
+  createDomeExplosion(position, energy, meteorSize = 1000, ocean = false) {
     const explosionGroup = new THREE.Group();
     explosionGroup.position.copy(position);
     
@@ -1535,10 +1580,10 @@ class App {
     const meteorSizeFactor = Math.max(0.5, Math.min(3.0, Math.log10(meteorSize + 1) / 2));
     const baseRadius = Math.max(0.1, Math.min(2.0, Math.pow(kilotons, 0.3) * 0.5 * meteorSizeFactor));
     
-    // Create wave-like dome geometry with ocean colors
+    // Create wave-like dome geometry: ocean blue over water, a fireball on land
     const domeGeo = new THREE.SphereGeometry(baseRadius, 32, 16, 0, Math.PI * 2, 0, Math.PI / 2);
     const domeMat = new THREE.MeshBasicMaterial({
-      color: new THREE.Color().setHSL(0.55, 0.9, 0.4), // Deep ocean blue
+      color: ocean ? new THREE.Color().setHSL(0.55, 0.9, 0.4) : new THREE.Color().setHSL(0.07, 0.95, 0.5),
       transparent: true,
       opacity: 0.9,
       side: THREE.DoubleSide,
@@ -1548,9 +1593,9 @@ class App {
     explosionGroup.add(dome);
     
     // Create wave-like explosion effect
-    this.createWaveExplosion(position, energy, meteorSize);
+    if (ocean) this.createWaveExplosion(position, energy, meteorSize);
     
-    // Create water-like explosion particles
+    // Create water spray or dust particles
     const particleCount = Math.min(150, Math.max(30, kilotons * 15));
     const particles = new THREE.BufferGeometry();
     const positions = new Float32Array(particleCount * 3);
@@ -1560,27 +1605,27 @@ class App {
     for (let i = 0; i < particleCount; i++) {
       const i3 = i * 3;
       // Random position within dome - more concentrated at center
-      const angle = Math.random() * Math.PI * 2;
-      const height = Math.random() * baseRadius * 0.5;
-      const radius = Math.random() * baseRadius * 0.6;
+      const angle = this.effectsRandom.next() * Math.PI * 2;
+      const height = this.effectsRandom.next() * baseRadius * 0.5;
+      const radius = this.effectsRandom.next() * baseRadius * 0.6;
       
       positions[i3] = Math.cos(angle) * radius;
       positions[i3 + 1] = height;
       positions[i3 + 2] = Math.sin(angle) * radius;
       
       // Water-like velocity (outward and upward)
-      const speed = 0.05 + Math.random() * 0.1;
+      const speed = 0.05 + this.effectsRandom.next() * 0.1;
       const direction = new THREE.Vector3(
-        (Math.random() - 0.5) * 1.5,
-        Math.random() * 0.8 + 0.2,
-        (Math.random() - 0.5) * 1.5
+        (this.effectsRandom.next() - 0.5) * 1.5,
+        this.effectsRandom.next() * 0.8 + 0.2,
+        (this.effectsRandom.next() - 0.5) * 1.5
       ).normalize();
       
       velocities[i3] = direction.x * speed;
       velocities[i3 + 1] = direction.y * speed;
       velocities[i3 + 2] = direction.z * speed;
       
-      lifetimes[i] = 2.0 + Math.random() * 3.0; // Longer lifetime for water
+      lifetimes[i] = 2.0 + this.effectsRandom.next() * 3.0; // Longer lifetime for water
     }
     
     particles.setAttribute('position', new THREE.BufferAttribute(positions, 3));
@@ -1588,7 +1633,7 @@ class App {
     particles.setAttribute('lifetime', new THREE.BufferAttribute(lifetimes, 1));
     
     const particleMat = new THREE.PointsMaterial({
-      color: 0x88ccff, // Light blue water color
+      color: ocean ? 0x88ccff : 0xc8a070, // light blue water or dust
       size: 0.02,
       transparent: true,
       opacity: 0.9,
@@ -1663,7 +1708,7 @@ class App {
       wave.position.copy(normal.multiplyScalar(this.earthRadius + 0.005 + waveHeight));
       
       // Add slight rotation for more realistic wave motion
-      wave.rotation.z = Math.random() * 0.1;
+      wave.rotation.z = this.effectsRandom.next() * 0.1;
       
       waveGroup.add(wave);
       
@@ -1703,18 +1748,18 @@ class App {
       const i3 = i * 3;
       
       // Random position around impact point
-      const angle = Math.random() * Math.PI * 2;
-      const radius = Math.random() * 0.1;
+      const angle = this.effectsRandom.next() * Math.PI * 2;
+      const radius = this.effectsRandom.next() * 0.1;
       positions[i3] = Math.cos(angle) * radius;
-      positions[i3 + 1] = Math.random() * 0.05; // Height
+      positions[i3 + 1] = this.effectsRandom.next() * 0.05; // Height
       positions[i3 + 2] = Math.sin(angle) * radius;
       
       // Random velocity for splash
-      velocities[i3] = (Math.random() - 0.5) * 0.1;
-      velocities[i3 + 1] = Math.random() * 0.05 + 0.02; // Upward
-      velocities[i3 + 2] = (Math.random() - 0.5) * 0.1;
+      velocities[i3] = (this.effectsRandom.next() - 0.5) * 0.1;
+      velocities[i3 + 1] = this.effectsRandom.next() * 0.05 + 0.02; // Upward
+      velocities[i3 + 2] = (this.effectsRandom.next() - 0.5) * 0.1;
       
-      lifetimes[i] = 1.0 + Math.random() * 2.0;
+      lifetimes[i] = 1.0 + this.effectsRandom.next() * 2.0;
     }
     
     splashGeo.setAttribute('position', new THREE.BufferAttribute(positions, 3));
@@ -1794,20 +1839,20 @@ class App {
     for (let i = 0; i < particleCount; i++) {
       const i3 = i * 3;
       // Random position within cloud
-      const angle = Math.random() * Math.PI * 2;
-      const height = Math.random() * cloudHeight;
-      const radius = Math.random() * cloudRadius * 0.8;
+      const angle = this.effectsRandom.next() * Math.PI * 2;
+      const height = this.effectsRandom.next() * cloudHeight;
+      const radius = this.effectsRandom.next() * cloudRadius * 0.8;
       
       positions[i3] = Math.cos(angle) * radius;
       positions[i3 + 1] = height;
       positions[i3 + 2] = Math.sin(angle) * radius;
       
       // Upward velocity with some randomness
-      velocities[i3] = (Math.random() - 0.5) * 0.05;
-      velocities[i3 + 1] = Math.random() * 0.1 + 0.05;
-      velocities[i3 + 2] = (Math.random() - 0.5) * 0.05;
+      velocities[i3] = (this.effectsRandom.next() - 0.5) * 0.05;
+      velocities[i3 + 1] = this.effectsRandom.next() * 0.1 + 0.05;
+      velocities[i3 + 2] = (this.effectsRandom.next() - 0.5) * 0.05;
       
-      lifetimes[i] = Math.random() * 10 + 5;
+      lifetimes[i] = this.effectsRandom.next() * 10 + 5;
     }
     
     particles.setAttribute('position', new THREE.BufferAttribute(positions, 3));
@@ -1969,8 +2014,8 @@ class App {
           velocities[j + 1] -= 0.015 * this.simSpeed; // Stronger gravity for water
           
           // Add some randomness to water movement
-          velocities[j] += (Math.random() - 0.5) * 0.001;
-          velocities[j + 2] += (Math.random() - 0.5) * 0.001;
+          velocities[j] += (this.effectsRandom.next() - 0.5) * 0.001;
+          velocities[j + 2] += (this.effectsRandom.next() - 0.5) * 0.001;
         }
         
         effect.particles.geometry.attributes.position.needsUpdate = true;
@@ -2041,7 +2086,7 @@ class App {
       }
       
       // Add gravity visualizers for all meteors
-      this.meteors.forEach(meteor => {
+      this.sim.meteors.forEach(meteor => {
         if (meteor.active) {
           this.createGravityVisualizer(meteor.mesh, meteor.mass, 0xff8800);
         }
@@ -2106,23 +2151,21 @@ class App {
     const physVelocity = dir.clone().multiplyScalar(speed * this.SCENE_SCALE);
     
     // Add meteor with all properties
-    const asteroidData = { 
-      mesh: meteor, 
+    const asteroidData = this.sim.addMeteor({ 
+      position: meteor.position, 
       velocity: sceneVelocity, 
       physVelocity: physVelocity, 
-      active: true, 
       mass, 
       area, 
       size: midSize,
-      burning: false,
-      burnIntensity: 0,
-      label,
+      name: details.name,
       asteroidData: details, // Store original asteroid data
       entrySpeed: speed * this.SCENE_SCALE, // m/s
       energy: 0.5 * mass * Math.pow(speed * this.SCENE_SCALE, 2)
-    };
+    });
+    asteroidData.mesh = meteor;
+    asteroidData.label = label;
     
-    this.meteors.push(asteroidData);
     this.lastMeteorData = asteroidData;
     this.updateMeteorStats();
     
@@ -2132,7 +2175,7 @@ class App {
 
   // Create trajectory line for meteor
   createTrajectoryLine(meteor) {
-    const points = this.calculateTrajectory(meteor);
+    const points = this.sim.calculateTrajectory(meteor);
     const geometry = new THREE.BufferGeometry().setFromPoints(points);
     const material = new THREE.LineBasicMaterial({ 
       color: 0x00ff00, 
@@ -2146,37 +2189,6 @@ class App {
     this.trajectoryLines.push({ line, meteor });
   }
 
-  // Calculate trajectory points for meteor
-  calculateTrajectory(meteor) {
-    const points = [];
-    const startPos = meteor.mesh.position.clone();
-    const velocity = meteor.velocity.clone();
-    const steps = 500; // Increased steps for longer trajectory
-    const dt = 0.1;
-    
-    let pos = startPos.clone();
-    let vel = velocity.clone();
-    
-    for (let i = 0; i < steps; i++) {
-      points.push(pos.clone());
-      
-      // Simple physics simulation for trajectory
-      const r = pos.length();
-      if (r < this.earthRadius + 0.2) break; // Stop if hitting Earth
-      
-      // Apply gravity
-      if (r > 0.1) { // Avoid division by zero
-        const gravityAccel = pos.clone().normalize().multiplyScalar(-this.gravityStrength / (r * r));
-        vel.add(gravityAccel.multiplyScalar(dt));
-      }
-      pos.add(vel.clone().multiplyScalar(dt));
-      
-      // Continue trajectory indefinitely (no distance limit)
-    }
-    
-    return points;
-  }
-
   // Update trajectory lines
   updateTrajectoryLines() {
     // Iterate backwards to safely remove items
@@ -2190,7 +2202,7 @@ class App {
       }
       
       // Update trajectory points
-      const points = this.calculateTrajectory(traj.meteor);
+      const points = this.sim.calculateTrajectory(traj.meteor);
       traj.line.geometry.setFromPoints(points);
     }
   }
@@ -2222,22 +2234,19 @@ class App {
     meteor.scale.setScalar(visScale);
     
     
-    const meteorData = { 
-      mesh: meteor, 
+    const meteorData = this.sim.addMeteor({ 
+      position: meteor.position, 
       velocity: dir.multiplyScalar(speed), 
       physVelocity, 
-      active: true, 
-      label, 
       mass, 
       area, 
       size,
-      burning: false,
-      burnIntensity: 0,
       entrySpeed: speed * this.SCENE_SCALE,
       energy: 0.5 * mass * Math.pow(speed * this.SCENE_SCALE, 2)
-    };
+    });
+    meteorData.mesh = meteor;
+    meteorData.label = label;
     
-    this.meteors.push(meteorData);
     this.lastMeteorData = meteorData;
     this.updateMeteorStats();
     
@@ -2259,7 +2268,17 @@ class App {
     if (size) size.innerText = this.lastMeteorData.size.toFixed(2);
     if (mass) mass.innerText = this.lastMeteorData.mass.toFixed(0);
     if (energy) energy.innerText = this.lastMeteorData.energy.toExponential(2);
-    if (status) status.innerText = this.lastMeteorData.active ? 'Active' : 'Impacted';
+    const crater = document.getElementById('lastCrater');
+    if (crater) {
+      const c = this.lastMeteorData.crater;
+      crater.innerText = c ? `${this.formatLength(c.finalDiameter)} × ${this.formatLength(c.finalDepth)} (${c.type}, ${TARGET_TYPES[c.target].label.toLowerCase()})` : '-';
+    }
+    if (status) {
+      const fates = { impact: 'Impacted', airburst: 'Airburst', burnUp: 'Burned up' };
+      status.innerText = this.lastMeteorData.active
+        ? (this.lastMeteorData.fragmented ? 'Fragmenting' : 'Active')
+        : fates[this.lastMeteorData.fate] || 'Impacted';
+    }
   }
 
   // Initialize map
@@ -2271,19 +2290,6 @@ class App {
     }
   }
 
-  // Convert 3D position to latitude/longitude
-  positionToLatLon(position) {
-    const x = position.x;
-    const y = position.y;
-    const z = position.z;
-    
-    // Convert to spherical coordinates
-    const lat = Math.asin(y / Math.sqrt(x*x + y*y + z*z)) * 180 / Math.PI;
-    const lon = -Math.atan2(z, x) * 180 / Math.PI; // Reverse longitude for correct mapping
-    
-    return { lat: lat, lon: lon };
-  }
-
   // Convert latitude/longitude to map coordinates
   latLonToMapCoords(lat, lon, canvasWidth, canvasHeight) {
     const x = (lon + 180) / 360 * canvasWidth;
@@ -2339,7 +2345,7 @@ class App {
 
   // Add impact to map
   addImpactToMap(position, energy) {
-    const latLon = this.positionToLatLon(position);
+    const latLon = this.sim.positionToLatLon(position);
     this.impactLocations.push({
       lat: latLon.lat,
       lon: latLon.lon,
@@ -2371,7 +2377,7 @@ class App {
     }
     
     // Object count
-    const objectCount = this.meteors.length + this.explosionEffects.length + this.impactEffects.length + this.trajectoryLines.length;
+    const objectCount = this.sim.meteors.length + this.explosionEffects.length + this.impactEffects.length + this.trajectoryLines.length;
     
     // Memory usage (approximate)
     const memoryUsage = Math.round((performance.memory ? performance.memory.usedJSHeapSize : 0) / 1024 / 1024);
@@ -2390,7 +2396,7 @@ class App {
     if (fps) fps.textContent = this.currentFps;
     if (objCount) objCount.textContent = objectCount;
     if (memUsage) memUsage.textContent = memoryUsage;
-    if (gravityMode) gravityMode.textContent = this.realistic ? 'Realistic' : 'Simple';
+    if (gravityMode) gravityMode.textContent = this.sim.realistic ? 'Realistic' : 'Simple';
     if (atmosphereMode) atmosphereMode.textContent = this.showAtmosphere ? 'On' : 'Off';
     if (moonGravityMode) moonGravityMode.textContent = this.showMoon ? 'On' : 'Off';
     if (totalEnergy) totalEnergy.textContent = this.totalImpactEnergy.toExponential(2);
@@ -2398,11 +2404,170 @@ class App {
     if (avgImpact) avgImpact.textContent = this.impactCount > 0 ? (this.totalImpactEnergy / this.impactCount / 4.184e12).toFixed(2) : '0';
   }
 
+  // UI settings stored alongside the physics in scenario files
+  getScenarioSettings() {
+    const select = document.getElementById('asteroidSelect');
+    const speedEl = document.getElementById('speed');
+    return {
+      simSpeed: this.simSpeed,
+      meteorSpeed: speedEl ? parseFloat(speedEl.value) : 0.05,
+      selectedAsteroidId: select && select.value ? select.value : null,
+      showAtmosphere: this.showAtmosphere,
+      showMoon: this.showMoon,
+      showAiming: this.showAiming,
+      targetType: this.targetType,
+      camera: {
+        position: this.camera.position.toArray(),
+        target: this.controls.target.toArray()
+      }
+    };
+  }
+
+  // Download the current setup as a scenario JSON file
+  saveScenario() {
+    this.downloadJSON('scenario', serializeScenario(this.sim, this.getScenarioSettings()));
+  }
+
+  // Offer `json` as a timestamped download, e.g. scenario-2024-01-01T12-00-00-000Z.json
+  downloadJSON(prefix, json) {
+    const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${prefix}-${new Date().toISOString().replace(/[:.]/g, '-')}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  }
+
+  // Read a scenario file chosen in the file picker or dropped on the canvas
+  async loadScenarioFile(file) {
+    if (!file) return;
+    try {
+      this.loadScenario(parseScenario(await file.text()));
+    } catch (err) {
+      console.error('Scenario load failed', err);
+      alert(err instanceof ScenarioError ? err.message : 'Could not load scenario file');
+    }
+  }
+
+  // Put the current setup into the URL hash and copy the resulting link
+  async copyShareLink(button) {
+    const hash = encodeScenarioHash(createScenario(this.sim, this.getScenarioSettings()));
+    history.replaceState(null, '', `#${hash}`);
+    const url = window.location.href;
+    try {
+      await navigator.clipboard.writeText(url);
+      if (button) {
+        button.innerText = 'Copied!';
+        setTimeout(() => { button.innerText = 'Copy link'; }, 1500);
+      }
+    } catch (err) {
+      // clipboard needs a secure context; let the user copy it by hand
+      window.prompt('Copy this link:', url);
+    }
+  }
+
+  // Load the scenario encoded in the URL hash, if there is one
+  restoreFromHash() {
+    try {
+      const data = decodeScenarioHash(window.location.hash);
+      if (data) this.loadScenario(parseScenario(data));
+    } catch (err) {
+      console.error('Could not restore shared link', err);
+      alert(err instanceof ScenarioError ? err.message : 'Could not restore the shared link');
+    }
+  }
+
+  // Replace the running simulation with a parsed scenario
+  loadScenario(scenario) {
+    this.resetScene();
+    applyScenario(this.sim, scenario);
+    this.random = this.sim.random.fork('app');
+    this.effectsRandom = this.sim.random.fork('effects');
+    this.applySettings(scenario.settings);
+
+    this.sim.meteors.forEach(meteor => this.attachMeteorVisuals(meteor));
+    this.sim.orbitalObjects.forEach(orbitalObject => this.attachOrbitalObjectVisuals(orbitalObject));
+    this.updateMoon();
+    this.lastMeteorData = this.sim.meteors[this.sim.meteors.length - 1] || null;
+    this.updateMeteorStats();
+  }
+
+  // Push settings and physics toggles into state and the matching controls
+  applySettings(settings = {}) {
+    const el = id => document.getElementById(id);
+    if (Number.isFinite(settings.simSpeed)) {
+      this.simSpeed = Math.max(0.01, Math.min(1000, settings.simSpeed));
+      if (el('simSpeed')) el('simSpeed').value = this.simSpeed;
+      if (el('simSpeedInput')) el('simSpeedInput').value = this.simSpeed;
+      if (el('simSpeedVal')) el('simSpeedVal').innerText = this.simSpeed.toFixed(2);
+    }
+    if (Number.isFinite(settings.meteorSpeed)) {
+      if (el('speed')) el('speed').value = settings.meteorSpeed;
+      if (el('speedInput')) el('speedInput').value = settings.meteorSpeed;
+      if (el('speedVal')) el('speedVal').innerText = settings.meteorSpeed.toFixed(2);
+    }
+    if (settings.selectedAsteroidId && el('asteroidSelect')) {
+      const select = el('asteroidSelect');
+      if (![...select.options].some(o => o.value === settings.selectedAsteroidId)) {
+        const option = document.createElement('option');
+        option.value = settings.selectedAsteroidId;
+        option.textContent = `Asteroid ${settings.selectedAsteroidId}`;
+        select.appendChild(option);
+      }
+      select.value = settings.selectedAsteroidId;
+    }
+    if (typeof settings.showAtmosphere === 'boolean') {
+      this.showAtmosphere = settings.showAtmosphere;
+      const atm = this.scene.getObjectByName('atmosphere'); if (atm) atm.visible = this.showAtmosphere;
+      if (el('toggleAtmosphere')) el('toggleAtmosphere').innerText = this.showAtmosphere ? 'Hide Atmosphere' : 'Show Atmosphere';
+    }
+    if (typeof settings.showMoon === 'boolean') {
+      this.showMoon = settings.showMoon;
+      const moon = this.scene.getObjectByName('moon'); if (moon) moon.visible = this.showMoon;
+      if (el('toggleMoon')) el('toggleMoon').innerText = this.showMoon ? 'Hide Moon' : 'Show Moon';
+    }
+    if (typeof settings.showAiming === 'boolean') {
+      this.showAiming = settings.showAiming;
+      const aim = this.scene.getObjectByName('aimingLine'); if (aim) aim.visible = this.showAiming;
+      if (el('toggleAiming')) el('toggleAiming').innerText = this.showAiming ? 'Hide Aiming' : 'Show Aiming';
+    }
+    if (settings.targetType && (settings.targetType === 'auto' || TARGET_TYPES[settings.targetType])) {
+      this.targetType = settings.targetType;
+      if (el('targetType')) el('targetType').value = this.targetType;
+    }
+    if (settings.camera && Array.isArray(settings.camera.position) && Array.isArray(settings.camera.target)) {
+      this.setFreeCamera();
+      this.cameraFrame = { active: false };
+      this.camera.position.fromArray(settings.camera.position);
+      this.controls.target.fromArray(settings.camera.target);
+      this.controls.update();
+    }
+    if (el('toggleRealism')) el('toggleRealism').innerText = this.sim.realistic ? 'Disable Realistic Physics' : 'Enable Realistic Physics';
+    if (el('integrator')) el('integrator').value = this.sim.integrator;
+    if (el('seed')) el('seed').value = String(this.sim.random.seed);
+  }
+
+  // Reseed every random stream; the same seed and inputs replay the same run
+  setSeed(seed) {
+    this.sim.setSeed(seed);
+    this.random = this.sim.random.fork('app');
+    this.effectsRandom = this.sim.random.fork('effects');
+    const seedInput = document.getElementById('seed');
+    if (seedInput) seedInput.value = String(this.sim.random.seed);
+  }
+
   resetScene() {
-    this.meteors.forEach(m=>{ if(m.mesh) this.scene.remove(m.mesh); if(m.label && m.label.element) m.label.element.remove(); });
-    this.meteors = [];
+    this.stopReplay();
+    this.sim.meteors.forEach(m=>{ if(m.mesh) this.scene.remove(m.mesh); if(m.fireTrail) this.scene.remove(m.fireTrail); if(m.label && m.label.element) m.label.element.remove(); });
     this.impactEffects.forEach(e=>{ if(e.mesh) this.scene.remove(e.mesh); });
     this.impactEffects = [];
+    this.clearMonteCarlo();
+    this.clearDeflection();
+    this.clearIntercept();
+    this.craterMeshes.forEach(c=>{ this.earthMesh.remove(c); });
+    this.craterMeshes = [];
     this.explosionEffects.forEach(e=>{ this.scene.remove(e.group); });
     this.explosionEffects = [];
     this.gravityVisualizers.forEach(v=>{ this.scene.remove(v.mesh); });
@@ -2431,13 +2596,20 @@ class App {
       }
     });
     this.earthquakeEffects = [];
+    const tsunamiCities = document.getElementById('tsunamiCities');
+    if (tsunamiCities) tsunamiCities.innerHTML = '';
+    this.tsunamiEpoch++; // drops tsunamis still being computed
+    this.aftermath = null;
+    if (this.showAftermath) this.drawAftermathChart();
     
     // Clear orbital objects
-    this.orbitalObjects.forEach(orbitalObject => {
+    this.sim.orbitalObjects.forEach(orbitalObject => {
       this.scene.remove(orbitalObject.mesh);
       this.scene.remove(orbitalObject.trail);
     });
-    this.orbitalObjects = [];
+    this.sim.reset();
+    this.recorder.clear();
+    this.updateTimeline();
     
     this.impactCount = 0; const ic = document.getElementById('impactCount'); if(ic) ic.innerText = '0';
     this.totalImpactEnergy = 0;
@@ -2447,13 +2619,151 @@ class App {
     this.currentFps = 60;
     this.lastMeteorData = null;
     this.updateMeteorStats();
+    this.setSeed(this.sim.random.seed);
+  }
+
+  // Give a simulated meteor (e.g. one loaded from a scenario) its mesh, label and trajectory
+  attachMeteorVisuals(meteor) {
+    const mesh = this.createRandomizedMeteor();
+    mesh.position.copy(meteor.position);
+    mesh.scale.setScalar(Math.max(meteor.size / 2 / this.SCENE_SCALE, 1e-6));
+    this.scene.add(mesh);
+    meteor.mesh = mesh;
+    meteor.label = this.createLabel(meteor.name ? `${meteor.name} (${meteor.size.toFixed(0)} m)` : `Meteor (${meteor.size.toFixed(2)} m)`, mesh.position);
+    if (meteor.burning) this.createFireTrail(meteor);
+    this.createTrajectoryLine(meteor);
+  }
+
+  // Keep a meteor's mesh, label and fire trail in step with its simulated state
+  updateMeteorMesh(meteor) {
+    meteor.mesh.position.copy(meteor.position);
+    meteor.mesh.scale.setScalar(Math.max(meteor.size / 2 / this.SCENE_SCALE, 1e-6));
+    if(meteor.label) meteor.label.position.copy(meteor.mesh.position);
+    if(meteor.burning) this.updateFireTrail(meteor);
+  }
+
+  // Remove a meteor's mesh, trail and label from the scene
+  removeMeteorVisuals(meteor) {
+    this.scene.remove(meteor.mesh);
+    if(meteor.fireTrail) this.scene.remove(meteor.fireTrail);
+    if(meteor.label && meteor.label.element && meteor.label.element.parentNode) {
+      meteor.label.element.parentNode.removeChild(meteor.label.element);
+    }
+    const li = this.labels.indexOf(meteor.label);
+    if(li !== -1) this.labels.splice(li, 1);
+  }
+
+  onMeteorBurnStart(meteor) {
+    this.createBurnEffect(meteor);
+    this.createFireTrail(meteor);
+  }
+
+  onMeteorBurnUp(meteor) {
+    this.removeMeteorVisuals(meteor);
+  }
+
+  onMeteorBreakup(meteor) {
+    if (meteor.label && meteor.label.element) meteor.label.element.innerText += ' – fragmenting';
+    this.updateMeteorStats();
+  }
+
+  // The fragment cloud exploded in the air: blast centred on the burst point,
+  // map effects on the ground below it, and no crater or earthquake
+  onMeteorAirburst({ meteor, position, altitude, energy, angle, heading }) {
+    try{
+      this.createExplosion(position.clone(), energy, meteor.size);
+
+      const keTons = energy / 4.184e9;
+      const blastRadius = this.calculateBlastRadius(energy);
+      const ie = document.getElementById('impactEnergy'); if(ie) ie.innerText = `${energy.toExponential(3)} J (~${keTons.toFixed(2)} kt airburst at ${(altitude / 1000).toFixed(1)} km)`;
+
+      const latLon = this.sim.positionToLatLon(position);
+      this.addImpactToLeafletMap(latLon.lat, latLon.lon, energy, blastRadius, { airburstAltitude: altitude, angle, heading });
+      this.recorder.mark('mapImpact', { lat: latLon.lat, lon: latLon.lon, energy, blastRadius, airburstAltitude: altitude });
+
+      const blastRadiusEl = document.getElementById('blastRadius');
+      if (blastRadiusEl) blastRadiusEl.textContent = blastRadius.toFixed(1);
+
+      this.totalImpactEnergy += energy;
+      this.largestImpactEnergy = Math.max(this.largestImpactEnergy, energy);
+    }catch(e){ console.error('airburst energy calc', e); }
+
+    this.removeMeteorVisuals(meteor);
+    this.impactCount++; const ic = document.getElementById('impactCount'); if(ic) ic.innerText = String(this.impactCount);
+    this.updateMeteorStats();
+  }
+
+  onMeteorImpact({ meteor, position, speed, angle, heading, energy: ke }) {
+    this.createImpact(position.clone());
+    
+    // Create explosion effect
+    try{
+      // what was hit decides splash or fireball, crater target and tsunami
+      const latLon = this.sim.positionToLatLon(position);
+      const surface = surfaceAt(latLon.lat, latLon.lon);
+      const target = this.getImpactTarget(latLon.lat, latLon.lon);
+      this.createExplosion(position.clone(), ke, meteor.size, { ocean: target === 'water' });
+      
+      const keTons = ke / 4.184e9;
+      const blastRadius = this.calculateBlastRadius(ke);
+      const ie = document.getElementById('impactEnergy'); if(ie) ie.innerText = `${ke.toExponential(3)} J (~${keTons.toFixed(2)} kt, ${THREE.MathUtils.radToDeg(angle).toFixed(0)}° entry)`;
+      
+      // Crater from the body as it was before any breakup
+      meteor.crater = craterScaling({
+        diameter: meteor.breakupSize || meteor.size,
+        density: meteor.density || 3000,
+        velocity: speed,
+        angle,
+        target,
+        waterDepth: surface.ocean ? surface.depth : undefined // forced water targets on land: mean ocean
+      });
+      this.createCrater(position, meteor.crater, heading);
+      
+      // Add to Leaflet map
+      this.addImpactToLeafletMap(latLon.lat, latLon.lon, ke, blastRadius, { crater: meteor.crater, angle, heading });
+      this.recorder.mark('mapImpact', { lat: latLon.lat, lon: latLon.lon, energy: ke, blastRadius });
+      
+      // Calculate earthquake effects from the share that went into the ground
+      this.calculateEarthquakeEffects(latLon.lat, latLon.lon, ke * groundCoupling(angle));
+      if (target === 'water') this.generateTsunami(latLon.lat, latLon.lon, meteor.crater).catch(e => console.error('tsunami', e));
+      this.recordAftermath(meteor, ke, meteor.crater);
+      
+      // Update map info
+      const blastRadiusEl = document.getElementById('blastRadius');
+      if (blastRadiusEl) blastRadiusEl.textContent = blastRadius.toFixed(1);
+      
+      // Update statistics
+      this.totalImpactEnergy += ke;
+      this.largestImpactEnergy = Math.max(this.largestImpactEnergy, ke);
+      this.impactCount++;
+    }catch(e){ console.error('impact energy calc', e); const ie = document.getElementById('impactEnergy'); if(ie) ie.innerText = '-'; }
+    
+    this.removeMeteorVisuals(meteor);
+    this.impactCount++; const ic = document.getElementById('impactCount'); if(ic) ic.innerText = String(this.impactCount);
+    
+    // Update stats
+    this.updateMeteorStats();
   }
 
   animate() {
     requestAnimationFrame(() => this.animate());
+
+    // Replaying a recording: the live simulation stays frozen underneath
+    if (this.replay) {
+      this.lastUpdateTime = Date.now(); // the live clock is frozen while replaying
+      this.updateReplay();
+      this.updateCameraFrame();
+      this.updateExplosionEffects();
+      this.updateImpactEffects();
+      this.controls.update();
+      this.renderer.render(this.scene, this.camera);
+      this.updateLabels();
+      return;
+    }
     
     // Skip updates if paused
     if (this.paused) {
+      this.lastUpdateTime = Date.now();
       this.controls.update();
       this.renderer.render(this.scene, this.camera);
       return;
@@ -2466,22 +2776,33 @@ class App {
     const aimingLine = this.scene.getObjectByName && this.scene.getObjectByName('aimingLine');
     if(aimingLine){ const positions = aimingLine.geometry.attributes.position.array; positions[0]=this.camera.position.x; positions[1]=this.camera.position.y; positions[2]=this.camera.position.z; positions[3]=this.cursor.position.x; positions[4]=this.cursor.position.y; positions[5]=this.cursor.position.z; aimingLine.geometry.attributes.position.needsUpdate=true; }
     // update counters
-    const mc = document.getElementById('meteorCount'); if(mc) mc.innerText = String(this.meteors.length);
+    const mc = document.getElementById('meteorCount'); if(mc) mc.innerText = String(this.sim.meteors.length);
     
     // update simulation time
     const currentTime = Date.now();
-    const simTime = (currentTime - this.simulationStartTime) / 1000 * this.simSpeed;
-    const st = document.getElementById('simTime'); if(st) st.innerText = simTime.toFixed(1);
+    this.updateClockDisplay();
     
     // update statistics
     this.updateStatistics();
+    if (this.showAtmosphereChart && currentTime - this.lastChartDraw > 250) this.drawAtmosphereChart();
+    if (currentTime - this.lastElementsUpdate > 250) this.updateElementsReadout();
     
     // predicted impact
     this.updatePredictedImpact();
     const mouseCursor = this.scene.getObjectByName('mouseCursor'); if(mouseCursor){ mouseCursor.position.copy(this.cursor.position); }
     
-    // update moon orbit
+    // advance the simulation by the warped wall time since the last frame;
+    // impacts and burn-ups arrive as events
+    this.sim.step(this.sim.clock.advance((currentTime - this.lastUpdateTime) / 1000));
+    this.lastUpdateTime = currentTime;
+    this.recorder.capture();
+    this.updateTimeline();
+
+    // update moon orbit, Earth spin, sunlight and the NEO on its real orbit
     this.updateMoon();
+    this.updateEarthRotation();
+    this.updateSun();
+    this.updateNeoTrack();
 
     // update camera focus
     this.updateCameraFocus();
@@ -2493,14 +2814,27 @@ class App {
     this.updateExplosionEffects();
 
     // update orbital objects
-    this.orbitalObjects.forEach(orbitalObject => {
-      this.propagateOrbit(orbitalObject, 0.02 * this.simSpeed);
-    });
+    this.sim.orbitalObjects.forEach(orbitalObject => this.updateOrbitalObject(orbitalObject));
 
     // update trajectory lines
     this.updateTrajectoryLines();
 
     // camera framing update (if active)
+    this.updateCameraFrame();
+
+    // Sync meteor meshes with the simulation
+    this.sim.meteors.forEach(meteor => this.updateMeteorMesh(meteor));
+
+    // impact effects and burn effects
+    this.updateImpactEffects();
+
+    this.controls.update();
+    this.renderer.render(this.scene, this.camera);
+    this.updateLabels();
+  }
+
+  // Advance an active frameCameraTo() transition
+  updateCameraFrame() {
     if(this.cameraFrame && this.cameraFrame.active){
       const now = Date.now();
       const t = Math.min(1, (now - this.cameraFrame.startTime) / this.cameraFrame.duration);
@@ -2511,171 +2845,10 @@ class App {
       this.controls.target.copy(newTarget);
       if(t >= 1) this.cameraFrame.active = false;
     }
+  }
 
-    // Meteors update with atmosphere effects
-    this.meteors.forEach(meteor=>{
-      if(!meteor.active) return;
-      const pos = meteor.mesh.position;
-      const r = pos.length();
-      const altitude = r * this.SCENE_SCALE - this.earthRadiusMeters;
-      
-      // Check if meteor should burn up in atmosphere
-      if(altitude < this.atmosphereHeight && this.shouldBurnUp(meteor)) {
-        if(!meteor.burning) {
-          meteor.burning = true;
-          meteor.burnIntensity = 0;
-          this.createBurnEffect(meteor);
-          this.createFireTrail(meteor);
-        }
-        
-        // Update fire trail
-        this.updateFireTrail(meteor);
-        
-        meteor.burnIntensity = Math.min(1, meteor.burnIntensity + 0.05 * this.simSpeed);
-        
-        // Enhanced burning effects with terminal velocity consideration
-        const terminalVelocity = this.calculateTerminalVelocity(meteor, altitude);
-        const currentSpeed = meteor.physVelocity ? meteor.physVelocity.length() : meteor.velocity.length() * this.SCENE_SCALE;
-        
-        // More intense burning if significantly above terminal velocity
-        const speedRatio = currentSpeed / terminalVelocity;
-        const burnRate = Math.min(1, speedRatio * 0.1 * this.simSpeed);
-        
-        // Random chance of complete burn-up based on burn intensity and speed
-        if(Math.random() < meteor.burnIntensity * burnRate) {
-          meteor.active = false;
-          this.scene.remove(meteor.mesh);
-          if(meteor.fireTrail) {
-            this.scene.remove(meteor.fireTrail);
-          }
-          if(meteor.label && meteor.label.element && meteor.label.element.parentNode) {
-            meteor.label.element.parentNode.removeChild(meteor.label.element);
-          }
-          const li = this.labels.indexOf(meteor.label); 
-          if(li !== -1) this.labels.splice(li, 1);
-          return;
-        }
-      }
-      
-      if(this.realistic){
-        const posMeters = pos.clone().multiplyScalar(this.SCENE_SCALE);
-        const vel = meteor.physVelocity.clone();
-        const dt = 0.02 * this.simSpeed;
-        
-        // Earth gravity force (Newton's law of universal gravitation)
-        const rmag = posMeters.length();
-        let earthGravityForce;
-        if (rmag > 0.1) { // Avoid division by zero
-          earthGravityForce = posMeters.clone().multiplyScalar(-this.G*this.earthMass/(rmag*rmag*rmag));
-        } else {
-          earthGravityForce = new THREE.Vector3(0, 0, 0);
-        }
-        
-        // Moon gravity force
-        const moonGravityForce = this.calculateMoonGravity(meteor);
-        
-        // Meteor-to-meteor gravity forces
-        let meteorGravityForce = new THREE.Vector3(0, 0, 0);
-        this.meteors.forEach(otherMeteor => {
-          if (otherMeteor !== meteor && otherMeteor.active) {
-            meteorGravityForce.add(this.calculateMeteorGravity(meteor, otherMeteor));
-          }
-        });
-        
-        // Atmospheric drag force
-        const dragForce = this.calculateDragForce(meteor);
-        
-        // Calculate mass reduction due to atmospheric ablation
-        const massLoss = this.calculateMassReduction(meteor, dt);
-        
-        // Apply forces (F = ma, so a = F/m)
-        const totalForce = earthGravityForce.add(moonGravityForce).add(meteorGravityForce).add(dragForce);
-        const acceleration = totalForce.divideScalar(meteor.mass);
-        
-        meteor.physVelocity.add(acceleration.multiplyScalar(dt));
-        posMeters.add(meteor.physVelocity.clone().multiplyScalar(dt));
-        meteor.mesh.position.copy(posMeters.multiplyScalar(1/this.SCENE_SCALE));
-        if(meteor.label) meteor.label.position.copy(meteor.mesh.position);
-      } else {
-        // Enhanced simple mode physics with proper gravity
-        let gravityAccel;
-        if (r > 0.1) { // Avoid division by zero
-          gravityAccel = pos.clone().normalize().multiplyScalar(-this.gravityStrength/(r*r));
-        } else {
-          gravityAccel = new THREE.Vector3(0, 0, 0);
-        }
-        
-        // Add moon gravity in simple mode
-        const moon = this.scene.getObjectByName('moon');
-        if (moon) {
-          const moonPos = moon.position.clone();
-          const toMoon = moonPos.sub(pos);
-          const moonDist = toMoon.length();
-          if (moonDist > 0.1) { // Avoid division by zero
-            const moonGravityStrength = 0.001; // Simplified moon gravity
-            const moonGravityAccel = toMoon.normalize().multiplyScalar(moonGravityStrength / (moonDist * moonDist));
-            meteor.velocity.add(moonGravityAccel.multiplyScalar(this.simSpeed));
-          }
-        }
-        
-        // Add atmospheric drag in simple mode
-        if(altitude < this.atmosphereHeight) {
-          const dragAccel = meteor.velocity.clone().normalize().multiplyScalar(-0.01 * this.simSpeed);
-          meteor.velocity.add(dragAccel);
-        }
-        
-        // Apply gravity acceleration
-        meteor.velocity.add(gravityAccel.multiplyScalar(this.simSpeed));
-        
-        // Update position
-        pos.add(meteor.velocity.clone().multiplyScalar(this.simSpeed));
-        
-        // Update label position
-        if(meteor.label) meteor.label.position.copy(meteor.mesh.position);
-      }
-      
-      if(r < this.earthRadius + 0.2){
-        meteor.active = false;
-        this.createImpact(pos.clone());
-        
-        // Create explosion effect
-        try{
-          let speedAtImpact = meteor.physVelocity ? meteor.physVelocity.length() : (meteor.velocity ? meteor.velocity.length()*this.SCENE_SCALE : 0);
-          const ke = 0.5 * (meteor.mass || 1) * speedAtImpact * speedAtImpact;
-          this.createExplosion(pos.clone(), ke, meteor.size);
-          
-          const keTons = ke / 4.184e9;
-          const blastRadius = this.calculateBlastRadius(ke);
-          const ie = document.getElementById('impactEnergy'); if(ie) ie.innerText = `${ke.toExponential(3)} J (~${keTons.toFixed(2)} kt)`;
-          
-          // Add to Leaflet map
-          const latLon = this.positionToLatLon(pos);
-          this.addImpactToLeafletMap(latLon.lat, latLon.lon, ke, blastRadius);
-          
-          // Calculate earthquake effects
-          this.calculateEarthquakeEffects(latLon.lat, latLon.lon, ke);
-          
-          // Update map info
-          const blastRadiusEl = document.getElementById('blastRadius');
-          if (blastRadiusEl) blastRadiusEl.textContent = blastRadius.toFixed(1);
-          
-          // Update statistics
-          this.totalImpactEnergy += ke;
-          this.largestImpactEnergy = Math.max(this.largestImpactEnergy, ke);
-          this.impactCount++;
-        }catch(e){ console.error('impact energy calc', e); const ie = document.getElementById('impactEnergy'); if(ie) ie.innerText = '-'; }
-        
-        this.scene.remove(meteor.mesh);
-        if(meteor.label && meteor.label.element && meteor.label.element.parentNode) meteor.label.element.parentNode.removeChild(meteor.label.element);
-        const li = this.labels.indexOf(meteor.label); if(li!==-1) this.labels.splice(li,1);
-        this.impactCount++; const ic = document.getElementById('impactCount'); if(ic) ic.innerText = String(this.impactCount);
-        
-        // Update stats
-        this.updateMeteorStats();
-      }
-    });
-
-    // impact effects and burn effects
+  // Grow and fade impact rings and burn flashes
+  updateImpactEffects() {
     this.impactEffects.forEach(effect => {
       if (effect.type === 'burn') {
         effect.lifetime -= 0.02 * this.simSpeed;
@@ -2694,34 +2867,177 @@ class App {
     this.impactEffects = this.impactEffects.filter(e => 
       e.mesh.material.opacity > 0 && (e.type !== 'burn' || e.lifetime > 0)
     );
+  }
 
-    this.meteors = this.meteors.filter(m=>m.active);
+  // Keep the timeline bar in step with the recording while running live
+  updateTimeline() {
+    const scrub = document.getElementById('timelineScrub');
+    const label = document.getElementById('timelineTime');
+    const start = this.recorder.startTime;
+    const end = this.recorder.endTime;
+    const time = this.replay ? this.replay.time : end;
+    if (scrub) {
+      scrub.min = String(start);
+      scrub.max = String(end);
+      scrub.value = String(time);
+      scrub.disabled = this.recorder.frames.length < 2;
+    }
+    if (label) label.innerText = `${time.toFixed(1)} / ${end.toFixed(1)} s`;
+    const playBtn = document.getElementById('timelinePlay');
+    if (playBtn) playBtn.innerText = this.replay && this.replay.playing ? 'Pause' : 'Play';
+    const liveBtn = document.getElementById('timelineLive');
+    if (liveBtn) liveBtn.disabled = !this.replay;
+  }
+
+  // Enter replay mode: live meteors are hidden and recorded frames drawn instead
+  startReplay() {
+    if (this.replay || this.recorder.frames.length < 2) return false;
+    const speedSelect = document.getElementById('timelineSpeed');
+    this.replay = {
+      time: this.recorder.endTime,
+      playing: false,
+      speed: speedSelect ? parseFloat(speedSelect.value) || 1 : 1,
+      meshes: new Map()
+    };
+    this.setLiveMeteorsVisible(false);
+    return true;
+  }
 
-    this.controls.update();
-    this.renderer.render(this.scene, this.camera);
-    this.updateLabels();
+  // Leave replay mode and carry on with the live simulation where it was frozen
+  stopReplay() {
+    if (!this.replay) return;
+    this.replay.meshes.forEach(mesh => this.scene.remove(mesh));
+    this.replay = null;
+    this.setLiveMeteorsVisible(true);
+    this.updateMoon();
+    this.sim.orbitalObjects.forEach(orbitalObject => orbitalObject.mesh && orbitalObject.mesh.position.copy(orbitalObject.position));
+    this.updateTimeline();
+  }
+
+  setLiveMeteorsVisible(visible) {
+    this.sim.meteors.forEach(meteor => {
+      if (meteor.mesh) meteor.mesh.visible = visible;
+      if (meteor.fireTrail) meteor.fireTrail.visible = visible;
+      if (meteor.label && meteor.label.element) meteor.label.element.style.display = visible ? '' : 'none';
+    });
+    this.trajectoryLines.forEach(t => { t.line.visible = visible; });
+  }
+
+  toggleReplayPlayback() {
+    if (!this.replay) {
+      if (!this.startReplay()) return;
+      this.seekReplay(this.recorder.startTime);
+    } else if (!this.replay.playing && this.replay.time >= this.recorder.endTime) {
+      this.seekReplay(this.recorder.startTime); // play again from the top
+    }
+    this.replay.playing = !this.replay.playing;
+    this.updateTimeline();
+  }
+
+  // Jump the playhead to `time`; effects only fire when playing forward
+  seekReplay(time) {
+    if (!this.replay && !this.startReplay()) return;
+    this.replay.time = Math.max(this.recorder.startTime, Math.min(this.recorder.endTime, time));
+    this.drawReplayFrame(this.recorder.sample(this.replay.time));
+    this.updateTimeline();
+  }
+
+  updateReplay() {
+    const replay = this.replay;
+    if (replay.playing) {
+      const from = replay.time;
+      replay.time = Math.min(this.recorder.endTime, from + this.sim.frameSeconds * this.simSpeed * replay.speed);
+      this.recorder.eventsBetween(from, replay.time).forEach(event => this.playReplayEvent(event));
+      if (replay.time >= this.recorder.endTime) replay.playing = false;
+      this.drawReplayFrame(this.recorder.sample(replay.time));
+    }
+    this.updateTimeline();
+  }
+
+  // Show a recorded frame: one stand-in mesh per meteor, plus moon and orbits
+  drawReplayFrame(frame) {
+    if (!frame) return;
+    const { meshes } = this.replay;
+    const seen = new Set();
+    frame.meteors.forEach(m => {
+      let mesh = meshes.get(m.id);
+      if (!mesh) {
+        mesh = new THREE.Mesh(new THREE.SphereGeometry(1, 12, 8), new THREE.MeshBasicMaterial({ color: 0xb8a48c }));
+        meshes.set(m.id, mesh);
+        this.scene.add(mesh);
+      }
+      mesh.position.fromArray(m.position);
+      mesh.scale.setScalar(Math.max(m.size / 2 / this.SCENE_SCALE, 1e-6));
+      mesh.material.color.setHex(m.fragmented ? 0xffcc33 : m.burning ? 0xff6622 : 0xb8a48c);
+      mesh.visible = true;
+      seen.add(m.id);
+    });
+    meshes.forEach((mesh, id) => { if (!seen.has(id)) mesh.visible = false; });
+
+    const moon = this.scene.getObjectByName('moon');
+    if (moon) moon.position.fromArray(frame.moon);
+    if (frame.earthRotation !== undefined) this.updateEarthRotation(frame.earthRotation);
+    frame.orbitalObjects.forEach((p, k) => {
+      const orbitalObject = this.sim.orbitalObjects[k];
+      if (orbitalObject && orbitalObject.mesh) orbitalObject.mesh.position.fromArray(p);
+    });
+  }
+
+  // Re-run the visual side of a recorded event
+  playReplayEvent(event) {
+    if (event.type === 'impact') {
+      const position = new THREE.Vector3().fromArray(event.position);
+      const { lat, lon } = this.sim.positionToLatLon(position, event.time);
+      this.createImpact(position.clone());
+      this.createExplosion(position, event.energy, event.size, { ocean: this.getImpactTarget(lat, lon) === 'water' });
+    } else if (event.type === 'airburst') {
+      this.createExplosion(new THREE.Vector3().fromArray(event.position), event.energy, event.size);
+    } else if (event.type === 'mapImpact') {
+      const latEl = document.getElementById('impactLat');
+      const lonEl = document.getElementById('impactLon');
+      const energyEl = document.getElementById('mapEnergy');
+      const blastRadiusEl = document.getElementById('blastRadius');
+      if (latEl) latEl.textContent = event.lat.toFixed(2);
+      if (lonEl) lonEl.textContent = event.lon.toFixed(2);
+      if (energyEl) energyEl.textContent = (event.energy / 4.184e12).toFixed(2);
+      if (blastRadiusEl) blastRadiusEl.textContent = event.blastRadius.toFixed(1);
+      if (this.leafletReady && this.leafletMap) this.autoZoomToImpact(event.lat, event.lon, event.blastRadius);
+    }
+  }
+
+  // Point the camera at the replayed meteor, or else at the next recorded impact
+  frameReplay() {
+    if (!this.replay && !this.startReplay()) return;
+    const frame = this.recorder.sample(this.replay.time);
+    let target = null;
+    let size = 0;
+    if (frame && frame.meteors.length) {
+      target = new THREE.Vector3().fromArray(frame.meteors[0].position);
+      size = frame.meteors[0].size / this.SCENE_SCALE;
+    } else {
+      const impact = this.recorder.events.find(e => e.type === 'impact' && e.time >= this.replay.time)
+        || [...this.recorder.events].reverse().find(e => e.type === 'impact');
+      if (impact) target = new THREE.Vector3().fromArray(impact.position);
+    }
+    if (!target) return;
+
+    this.setFreeCamera();
+    const distance = Math.max(size * 30, this.earthRadius * 0.3);
+    const offset = this.camera.position.clone().sub(target).normalize().multiplyScalar(distance);
+    this.frameCameraTo(target, target.clone().add(offset), 1200);
+  }
+
+  exportRecording() {
+    if (!this.recorder.frames.length) return alert('Nothing recorded yet');
+    this.downloadJSON('recording', this.recorder.serialize());
   }
 
   updatePredictedImpact(){
     const speed = parseFloat(document.getElementById('speed')?.value || 0.05);
     const origin = this.camera.position.clone();
     const dir = this.cursor.position.clone().sub(this.camera.position).normalize();
-    let pos = origin.clone();
-    let v = dir.multiplyScalar(speed);
-    let hitPos = null;
     // simple ballistic (scene units)
-    const dt = 0.02 * this.simSpeed;
-    const steps = 2000;
-    for(let i=0;i<steps;i++){
-      const r = pos.length();
-      if (r > 0.1) { // Avoid division by zero
-        const accel = pos.clone().normalize().multiplyScalar(-this.gravityStrength/(r*r));
-        v.add(accel.multiplyScalar(dt));
-      }
-      pos.add(v.clone().multiplyScalar(dt));
-      if(pos.length() < this.earthRadius + 0.2){ hitPos = pos.clone(); break; }
-      if(pos.length() > 1e4) break;
-    }
+    const hitPos = this.sim.predictImpact(origin, dir, speed, 0.02 * this.simSpeed);
     if(hitPos){ this.predictedImpactMarker.position.copy(hitPos); this.predictedImpactMarker.visible = true; } else { this.predictedImpactMarker.visible = false; }
   }
 
@@ -2810,6 +3126,12 @@ class App {
     const kineticEnergy = 0.5 * mass * velocity * velocity;
     const kilotons = kineticEnergy / 4.184e12;
     const blastRadius = this.calculateBlastRadius(kineticEnergy);
+    // climate aftermath of a 45° hit on sedimentary rock, for the few big enough to matter
+    let coldest = null;
+    if (kineticEnergy >= CLIMATE_MIN_ENERGY) {
+      const crater = craterScaling({ diameter: avgDiameter, density, velocity });
+      ({ coldest } = climateAftermath({ energy: kineticEnergy, projectileMass: mass, transientDiameter: crater.transientDiameter, targetDensity: crater.targetDensity }));
+    }
     
     // Update UI with detailed information
     document.getElementById('asteroidData').innerHTML = `
@@ -2825,11 +3147,501 @@ class App {
       <b>Estimated Impact Energy: ${kilotons.toFixed(2)} kt</b><br>
       <b>Estimated Blast Radius: ${blastRadius.toFixed(1)} km</b><br>
       <b>Threat Level: ${this.getThreatLevel(kilotons)}</b>
+      ${coldest && coldest.temperature < -1 ? `<br><b>Climate: ${(-coldest.temperature).toFixed(1)} K of global cooling at worst, after ${this.formatDuration(coldest.month * 2629800)}</b>` : ''}
     `;
     
     console.log('Asteroid selected:', details.name);
   }
 
+  // Draw the selected NEO's real orbit (NeoWs orbital_data) relative to Earth
+  // around its close approach nearest the clock's date
+  async showNeoOrbit(){
+    const select = document.getElementById('asteroidSelect');
+    if(!select.value) return alert('Select an asteroid');
+
+    const details = await this.fetchAsteroidDetails(select.value) || (this.asteroidList||[]).find(a=>a.id===select.value);
+    if(!details) return alert('Could not fetch asteroid details');
+    const elements = orbitalElementsFromNeoWs(details.orbital_data);
+    if(!elements) return alert('No orbital data for this asteroid');
+
+    this.clearNeoTrack();
+    const approaches = closeApproaches(details);
+    this.neoTrack = { details, elements, approaches, line: null, marker: null, label: null };
+
+    const approachSelect = document.getElementById('closeApproachSelect');
+    if (approachSelect) {
+      approachSelect.innerHTML = '';
+      approaches.forEach(a => {
+        const option = document.createElement('option');
+        option.value = String(a.date);
+        option.textContent = `${a.label} – ${(a.missDistance / 1000).toFixed(0)} km, ${(a.relativeSpeed / 1000).toFixed(1)} km/s`;
+        approachSelect.appendChild(option);
+      });
+    }
+    const now = this.sim.clock.date().valueOf();
+    const nearest = approaches.reduce((best, a) => (!best || Math.abs(a.date - now) < Math.abs(best.date - now) ? a : best), null);
+    if (nearest && approachSelect) approachSelect.value = String(nearest.date);
+    this.drawNeoTrack(nearest ? nearest.date : now);
+    this.updateNeoTrack();
+
+    const AU_KM = 1.495978707e8;
+    document.getElementById('asteroidData').innerHTML = `
+      <b>${details.name}</b>${elements.orbitClass ? ` (${elements.orbitClass})` : ''}<br>
+      a = ${(elements.a / 1000 / AU_KM).toFixed(4)} AU, e = ${elements.e.toFixed(4)}, i = ${THREE.MathUtils.radToDeg(elements.i).toFixed(2)}°<br>
+      Period: ${(2 * Math.PI / elements.n / 365.25).toFixed(2)} yr<br>
+      ${approaches.length} close approaches to Earth listed
+    `;
+  }
+
+  // Line through the NEO's geocentric positions for `days` either side of `centerDate` (ms UTC)
+  drawNeoTrack(centerDate, days = 10, samples = 400){
+    const track = this.neoTrack;
+    if (!track) return;
+    const center = (centerDate - this.sim.clock.epoch) / 1000; // simulated seconds
+    const points = [];
+    for (let k = 0; k <= samples; k++) {
+      const time = center + (2 * k / samples - 1) * days * 86400;
+      points.push(this.sim.geocentricState(track.elements, time).position.divideScalar(this.SCENE_SCALE));
+    }
+
+    if (track.line) {
+      track.line.geometry.dispose();
+      track.line.geometry = new THREE.BufferGeometry().setFromPoints(points);
+    } else {
+      track.line = new THREE.Line(new THREE.BufferGeometry().setFromPoints(points), new THREE.LineBasicMaterial({ color: 0xff66cc, transparent: true, opacity: 0.8 }));
+      this.scene.add(track.line);
+    }
+    if (!track.marker) {
+      // drawn at least 300 km across so it can be found at lunar distances
+      const { estimated_diameter_min, estimated_diameter_max } = track.details.estimated_diameter.meters;
+      const radius = Math.max((estimated_diameter_min + estimated_diameter_max) / 4 / this.SCENE_SCALE, 1.5);
+      track.marker = new THREE.Mesh(new THREE.SphereGeometry(radius, 12, 8), new THREE.MeshBasicMaterial({ color: 0xff66cc }));
+      this.scene.add(track.marker);
+      track.label = this.createLabel(track.details.name, track.marker.position);
+    }
+
+    // paths reach far beyond the Moon; push the far plane out while one is shown
+    const extent = points.reduce((max, p) => Math.max(max, p.length()), 0);
+    this.camera.far = Math.max(10000, Math.min(extent * 2, 1e7));
+    this.camera.updateProjectionMatrix();
+  }
+
+  // Keep the NEO marker at its position for the clock's date
+  updateNeoTrack(){
+    const track = this.neoTrack;
+    if (!track || !track.marker) return;
+    track.marker.position.copy(this.sim.geocentricState(track.elements).position.divideScalar(this.SCENE_SCALE));
+  }
+
+  clearNeoTrack(){
+    const track = this.neoTrack;
+    if (!track) return;
+    if (track.line) { this.scene.remove(track.line); track.line.geometry.dispose(); }
+    if (track.marker) this.scene.remove(track.marker);
+    if (track.label) {
+      track.label.element.remove();
+      const li = this.labels.indexOf(track.label);
+      if (li !== -1) this.labels.splice(li, 1);
+    }
+    this.neoTrack = null;
+    this.camera.far = 10000;
+    this.camera.updateProjectionMatrix();
+  }
+
+  // Set the clock to the chosen close approach and look at it from beyond the Earth
+  jumpToCloseApproach(){
+    const select = document.getElementById('closeApproachSelect');
+    if (!this.neoTrack || !select || !select.value) return alert('Show a real orbit first');
+    const date = Number(select.value);
+    this.setSimDate(new Date(date));
+    this.drawNeoTrack(date);
+    this.updateNeoTrack();
+
+    const approach = this.neoTrack.marker.position.clone();
+    const distance = Math.max(approach.length() * 2.5, this.earthRadius * 6);
+    const cameraPos = approach.normalize().multiplyScalar(distance).add(new THREE.Vector3(0, distance * 0.3, 0));
+    this.cameraFocus = 'free';
+    this.frameCameraTo(new THREE.Vector3(), cameraPos, 1500);
+  }
+
+  // Osculating elements of the meteor or orbital object picked in #elementsTarget
+  updateElementsReadout() {
+    this.lastElementsUpdate = Date.now();
+    const select = document.getElementById('elementsTarget');
+    const readout = document.getElementById('orbitElements');
+    if (!select || !readout) return;
+
+    const bodies = new Map();
+    this.sim.meteors.filter(m => m.active).forEach(m => bodies.set(`m${m.id}`, { body: m, label: `${m.name || 'Meteor'} #${m.id}` }));
+    this.sim.orbitalObjects.forEach((o, k) => bodies.set(`o${k}`, { body: o, label: `Orbital object ${k + 1}` }));
+
+    // rebuild the options only when the set of bodies changed
+    const keys = [...bodies.keys()].join(',');
+    if (select.dataset.keys !== keys) {
+      const previous = select.value;
+      select.innerHTML = '';
+      bodies.forEach(({ label }, key) => {
+        const option = document.createElement('option');
+        option.value = key;
+        option.textContent = label;
+        select.appendChild(option);
+      });
+      select.dataset.keys = keys;
+      const focused = this.focusedMeteor && `m${this.focusedMeteor.id}`;
+      select.value = bodies.has(previous) ? previous : bodies.has(focused) ? focused : (keys.split(',').pop() || '');
+    }
+
+    const entry = bodies.get(select.value);
+    if (!entry) { readout.innerText = '-'; return; }
+    const el = this.sim.getOsculatingElements(entry.body);
+    const deg = x => `${THREE.MathUtils.radToDeg(x).toFixed(2)}°`;
+    const bound = el.a > 0 && el.e < 1;
+    readout.innerHTML = [
+      `a: ${bound ? this.formatLength(el.a) : 'unbound'}  e: ${el.e.toFixed(4)}`,
+      `i: ${deg(el.i)}  Ω: ${deg(el.Ω)}  ω: ${deg(el.ω)}  ν: ${deg(el.ν)}`,
+      `Period: ${bound ? this.formatDuration(el.period) : '∞ (escape or flyby)'}`,
+      `Periapsis altitude: ${el.periapsisAltitude < 0 ? `${this.formatLength(-el.periapsisAltitude)} below the surface (impacting)` : this.formatLength(el.periapsisAltitude)}`
+    ].join('<br>');
+  }
+
+  // The meteor the planning tools work on: the focused one, else the latest
+  targetMeteor() {
+    if (this.focusedMeteor && this.focusedMeteor.active) return this.focusedMeteor;
+    return this.sim.meteors.filter(m => m.active).slice(-1)[0] || null;
+  }
+
+  // Re-fly the focused (or latest) meteor many times with the dispersions from
+  // the uncertainty inputs and show where the samples come down
+  async runMonteCarlo() {
+    if (this.monteCarloRunning) return;
+    const meteor = this.targetMeteor();
+    if (!meteor) return alert('Fire or spawn a meteor first');
+
+    const num = (id, fallback) => {
+      const value = parseFloat(document.getElementById(id)?.value);
+      return Number.isFinite(value) ? value : fallback;
+    };
+    // diameter range: the inputs, else NeoWs' estimate for real asteroids, else the nominal size
+    const estimate = meteor.asteroidData && meteor.asteroidData.estimated_diameter && meteor.asteroidData.estimated_diameter.meters;
+    const dispersions = {
+      position: num('mcPosition', 20) * 1000,
+      velocity: num('mcVelocity', 50),
+      diameterMin: num('mcDiameterMin', estimate ? estimate.estimated_diameter_min : meteor.size),
+      diameterMax: num('mcDiameterMax', estimate ? estimate.estimated_diameter_max : meteor.size),
+      density: num('mcDensity', 300)
+    };
+    const samples = Math.round(Math.max(10, Math.min(2000, num('mcSamples', 200))));
+
+    const output = document.getElementById('monteCarloResult');
+    const button = document.getElementById('runMonteCarlo');
+    this.monteCarloRunning = true;
+    if (button) button.disabled = true;
+    try {
+      const result = await runMonteCarlo(this.sim, meteor, {
+        samples,
+        dispersions,
+        onProgress: (done, total) => { if (output) output.innerText = `Running… ${done}/${total}`; }
+      });
+      this.showMonteCarlo(result, meteor);
+    } catch (err) {
+      console.error('Monte Carlo run failed', err);
+      if (output) output.innerText = `Failed: ${err.message}`;
+    } finally {
+      this.monteCarloRunning = false;
+      if (button) button.disabled = false;
+    }
+  }
+
+  // Impact points and the 95% ellipse on the globe (turning with it) and the map
+  showMonteCarlo(result, meteor) {
+    this.clearMonteCarlo();
+    const hits = result.outcomes.filter(o => o.fate === 'impact' || o.fate === 'airburst');
+    const mc = { result };
+
+    if (hits.length) {
+      const positions = [];
+      const colors = [];
+      const color = new THREE.Color();
+      hits.forEach(o => {
+        positions.push(...this.sim.latLonToEarthFixed(o.lat, o.lon, this.earthRadius + 0.02).toArray());
+        colors.push(...color.setHex(o.fate === 'impact' ? 0xff3b30 : 0xffaa33).toArray());
+      });
+      const geometry = new THREE.BufferGeometry();
+      geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+      geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+      mc.points = new THREE.Points(geometry, new THREE.PointsMaterial({ size: 0.25, vertexColors: true }));
+      this.earthMesh.add(mc.points);
+    }
+    if (result.ellipse) {
+      const outline = result.ellipse.outline.map(([lat, lon]) => this.sim.latLonToEarthFixed(lat, lon, this.earthRadius + 0.03));
+      mc.ellipse = new THREE.Line(new THREE.BufferGeometry().setFromPoints(outline), new THREE.LineBasicMaterial({ color: 0xffee58 }));
+      this.earthMesh.add(mc.ellipse);
+    }
+
+    if (this.leafletReady && this.leafletMap) {
+      mc.layer = L.layerGroup().addTo(this.leafletMap);
+      hits.forEach(o => L.circleMarker([o.lat, o.lon], {
+        radius: 3,
+        color: o.fate === 'impact' ? '#ff3b30' : '#ffaa33',
+        weight: 1,
+        fillOpacity: 0.7
+      }).addTo(mc.layer));
+      if (result.ellipse) {
+        L.polygon(result.ellipse.outline, { color: '#ffee58', weight: 2, dashArray: '6 4', fillOpacity: 0.08 })
+          .bindPopup(`95% impact ellipse: ${this.formatLength(2 * result.ellipse.semiMajor)} × ${this.formatLength(2 * result.ellipse.semiMinor)}<br>Impact probability: ${(100 * result.impactProbability).toFixed(1)}%`)
+          .addTo(mc.layer);
+      }
+    }
+    this.monteCarlo = mc;
+
+    const share = fate => (100 * result.outcomes.filter(o => o.fate === fate).length / result.samples).toFixed(1);
+    const output = document.getElementById('monteCarloResult');
+    if (output) {
+      const e = result.ellipse;
+      output.innerHTML = [
+        `<b>${meteor.name || 'Meteor'} #${meteor.id}: impact probability ${(100 * result.impactProbability).toFixed(1)}%</b> (${result.samples} samples)`,
+        `Ground ${share('impact')}%, airburst ${share('airburst')}%, burned up ${share('burnUp')}%, missed ${share('miss')}%`,
+        e ? `95% ellipse ${this.formatLength(2 * e.semiMajor)} × ${this.formatLength(2 * e.semiMinor)}, axis ${THREE.MathUtils.radToDeg(e.bearing).toFixed(0)}° from north, centred ${e.lat.toFixed(2)}°, ${e.lon.toFixed(2)}°` : 'Too few hits for an ellipse'
+      ].join('<br>');
+    }
+  }
+
+  clearMonteCarlo() {
+    const mc = this.monteCarlo;
+    if (!mc) return;
+    [mc.points, mc.ellipse].forEach(object => {
+      if (!object) return;
+      this.earthMesh.remove(object);
+      object.geometry.dispose();
+    });
+    if (mc.layer && this.leafletMap) this.leafletMap.removeLayer(mc.layer);
+    this.monteCarlo = null;
+    const output = document.getElementById('monteCarloResult'); if (output) output.innerText = '-';
+  }
+
+  // Show only the inputs of the chosen deflection method
+  updateDeflectionInputs() {
+    const method = document.getElementById('defMethod')?.value || 'kinetic';
+    document.querySelectorAll('[data-method]').forEach(element => {
+      element.style.display = element.dataset.method === method ? '' : 'none';
+    });
+  }
+
+  // Deflection inputs in SI units, for `method` (default: the chosen one)
+  deflectionOptions(method = document.getElementById('defMethod')?.value || 'kinetic') {
+    const num = (id, fallback) => {
+      const value = parseFloat(document.getElementById(id)?.value);
+      return Number.isFinite(value) ? value : fallback;
+    };
+    const common = { method, direction: document.getElementById('defDirection')?.value || 'retrograde' };
+    if (method === 'tractor') {
+      return { ...common, spacecraftMass: num('gtMass', 20000), hoverDistance: num('gtDistance', 100), duration: num('gtDuration', 365) * 86400 };
+    }
+    if (method === 'nuclear') {
+      return { ...common, yieldKt: num('nukeYield', 100), standoff: num('nukeStandoff', 100), coupling: num('nukeCoupling', 0.1) };
+    }
+    return { ...common, spacecraftMass: num('defMass', 570), relativeSpeed: num('defSpeed', 6.1) * 1000, beta: num('defBeta', 3.6) };
+  }
+
+  // Plan a deflection of the focused (or latest) meteor and draw where it
+  // would then go, next to its current trajectory line
+  planDeflection() {
+    const meteor = this.targetMeteor();
+    if (!meteor) return alert('Fire or spawn a meteor first');
+    const leadTime = (parseFloat(document.getElementById('defLead')?.value) || 0) * (parseFloat(document.getElementById('defLeadUnit')?.value) || 86400);
+    const plan = planDeflection(this.sim, meteor, { ...this.deflectionOptions(), leadTime });
+
+    this.clearDeflection();
+    const line = new THREE.Line(
+      new THREE.BufferGeometry().setFromPoints(plan.deflected.points),
+      new THREE.LineDashedMaterial({ color: 0x33ddff, dashSize: 0.6, gapSize: 0.3, transparent: true, opacity: 0.9 })
+    );
+    line.computeLineDistances();
+    this.scene.add(line);
+    let marker = null;
+    if (plan.deflectionTime > this.sim.time && plan.deflected.points.length) {
+      marker = new THREE.Mesh(new THREE.SphereGeometry(0.3, 12, 8), new THREE.MeshBasicMaterial({ color: 0x33ddff }));
+      marker.position.copy(plan.deflected.points[0]);
+      this.scene.add(marker);
+    }
+    this.deflection = { plan, meteor, line, marker };
+    this.showDeflection();
+  }
+
+  showDeflection(applied = false) {
+    const output = document.getElementById('deflectionResult');
+    if (!output || !this.deflection) return;
+    const { plan, meteor } = this.deflection;
+    const { nominal, deflected, effect } = plan;
+    const when = plan.deflectionTime - this.sim.time;
+    const outcome = ({ impact, time, altitude }) => impact
+      ? `impact in ${this.formatDuration(Math.max(0, time - this.sim.time))}`
+      : `misses, closest approach ${this.formatLength(altitude)} up`;
+    const gain = deflected.impact || nominal.impact ? '' : ` (${deflected.altitude >= nominal.altitude ? '+' : '−'}${this.formatLength(Math.abs(deflected.altitude - nominal.altitude))})`;
+    const start = { kinetic: 'Impactor hits', tractor: 'Tractor starts', nuclear: 'Burst' }[plan.method];
+    output.innerHTML = [
+      `<b>${meteor.name || 'Meteor'} #${meteor.id}: ${METHODS[plan.method]}, Δv ${this.formatDeltaV(effect.deltaV)} ${plan.direction}</b>`,
+      `${start} ${this.sim.clock.date(plan.deflectionTime).toISOString().slice(0, 16).replace('T', ' ')} UTC (${when >= 0 ? 'in ' : ''}${this.formatDuration(Math.abs(when))}${when < 0 ? ' ago' : ''})`,
+      effect.acceleration
+        ? `Pulls ${effect.acceleration.toExponential(2)} m/s² for ${this.formatDuration(effect.duration)}`
+        : `Fragmentation risk: ${this.fragmentationRisk(effect.fragmentation)}`,
+      `Original: ${outcome(nominal)}`,
+      `Deflected: ${outcome(deflected)}${gain}`,
+      applied ? (when > 0 ? 'Scheduled' : 'Applied') : ''
+    ].filter(Boolean).join('<br>');
+  }
+
+  formatDeltaV(deltaV) {
+    return deltaV < 1 ? `${(deltaV * 1000).toFixed(3)} mm/s` : `${deltaV.toFixed(3)} m/s`;
+  }
+
+  // Energy delivered against the body's disruption threshold, in words
+  fragmentationRisk(ratio) {
+    const level = ratio < 0.1 ? 'low' : ratio < 1 ? 'moderate' : 'high, likely to shatter';
+    return `${level} (${(100 * ratio).toPrecision(2)}% of the disruption energy)`;
+  }
+
+  // Warning time each method needs to make the target miss by the required
+  // clearance, with the current inputs
+  async compareDeflections() {
+    if (this.deflectionComparing) return;
+    const meteor = this.targetMeteor();
+    if (!meteor) return alert('Fire or spawn a meteor first');
+    const output = document.getElementById('deflectionCompare');
+    const clearance = (parseFloat(document.getElementById('defClearance')?.value) || 0) * 1000;
+    this.deflectionComparing = true;
+    const rows = [];
+    try {
+      for (const method of Object.keys(METHODS)) {
+        const options = this.deflectionOptions(method);
+        const lead = await requiredLeadTime(this.sim, meteor, options, {
+          clearance,
+          onProgress: (done, total) => { if (output) output.innerText = `${METHODS[method]}… ${done}/${total}`; }
+        });
+        const effect = planDeflection(this.sim, meteor, { ...options, leadTime: lead || 0 }).effect;
+        rows.push(`<tr><td>${METHODS[method]}</td>` +
+          `<td>${lead === null ? 'not enough' : lead === 0 ? 'none needed' : this.formatDuration(lead)}</td>` +
+          `<td>${this.formatDeltaV(effect.deltaV)}</td>` +
+          `<td>${method === 'tractor' ? '-' : this.fragmentationRisk(effect.fragmentation).split(' (')[0]}</td></tr>`);
+      }
+      if (output) {
+        output.innerHTML = `<table class="compare-table"><tr><th>Method</th><th>Warning needed</th><th>Δv</th><th>Fragmentation</th></tr>${rows.join('')}</table>` +
+          `Miss by ${this.formatLength(clearance)} or more; tractors push for at most their duration`;
+      }
+    } catch (err) {
+      console.error('Deflection comparison failed', err);
+      if (output) output.innerText = `Could not compare deflections: ${err.message}`;
+    } finally {
+      this.deflectionComparing = false;
+    }
+  }
+
+  applyDeflection() {
+    const deflection = this.deflection;
+    if (!deflection) return alert('Plan a deflection first');
+    if (!deflection.meteor.active) return alert('That meteor is gone');
+    applyDeflection(this.sim, deflection.meteor, deflection.plan);
+    this.showDeflection(true);
+  }
+
+  onMeteorDeflected(meteor, deltaV) {
+    if (meteor.label && meteor.label.element) meteor.label.element.innerText += ` – deflected by ${this.formatDeltaV(deltaV.length())}`;
+    if (this.deflection && this.deflection.meteor === meteor && this.deflection.marker) {
+      this.scene.remove(this.deflection.marker);
+      this.deflection.marker.geometry.dispose();
+      this.deflection.marker = null;
+    }
+    this.updateMeteorStats();
+  }
+
+  clearDeflection() {
+    const deflection = this.deflection;
+    if (!deflection) return;
+    [deflection.line, deflection.marker].forEach(object => {
+      if (!object) return;
+      this.scene.remove(object);
+      object.geometry.dispose();
+    });
+    this.deflection = null;
+    const output = document.getElementById('deflectionResult'); if (output) output.innerText = '-';
+  }
+
+  // Solve Lambert's problem from the Earth to the focused (or latest) meteor
+  // for the chosen departure and flight time, and draw the transfer arc
+  solveIntercept() {
+    const meteor = this.targetMeteor();
+    if (!meteor) return alert('Fire or spawn a meteor first');
+    const num = id => parseFloat(document.getElementById(id)?.value) || 0;
+    const unit = num('icUnit') || 60;
+    const departure = this.sim.time + num('icDepart') * unit;
+    const plan = planIntercept(this.sim, meteor, {
+      departure,
+      arrival: departure + num('icFlight') * unit,
+      parkingAltitude: num('icParking') * 1000
+    });
+    if (!plan) return alert('No transfer: the meteor is down before the spacecraft could get there');
+
+    this.clearIntercept();
+    const line = new THREE.Line(
+      new THREE.BufferGeometry().setFromPoints(plan.points),
+      new THREE.LineBasicMaterial({ color: 0xff66cc, transparent: true, opacity: 0.9 })
+    );
+    this.scene.add(line);
+    const marker = new THREE.Mesh(new THREE.SphereGeometry(0.3, 12, 8), new THREE.MeshBasicMaterial({ color: 0xff66cc }));
+    marker.position.copy(plan.target);
+    this.scene.add(marker);
+    this.intercept = { plan, meteor, line, marker, spacecraft: null };
+    this.showIntercept();
+  }
+
+  showIntercept() {
+    const output = document.getElementById('interceptResult');
+    if (!output || !this.intercept) return;
+    const { plan, meteor, spacecraft } = this.intercept;
+    const at = time => `${this.sim.clock.date(time).toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+    const when = plan.departure - this.sim.time;
+    output.innerHTML = [
+      `<b>${meteor.name || 'Meteor'} #${meteor.id}: ${plan.heliocentric ? 'heliocentric' : 'geocentric'} transfer, ${this.formatDuration(plan.arrival - plan.departure)}</b>`,
+      `Depart ${at(plan.departure)}${when > 0 ? ` (in ${this.formatDuration(when)})` : ''}`,
+      `C3 ${(plan.c3 / 1e6).toFixed(2)} km²/s², Δv from parking orbit ${(plan.departureDeltaV / 1000).toFixed(2)} km/s`,
+      `Arrive ${at(plan.arrival)} at ${(plan.arrivalSpeed / 1000).toFixed(2)} km/s relative`,
+      plan.hitsFirst ? 'The meteor lands before then; arrival moved to the impact' : '',
+      spacecraft ? 'Spacecraft launched' : ''
+    ].filter(Boolean).join('<br>');
+  }
+
+  // Fly a spacecraft along the solved transfer as an orbital object
+  launchIntercept() {
+    const intercept = this.intercept;
+    if (!intercept) return alert('Solve a transfer first');
+    if (intercept.spacecraft) return;
+    intercept.spacecraft = this.createOrbitalObject({ transfer: intercept.plan.transfer, color: 0xff66cc, size: 20000 });
+    this.sim.propagateOrbit(intercept.spacecraft, 0);
+    this.updateOrbitalObject(intercept.spacecraft);
+    this.showIntercept();
+  }
+
+  // Remove the transfer arc; a launched spacecraft keeps flying
+  clearIntercept() {
+    const intercept = this.intercept;
+    if (!intercept) return;
+    [intercept.line, intercept.marker].forEach(object => {
+      this.scene.remove(object);
+      object.geometry.dispose();
+    });
+    this.intercept = null;
+    const output = document.getElementById('interceptResult'); if (output) output.innerText = '-';
+  }
+
+  // Seconds as s / min / h / d / yr
+  formatDuration(seconds) {
+    if (seconds < 120) return `${seconds.toFixed(1)} s`;
+    if (seconds < 7200) return `${(seconds / 60).toFixed(1)} min`;
+    if (seconds < 172800) return `${(seconds / 3600).toFixed(2)} h`;
+    if (seconds < 63115200) return `${(seconds / 86400).toFixed(2)} d`;
+    return `${(seconds / 31557600).toFixed(2)} yr`;
+  }
+
   // Get threat level based on energy
   getThreatLevel(kilotons) {
     if (kilotons < 0.1) return 'Minimal';
@@ -2843,15 +3655,15 @@ class App {
   // Create random orbital object
   createRandomOrbit() {
     const orbitalParams = {
-      semiMajorAxis: 500000 + Math.random() * 2000000, // 500km to 2.5Mm
-      eccentricity: Math.random() * 0.8, // 0 to 0.8
-      inclination: Math.random() * Math.PI, // 0 to 180 degrees
-      longitudeOfAscendingNode: Math.random() * 2 * Math.PI,
-      argumentOfPeriapsis: Math.random() * 2 * Math.PI,
-      meanAnomaly: Math.random() * 2 * Math.PI,
-      period: 1800 + Math.random() * 7200, // 30 minutes to 2 hours
-      color: new THREE.Color().setHSL(Math.random(), 0.8, 0.6).getHex(),
-      size: 500 + Math.random() * 1500 // 500m to 2km
+      semiMajorAxis: 500000 + this.random.next() * 2000000, // 500km to 2.5Mm
+      eccentricity: this.random.next() * 0.8, // 0 to 0.8
+      inclination: this.random.next() * Math.PI, // 0 to 180 degrees
+      longitudeOfAscendingNode: this.random.next() * 2 * Math.PI,
+      argumentOfPeriapsis: this.random.next() * 2 * Math.PI,
+      meanAnomaly: this.random.next() * 2 * Math.PI,
+      period: 1800 + this.random.next() * 7200, // 30 minutes to 2 hours
+      color: new THREE.Color().setHSL(this.random.next(), 0.8, 0.6).getHex(),
+      size: 500 + this.random.next() * 1500 // 500m to 2km
     };
     
     const orbitalObject = this.createOrbitalObject(orbitalParams);
@@ -2895,9 +3707,20 @@ class App {
     // Create randomized meteor mesh
     const meteor = this.createRandomizedMeteor();
     
-    // Position meteor closer to Earth (reduce approach distance by 90%)
-    const approachMeters = (approach * 1000) * 0.1; // Much closer
-    meteor.position.set(0, 0, approachMeters / this.SCENE_SCALE);
+    // Place it where its real orbit puts it at the clock's date; without
+    // orbital data, fall back to a head-on approach along -Z at 10% of the miss distance
+    const elements = orbitalElementsFromNeoWs(details.orbital_data);
+    let physVelocity;
+    if (elements) {
+      const state = this.sim.geocentricState(elements);
+      meteor.position.copy(state.position.divideScalar(this.SCENE_SCALE));
+      physVelocity = state.velocity;
+      document.getElementById('asteroidData').innerHTML += `<br>Distance now: ${(meteor.position.length() * this.SCENE_SCALE / 1000).toFixed(0)} km (${this.sim.clock.date().toISOString().slice(0, 10)})`;
+    } else {
+      const approachMeters = (approach * 1000) * 0.1; // Much closer
+      meteor.position.set(0, 0, approachMeters / this.SCENE_SCALE);
+      physVelocity = new THREE.Vector3(0, 0, -velocity * 1000); // m/s for physics
+    }
     
     // Scale meteor to actual size - fix scaling to match Earth size
     const radiusMeters = midSize / 2; // radius in meters
@@ -2918,29 +3741,26 @@ class App {
       console.warn('Framing failed', e); 
     }
     
-    // Convert velocity to scene units and create physics velocity
-    const dir = new THREE.Vector3(0, 0, -1).normalize();
-    const sceneVelocity = dir.multiplyScalar(velocity / 50); // Convert km/s to scene units
-    const physVelocity = dir.clone().multiplyScalar(velocity * 1000); // m/s for physics
+    // Simple mode flies the same direction at the old arcade scale
+    const sceneVelocity = physVelocity.clone().normalize().multiplyScalar(physVelocity.length() / 50000);
+    const speed = physVelocity.length();
     
     // Add meteor with all properties
-    const asteroidData = { 
-      mesh: meteor, 
+    const asteroidData = this.sim.addMeteor({ 
+      position: meteor.position, 
       velocity: sceneVelocity, 
       physVelocity: physVelocity, 
-      active: true, 
       mass, 
       area, 
       size: midSize,
-      burning: false,
-      burnIntensity: 0,
-      label,
+      name: details.name,
       asteroidData: details, // Store original asteroid data
-      entrySpeed: velocity * 1000, // m/s
-      energy: 0.5 * mass * Math.pow(velocity * 1000, 2)
-    };
+      entrySpeed: speed, // m/s
+      energy: 0.5 * mass * speed * speed
+    });
+    asteroidData.mesh = meteor;
+    asteroidData.label = label;
     
-    this.meteors.push(asteroidData);
     this.lastMeteorData = asteroidData;
     this.updateMeteorStats();
     
@@ -0,0 +1,140 @@
+// U.S. Standard Atmosphere 1976. Below 86 km temperature is piecewise linear
+// in geopotential altitude and pressure follows the hydrostatic equation; above
+// that the thermosphere temperature follows the standard's closed forms and
+// density/pressure are log-interpolated from its tables up to 1000 km.
+// Altitudes are geometric metres above sea level. Independent of the DOM.
+
+const R_STAR = 8.31432; // J/(mol·K), as defined by the 1976 standard
+const M0 = 0.0289644; // kg/mol, sea-level mean molar mass
+const R_AIR = R_STAR / M0; // J/(kg·K)
+const G0 = 9.80665; // m/s²
+const EARTH_RADIUS = 6356766; // m, effective radius used for geopotential altitude
+const GAMMA = 1.4;
+
+export const SEA_LEVEL = { temperature: 288.15, pressure: 101325, density: 1.225 };
+export const MAX_ALTITUDE = 1000000; // m, top of the model
+
+// Base geopotential altitude (m), base temperature (K), lapse rate (K/m) and base pressure (Pa)
+const LOWER_LAYERS = [
+  { name: 'Troposphere', base: 0, temperature: 288.15, lapse: -0.0065, pressure: 101325 },
+  { name: 'Tropopause', base: 11000, temperature: 216.65, lapse: 0, pressure: 22632.06 },
+  { name: 'Stratosphere', base: 20000, temperature: 216.65, lapse: 0.001, pressure: 5474.889 },
+  { name: 'Stratosphere', base: 32000, temperature: 228.65, lapse: 0.0028, pressure: 868.0187 },
+  { name: 'Stratopause', base: 47000, temperature: 270.65, lapse: 0, pressure: 110.9063 },
+  { name: 'Mesosphere', base: 51000, temperature: 270.65, lapse: -0.0028, pressure: 66.93887 },
+  { name: 'Mesosphere', base: 71000, temperature: 214.65, lapse: -0.002, pressure: 3.956420 }
+];
+const LOWER_TOP = 86000; // m geometric (84852 m geopotential)
+
+// Geometric altitude (km), density (kg/m³) and pressure (Pa) from the 1976 tables
+const THERMOSPHERE_TABLE = [
+  [86, 6.958e-6, 3.734e-1],
+  [90, 3.416e-6, 1.836e-1],
+  [100, 5.604e-7, 3.201e-2],
+  [110, 9.708e-8, 7.104e-3],
+  [120, 2.222e-8, 2.538e-3],
+  [150, 2.076e-9, 4.542e-4],
+  [200, 2.541e-10, 8.474e-5],
+  [250, 6.073e-11, 2.481e-5],
+  [300, 1.916e-11, 8.770e-6],
+  [400, 2.803e-12, 1.452e-6],
+  [500, 5.215e-13, 3.024e-7],
+  [600, 1.137e-13, 8.213e-8],
+  [700, 3.070e-14, 3.191e-8],
+  [800, 1.136e-14, 1.704e-8],
+  [900, 5.759e-15, 1.075e-8],
+  [1000, 3.561e-15, 7.514e-9]
+];
+
+export function geopotentialAltitude(altitude) {
+  return EARTH_RADIUS * altitude / (EARTH_RADIUS + altitude);
+}
+
+// Kinetic temperature (K) above 86 km
+function thermosphereTemperature(altitude) {
+  const z = altitude / 1000; // km
+  if (z < 91) return 186.8673;
+  if (z < 110) {
+    // elliptical segment
+    const a = -19.9429;
+    return 263.1905 - 76.3232 * Math.sqrt(1 - Math.pow((z - 91) / a, 2));
+  }
+  if (z < 120) return 240 + 0.012 * 1000 * (z - 110);
+  // exponential approach to the exospheric temperature
+  const xi = (z - 120) * (EARTH_RADIUS / 1000 + 120) / (EARTH_RADIUS / 1000 + z);
+  return 1000 - 640 * Math.exp(-0.01875 * xi);
+}
+
+function interpolateTable(altitude, column) {
+  const z = altitude / 1000;
+  let i = 0;
+  while (i < THERMOSPHERE_TABLE.length - 2 && z > THERMOSPHERE_TABLE[i + 1][0]) i++;
+  const [z0] = THERMOSPHERE_TABLE[i];
+  const [z1] = THERMOSPHERE_TABLE[i + 1];
+  const v0 = Math.log(THERMOSPHERE_TABLE[i][column]);
+  const v1 = Math.log(THERMOSPHERE_TABLE[i + 1][column]);
+  return Math.exp(v0 + (v1 - v0) * (z - z0) / (z1 - z0));
+}
+
+// Temperature (K), pressure (Pa), density (kg/m³), speed of sound (m/s) and
+// layer name at geometric `altitude` (m). Below sea level returns sea-level
+// values; above MAX_ALTITUDE the atmosphere is treated as vacuum.
+export function standardAtmosphere(altitude) {
+  if (altitude <= 0) {
+    return { ...SEA_LEVEL, speedOfSound: Math.sqrt(GAMMA * R_AIR * SEA_LEVEL.temperature), layer: 'Troposphere' };
+  }
+  if (altitude > MAX_ALTITUDE) {
+    return { temperature: thermosphereTemperature(MAX_ALTITUDE), pressure: 0, density: 0, speedOfSound: 0, layer: 'Exosphere' };
+  }
+
+  if (altitude < LOWER_TOP) {
+    const h = geopotentialAltitude(altitude);
+    let layer = LOWER_LAYERS[0];
+    for (const candidate of LOWER_LAYERS) {
+      if (h >= candidate.base) layer = candidate;
+    }
+    const temperature = layer.temperature + layer.lapse * (h - layer.base);
+    const pressure = layer.lapse === 0
+      ? layer.pressure * Math.exp(-G0 * (h - layer.base) / (R_AIR * layer.temperature))
+      : layer.pressure * Math.pow(layer.temperature / temperature, G0 / (R_AIR * layer.lapse));
+    return {
+      temperature,
+      pressure,
+      density: pressure / (R_AIR * temperature),
+      speedOfSound: Math.sqrt(GAMMA * R_AIR * temperature),
+      layer: layer.name
+    };
+  }
+
+  // thermosphere: composition changes, so density comes from the tables
+  const temperature = thermosphereTemperature(altitude);
+  return {
+    temperature,
+    pressure: interpolateTable(altitude, 2),
+    density: interpolateTable(altitude, 1),
+    speedOfSound: null, // not meaningful in the rarefied upper atmosphere
+    layer: altitude < 500000 ? 'Thermosphere' : 'Exosphere'
+  };
+}
+
+export function atmosphereDensity(altitude) {
+  return standardAtmosphere(altitude).density;
+}
+
+export function atmospherePressure(altitude) {
+  return standardAtmosphere(altitude).pressure;
+}
+
+export function atmosphereTemperature(altitude) {
+  return standardAtmosphere(altitude).temperature;
+}
+
+// Sampled profile for charts: [{ altitude, temperature, pressure, density }]
+export function atmosphereProfile(maxAltitude = 200000, samples = 200) {
+  const profile = [];
+  for (let i = 0; i <= samples; i++) {
+    const altitude = maxAltitude * i / samples;
+    profile.push({ altitude, ...standardAtmosphere(altitude) });
+  }
+  return profile;
+}
@@ -0,0 +1,121 @@
+// Air blast and thermal radiation at the ground from an impact or airburst,
+// after the Earth Impact Effects Program (Collins et al. 2005): the peak
+// overpressure follows nuclear-test scaling with the cube root of the yield,
+// with the regular and Mach reflection regions of a burst in the air; the
+// fireball radiates a small share of the energy, hidden behind the horizon
+// far away. Each damage ring is the distance at which one of these reaches a
+// physical threshold. Energies are joules, distances and altitudes metres.
+// Independent of the DOM.
+
+const KILOTON = 4.184e12; // J
+const MEGATON = 1000 * KILOTON;
+const PSI = 6894.76; // Pa
+const EARTH_RADIUS = 6371000;
+const LUMINOUS_EFFICIENCY = 3e-3; // share of the energy radiated by the fireball
+const MAX_RADIUS = Math.PI * EARTH_RADIUS; // antipode
+
+// Overpressure rings (Glasstone & Dolan 1977): threshold in psi
+export const OVERPRESSURE_LEVELS = [
+  { psi: 20, label: 'Concrete buildings destroyed', note: 'near-total fatalities' },
+  { psi: 5, label: 'Most houses collapse', note: 'widespread fatalities' },
+  { psi: 3, label: 'Houses badly damaged', note: 'serious injuries common' },
+  { psi: 1, label: 'Windows shatter', note: 'injuries from flying glass' },
+  { psi: 0.5, label: 'Glass breakage', note: 'most windows broken, light injuries' },
+  { psi: 0.1, label: 'Large windows crack', note: 'some windows broken, as around Chelyabinsk' }
+];
+
+// Thermal rings: radiant exposure in J/m² for a 1 Mt burst (Collins et al.
+// 2005, table 3); bigger bursts radiate longer and need more, as E^(1/6)
+export const THERMAL_LEVELS = [
+  { fluence: 1.0e6, label: 'Clothing ignites' },
+  { fluence: 6.7e5, label: 'Plywood ignites' },
+  { fluence: 4.2e5, label: 'Third-degree burns' },
+  { fluence: 2.5e5, label: 'Second-degree burns' },
+  { fluence: 1.3e5, label: 'First-degree burns' }
+];
+
+// Peak overpressure (Pa) on the ground `distance` from the point under a burst
+// of `energy` at `altitude` (0 for a ground impact). Bursts higher than the
+// fit of the regular reflection region covers (a scaled 550 m), such as
+// Chelyabinsk's, take the surface-burst law along the slant range instead;
+// the two meet there, and this gives the few kPa measured under Chelyabinsk.
+export function peakOverpressure(distance, energy, altitude = 0) {
+  const scale = Math.cbrt(energy / KILOTON); // to a 1 kt burst
+  const r1 = Math.max(distance, 1) / scale;
+  const z1 = altitude / scale;
+  if (z1 >= 550) return surfaceBurstOverpressure(Math.hypot(r1, z1));
+  // the reflected shock merges into a Mach stem beyond r_m1
+  const machStart = z1 > 0 ? 550 * z1 / (1.2 * (550 - z1)) : 0;
+  if (r1 < machStart) {
+    const p0 = 3.14e11 * Math.pow(z1, -2.6);
+    const beta = 34.87 * Math.pow(z1, -1.73);
+    return p0 * Math.exp(-beta * r1);
+  }
+  return surfaceBurstOverpressure(r1);
+}
+
+// Peak overpressure (Pa) `r1` m from a 1 kt surface burst
+function surfaceBurstOverpressure(r1) {
+  const rx = 290; // m, the crossover for 1 kt at the surface
+  const px = 75000; // Pa
+  return px * rx / (4 * r1) * (1 + 3 * Math.pow(rx / r1, 1.3));
+}
+
+// Radiant exposure (J/m²) on the ground `distance` from the point under a
+// burst of `energy` at `altitude`
+export function thermalFluence(distance, energy, altitude = 0) {
+  const fireballRadius = 0.002 * Math.cbrt(energy);
+  const arc = distance / EARTH_RADIUS;
+  // height of the fireball's centre below the horizon
+  const hidden = (1 - Math.cos(arc)) * EARTH_RADIUS - altitude * Math.cos(arc);
+  let visible = 1;
+  if (hidden >= fireballRadius) visible = 0;
+  else if (hidden > 0) {
+    const delta = Math.acos(hidden / fireballRadius);
+    visible = (2 / Math.PI) * (delta - (hidden / fireballRadius) * Math.sin(delta));
+  }
+  const slant = Math.hypot(2 * EARTH_RADIUS * Math.sin(arc / 2), altitude);
+  // a ground fireball radiates into the half space above it, one in the air
+  // into all directions
+  const solidAngle = altitude > fireballRadius ? 4 * Math.PI : 2 * Math.PI;
+  return visible * LUMINOUS_EFFICIENCY * energy / (solidAngle * Math.max(slant, fireballRadius) ** 2);
+}
+
+// Damage rings of a burst of `energy` at `altitude`, widest first:
+// [{ kind: 'overpressure' | 'thermal', label, note, threshold (psi or J/m²),
+// radius (m) }], leaving out thresholds reached nowhere on the ground
+export function damageRings(energy, altitude = 0) {
+  const rings = [];
+  OVERPRESSURE_LEVELS.forEach(({ psi, label, note }) => {
+    const radius = reachOf(r => peakOverpressure(r, energy, altitude), psi * PSI);
+    if (radius > 0) rings.push({ kind: 'overpressure', label, note, threshold: psi, radius });
+  });
+  const yieldFactor = Math.pow(energy / MEGATON, 1 / 6);
+  THERMAL_LEVELS.forEach(({ fluence, label }) => {
+    const threshold = fluence * yieldFactor;
+    const radius = reachOf(r => thermalFluence(r, energy, altitude), threshold);
+    if (radius > 0) rings.push({ kind: 'thermal', label, note: null, threshold, radius });
+  });
+  return rings.sort((a, b) => b.radius - a.radius);
+}
+
+// Farthest ground distance at which `field` still reaches `threshold`: scan
+// outward on a log scale, then bisect the last crossing; 0 if never
+function reachOf(field, threshold) {
+  const steps = 240;
+  const ratio = Math.pow(MAX_RADIUS, 1 / steps);
+  let inside = 0;
+  for (let k = 0, r = 1; k <= steps; k++, r *= ratio) {
+    if (field(r) >= threshold) inside = r;
+  }
+  if (!inside) return 0;
+  let lo = inside;
+  let hi = Math.min(inside * ratio, MAX_RADIUS);
+  if (field(hi) >= threshold) return hi;
+  for (let k = 0; k < 40; k++) {
+    const mid = (lo + hi) / 2;
+    if (field(mid) >= threshold) lo = mid;
+    else hi = mid;
+  }
+  return lo;
+}
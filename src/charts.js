@@ -0,0 +1,144 @@
+// Small canvas line charts for the info panels; no chart library needed.
+// drawLineChart(canvas, {
+//   series: [{ points: [[x, y], ...], color, label, dashed }],
+//   xLabel, yLabel, xLog, yLog, xRange: [min, max], yRange: [min, max],
+//   markers: [{ axis: 'x' | 'y', value, color, label }]
+// })
+
+const MARGIN = { left: 46, right: 10, top: 10, bottom: 30 };
+const AXIS_COLOR = '#5a6b88';
+const TEXT_COLOR = '#b9cfe6';
+
+function extent(series, index) {
+  let min = Infinity;
+  let max = -Infinity;
+  series.forEach(({ points }) => points.forEach(p => {
+    if (Number.isFinite(p[index])) {
+      min = Math.min(min, p[index]);
+      max = Math.max(max, p[index]);
+    }
+  }));
+  if (min === max) { min -= 1; max += 1; }
+  return [min, max];
+}
+
+// Maps data values to pixels along one axis
+function makeScale([min, max], [from, to], log) {
+  const f = log ? v => Math.log10(Math.max(v, 1e-300)) : v => v;
+  const a = f(min);
+  const b = f(max);
+  const scale = v => from + (f(v) - a) / (b - a) * (to - from);
+  scale.ticks = () => {
+    if (log) {
+      const ticks = [];
+      const step = Math.max(1, Math.ceil((Math.floor(b) - Math.ceil(a)) / 6));
+      for (let e = Math.ceil(a); e <= Math.floor(b); e += step) ticks.push(Math.pow(10, e));
+      return ticks;
+    }
+    const raw = (max - min) / 5;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(raw)));
+    const step = [1, 2, 5, 10].map(m => m * magnitude).find(s => s >= raw);
+    const ticks = [];
+    for (let v = Math.ceil(min / step) * step; v <= max + step * 1e-9; v += step) ticks.push(v);
+    return ticks;
+  };
+  return scale;
+}
+
+function formatTick(value, log) {
+  if (log) return value.toExponential(0).replace('e+', 'e');
+  if (value !== 0 && (Math.abs(value) >= 1e5 || Math.abs(value) < 1e-2)) return value.toExponential(0).replace('e+', 'e');
+  return String(Number(value.toPrecision(4)));
+}
+
+export function drawLineChart(canvas, { series = [], xLabel = '', yLabel = '', xLog = false, yLog = false, xRange, yRange, markers = [] }) {
+  const ctx = canvas.getContext('2d');
+  const { width, height } = canvas;
+  ctx.clearRect(0, 0, width, height);
+
+  const plot = { left: MARGIN.left, right: width - MARGIN.right, top: MARGIN.top, bottom: height - MARGIN.bottom };
+  const x = makeScale(xRange || extent(series, 0), [plot.left, plot.right], xLog);
+  const y = makeScale(yRange || extent(series, 1), [plot.bottom, plot.top], yLog);
+
+  // grid, ticks and labels
+  ctx.font = '10px sans-serif';
+  ctx.fillStyle = TEXT_COLOR;
+  ctx.strokeStyle = 'rgba(255,255,255,0.06)';
+  ctx.lineWidth = 1;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'top';
+  x.ticks().forEach(v => {
+    const px = x(v);
+    ctx.beginPath(); ctx.moveTo(px, plot.top); ctx.lineTo(px, plot.bottom); ctx.stroke();
+    ctx.fillText(formatTick(v, xLog), px, plot.bottom + 3);
+  });
+  ctx.textAlign = 'right';
+  ctx.textBaseline = 'middle';
+  y.ticks().forEach(v => {
+    const py = y(v);
+    ctx.beginPath(); ctx.moveTo(plot.left, py); ctx.lineTo(plot.right, py); ctx.stroke();
+    ctx.fillText(formatTick(v, yLog), plot.left - 4, py);
+  });
+
+  ctx.strokeStyle = AXIS_COLOR;
+  ctx.strokeRect(plot.left, plot.top, plot.right - plot.left, plot.bottom - plot.top);
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'bottom';
+  ctx.fillText(xLabel, (plot.left + plot.right) / 2, height - 1);
+  ctx.save();
+  ctx.translate(10, (plot.top + plot.bottom) / 2);
+  ctx.rotate(-Math.PI / 2);
+  ctx.textBaseline = 'middle';
+  ctx.fillText(yLabel, 0, 0);
+  ctx.restore();
+
+  // data, clipped to the plot area
+  ctx.save();
+  ctx.beginPath();
+  ctx.rect(plot.left, plot.top, plot.right - plot.left, plot.bottom - plot.top);
+  ctx.clip();
+  series.forEach(({ points, color = '#7fc8ff', dashed = false }) => {
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 1.5;
+    ctx.setLineDash(dashed ? [4, 3] : []);
+    ctx.beginPath();
+    let drawing = false;
+    points.forEach(([px, py]) => {
+      if (!Number.isFinite(px) || !Number.isFinite(py) || (xLog && px <= 0) || (yLog && py <= 0)) { drawing = false; return; }
+      if (drawing) ctx.lineTo(x(px), y(py)); else ctx.moveTo(x(px), y(py));
+      drawing = true;
+    });
+    ctx.stroke();
+  });
+  ctx.setLineDash([]);
+
+  markers.forEach(({ axis, value, color = '#ffaa44', label }) => {
+    if (!Number.isFinite(value)) return;
+    ctx.strokeStyle = color;
+    ctx.fillStyle = color;
+    ctx.beginPath();
+    if (axis === 'y') {
+      ctx.moveTo(plot.left, y(value)); ctx.lineTo(plot.right, y(value));
+    } else {
+      ctx.moveTo(x(value), plot.top); ctx.lineTo(x(value), plot.bottom);
+    }
+    ctx.stroke();
+    if (label) {
+      ctx.textAlign = 'right';
+      ctx.textBaseline = 'bottom';
+      ctx.fillText(label, plot.right - 2, axis === 'y' ? y(value) - 2 : plot.top + 12);
+    }
+  });
+  ctx.restore();
+
+  // legend
+  const labelled = series.filter(s => s.label);
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'top';
+  labelled.forEach((s, i) => {
+    ctx.fillStyle = s.color || '#7fc8ff';
+    ctx.fillRect(plot.left + 6, plot.top + 6 + i * 13, 10, 3);
+    ctx.fillStyle = TEXT_COLOR;
+    ctx.fillText(s.label, plot.left + 20, plot.top + 2 + i * 13);
+  });
+}
@@ -0,0 +1,104 @@
+// Long-term climate after a large impact: dust, soot from global fires and
+// sulfate from the target rock spread through the stratosphere, dim the Sun
+// and cool the surface for months to years. A deliberately coarse, globally
+// averaged model anchored to Chicxulub studies (Toon et al. 1997; Pierazzo
+// et al. 1998; Bardeen et al. 2017; Senel et al. 2023): each aerosol has a
+// global optical depth that decays at its own rate, and a one-box energy
+// balance turns the lost sunlight into a temperature anomaly. Energies are
+// joules, masses kilograms. Independent of the DOM.
+
+const MEGATON = 4.184e15; // J
+const EARTH_AREA = 5.1e14; // m²
+const MONTH = 2629800; // s
+const ABSORBED_SUNLIGHT = 240; // W/m², global mean, balanced by the heat radiated
+const MEAN_TEMPERATURE = 288; // K, at this surface temperature
+// heat capacity per m² of a 250 m ocean layer over 70% of the globe: cooled
+// surface water sinks and mixes deeper than the usual seasonal layer
+const HEAT_CAPACITY = 4.2e6 * 250 * 0.7; // J/m²/K
+
+// Impacts well above this lift their plume out of the atmosphere and spread
+// it worldwide (Toon et al. 1997)
+const GLOBAL_ENERGY = 1e5 * MEGATON;
+// Below this no projectile cools the globe by even 1 K (the least energetic
+// that do are slow, dense ones near 9000 Mt); callers may skip the model
+export const CLIMATE_MIN_ENERGY = 1e3 * MEGATON;
+// Re-entering ejecta set fires worldwide from about FIRE_ENERGY, burning all
+// the biomass available by ten times that: Chicxulub's 15,000 Tg of soot
+const FIRE_ENERGY = 1e7 * MEGATON;
+const MAX_SOOT = 1.5e13;
+const DUST_FRACTION = 0.007; // of the excavated mass that is fine, long-lived dust
+// sulfur released per kg of projectile: evaporite-bearing sediments like
+// Chicxulub's hold plenty, crystalline rock and sea water little
+const SULFUR_PER_MASS = { sedimentary: 0.07, crystalline: 0.005, water: 0.001 };
+
+// Each aerosol: optical depth per kg spread over the globe (m²/kg) and its
+// e-folding lifetime (months). Sulfate forms from the gas over about a month
+// and is anchored to Pinatubo (about 10 Tg of sulfur, optical depth 0.15),
+// growing only as the square root of the mass beyond it as the droplets
+// coagulate into bigger, faster-falling ones.
+const AEROSOLS = {
+  dust: { extinction: 3000, lifetime: 3 },
+  soot: { extinction: 7500, lifetime: 6 },
+  sulfate: { lifetime: 12, formation: 1 }
+};
+const PINATUBO_SULFUR = 1e10;
+const PINATUBO_DEPTH = 0.15;
+
+// Stratospheric injections of an impact of `energy` by a projectile of
+// `projectileMass` into `target`, excavating a transient crater of
+// `transientDiameter` m into rock of `targetDensity` (craterScaling's result
+// carries both): { globalShare (of the plume spread worldwide), dust, soot,
+// sulfur (kg) }
+export function climateInjection({ energy, projectileMass, transientDiameter, target = 'sedimentary', targetDensity = 2500 }) {
+  const globalShare = energy / (energy + GLOBAL_ENERGY);
+  const excavated = Math.PI * Math.pow(transientDiameter, 3) / (16 * Math.SQRT2) * targetDensity;
+  const fires = Math.max(0, Math.min(1, Math.log10(energy / FIRE_ENERGY)));
+  return {
+    globalShare,
+    dust: DUST_FRACTION * excavated * globalShare,
+    soot: MAX_SOOT * fires,
+    sulfur: (SULFUR_PER_MASS[target] ?? SULFUR_PER_MASS.sedimentary) * projectileMass * globalShare
+  };
+}
+
+// Global optical depths `month` months after the impact of `injection`
+export function opticalDepths(injection, month) {
+  const decay = (lifetime) => Math.exp(-month / lifetime);
+  const sulfate = PINATUBO_DEPTH * Math.pow(injection.sulfur / PINATUBO_SULFUR, injection.sulfur > PINATUBO_SULFUR ? 0.5 : 1);
+  return {
+    dust: AEROSOLS.dust.extinction * injection.dust / EARTH_AREA * decay(AEROSOLS.dust.lifetime),
+    soot: AEROSOLS.soot.extinction * injection.soot / EARTH_AREA * decay(AEROSOLS.soot.lifetime),
+    sulfate: sulfate * decay(AEROSOLS.sulfate.lifetime) * (1 - Math.exp(-month / AEROSOLS.sulfate.formation))
+  };
+}
+
+// Aftermath of an impact (see climateInjection for the inputs) over `years`:
+// { injection, series: [{ month, dust, soot, sulfate (optical depths),
+// sunlight (share reaching the ground), temperature (K, global mean
+// anomaly) }], darkest: { month, sunlight }, coldest: { month, temperature },
+// recovery (month the anomaly is back within 1 K after its worst, or null) }
+export function climateAftermath(impact, { years = 10, stepsPerMonth = 4 } = {}) {
+  const injection = climateInjection(impact);
+  const series = [];
+  let temperature = 0;
+  const dt = MONTH / stepsPerMonth;
+  for (let step = 0; step <= years * 12 * stepsPerMonth; step++) {
+    const month = step / stepsPerMonth;
+    const depths = opticalDepths(injection, month);
+    const sunlight = Math.exp(-(depths.dust + depths.soot + depths.sulfate));
+    if (step % stepsPerMonth === 0) series.push({ month, ...depths, sunlight, temperature });
+    // sunlight absorbed less the heat radiated, which falls as T⁴ as it cools
+    const radiated = ABSORBED_SUNLIGHT * Math.pow(1 + temperature / MEAN_TEMPERATURE, 4);
+    temperature += dt * (ABSORBED_SUNLIGHT * sunlight - radiated) / HEAT_CAPACITY;
+  }
+  const darkest = series.reduce((a, b) => (b.sunlight < a.sunlight ? b : a));
+  const coldest = series.reduce((a, b) => (b.temperature < a.temperature ? b : a));
+  const back = series.find(p => p.month > coldest.month && p.temperature > -1);
+  return {
+    injection,
+    series,
+    darkest: { month: darkest.month, sunlight: darkest.sunlight },
+    coldest: { month: coldest.month, temperature: coldest.temperature },
+    recovery: coldest.temperature > -1 ? 0 : back ? back.month : null
+  };
+}
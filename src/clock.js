@@ -0,0 +1,52 @@
+// Simulation clock: maps simulated seconds since reset onto a UTC instant, so
+// Earth rotation, the Moon and the Sun follow the calendar (see ephemeris.js).
+// Advances only when the simulation steps, so pausing stops it and time warp
+// scales it. Independent of the DOM.
+export const J2000 = 2451545.0; // Julian date of 2000-01-01 12:00 (TT, taken as UTC here)
+const UNIX_EPOCH_JD = 2440587.5;
+const DAY_MS = 86400000;
+
+export function julianDate(date) {
+  return date.valueOf() / DAY_MS + UNIX_EPOCH_JD;
+}
+
+export function dateFromJulian(jd) {
+  return new Date((jd - UNIX_EPOCH_JD) * DAY_MS);
+}
+
+// Earth rotation angle (rad, IERS 2003): the right ascension of the prime
+// meridian, within a fraction of a degree of Greenwich sidereal time
+export function earthRotationAngle(jd) {
+  const turns = 0.7790572732640 + 1.00273781191135448 * (jd - J2000);
+  return 2 * Math.PI * (turns - Math.floor(turns));
+}
+
+export class SimClock {
+  constructor({ epoch = Date.now(), warp = 1 } = {}) {
+    this.epoch = new Date(epoch).valueOf(); // ms UTC at elapsed = 0
+    this.elapsed = 0; // simulated seconds since the epoch
+    this.warp = warp; // simulated seconds per real second
+    this.paused = false;
+    this.maxFrameSeconds = 0.1; // real seconds; longer gaps (background tabs) are clipped
+  }
+
+  // Simulated seconds to step for `realSeconds` of wall-clock time
+  advance(realSeconds) {
+    if (this.paused || !(realSeconds > 0)) return 0;
+    return Math.min(realSeconds, this.maxFrameSeconds) * this.warp;
+  }
+
+  // UTC date at `time` simulated seconds
+  date(time = this.elapsed) {
+    return new Date(this.epoch + time * 1000);
+  }
+
+  julianDate(time = this.elapsed) {
+    return julianDate(this.epoch) + time / 86400;
+  }
+
+  // Move the calendar so that the current instant is `date`; elapsed time is kept
+  setDate(date) {
+    this.epoch = new Date(date).valueOf() - this.elapsed * 1000;
+  }
+}
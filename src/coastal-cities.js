@@ -0,0 +1,59 @@
+// Coastal cities checked for tsunami run-up: name, the shore point (degrees)
+// and metropolitan population (millions, rounded). Independent of the DOM.
+export const COASTAL_CITIES = [
+  { name: 'Tokyo', lat: 35.6, lon: 139.8, population: 37 },
+  { name: 'Osaka', lat: 34.6, lon: 135.4, population: 19 },
+  { name: 'Busan', lat: 35.1, lon: 129.0, population: 3.4 },
+  { name: 'Shanghai', lat: 31.2, lon: 121.5, population: 24 },
+  { name: 'Hong Kong', lat: 22.3, lon: 114.2, population: 7.5 },
+  { name: 'Manila', lat: 14.6, lon: 121.0, population: 13.5 },
+  { name: 'Ho Chi Minh City', lat: 10.4, lon: 106.9, population: 9 },
+  { name: 'Bangkok', lat: 13.5, lon: 100.6, population: 10.5 },
+  { name: 'Singapore', lat: 1.3, lon: 103.9, population: 5.9 },
+  { name: 'Jakarta', lat: -6.1, lon: 106.9, population: 10.6 },
+  { name: 'Chittagong', lat: 22.3, lon: 91.8, population: 5 },
+  { name: 'Chennai', lat: 13.1, lon: 80.3, population: 11 },
+  { name: 'Colombo', lat: 6.9, lon: 79.9, population: 0.8 },
+  { name: 'Mumbai', lat: 18.9, lon: 72.8, population: 20.7 },
+  { name: 'Karachi', lat: 24.8, lon: 67.0, population: 16 },
+  { name: 'Dubai', lat: 25.3, lon: 55.3, population: 3.5 },
+  { name: 'Mombasa', lat: -4.0, lon: 39.7, population: 1.2 },
+  { name: 'Durban', lat: -29.9, lon: 31.0, population: 3.5 },
+  { name: 'Cape Town', lat: -33.9, lon: 18.4, population: 4.6 },
+  { name: 'Lagos', lat: 6.4, lon: 3.4, population: 15 },
+  { name: 'Dakar', lat: 14.7, lon: -17.4, population: 3.1 },
+  { name: 'Alexandria', lat: 31.2, lon: 29.9, population: 5.2 },
+  { name: 'Istanbul', lat: 41.0, lon: 29.0, population: 15.5 },
+  { name: 'Athens', lat: 37.9, lon: 23.6, population: 3.2 },
+  { name: 'Naples', lat: 40.8, lon: 14.3, population: 3 },
+  { name: 'Barcelona', lat: 41.4, lon: 2.2, population: 5.6 },
+  { name: 'Lisbon', lat: 38.7, lon: -9.1, population: 2.9 },
+  { name: 'Rotterdam', lat: 51.9, lon: 4.1, population: 1 },
+  { name: 'Copenhagen', lat: 55.7, lon: 12.6, population: 2 },
+  { name: 'Saint Petersburg', lat: 59.9, lon: 30.2, population: 5.4 },
+  { name: 'Reykjavik', lat: 64.1, lon: -21.9, population: 0.2 },
+  { name: 'Halifax', lat: 44.6, lon: -63.6, population: 0.4 },
+  { name: 'Boston', lat: 42.4, lon: -71.0, population: 4.9 },
+  { name: 'New York', lat: 40.6, lon: -74.0, population: 19 },
+  { name: 'Miami', lat: 25.8, lon: -80.1, population: 6.1 },
+  { name: 'Havana', lat: 23.1, lon: -82.4, population: 2.1 },
+  { name: 'Santo Domingo', lat: 18.5, lon: -69.9, population: 3.5 },
+  { name: 'San Juan', lat: 18.5, lon: -66.1, population: 2.4 },
+  { name: 'Caracas', lat: 10.6, lon: -66.9, population: 5 },
+  { name: 'Salvador', lat: -13.0, lon: -38.5, population: 2.9 },
+  { name: 'Rio de Janeiro', lat: -22.9, lon: -43.2, population: 13.5 },
+  { name: 'Buenos Aires', lat: -34.6, lon: -58.4, population: 15 },
+  { name: 'Valparaíso', lat: -33.0, lon: -71.6, population: 1 },
+  { name: 'Lima', lat: -12.1, lon: -77.2, population: 10.7 },
+  { name: 'Acapulco', lat: 16.8, lon: -99.9, population: 0.8 },
+  { name: 'Los Angeles', lat: 33.7, lon: -118.3, population: 12.5 },
+  { name: 'San Francisco', lat: 37.8, lon: -122.5, population: 4.7 },
+  { name: 'Seattle', lat: 47.6, lon: -122.4, population: 4 },
+  { name: 'Vancouver', lat: 49.3, lon: -123.1, population: 2.6 },
+  { name: 'Anchorage', lat: 61.2, lon: -149.9, population: 0.3 },
+  { name: 'Honolulu', lat: 21.3, lon: -157.9, population: 1 },
+  { name: 'Auckland', lat: -36.8, lon: 174.8, population: 1.7 },
+  { name: 'Sydney', lat: -33.9, lon: 151.2, population: 5.3 },
+  { name: 'Melbourne', lat: -37.8, lon: 144.9, population: 5 },
+  { name: 'Perth', lat: -32.0, lon: 115.8, population: 2 }
+];
@@ -0,0 +1,92 @@
+// Crater scaling for ground impacts, after Collins, Melosh & Marcus (2005),
+// "Earth Impact Effects Program". All inputs and outputs are SI (m, kg/m³,
+// m/s, radians). Independent of the DOM and of the simulation.
+import { craterEllipticity } from './impact-angle.js';
+
+const g = 9.81; // m/s²
+
+// `transitionDiameter`: final diameter above which craters collapse into
+// complex craters (about 2 km in sedimentary and 4 km in crystalline rock on Earth)
+export const TARGET_TYPES = {
+  sedimentary: { label: 'Sedimentary rock', density: 2500, transitionDiameter: 2000 },
+  crystalline: { label: 'Crystalline rock', density: 2750, transitionDiameter: 4000 },
+  water: { label: 'Water', density: 1000, transitionDiameter: 4000 } // seafloor taken as crystalline
+};
+
+export const MEAN_OCEAN_DEPTH = 3682; // m
+const WATER_DRAG_COEFFICIENT = 0.877;
+
+// Transient (rim-to-rim) cavity diameter; `coefficient` is 1.161 for rock, 1.365 for water
+export function transientCraterDiameter({ diameter, density, velocity, angle, targetDensity, coefficient = 1.161 }) {
+  const sinAngle = Math.max(Math.sin(angle), 0.05); // grazing impacts: keep the scaling finite
+  return coefficient * Math.pow(density / targetDensity, 1 / 3) *
+    Math.pow(diameter, 0.78) * Math.pow(velocity, 0.44) * Math.pow(g, -0.22) * Math.cbrt(sinAngle);
+}
+
+// Collapse of a transient cavity into the final simple or complex crater
+export function finalCrater(transientDiameter, transitionDiameter) {
+  const transientDepth = transientDiameter / (2 * Math.SQRT2);
+
+  if (1.25 * transientDiameter < transitionDiameter) {
+    // simple crater: bowl partly refilled by a breccia lens
+    const diameter = 1.25 * transientDiameter;
+    const brecciaVolume = 0.032 * Math.pow(diameter, 3);
+    const rimHeight = 0.07 * Math.pow(transientDiameter, 4) / Math.pow(diameter, 3);
+    const brecciaThickness = 2.8 * brecciaVolume * (transientDepth + rimHeight) / (transientDepth * diameter * diameter);
+    return {
+      type: 'simple',
+      diameter,
+      depth: transientDepth + rimHeight - brecciaThickness,
+      rimHeight,
+      brecciaThickness
+    };
+  }
+
+  // complex crater: wider and much shallower (depth fit is in km)
+  const diameter = 1.17 * Math.pow(transientDiameter, 1.13) / Math.pow(transitionDiameter, 0.13);
+  return {
+    type: 'complex',
+    diameter,
+    depth: 1000 * 0.294 * Math.pow(diameter / 1000, 0.301)
+  };
+}
+
+// Transient and final crater for a projectile of `diameter`, bulk `density`
+// and `velocity` hitting at `angle` above the horizontal. Water impacts slow
+// the projectile through `waterDepth` of ocean before it craters the seafloor.
+// Shallow impacts stretch the final crater along the track into an ellipse
+// of the same area, finalLength × finalWidth. `targetDensity` is that of the
+// rock excavated, the seafloor's for water impacts.
+export function craterScaling({ diameter, density, velocity, angle = Math.PI / 4, target = 'sedimentary', waterDepth = MEAN_OCEAN_DEPTH }) {
+  const targetType = TARGET_TYPES[target] || TARGET_TYPES.sedimentary;
+  const result = { target: TARGET_TYPES[target] ? target : 'sedimentary', angle };
+
+  let floorVelocity = velocity;
+  let floorDensity = targetType.density;
+  if (target === 'water') {
+    result.waterCavityDiameter = transientCraterDiameter({
+      diameter, density, velocity, angle, targetDensity: targetType.density, coefficient: 1.365
+    });
+    const sinAngle = Math.max(Math.sin(angle), 0.05);
+    floorVelocity = velocity * Math.exp(-3 * targetType.density * WATER_DRAG_COEFFICIENT * waterDepth / (2 * density * diameter * sinAngle));
+    floorDensity = TARGET_TYPES.crystalline.density;
+    result.waterDepth = waterDepth;
+    result.seafloorVelocity = floorVelocity;
+  }
+
+  result.transientDiameter = transientCraterDiameter({ diameter, density, velocity: floorVelocity, angle, targetDensity: floorDensity });
+  result.transientDepth = result.transientDiameter / (2 * Math.SQRT2);
+  result.targetDensity = floorDensity;
+  const final = finalCrater(result.transientDiameter, targetType.transitionDiameter);
+  result.type = final.type;
+  result.finalDiameter = final.diameter;
+  result.finalDepth = final.depth;
+  result.ellipticity = craterEllipticity(angle);
+  result.finalLength = final.diameter * Math.sqrt(result.ellipticity);
+  result.finalWidth = final.diameter / Math.sqrt(result.ellipticity);
+  if (final.rimHeight !== undefined) {
+    result.rimHeight = final.rimHeight;
+    result.brecciaThickness = final.brecciaThickness;
+  }
+  return result;
+}
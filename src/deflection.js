@@ -0,0 +1,396 @@
+// Planetary-defense deflection planner. A kinetic impactor or a nuclear
+// standoff burst gives a meteor a sudden push, a gravity tractor a slow one,
+// starting a chosen lead time before its predicted impact (or closest
+// approach), and the change is flown through to a new closest approach. Paths
+// are integrated in vacuum about the Earth; realistic mode adds the Moon,
+// pulling as it does in the simulation, and the Sun, so that lead times of
+// months or years follow the heliocentric orbit. Independent of the DOM.
+import * as THREE from 'three';
+import { moonEphemeris, sunPositionJ2000 } from './ephemeris.js';
+
+const G = 6.67430e-11;
+const GM_SUN = 1.32712440018e20; // m³/s²
+const KILOTON = 4.184e12; // J
+const BLOWOFF_SPEED = 1000; // m/s, vapour blown off the heated surface (Ahrens & Harris 1992)
+const STEP_FRACTION = 0.002; // step as a fraction of distance / speed
+const FAR = 1e9; // m; beyond this the Moon is left out and steps grow
+const FAR_STEP_FRACTION = 0.05;
+const MAX_STEPS = 200000;
+
+export const METHODS = {
+  kinetic: 'Kinetic impactor',
+  tractor: 'Gravity tractor',
+  nuclear: 'Nuclear standoff'
+};
+
+// Velocity change (m/s) of a target of `targetMass` (kg) struck by
+// `spacecraftMass` (kg) at `relativeSpeed` (m/s). `beta` is the momentum
+// enhancement from ejecta thrown off the surface: 1 for none, about 3.6 for
+// DART at Dimorphos.
+export function kineticImpactorDeltaV({ spacecraftMass, relativeSpeed, beta = 1, targetMass }) {
+  return beta * spacecraftMass * relativeSpeed / targetMass;
+}
+
+// Pull (m/s²) of a spacecraft of `spacecraftMass` (kg) hovering `distance` m
+// from the target's centre
+export function gravityTractorAcceleration({ spacecraftMass, distance }) {
+  return G * spacecraftMass / (distance * distance);
+}
+
+// Velocity change (m/s) and energy deposited (J) by a `yieldKt` burst
+// `standoff` m above a target of `targetDiameter` m and `targetMass` kg. The
+// target intercepts its share of the isotropic output; `coupling` of that
+// ends up as kinetic energy of the blown-off surface layer, whose recoil
+// pushes the body.
+export function nuclearStandoffDeltaV({ yieldKt, standoff, coupling, targetDiameter, targetMass }) {
+  const radius = targetDiameter / 2;
+  const ratio = radius / (radius + standoff);
+  const deposited = yieldKt * KILOTON * (1 - Math.sqrt(1 - ratio * ratio)) / 2;
+  const momentum = 2 * coupling * deposited / BLOWOFF_SPEED; // p = 2E / v
+  return { deltaV: momentum / targetMass, deposited };
+}
+
+// Specific energy (J/kg) that catastrophically disrupts a rocky body of
+// `diameter` m and `density` kg/m³ (Benz & Asphaug 1999, basalt at 3 km/s)
+export function disruptionEnergy(diameter, density) {
+  const radius = diameter / 2 * 100; // cm
+  const ergPerGram = 3.5e7 * Math.pow(radius, -0.38) + 0.3 * (density / 1000) * Math.pow(radius, 1.36);
+  return ergPerGram * 1e-4;
+}
+
+// What `method` with its parameters does to `meteor` over at most `leadTime`
+// seconds: { deltaV (m/s in total), acceleration (m/s², slow pushes only),
+// duration (s), specificEnergy (J/kg dumped into the body), fragmentation
+// (specificEnergy over the disruption threshold; 1 or more likely shatters
+// it) }
+export function deflectionEffect(meteor, { method = 'kinetic', ...params }, leadTime = Infinity) {
+  const mass = meteor.mass;
+  const diameter = meteor.size;
+  const threshold = disruptionEnergy(diameter, meteor.density || 3000);
+
+  if (method === 'tractor') {
+    const { spacecraftMass = 20000, hoverDistance = 100, duration = 365.25 * 86400 } = params;
+    const acceleration = gravityTractorAcceleration({ spacecraftMass, distance: diameter / 2 + hoverDistance });
+    const time = Math.min(duration, leadTime);
+    return { deltaV: acceleration * time, acceleration, duration: time, specificEnergy: 0, fragmentation: 0 };
+  }
+  if (method === 'nuclear') {
+    const { yieldKt = 100, standoff = 100, coupling = 0.1 } = params;
+    const { deltaV, deposited } = nuclearStandoffDeltaV({ yieldKt, standoff, coupling, targetDiameter: diameter, targetMass: mass });
+    return { deltaV, acceleration: 0, duration: 0, specificEnergy: deposited / mass, fragmentation: deposited / mass / threshold };
+  }
+  const { spacecraftMass = 570, relativeSpeed = 6100, beta = 3.6 } = params;
+  const specificEnergy = 0.5 * spacecraftMass * relativeSpeed * relativeSpeed / mass;
+  return {
+    deltaV: kineticImpactorDeltaV({ spacecraftMass, relativeSpeed, beta, targetMass: mass }),
+    acceleration: 0,
+    duration: 0,
+    specificEnergy,
+    fragmentation: specificEnergy / threshold
+  };
+}
+
+// Acceleration (m/s²) at geocentric `position` (m) and simulated `time`: the
+// Earth, plus the Moon and the Sun's tide in realistic mode
+function gravity(sim, mu) {
+  const moonMu = sim.G * sim.moonMass;
+  return (time, position) => {
+    const r = position.length();
+    const acceleration = position.clone().multiplyScalar(-mu / (r * r * r));
+    if (sim.realistic) {
+      const jd = sim.clock.julianDate(time);
+      if (r < FAR) {
+        const toMoon = new THREE.Vector3().copy(moonEphemeris(jd).position).sub(position);
+        acceleration.addScaledVector(toMoon, moonMu / Math.pow(toMoon.length(), 3));
+      }
+      const sun = new THREE.Vector3().copy(sunPositionJ2000(jd));
+      const toSun = sun.clone().sub(position);
+      acceleration
+        .addScaledVector(toSun, GM_SUN / Math.pow(toSun.length(), 3))
+        .addScaledVector(sun, -GM_SUN / Math.pow(sun.length(), 3));
+    }
+    return acceleration;
+  };
+}
+
+// `accel` plus a steady push of `acceleration` m/s² along `direction` between
+// simulated times `start` and `end`
+function withPush(sim, accel, { start, end, acceleration, direction }) {
+  return (time, position, velocity) => {
+    const total = accel(time, position, velocity);
+    if (time < start || time >= end) return total;
+    return total.addScaledVector(pushDirection(sim, { time, position, velocity }, direction), acceleration);
+  };
+}
+
+// One RK4 step of `h` seconds (negative runs backwards)
+function rk4(state, h, accel) {
+  const { time, position: r, velocity: v } = state;
+  const a1 = accel(time, r, v);
+  const r2 = r.clone().addScaledVector(v, h / 2);
+  const v2 = v.clone().addScaledVector(a1, h / 2);
+  const a2 = accel(time + h / 2, r2, v2);
+  const r3 = r.clone().addScaledVector(v2, h / 2);
+  const v3 = v.clone().addScaledVector(a2, h / 2);
+  const a3 = accel(time + h / 2, r3, v3);
+  const r4 = r.clone().addScaledVector(v3, h);
+  const v4 = v.clone().addScaledVector(a3, h);
+  const a4 = accel(time + h, r4, v4);
+  r.addScaledVector(v.clone().add(v2.clone().multiplyScalar(2)).add(v3.clone().multiplyScalar(2)).add(v4), h / 6);
+  v.addScaledVector(a1.clone().add(a2.clone().multiplyScalar(2)).add(a3.clone().multiplyScalar(2)).add(a4), h / 6);
+  state.time += h;
+}
+
+function stepSize(state, maxStep) {
+  const r = state.position.length();
+  return Math.min(maxStep, (r > FAR ? FAR_STEP_FRACTION : STEP_FRACTION) * r / Math.max(state.velocity.length(), 1e-3));
+}
+
+// Fly `state` ({ time, position, velocity }) to exactly `time`, either way,
+// or until it comes within `radius` m of the centre
+function flyTo(state, time, accel, maxStep, radius = 0) {
+  for (let k = 0; k < MAX_STEPS && state.time !== time && state.position.length() >= radius; k++) {
+    const remaining = time - state.time;
+    const h = Math.sign(remaining) * Math.min(Math.abs(remaining), stepSize(state, maxStep));
+    rk4(state, h, accel);
+  }
+  return state;
+}
+
+// Fly `state` forward until it hits the ground (within `radius` m of the
+// centre) or is past its closest approach and receding, or `until` passes.
+// Returns { impact, time, distance } of the closest point after `notBefore`,
+// so that earlier passes on a long run are skipped; `onStep(state)` sees
+// every step.
+function flyToClosest(state, { accel, radius, until, maxStep, notBefore = -Infinity, onStep }) {
+  let closest = { impact: false, time: state.time, distance: Infinity };
+  for (let k = 0; k < MAX_STEPS && state.time < until; k++) {
+    rk4(state, Math.min(until - state.time, stepSize(state, maxStep)), accel);
+    if (onStep) onStep(state);
+    const distance = state.position.length();
+    if (distance < radius) return { impact: true, time: state.time, distance };
+    if (state.time < notBefore) continue;
+    if (distance < closest.distance) closest = { impact: false, time: state.time, distance };
+    else if (distance > 2 * closest.distance && state.time > closest.time) break;
+  }
+  return closest;
+}
+
+// Unit vector for the push: along or against the velocity about the central
+// body (the Sun when it is modelled), or across it, away from the Earth
+function pushDirection(sim, state, direction) {
+  const velocity = state.velocity.clone();
+  if (sim.realistic) {
+    // the Earth's heliocentric velocity is minus the Sun's geocentric one
+    const jd = sim.clock.julianDate(state.time);
+    const dt = 60 / 86400;
+    const sunBefore = new THREE.Vector3().copy(sunPositionJ2000(jd - dt));
+    const sunAfter = new THREE.Vector3().copy(sunPositionJ2000(jd + dt));
+    velocity.add(sunBefore.sub(sunAfter).divideScalar(120));
+  }
+  velocity.normalize();
+  if (direction === 'prograde') return velocity;
+  if (direction === 'outward') {
+    const outward = state.position.clone().addScaledVector(velocity, -state.position.dot(velocity));
+    if (outward.lengthSq() > 0) return outward.normalize();
+  }
+  return velocity.negate();
+}
+
+const copyState = state => ({ time: state.time, position: state.position.clone(), velocity: state.velocity.clone() });
+
+// What every deflection of `meteor` starts from: its two-body state now and
+// when it would hit, or pass closest, if left alone
+function encounterOf(sim, meteor, horizon) {
+  const { position, velocity, mu } = sim.getTwoBodyState(meteor);
+  const context = {
+    sim,
+    accel: gravity(sim, mu),
+    radius: sim.earthRadiusMeters + sim.impactMargin * sim.SCENE_SCALE,
+    maxStep: sim.realistic ? 86400 : 10,
+    now: { time: sim.time, position, velocity }
+  };
+  const until = sim.time + (horizon || (sim.realistic ? 2 * 365.25 * 86400 : 3600));
+  context.encounter = flyToClosest(copyState(context.now), { ...context, until });
+  return context;
+}
+
+// Where `meteor` will be (or was) at simulated `time` under the planner's
+// forces, ignoring the air: { time, position (m), velocity (m/s), impact },
+// geocentric. A meteor that reaches the ground first stops there, at an
+// earlier time, with impact set.
+export function predictState(sim, meteor, time) {
+  const { position, velocity, mu } = sim.getTwoBodyState(meteor);
+  const state = flyTo({ time: sim.time, position, velocity }, time, gravity(sim, mu), sim.realistic ? 86400 : 10, sim.earthRadiusMeters);
+  return { ...state, impact: state.time !== time };
+}
+
+// Closest approach { impact, time, distance, altitude } when `state` is
+// flown on under `accel` from `leadTime` before the encounter
+function outcome(context, state, accel, leadTime, onStep) {
+  const { sim, encounter, radius, maxStep } = context;
+  const closest = flyToClosest(state, {
+    accel,
+    radius,
+    until: encounter.time + Math.max(leadTime, 3600),
+    notBefore: encounter.time - Math.min(leadTime, 10 * maxStep),
+    maxStep,
+    onStep
+  });
+  return { ...closest, altitude: closest.distance - sim.earthRadiusMeters };
+}
+
+// The push of `effect` applied at `atDeflection`: the state to fly on, the
+// accelerations to fly it with and, for sudden pushes, the change in velocity
+function deflect(context, atDeflection, effect, direction) {
+  const state = copyState(atDeflection);
+  if (effect.acceleration) {
+    const start = atDeflection.time;
+    const push = { start, end: start + effect.duration, acceleration: effect.acceleration, direction };
+    return { state, accel: withPush(context.sim, context.accel, push), deltaVector: null };
+  }
+  const deltaVector = pushDirection(context.sim, atDeflection, direction).multiplyScalar(effect.deltaV);
+  state.velocity.add(deltaVector);
+  return { state, accel: context.accel, deltaVector };
+}
+
+// Plan a deflection of `meteor`: { method ('kinetic' | 'tractor' |
+// 'nuclear'), leadTime (s before the predicted impact or closest approach),
+// direction ('retrograde' | 'prograde' | 'outward') } and the method's
+// parameters, see deflectionEffect(). Returns { method, effect, deltaVector
+// (m/s, sudden pushes only), direction, deflectionTime, pushEnd, nominal,
+// deflected } where times are simulated seconds and nominal/deflected are
+// { impact, time, distance (m from the centre), altitude (m) }; deflected
+// also carries the path from the later of now and the deflection, in scene
+// units, as points.
+export function planDeflection(sim, meteor, { leadTime = 86400, direction = 'retrograde', horizon = null, ...options } = {}) {
+  const context = encounterOf(sim, meteor, horizon);
+  const { encounter, now } = context;
+  const deflectionTime = encounter.time - leadTime;
+  const atDeflection = flyTo(copyState(now), deflectionTime, context.accel, context.maxStep);
+  const effect = deflectionEffect(meteor, options, leadTime);
+
+  // the nominal path from the same point so both carry the same integration error
+  const nominal = outcome(context, copyState(atDeflection), context.accel, leadTime);
+
+  const { state, accel, deltaVector } = deflect(context, atDeflection, effect, direction);
+  const points = [];
+  const record = s => {
+    if (s.time >= now.time) points.push(s.position.clone().divideScalar(sim.SCENE_SCALE));
+  };
+  if (deflectionTime >= now.time) record(state);
+  const deflected = { ...outcome(context, state, accel, leadTime, record), points: thin(points, 2000) };
+
+  return {
+    method: options.method || 'kinetic',
+    effect,
+    deltaVector,
+    direction,
+    deflectionTime,
+    pushEnd: deflectionTime + effect.duration,
+    nominal,
+    deflected
+  };
+}
+
+// Shortest lead time (s) at which `options` (as for planDeflection) carries
+// `meteor` at least `clearance` m above the ground, or null if even
+// `maxLead` is not enough; 0 if it already misses by that much. Scans lead
+// times geometrically, then bisects; `onProgress(done, total)` follows along.
+export async function requiredLeadTime(sim, meteor, options = {}, {
+  clearance = sim.earthRadiusMeters,
+  minLead = sim.realistic ? 600 : 0.5,
+  maxLead = sim.realistic ? 30 * 365.25 * 86400 : 3600,
+  steps = 16,
+  refinements = 8,
+  onProgress = null
+} = {}) {
+  const { direction = 'retrograde', horizon = null } = options;
+  const context = encounterOf(sim, meteor, horizon);
+  const { encounter, now } = context;
+  const clears = result => !result.impact && result.altitude >= clearance;
+  if (clears({ ...encounter, altitude: encounter.distance - sim.earthRadiusMeters })) return 0;
+
+  // states at the lead times tried so far, so each backward flight is short
+  const visited = [{ lead: encounter.time - now.time, state: copyState(now) }];
+  const stateAt = lead => {
+    const from = visited.reduce((best, v) => (v.lead <= lead && v.lead > best.lead ? v : best), visited[0]);
+    const state = flyTo(copyState(from.state), encounter.time - lead, context.accel, context.maxStep);
+    visited.push({ lead, state: copyState(state) });
+    return state;
+  };
+  const succeeds = lead => {
+    const effect = deflectionEffect(meteor, options, lead);
+    const { state, accel } = deflect(context, stateAt(lead), effect, direction);
+    return clears(outcome(context, state, accel, lead));
+  };
+  const pause = () => new Promise(resolve => setTimeout(resolve, 0));
+
+  const total = steps + refinements;
+  let low = null;
+  let high = null;
+  for (let k = 0; k < steps; k++) {
+    const lead = minLead * Math.pow(maxLead / minLead, k / (steps - 1));
+    if (onProgress) onProgress(k + 1, total);
+    await pause();
+    if (succeeds(lead)) { high = lead; break; }
+    low = lead;
+  }
+  if (high === null) return null;
+  if (low === null) return high;
+  for (let k = 0; k < refinements; k++) {
+    const lead = Math.sqrt(low * high);
+    if (onProgress) onProgress(steps + k + 1, total);
+    await pause();
+    if (succeeds(lead)) high = lead; else low = lead;
+  }
+  return high;
+}
+
+// Carry out `plan` on `meteor`. Whatever part of the push is still ahead is
+// scheduled in the simulation; for any part already past the meteor is put
+// where that push would have sent it.
+export function applyDeflection(sim, meteor, plan) {
+  const { effect, direction, deflectionTime, pushEnd } = plan;
+  const push = tractor(sim, effect, direction);
+  if (deflectionTime > sim.time) {
+    return effect.acceleration
+      ? sim.schedulePush(meteor, deflectionTime, pushEnd, push)
+      : sim.scheduleImpulse(meteor, deflectionTime, plan.deltaVector);
+  }
+
+  const { position, velocity, mu } = sim.getTwoBodyState(meteor);
+  const accel = gravity(sim, mu);
+  const maxStep = sim.realistic ? 86400 : 10;
+  const state = flyTo({ time: sim.time, position, velocity }, deflectionTime, accel, maxStep);
+  let deltaV = plan.deltaVector;
+  if (effect.acceleration) {
+    const end = Math.min(pushEnd, sim.time);
+    deltaV = push(null, deflectionTime, state).multiplyScalar(end - deflectionTime); // roughly, for the record
+    flyTo(state, sim.time, withPush(sim, accel, { start: deflectionTime, end, acceleration: effect.acceleration, direction }), maxStep);
+  } else {
+    state.velocity.add(deltaV);
+    flyTo(state, sim.time, accel, maxStep);
+  }
+  sim.setMeteorState(meteor, state.position, state.velocity);
+  sim.emit('deflection', { meteor, deltaV: deltaV.clone() });
+  return effect.acceleration && pushEnd > sim.time ? sim.schedulePush(meteor, sim.time, pushEnd, push) : null;
+}
+
+// The simulation's push for a slow method: `effect.acceleration` along
+// `direction`, which turns with the meteor's motion. Takes the meteor, or
+// its two-body `state` when given.
+function tractor(sim, effect, direction) {
+  return (meteor, time, state = sim.getTwoBodyState(meteor)) => pushDirection(sim, { ...state, time }, direction)
+    .multiplyScalar(effect.acceleration);
+}
+
+// At most `count` of `points`, evenly picked, keeping the last
+function thin(points, count) {
+  if (points.length <= count) return points;
+  const stride = points.length / count;
+  const picked = [];
+  for (let k = 0; k < count; k++) picked.push(points[Math.floor(k * stride)]);
+  picked.push(points[points.length - 1]);
+  return picked;
+}
@@ -0,0 +1,78 @@
+// Ejecta blanket of a ground impact, after the Earth Impact Effects Program
+// (Collins et al. 2005): how thick the deposit is at a given distance from
+// the crater, how big its fragments are and when they land, flying ballistic
+// arcs launched at 45° over a spherical Earth without air. Takes the
+// craterScaling() result; distances are metres from the crater centre.
+// Independent of the DOM.
+
+const g = 9.81;
+const EARTH_RADIUS = 6371000;
+const MU = g * EARTH_RADIUS * EARTH_RADIUS;
+const FRAGMENT_DECAY = 2.65; // fall-off of the mean fragment size with distance
+
+// Craters smaller than this (final diameter, m) get no ejecta layers: their
+// blanket stays within a few crater radii
+export const EJECTA_MIN_DIAMETER = 100;
+
+// Thickness levels drawn on the map, m
+export const EJECTA_LEVELS = [10, 1, 0.1, 0.01, 0.001];
+
+// Deposit thickness (m): D_tc⁴ / (112 r³), which is a tenth of the transient
+// crater's depth at its rim
+export function ejectaThickness(crater, distance) {
+  return Math.pow(crater.transientDiameter, 4) / (112 * Math.pow(Math.max(distance, crater.transientDiameter / 2), 3));
+}
+
+// Distance (m) out to which the deposit is at least `thickness` thick
+export function ejectaReachOf(crater, thickness) {
+  return Math.cbrt(Math.pow(crater.transientDiameter, 4) / (112 * thickness));
+}
+
+// Mean fragment diameter (m): d_m (D_tc / 2r)^2.65 with d_m = 2400 (D / 2)^-1.62
+// at the rim of a final crater of D km. The fit is for large craters and
+// would have small ones throw blocks bigger than themselves, so d_m is kept
+// below a tenth of the crater.
+export function ejectaFragmentSize(crater, distance) {
+  const rimSize = Math.min(2400 * Math.pow(crater.finalDiameter / 2000, -1.62), crater.finalDiameter / 10);
+  return rimSize * Math.pow(crater.transientDiameter / (2 * Math.max(distance, crater.transientDiameter / 2)), FRAGMENT_DECAY);
+}
+
+// Time (s) after the impact that ejecta thrown at 45° land `distance` away
+export function ejectaArrival(distance) {
+  const arc = Math.min(distance / EARTH_RADIUS, Math.PI * 0.999);
+  const t = Math.tan(arc / 2);
+  const speed = Math.sqrt(2 * g * EARTH_RADIUS * t / (1 + t)); // launch speed reaching that far
+  // the arc is a piece of an ellipse about the Earth's centre: time from
+  // launch to apex and back down, by Kepler's equation
+  const energy = speed * speed / 2 - MU / EARTH_RADIUS;
+  const a = -MU / (2 * energy);
+  const h = EARTH_RADIUS * speed * Math.SQRT1_2;
+  const e = Math.sqrt(Math.max(0, 1 + 2 * energy * h * h / (MU * MU)));
+  if (e < 1e-9) return Math.PI * Math.sqrt(a * a * a / MU); // the half orbit of a circular path
+  const cosNu = Math.max(-1, Math.min(1, (h * h / (MU * EARTH_RADIUS) - 1) / e));
+  const E = Math.acos(Math.max(-1, Math.min(1, (e + cosNu) / (1 + e * cosNu))));
+  const meanAnomaly = E - e * Math.sin(E);
+  return 2 * (Math.PI - meanAnomaly) * Math.sqrt(a * a * a / MU);
+}
+
+// Deposit, fragments and arrival `distance` from the crater: { distance,
+// thickness (m), fragmentSize (m), arrival (s) }
+export function ejectaAt(crater, distance) {
+  return {
+    distance,
+    thickness: ejectaThickness(crater, distance),
+    fragmentSize: ejectaFragmentSize(crater, distance),
+    arrival: ejectaArrival(distance)
+  };
+}
+
+// The blanket at each of EJECTA_LEVELS that lies beyond the rim, nearest
+// first, each tagged with the `level` it was built for (its computed
+// thickness carries round-off); empty for craters below EJECTA_MIN_DIAMETER
+export function ejectaLayers(crater) {
+  if (!(crater.finalDiameter >= EJECTA_MIN_DIAMETER)) return [];
+  const rim = crater.finalDiameter / 2;
+  return EJECTA_LEVELS
+    .map(level => ({ ...ejectaAt(crater, ejectaReachOf(crater, level)), level }))
+    .filter(layer => layer.distance > rim && layer.distance < Math.PI * EARTH_RADIUS);
+}
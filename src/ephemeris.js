@@ -0,0 +1,99 @@
+// Low-precision Sun and Moon positions for a Julian date, from the
+// Astronomical Almanac's short series (Sun ~0.01°, Moon ~0.3° and ~0.2% in
+// distance over 1950–2050). Results are in the scene frame: +Y is the Earth's
+// spin axis, +X points at the March equinox and -Z at right ascension 90°
+// (matching the longitude sign used by the map). Independent of the DOM.
+import { J2000 } from './clock.js';
+
+const DEG = Math.PI / 180;
+export const AU = 1.495978707e11; // m
+const OBLIQUITY_J2000 = 23.4392911 * DEG;
+const PRECESSION_RATE = 1.396971 * DEG; // general precession in longitude per Julian century
+const EARTH_EQUATORIAL_RADIUS = 6378140; // m, the radius the lunar parallax series is scaled to
+
+// Equatorial (x toward the equinox, z toward the north pole) -> scene frame
+export function equatorialToScene({ x, y, z }) {
+  return { x, y: z, z: -y };
+}
+
+export function sceneToEquatorial({ x, y, z }) {
+  return { x, y: -z, z: y };
+}
+
+// Mean obliquity of the ecliptic (rad)
+export function obliquity(jd) {
+  return (23.439 - 0.0000004 * (jd - J2000)) * DEG;
+}
+
+// Ecliptic longitude/latitude (rad) and distance -> scene frame
+function eclipticToScene(longitude, latitude, distance, jd) {
+  const e = obliquity(jd);
+  const x = Math.cos(latitude) * Math.cos(longitude);
+  const y = Math.cos(latitude) * Math.sin(longitude);
+  const z = Math.sin(latitude);
+  return equatorialToScene({
+    x: distance * x,
+    y: distance * (Math.cos(e) * y - Math.sin(e) * z),
+    z: distance * (Math.sin(e) * y + Math.cos(e) * z)
+  });
+}
+
+// Cartesian J2000 ecliptic coordinates (the frame of published orbital elements) -> scene frame
+export function eclipticJ2000ToScene({ x, y, z }) {
+  const cos = Math.cos(OBLIQUITY_J2000);
+  const sin = Math.sin(OBLIQUITY_J2000);
+  return equatorialToScene({ x, y: cos * y - sin * z, z: sin * y + cos * z });
+}
+
+// Geocentric Sun: ecliptic longitude (rad) and distance (m)
+function sunEphemeris(jd) {
+  const n = jd - J2000;
+  const meanLongitude = (280.460 + 0.9856474 * n) * DEG;
+  const meanAnomaly = (357.528 + 0.9856003 * n) * DEG;
+  return {
+    longitude: meanLongitude + (1.915 * Math.sin(meanAnomaly) + 0.020 * Math.sin(2 * meanAnomaly)) * DEG,
+    distance: AU * (1.00014 - 0.01671 * Math.cos(meanAnomaly) - 0.00014 * Math.cos(2 * meanAnomaly))
+  };
+}
+
+// Unit vector toward the Sun
+export function sunDirection(jd) {
+  return eclipticToScene(sunEphemeris(jd).longitude, 0, 1, jd);
+}
+
+// Geocentric position of the Sun (m); the Earth's heliocentric position is its negative
+export function sunPosition(jd) {
+  const { longitude, distance } = sunEphemeris(jd);
+  return eclipticToScene(longitude, 0, distance, jd);
+}
+
+// The same referred to the J2000 ecliptic and equinox, to pair with orbital
+// elements (the series above is for the equinox of date)
+export function sunPositionJ2000(jd) {
+  const { longitude, distance } = sunEphemeris(jd);
+  const l = longitude - PRECESSION_RATE * (jd - J2000) / 36525;
+  return eclipticJ2000ToScene({ x: distance * Math.cos(l), y: distance * Math.sin(l), z: 0 });
+}
+
+// Geocentric Moon: ecliptic longitude and latitude (rad), distance (m) and
+// scene-frame position (m). The leading terms carry the orbit's eccentricity,
+// evection, variation and the annual equation; the latitude's argument (the
+// Moon's distance from its node) carries the 5.1° inclination and the
+// 18.6-year regression of the nodes.
+export function moonEphemeris(jd) {
+  const T = (jd - J2000) / 36525;
+  const sinDeg = (a, b) => Math.sin((a + b * T) * DEG);
+  const cosDeg = (a, b) => Math.cos((a + b * T) * DEG);
+
+  const longitude = (218.32 + 481267.881 * T +
+    6.29 * sinDeg(135.0, 477198.87) - 1.27 * sinDeg(259.3, -413335.36) +
+    0.66 * sinDeg(235.7, 890534.22) + 0.21 * sinDeg(269.9, 954397.74) -
+    0.19 * sinDeg(357.5, 35999.05) - 0.11 * sinDeg(186.5, 966404.03)) * DEG;
+  const latitude = (5.13 * sinDeg(93.3, 483202.02) + 0.28 * sinDeg(228.2, 960400.87) -
+    0.28 * sinDeg(318.3, 6003.18) - 0.17 * sinDeg(217.6, -407332.20)) * DEG;
+  const parallax = (0.9508 + 0.0518 * cosDeg(134.9, 477198.85) + 0.0095 * cosDeg(259.2, -413335.38) +
+    0.0078 * cosDeg(235.7, 890534.23) + 0.0028 * cosDeg(269.9, 954397.70)) * DEG;
+  const distance = EARTH_EQUATORIAL_RADIUS / Math.sin(parallax);
+
+  return { longitude, latitude, distance, position: eclipticToScene(longitude, latitude, distance, jd) };
+}
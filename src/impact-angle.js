@@ -0,0 +1,77 @@
+// Impact-angle effects: how steeply a body comes in decides how much of its
+// energy couples into the ground, how elongated its crater is, where the
+// ejecta land and how lopsided the blast is. Angles are radians above the
+// horizontal; headings are radians clockwise from north along the direction
+// of travel, and azimuths are measured from the heading. Independent of the
+// DOM.
+
+const DEG = Math.PI / 180;
+export const ELLIPTICAL_BELOW = 12 * DEG; // craters in rock turn elliptical (Bottke et al. 2000)
+const MAX_ELLIPTICITY = 4;
+
+// Share of the kinetic energy delivered to the ground rather than carried off
+// downrange by ricochet and the vapour plume: crater volume and melt go about
+// as sin θ (Pierazzo & Melosh 2000)
+export function groundCoupling(angle) {
+  return Math.max(Math.sin(angle), 0.05);
+}
+
+// Crater length / width: 1 above ELLIPTICAL_BELOW, growing at shallower angles
+// (Gault & Wedekind 1978; Elbeshausen et al. 2013)
+export function craterEllipticity(angle) {
+  if (angle >= ELLIPTICAL_BELOW) return 1;
+  const sinAngle = Math.max(Math.sin(angle), 0.005);
+  return Math.min(MAX_ELLIPTICITY, Math.sqrt(Math.sin(ELLIPTICAL_BELOW) / sinAngle));
+}
+
+// Ejecta curtain at `angle` (Gault & Wedekind 1978): symmetric above 45°,
+// thrown downrange below, with a bare "forbidden zone" uprange below 25° and
+// a second one downrange below 10°, leaving the butterfly wings.
+// { pattern, downrangeBias (0..1), uprangeGap, downrangeGap (half-widths of
+// the bare sectors, rad) }
+export function ejectaPattern(angle) {
+  const deg = angle / DEG;
+  const downrangeBias = Math.max(0, Math.min(1, (45 - deg) / 35));
+  if (deg >= 45) return { pattern: 'symmetric', downrangeBias, uprangeGap: 0, downrangeGap: 0 };
+  if (deg >= 25) return { pattern: 'downrange', downrangeBias, uprangeGap: 0, downrangeGap: 0 };
+  if (deg >= 10) return { pattern: 'forbidden uprange', downrangeBias, uprangeGap: (Math.PI / 3) * (25 - deg) / 15, downrangeGap: 0 };
+  return {
+    pattern: 'butterfly',
+    downrangeBias,
+    uprangeGap: Math.PI / 3 + (Math.PI / 6) * (10 - deg) / 10,
+    downrangeGap: (Math.PI / 3) * (10 - deg) / 10
+  };
+}
+
+// Reach of the ejecta toward `azimuth`, as a multiple of its reach in a
+// vertical impact; 0 in the bare sectors
+export function ejectaReach(pattern, azimuth) {
+  const off = Math.abs(Math.atan2(Math.sin(azimuth), Math.cos(azimuth))); // 0 downrange .. π uprange
+  if (off > Math.PI - pattern.uprangeGap || off < pattern.downrangeGap) return 0;
+  return 1 + 0.5 * pattern.downrangeBias * Math.cos(azimuth);
+}
+
+// Blast reach toward `azimuth` as a multiple of the mean: oblique entries
+// drive the shock downrange and spread it sideways into a butterfly, as in
+// the Tunguska treefall (Boslough & Crawford 2008)
+export function blastReach(angle, azimuth) {
+  const obliquity = Math.cos(angle) * Math.cos(angle);
+  return 1 + 0.3 * obliquity * Math.cos(azimuth) - 0.2 * obliquity * Math.cos(2 * azimuth);
+}
+
+// Outline [[lat, lon], ...] (degrees) around `lat`/`lon` reaching
+// `reach(azimuth)` metres in every direction from `heading`, for the map
+export function azimuthalOutline(lat, lon, heading, reach, { steps = 96, earthRadius = 6371000 } = {}) {
+  const φ1 = lat * DEG;
+  const λ1 = lon * DEG;
+  const outline = [];
+  for (let k = 0; k <= steps; k++) {
+    const azimuth = 2 * Math.PI * k / steps;
+    const δ = reach(azimuth) / earthRadius;
+    const bearing = heading + azimuth;
+    const φ2 = Math.asin(Math.sin(φ1) * Math.cos(δ) + Math.cos(φ1) * Math.sin(δ) * Math.cos(bearing));
+    const λ2 = λ1 + Math.atan2(Math.sin(bearing) * Math.sin(δ) * Math.cos(φ1), Math.cos(δ) - Math.sin(φ1) * Math.sin(φ2));
+    outline.push([φ2 / DEG, ((λ2 / DEG + 540) % 360) - 180]);
+  }
+  return outline;
+}
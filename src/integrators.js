@@ -0,0 +1,141 @@
+// Fixed-step integrators for the simulation core.
+// Every scheme advances `state` ({ position, velocity } as THREE.Vector3) in
+// place by `dt`, using `accel(position, velocity)` to get the acceleration.
+
+// Explicit (forward) Euler: first order, drifts outward on orbits
+export function euler(state, dt, accel) {
+  const a = accel(state.position, state.velocity);
+  state.position.addScaledVector(state.velocity, dt);
+  state.velocity.addScaledVector(a, dt);
+  return state;
+}
+
+// Semi-implicit (symplectic) Euler: kick then drift
+export function semiImplicitEuler(state, dt, accel) {
+  const a = accel(state.position, state.velocity);
+  state.velocity.addScaledVector(a, dt);
+  state.position.addScaledVector(state.velocity, dt);
+  return state;
+}
+
+// Velocity Verlet: second order and symplectic for velocity-independent forces
+export function verlet(state, dt, accel) {
+  const a0 = accel(state.position, state.velocity);
+  state.position.addScaledVector(state.velocity, dt).addScaledVector(a0, 0.5 * dt * dt);
+  // drag depends on velocity, so estimate it at the end of the step first
+  const predicted = state.velocity.clone().addScaledVector(a0, dt);
+  const a1 = accel(state.position, predicted);
+  state.velocity.addScaledVector(a0.add(a1), 0.5 * dt);
+  return state;
+}
+
+// Classic fourth-order Runge-Kutta
+export function rk4(state, dt, accel) {
+  const x0 = state.position.clone();
+  const v0 = state.velocity.clone();
+
+  const k1v = accel(x0, v0);
+  const k1x = v0.clone();
+
+  const x2 = x0.clone().addScaledVector(k1x, dt / 2);
+  const v2 = v0.clone().addScaledVector(k1v, dt / 2);
+  const k2v = accel(x2, v2);
+  const k2x = v2;
+
+  const x3 = x0.clone().addScaledVector(k2x, dt / 2);
+  const v3 = v0.clone().addScaledVector(k2v, dt / 2);
+  const k3v = accel(x3, v3);
+  const k3x = v3;
+
+  const x4 = x0.clone().addScaledVector(k3x, dt);
+  const v4 = v0.clone().addScaledVector(k3v, dt);
+  const k4v = accel(x4, v4);
+  const k4x = v4;
+
+  state.position.copy(x0)
+    .addScaledVector(k1x, dt / 6).addScaledVector(k2x, dt / 3)
+    .addScaledVector(k3x, dt / 3).addScaledVector(k4x, dt / 6);
+  state.velocity.copy(v0)
+    .addScaledVector(k1v, dt / 6).addScaledVector(k2v, dt / 3)
+    .addScaledVector(k3v, dt / 3).addScaledVector(k4v, dt / 6);
+  return state;
+}
+
+// Dormand-Prince 5(4) tableau
+const DP_C = [0, 1 / 5, 3 / 10, 4 / 5, 8 / 9, 1, 1];
+const DP_A = [
+  [],
+  [1 / 5],
+  [3 / 40, 9 / 40],
+  [44 / 45, -56 / 15, 32 / 9],
+  [19372 / 6561, -25360 / 2187, 64448 / 6561, -212 / 729],
+  [9017 / 3168, -355 / 33, 46732 / 5247, 49 / 176, -5103 / 18656],
+  [35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84]
+];
+const DP_B5 = [35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84, 0];
+const DP_B4 = [5179 / 57600, 0, 7571 / 16695, 393 / 640, -92097 / 339200, 187 / 2100, 1 / 40];
+
+// One Dormand-Prince trial step; returns the 5th-order result and an error estimate
+function dormandPrinceStep(x0, v0, h, accel) {
+  const kx = [];
+  const kv = [];
+  for (let s = 0; s < 7; s++) {
+    const x = x0.clone();
+    const v = v0.clone();
+    for (let j = 0; j < s; j++) {
+      x.addScaledVector(kx[j], h * DP_A[s][j]);
+      v.addScaledVector(kv[j], h * DP_A[s][j]);
+    }
+    kx.push(v.clone());
+    kv.push(accel(x, v));
+  }
+
+  const x5 = x0.clone();
+  const v5 = v0.clone();
+  const x4 = x0.clone();
+  const v4 = v0.clone();
+  for (let s = 0; s < 7; s++) {
+    x5.addScaledVector(kx[s], h * DP_B5[s]);
+    v5.addScaledVector(kv[s], h * DP_B5[s]);
+    x4.addScaledVector(kx[s], h * DP_B4[s]);
+    v4.addScaledVector(kv[s], h * DP_B4[s]);
+  }
+
+  // mixed absolute/relative error, normalised so that 1 means "at tolerance"
+  const xScale = Math.max(x0.length(), x5.length(), 1);
+  const vScale = Math.max(v0.length(), v5.length(), 1);
+  const error = Math.max(x5.distanceTo(x4) / xScale, v5.distanceTo(v4) / vScale);
+  return { position: x5, velocity: v5, error };
+}
+
+// Adaptive Dormand-Prince RK45: sub-divides `dt` until each piece meets `tolerance`
+export function rk45(state, dt, accel, { tolerance = 1e-9, minStep = dt * 1e-6 } = {}) {
+  let t = 0;
+  let h = state.rk45Step && state.rk45Step < dt ? state.rk45Step : dt;
+
+  while (t < dt) {
+    h = Math.min(h, dt - t);
+    const trial = dormandPrinceStep(state.position, state.velocity, h, accel);
+    const error = trial.error / tolerance;
+
+    if (error <= 1 || h <= minStep) {
+      state.position.copy(trial.position);
+      state.velocity.copy(trial.velocity);
+      t += h;
+    }
+    // standard step-size controller with safety factor and growth limits
+    const factor = error === 0 ? 5 : 0.9 * Math.pow(error, -1 / 5);
+    h = Math.max(minStep, h * Math.min(5, Math.max(0.2, factor)));
+  }
+
+  state.rk45Step = h; // remembered as the first guess for the next call
+  return state;
+}
+
+export const INTEGRATORS = {
+  euler: { label: 'Euler', step: euler },
+  semiImplicitEuler: { label: 'Semi-implicit Euler', step: semiImplicitEuler },
+  verlet: { label: 'Velocity Verlet', step: verlet },
+  rk4: { label: 'Runge-Kutta 4', step: rk4 },
+  rk45: { label: 'Adaptive RK45', step: rk45 }
+};
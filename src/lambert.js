@@ -0,0 +1,168 @@
+// Interceptor transfers: Lambert's problem (the conic joining two positions in
+// a given time) and an intercept planner that departs the Earth at one time
+// and meets a meteor at another. Short hops stay about the Earth, leaving from
+// a parking orbit; in realistic mode, arrivals beyond the Earth's sphere of
+// influence are solved about the Sun, patched at the Earth's centre.
+// Independent of the DOM.
+import * as THREE from 'three';
+import { eclipticJ2000ToScene, sunPositionJ2000 } from './ephemeris.js';
+import { propagateState, stumpff } from './orbits.js';
+import { predictState } from './deflection.js';
+
+const GM_SUN = 1.32712440018e20; // m³/s²
+const SPHERE_OF_INFLUENCE = 9.25e8; // m, the Earth's about the Sun
+const TWO_PI = 2 * Math.PI;
+const DIRECTIONS = 240; // departure points tried on the parking orbit
+const ARC_POINTS = 200;
+
+// Velocities { v1, v2 } at the ends of the single-revolution conic from `r1`
+// to `r2` taking `tof` seconds about a body of gravitational parameter `mu`
+// (universal variables, bisection on z). The transfer turns the short way
+// unless `normal` is given, in which case it circles about `normal`. Returns
+// null if the geometry has no solution (end points 180° apart).
+export function solveLambert(r1, r2, tof, mu, normal = null) {
+  const m1 = r1.length();
+  const m2 = r2.length();
+  const cross = new THREE.Vector3().crossVectors(r1, r2);
+  let Δθ = Math.acos(Math.max(-1, Math.min(1, r1.dot(r2) / (m1 * m2))));
+  if (normal && cross.dot(normal) < 0) Δθ = TWO_PI - Δθ;
+  const A = Math.sin(Δθ) * Math.sqrt(m1 * m2 / (1 - Math.cos(Δθ)));
+  if (!(Math.abs(A) > 1e-9 * Math.sqrt(m1 * m2))) return null;
+
+  const rootMu = Math.sqrt(mu);
+  const y = z => {
+    const { C, S } = stumpff(z);
+    return m1 + m2 + A * (z * S - 1) / Math.sqrt(C);
+  };
+  // flight time at z; it grows with z, and negative y means z is too small
+  const timeAt = z => {
+    const yz = y(z);
+    if (yz < 0) return -Infinity;
+    const { C, S } = stumpff(z);
+    const χ = Math.sqrt(yz / C);
+    return (χ * χ * χ * S + A * Math.sqrt(yz)) / rootMu;
+  };
+
+  let low = -4 * Math.PI;
+  while (timeAt(low) > tof && low > -1e4) low *= 2;
+  let high = TWO_PI * TWO_PI * (1 - 1e-9);
+  let z = 0;
+  for (let k = 0; k < 200; k++) {
+    z = (low + high) / 2;
+    const t = timeAt(z);
+    if (Math.abs(t - tof) < 1e-12 * tof) break;
+    if (t < tof) low = z;
+    else high = z;
+  }
+
+  const yz = y(z);
+  const f = 1 - yz / m1;
+  const g = A * Math.sqrt(yz / mu);
+  const gDot = 1 - yz / m2;
+  return {
+    v1: r2.clone().addScaledVector(r1, -f).divideScalar(g),
+    v2: r2.clone().multiplyScalar(gDot).sub(r1).divideScalar(g)
+  };
+}
+
+// The Earth's heliocentric position (m, scene axes) at simulated `time`
+function earthPosition(sim, time) {
+  return new THREE.Vector3().copy(sunPositionJ2000(sim.clock.julianDate(time))).negate();
+}
+
+// Evenly spread unit vectors (a Fibonacci sphere)
+function sphereDirections(count) {
+  const golden = Math.PI * (3 - Math.sqrt(5));
+  return Array.from({ length: count }, (_, k) => {
+    const y = 1 - 2 * (k + 0.5) / count;
+    const ring = Math.sqrt(1 - y * y);
+    return new THREE.Vector3(ring * Math.cos(golden * k), y, ring * Math.sin(golden * k));
+  });
+}
+
+// Plan an interceptor for `meteor`, leaving at simulated time `departure` and
+// arriving at `arrival`. Returns { heliocentric, departure, arrival, c3
+// (m²/s², departure energy at infinity), departureDeltaV (m/s from a circular
+// parking orbit), arrivalVelocity (m/s, relative to the meteor), arrivalSpeed,
+// hitsFirst, transfer (the spacecraft's state at departure, for
+// Simulation.addOrbitalObject), points (the arc in geocentric scene units),
+// target (the meeting point, scene units) }, or null if no transfer joins the
+// two. A meteor that reaches the ground before `arrival` is met where it
+// lands, with hitsFirst set and arrival moved up to then.
+export function planIntercept(sim, meteor, { departure = sim.time, arrival, parkingAltitude = 200000 }) {
+  const { mu } = sim.getTwoBodyState(meteor);
+  const target = predictState(sim, meteor, arrival);
+  const hitsFirst = target.impact;
+  arrival = target.time;
+  if (!(arrival > departure)) return null;
+  const tof = arrival - departure;
+  const parking = sim.earthRadiusMeters + parkingAltitude;
+  const heliocentric = sim.realistic && target.position.length() > SPHERE_OF_INFLUENCE;
+
+  let best = null;
+  if (heliocentric) {
+    // patched conics: from the Earth's centre to the meteor, about the Sun
+    const dt = 60;
+    const earth = earthPosition(sim, departure);
+    const earthVelocity = earthPosition(sim, departure + dt).sub(earthPosition(sim, departure - dt)).divideScalar(2 * dt);
+    const r2 = earthPosition(sim, arrival).add(target.position);
+    const meteorVelocity = earthPosition(sim, arrival + dt).sub(earthPosition(sim, arrival - dt)).divideScalar(2 * dt).add(target.velocity);
+    const pole = new THREE.Vector3().copy(eclipticJ2000ToScene({ x: 0, y: 0, z: 1 }));
+    const solution = solveLambert(earth, r2, tof, GM_SUN, pole);
+    if (!solution) return null;
+    const c3 = solution.v1.clone().sub(earthVelocity).lengthSq();
+    const earthMu = sim.G * sim.earthMass;
+    best = {
+      c3,
+      // a burn along the parking orbit onto the escape hyperbola
+      departureDeltaV: Math.sqrt(c3 + 2 * earthMu / parking) - Math.sqrt(earthMu / parking),
+      arrivalVelocity: solution.v2.clone().sub(meteorVelocity),
+      transfer: { position: earth.toArray(), velocity: solution.v1.toArray(), time: departure, mu: GM_SUN, heliocentric: true }
+    };
+  } else {
+    // about the Earth: the point on the parking orbit that needs the smallest burn
+    const r2 = target.position;
+    sphereDirections(DIRECTIONS).forEach(direction => {
+      const r1 = direction.multiplyScalar(parking);
+      const solution = solveLambert(r1, r2, tof, mu);
+      if (!solution) return;
+      // the burn from the circular parking orbit through r1 in the transfer's plane
+      const normal = new THREE.Vector3().crossVectors(r1, solution.v1).normalize();
+      const circular = new THREE.Vector3().crossVectors(normal, r1).setLength(Math.sqrt(mu / parking));
+      const departureDeltaV = solution.v1.distanceTo(circular);
+      if (best && departureDeltaV >= best.departureDeltaV) return;
+      best = {
+        c3: solution.v1.lengthSq() - 2 * mu / parking,
+        departureDeltaV,
+        arrivalVelocity: solution.v2.clone().sub(target.velocity),
+        transfer: { position: r1.toArray(), velocity: solution.v1.toArray(), time: departure, mu, heliocentric: false }
+      };
+    });
+    if (!best) return null;
+  }
+
+  const { transfer } = best;
+  const position = new THREE.Vector3().fromArray(transfer.position);
+  const velocity = new THREE.Vector3().fromArray(transfer.velocity);
+  const points = [];
+  for (let k = 0; k <= ARC_POINTS; k++) {
+    const t = tof * k / ARC_POINTS;
+    const point = propagateState(position, velocity, t, transfer.mu).position;
+    if (heliocentric) point.add(sunPositionJ2000(sim.clock.julianDate(departure + t)));
+    points.push(point.divideScalar(sim.SCENE_SCALE));
+  }
+
+  return {
+    heliocentric,
+    departure,
+    arrival,
+    c3: best.c3,
+    departureDeltaV: best.departureDeltaV,
+    arrivalVelocity: best.arrivalVelocity,
+    arrivalSpeed: best.arrivalVelocity.length(),
+    hitsFirst,
+    transfer,
+    points,
+    target: target.position.clone().divideScalar(sim.SCENE_SCALE)
+  };
+}
@@ -0,0 +1,170 @@
+// Monte Carlo impact corridor: re-fly one meteor many times with its state and
+// physical properties drawn from user-supplied dispersions, each sample in its
+// own headless Simulation, and summarise where they come down. Independent of
+// the DOM; runs in short batches so a browser stays responsive.
+import * as THREE from 'three';
+import { Simulation } from './simulation.js';
+import { Random } from './random.js';
+
+const CHI2_95 = 5.991; // 95% quantile of chi-square with 2 degrees of freedom
+
+// { position: m (1σ per axis), velocity: m/s (1σ per axis), diameterMin,
+//   diameterMax: m (uniform), density: kg/m³ (1σ) }
+export const DEFAULT_DISPERSIONS = { position: 20000, velocity: 50, diameterMin: null, diameterMax: null, density: 300 };
+
+// A perturbed copy of `meteor` as addMeteor() arguments
+export function sampleMeteor(sim, meteor, dispersions, random) {
+  const { SCENE_SCALE } = sim;
+  const jitter = sigma => new THREE.Vector3(random.normal(0, sigma), random.normal(0, sigma), random.normal(0, sigma));
+
+  const nominalDiameter = meteor.breakupSize || meteor.size;
+  const min = dispersions.diameterMin || nominalDiameter;
+  const max = Math.max(dispersions.diameterMax || nominalDiameter, min);
+  const diameter = random.range(min, max + 1e-9);
+  const density = Math.max(500, random.normal(meteor.density || 3000, dispersions.density || 0));
+  const radius = diameter / 2;
+
+  const dv = jitter(dispersions.velocity || 0);
+  return {
+    position: meteor.position.clone().add(jitter((dispersions.position || 0) / SCENE_SCALE)),
+    // scene units per second in realistic mode, per frame in simple mode (as setMeteorState)
+    velocity: meteor.velocity.clone().addScaledVector(dv, sim.realistic ? 1 / SCENE_SCALE : sim.frameSeconds / SCENE_SCALE),
+    physVelocity: meteor.physVelocity.clone().add(dv),
+    mass: density * (4 / 3) * Math.PI * radius * radius * radius,
+    size: diameter,
+    density
+  };
+}
+
+// Fly `samples` perturbed copies of `meteor` from the state of `sim`.
+// Resolves to { samples, outcomes: [{ fate: 'impact' | 'airburst' | 'burnUp'
+// | 'miss', lat, lon, energy, ... }], impactProbability, groundProbability,
+// ellipse }. `fixedStep` trades accuracy for speed. The browser gets a turn
+// every `batchSteps` fixed steps, counted over all samples, since one sample
+// alone may take hundreds of thousands; `onProgress(done, total)` is called
+// at each of these pauses with the samples finished so far.
+export async function runMonteCarlo(sim, meteor, {
+  samples = 200,
+  dispersions = DEFAULT_DISPERSIONS,
+  seed = sim.random.seed,
+  fixedStep = 0.1,
+  batchSteps = 2000,
+  onProgress = null
+} = {}) {
+  const random = new Random(`${seed}:montecarlo`);
+  // freeze the starting point; the live simulation keeps running meanwhile
+  const start = { time: sim.time, epoch: sim.clock.epoch, realistic: sim.realistic, integrator: sim.integrator, SCENE_SCALE: sim.SCENE_SCALE };
+  const nominal = {
+    position: meteor.position.clone(),
+    velocity: meteor.velocity.clone(),
+    physVelocity: meteor.physVelocity.clone(),
+    size: meteor.size,
+    breakupSize: meteor.breakupSize,
+    density: meteor.density
+  };
+  const startDistance = nominal.position.length();
+  const speed = Math.max(sim.getSpeed(nominal), 1);
+  // long enough to fall from where it is, plus slack for slow or curving paths
+  const maxTime = Math.min(2 * startDistance * start.SCENE_SCALE / speed + 600, 6 * 3600);
+
+  const outcomes = [];
+  let pending = 0; // fixed steps since the last pause
+  const pause = async (steps) => {
+    pending += steps;
+    if (pending < batchSteps) return;
+    pending = 0;
+    if (onProgress) onProgress(outcomes.length, samples);
+    await new Promise(resolve => setTimeout(resolve, 0));
+  };
+  for (let k = 0; k < samples; k++) {
+    outcomes.push(await flySample(start, nominal, dispersions, random, { fixedStep, maxTime, startDistance, pause }));
+  }
+  if (onProgress) onProgress(samples, samples);
+
+  const hits = outcomes.filter(o => o.fate === 'impact' || o.fate === 'airburst');
+  return {
+    samples,
+    outcomes,
+    impactProbability: hits.length / samples, // anything reaching the lower atmosphere or ground
+    groundProbability: outcomes.filter(o => o.fate === 'impact').length / samples,
+    ellipse: impactEllipse(hits)
+  };
+}
+
+async function flySample(start, nominal, dispersions, random, { fixedStep, maxTime, startDistance, pause }) {
+  const sample = new Simulation({ seed: random.next() * 4294967296, realistic: start.realistic, integrator: start.integrator, epoch: start.epoch });
+  sample.fixedStep = fixedStep;
+  sample.time = start.time;
+  sample.updateMoon();
+  const body = sample.addMeteor(sampleMeteor(sample, nominal, dispersions, random));
+
+  let outcome = null;
+  sample.on('impact', ({ position, speed, angle, energy }) => {
+    outcome = { fate: 'impact', ...sample.positionToLatLon(position), speed, angle, energy, diameter: body.breakupSize || body.size, density: body.density };
+  });
+  sample.on('airburst', ({ position, altitude, energy }) => {
+    outcome = { fate: 'airburst', ...sample.positionToLatLon(position), altitude, energy, diameter: body.breakupSize, density: body.density };
+  });
+  sample.on('burnUp', () => { outcome = { fate: 'burnUp' }; });
+
+  const end = start.time + maxTime;
+  const escape = startDistance * 1.5 + sample.earthRadius;
+  while (!outcome && sample.time < end) {
+    await pause(sample.step(fixedStep * 50));
+    if (body.position.length() > escape) break;
+  }
+  return outcome || { fate: 'miss' };
+}
+
+// Mean point and 95% ellipse of impact points, from their covariance in a
+// local east/north plane: { lat, lon, semiMajor, semiMinor (m), bearing
+// (rad east of north, of the major axis), outline: [[lat, lon], ...] }, or
+// null with fewer than three points
+export function impactEllipse(points, earthRadius = 6371000) {
+  if (points.length < 3) return null;
+  const toRad = Math.PI / 180;
+
+  // mean on the sphere via the average unit vector
+  const mean = new THREE.Vector3();
+  points.forEach(({ lat, lon }) => mean.add(new THREE.Vector3(
+    Math.cos(lat * toRad) * Math.cos(lon * toRad),
+    Math.cos(lat * toRad) * Math.sin(lon * toRad),
+    Math.sin(lat * toRad)
+  )));
+  mean.normalize();
+  const lat0 = Math.asin(mean.z) / toRad;
+  const lon0 = Math.atan2(mean.y, mean.x) / toRad;
+
+  // east/north offsets (m), small-area approximation
+  const offsets = points.map(({ lat, lon }) => {
+    const dLon = ((lon - lon0 + 540) % 360) - 180;
+    return [dLon * toRad * earthRadius * Math.cos(lat0 * toRad), (lat - lat0) * toRad * earthRadius];
+  });
+  let see = 0, snn = 0, sen = 0;
+  offsets.forEach(([e, n]) => { see += e * e; snn += n * n; sen += e * n; });
+  const count = offsets.length - 1;
+  see /= count; snn /= count; sen /= count;
+
+  // eigen-decomposition of the 2x2 covariance
+  const trace = see + snn;
+  const root = Math.sqrt(Math.max(0, (see - snn) * (see - snn) / 4 + sen * sen));
+  const major = trace / 2 + root;
+  const minor = Math.max(0, trace / 2 - root);
+  const bearing = Math.atan2(major - snn, sen || 1e-12); // direction of the major axis, east of north
+  const semiMajor = Math.sqrt(CHI2_95 * major);
+  const semiMinor = Math.sqrt(CHI2_95 * minor);
+
+  const outline = [];
+  for (let k = 0; k <= 72; k++) {
+    const t = 2 * Math.PI * k / 72;
+    const along = semiMajor * Math.cos(t);
+    const across = semiMinor * Math.sin(t);
+    const east = along * Math.sin(bearing) + across * Math.cos(bearing);
+    const north = along * Math.cos(bearing) - across * Math.sin(bearing);
+    outline.push([
+      lat0 + north / earthRadius / toRad,
+      lon0 + east / (earthRadius * Math.cos(lat0 * toRad)) / toRad
+    ]);
+  }
+  return { lat: lat0, lon: lon0, semiMajor, semiMinor, bearing, outline };
+}
@@ -0,0 +1,48 @@
+// Reading NASA NeoWs (https://api.nasa.gov, /neo/rest/v1/neo/{id}) responses:
+// osculating orbital elements from `orbital_data` and the list of close
+// approaches. The orbit itself is propagated by Simulation.heliocentricPosition().
+// Independent of the DOM.
+import { AU } from './ephemeris.js';
+
+const DEG = Math.PI / 180;
+
+// Heliocentric elements in SI/radians, J2000 ecliptic: { a (m), e, i, Ω, ω,
+// M (at epoch), n (rad/day), epoch (Julian date), orbitClass }, or null when
+// the response has no usable elliptical orbit
+export function orbitalElementsFromNeoWs(orbitalData) {
+  if (!orbitalData) return null;
+  const num = key => parseFloat(orbitalData[key]);
+  const a = num('semi_major_axis');
+  const e = num('eccentricity');
+  const epoch = num('epoch_osculation');
+  if (!(a > 0) || !(e >= 0 && e < 1) || !Number.isFinite(epoch)) return null;
+
+  // mean motion from the data if given, else from Kepler's third law (k = 0.01720209895 rad/day)
+  const meanMotion = num('mean_motion');
+  const n = Number.isFinite(meanMotion) ? meanMotion * DEG : 0.01720209895 / Math.pow(a, 1.5);
+
+  return {
+    a: a * AU,
+    e,
+    i: (num('inclination') || 0) * DEG,
+    Ω: (num('ascending_node_longitude') || 0) * DEG,
+    ω: (num('perihelion_argument') || 0) * DEG,
+    M: (num('mean_anomaly') || 0) * DEG,
+    n,
+    epoch,
+    orbitClass: orbitalData.orbit_class ? orbitalData.orbit_class.orbit_class_type : null
+  };
+}
+
+// Close approaches to `body`, oldest first: { date (ms UTC), label, missDistance (m), relativeSpeed (m/s) }
+export function closeApproaches(details, body = 'Earth') {
+  return (details.close_approach_data || [])
+    .filter(approach => approach.orbiting_body === body && Number.isFinite(Number(approach.epoch_date_close_approach)))
+    .map(approach => ({
+      date: Number(approach.epoch_date_close_approach),
+      label: approach.close_approach_date_full || approach.close_approach_date,
+      missDistance: parseFloat(approach.miss_distance.kilometers) * 1000,
+      relativeSpeed: parseFloat(approach.relative_velocity.kilometers_per_second) * 1000
+    }))
+    .sort((a, b) => a.date - b.date);
+}
@@ -0,0 +1,128 @@
+// Classical orbital elements <-> state vectors. Frames here have +Z as the
+// reference pole (the Earth's axis for geocentric orbits, the ecliptic pole
+// for heliocentric ones); convert to the scene frame with equatorialToScene().
+// Independent of the DOM.
+import * as THREE from 'three';
+
+const TWO_PI = 2 * Math.PI;
+
+// Orbit plane (x toward periapsis, y 90° ahead along the motion) -> reference
+// frame: the 3-1-3 rotation Rz(Ω)·Rx(i)·Rz(ω)
+export function perifocalToReference(x, y, i, Ω, ω) {
+  const cosΩ = Math.cos(Ω), sinΩ = Math.sin(Ω);
+  const cosi = Math.cos(i), sini = Math.sin(i);
+  const cosω = Math.cos(ω), sinω = Math.sin(ω);
+  return new THREE.Vector3(
+    (cosΩ * cosω - sinΩ * sinω * cosi) * x + (-cosΩ * sinω - sinΩ * cosω * cosi) * y,
+    (sinΩ * cosω + cosΩ * sinω * cosi) * x + (-sinΩ * sinω + cosΩ * cosω * cosi) * y,
+    sinω * sini * x + cosω * sini * y
+  );
+}
+
+// Osculating elements of `position`/`velocity` about a body with gravitational
+// parameter `mu` (any consistent units): { a, e, i, Ω, ω, ν, period,
+// periapsis }. Unbound orbits have a <= 0 and period Infinity. For equatorial
+// orbits Ω is 0 and ω is measured from +X; for circular ones ω is 0 and ν is
+// measured from the node.
+export function stateToElements(position, velocity, mu) {
+  const r = position.length();
+  const v2 = velocity.lengthSq();
+  const h = new THREE.Vector3().crossVectors(position, velocity);
+  const hm = h.length();
+  const node = new THREE.Vector3(-h.y, h.x, 0); // z × h
+  const nm = node.length();
+  const eVec = position.clone().multiplyScalar(v2 - mu / r)
+    .addScaledVector(velocity, -position.dot(velocity))
+    .divideScalar(mu);
+  const e = eVec.length();
+  const energy = v2 / 2 - mu / r;
+  const a = Math.abs(energy) > 1e-12 * mu / r ? -mu / (2 * energy) : Infinity;
+
+  const angle = (u, w) => Math.acos(Math.max(-1, Math.min(1, u.dot(w) / (u.length() * w.length()))));
+  const i = Math.acos(Math.max(-1, Math.min(1, h.z / hm)));
+  const equatorial = nm < 1e-10 * hm;
+  const circular = e < 1e-8;
+
+  const Ω = equatorial ? 0 : Math.atan2(node.y, node.x);
+  let ω = 0;
+  if (!circular) {
+    if (equatorial) {
+      ω = Math.atan2(eVec.y, eVec.x);
+      if (h.z < 0) ω = -ω;
+    } else {
+      ω = angle(node, eVec);
+      if (eVec.z < 0) ω = TWO_PI - ω;
+    }
+  }
+  const from = circular ? (equatorial ? new THREE.Vector3(1, 0, 0) : node) : eVec;
+  let ν = angle(from, position);
+  if (circular ? position.z < 0 || (equatorial && position.y < 0) : position.dot(velocity) < 0) ν = TWO_PI - ν;
+
+  const wrap = x => ((x % TWO_PI) + TWO_PI) % TWO_PI;
+  return {
+    a,
+    e,
+    i,
+    Ω: wrap(Ω),
+    ω: wrap(ω),
+    ν: wrap(ν),
+    period: a > 0 ? TWO_PI * Math.sqrt(a * a * a / mu) : Infinity,
+    periapsis: hm * hm / (mu * (1 + e))
+  };
+}
+
+// Stumpff functions C(z) and S(z) of the universal-variable formulation
+export function stumpff(z) {
+  if (z > 1e-6) {
+    const s = Math.sqrt(z);
+    return { C: (1 - Math.cos(s)) / z, S: (s - Math.sin(s)) / (s * s * s) };
+  }
+  if (z < -1e-6) {
+    const s = Math.sqrt(-z);
+    return { C: (Math.cosh(s) - 1) / -z, S: (Math.sinh(s) - s) / (s * s * s) };
+  }
+  return { C: 1 / 2 - z / 24, S: 1 / 6 - z / 120 };
+}
+
+// Two-body state `dt` seconds on (or back) from `position`/`velocity` about a
+// body with gravitational parameter `mu`, on any conic: { position, velocity }
+export function propagateState(position, velocity, dt, mu) {
+  const r0 = position.length();
+  const vr0 = position.dot(velocity) / r0;
+  const alpha = 2 / r0 - velocity.lengthSq() / mu; // 1/a
+  const rootMu = Math.sqrt(mu);
+
+  // universal anomaly χ by Newton's method on the universal Kepler equation
+  let χ = rootMu * Math.abs(alpha) * dt;
+  if (!(Math.abs(alpha) > 1e-12 / r0)) χ = rootMu * dt / r0;
+  if (alpha < 0) {
+    // a hyperbola's χ grows with the log of the time; start near it
+    const a = 1 / alpha;
+    const sign = Math.sign(dt);
+    const guess = sign * Math.sqrt(-a) * Math.log(Math.max(1e-12,
+      (-2 * mu * alpha * dt) / (position.dot(velocity) + sign * Math.sqrt(-mu * a) * (1 - r0 * alpha))));
+    if (Number.isFinite(guess)) χ = guess;
+  }
+  for (let k = 0; k < 100; k++) {
+    const z = alpha * χ * χ;
+    const { C, S } = stumpff(z);
+    const F = r0 * vr0 / rootMu * χ * χ * C + (1 - alpha * r0) * χ * χ * χ * S + r0 * χ - rootMu * dt;
+    const dF = r0 * vr0 / rootMu * χ * (1 - z * S) + (1 - alpha * r0) * χ * χ * C + r0;
+    const step = F / dF;
+    χ -= step;
+    if (Math.abs(step) < 1e-10 * Math.max(1, Math.abs(χ))) break;
+  }
+
+  const z = alpha * χ * χ;
+  const { C, S } = stumpff(z);
+  const f = 1 - χ * χ / r0 * C;
+  const g = dt - χ * χ * χ * S / rootMu;
+  const newPosition = position.clone().multiplyScalar(f).addScaledVector(velocity, g);
+  const r = newPosition.length();
+  const fDot = rootMu / (r * r0) * (z * S - 1) * χ;
+  const gDot = 1 - χ * χ / r * C;
+  return {
+    position: newPosition,
+    velocity: position.clone().multiplyScalar(fDot).addScaledVector(velocity, gDot)
+  };
+}
@@ -0,0 +1,60 @@
+// Seeded pseudo-random numbers so a seed plus the same inputs reproduces a run.
+// mulberry32: tiny, fast and good enough for simulation jitter.
+export class Random {
+  constructor(seed = randomSeed()) {
+    this.setSeed(seed);
+  }
+
+  // Accepts any integer or string; strings are hashed
+  setSeed(seed) {
+    this.seed = normalizeSeed(seed);
+    this.state = this.seed;
+  }
+
+  // Float in [0, 1)
+  next() {
+    let t = (this.state = (this.state + 0x6D2B79F5) >>> 0);
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  // Float in [min, max)
+  range(min, max) {
+    return min + (max - min) * this.next();
+  }
+
+  // Standard normal deviate (Box-Muller)
+  normal(mean = 0, stdDev = 1) {
+    const u = 1 - this.next();
+    const v = this.next();
+    return mean + stdDev * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+  }
+
+  // Independent stream derived from this seed, e.g. one per subsystem
+  fork(label) {
+    return new Random(hashString(`${this.seed}:${label}`));
+  }
+}
+
+// A fresh seed for when the user did not pick one
+export function randomSeed() {
+  return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+export function normalizeSeed(seed) {
+  if (typeof seed === 'number' && Number.isFinite(seed)) return Math.floor(seed) >>> 0;
+  const text = String(seed).trim();
+  if (/^\d+$/.test(text)) return Number(text) >>> 0;
+  return hashString(text);
+}
+
+// FNV-1a 32-bit
+function hashString(text) {
+  let hash = 0x811C9DC5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
@@ -0,0 +1,142 @@
+// Record-and-replay for the simulation. A frame snapshots the moon, every
+// orbital object and every meteor after a Simulation.step(); discrete events
+// (burn start, burn-up, breakup, airbursts, impacts, map markers) are kept in
+// a separate list stamped with the simulated time they happened at.
+// Independent of the DOM.
+export const RECORDING_FORMAT = 'meteor-demo-recording';
+export const RECORDING_VERSION = 1;
+
+const toArray = v => [v.x, v.y, v.z];
+const lerpArray = (a, b, t) => a.map((value, k) => value + (b[k] - value) * t);
+// angles in [0, 2π) turning forward from `a` to `b`, across the wrap if need be
+const TAU = 2 * Math.PI;
+const lerpAngle = (a, b, t) => (a + (((b - a) % TAU + TAU) % TAU) * t) % TAU;
+
+export class Recorder {
+  constructor(sim, { maxFrames = 18000 } = {}) {
+    this.sim = sim;
+    this.maxFrames = maxFrames; // about five minutes at 60 fps
+    this.frames = [];
+    this.events = [];
+
+    sim.on('burnStart', ({ meteor }) => this.mark('burnStart', { id: meteor.id, position: toArray(meteor.position) }));
+    sim.on('burnUp', ({ meteor }) => this.mark('burnUp', { id: meteor.id, position: toArray(meteor.position) }));
+    sim.on('breakup', ({ meteor, position, altitude }) => this.mark('breakup', { id: meteor.id, position: toArray(position), altitude }));
+    sim.on('airburst', ({ meteor, position, altitude, energy }) => this.mark('airburst', {
+      id: meteor.id,
+      position: toArray(position),
+      altitude,
+      energy,
+      size: meteor.size
+    }));
+    sim.on('impact', ({ meteor, position, speed, energy }) => this.mark('impact', {
+      id: meteor.id,
+      position: toArray(position),
+      speed,
+      energy,
+      size: meteor.size
+    }));
+  }
+
+  get startTime() {
+    return this.frames.length ? this.frames[0].time : 0;
+  }
+
+  get endTime() {
+    return this.frames.length ? this.frames[this.frames.length - 1].time : 0;
+  }
+
+  clear() {
+    this.frames = [];
+    this.events = [];
+  }
+
+  // Snapshot the simulation; call once after every Simulation.step()
+  capture() {
+    const { sim } = this;
+    if (this.frames.length && this.endTime === sim.time) return;
+
+    this.frames.push({
+      time: sim.time,
+      earthRotation: sim.earthRotationAngle(),
+      moon: toArray(sim.moonPosition),
+      orbitalObjects: sim.orbitalObjects.map(o => toArray(o.position)),
+      meteors: sim.meteors.filter(m => m.active).map(m => ({
+        id: m.id,
+        name: m.name || null,
+        position: toArray(m.position),
+        size: m.size,
+        burning: m.burning,
+        burnIntensity: m.burnIntensity,
+        fragmented: m.fragmented
+      }))
+    });
+
+    // drop the oldest tenth at once rather than shifting every frame
+    if (this.frames.length > this.maxFrames) {
+      this.frames.splice(0, Math.ceil(this.maxFrames / 10));
+      const start = this.startTime;
+      this.events = this.events.filter(e => e.time >= start);
+    }
+  }
+
+  // Record a discrete event at the current simulated time
+  mark(type, data = {}) {
+    this.events.push({ type, time: this.sim.time, ...data });
+  }
+
+  // Index of the last frame at or before `time`
+  indexAt(time) {
+    let lo = 0;
+    let hi = this.frames.length - 1;
+    if (hi < 0 || time < this.frames[0].time) return -1;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (this.frames[mid].time <= time) lo = mid; else hi = mid - 1;
+    }
+    return lo;
+  }
+
+  // Frame at `time`, interpolating positions between the two nearest snapshots
+  sample(time) {
+    if (!this.frames.length) return null;
+    const index = Math.max(0, this.indexAt(time));
+    const frame = this.frames[index];
+    const next = this.frames[index + 1];
+    if (!next || time <= frame.time) return frame;
+
+    const t = (time - frame.time) / (next.time - frame.time);
+    const nextMeteors = new Map(next.meteors.map(m => [m.id, m]));
+    return {
+      time,
+      earthRotation: lerpAngle(frame.earthRotation, next.earthRotation, t),
+      moon: lerpArray(frame.moon, next.moon, t),
+      orbitalObjects: frame.orbitalObjects.map((p, k) => next.orbitalObjects[k] ? lerpArray(p, next.orbitalObjects[k], t) : p),
+      meteors: frame.meteors.map(m => {
+        const later = nextMeteors.get(m.id);
+        return later ? { ...m, position: lerpArray(m.position, later.position, t) } : m;
+      })
+    };
+  }
+
+  // Events with from < time <= to
+  eventsBetween(from, to) {
+    return this.events.filter(e => e.time > from && e.time <= to);
+  }
+
+  toJSON() {
+    return {
+      format: RECORDING_FORMAT,
+      version: RECORDING_VERSION,
+      createdAt: new Date().toISOString(),
+      seed: this.sim.random.seed,
+      units: { position: 'scene units (1e5 m)', size: 'm', time: 's', energy: 'J' },
+      frames: this.frames,
+      events: this.events
+    };
+  }
+
+  serialize() {
+    return JSON.stringify(this.toJSON());
+  }
+}
@@ -0,0 +1,254 @@
+import * as THREE from 'three';
+
+// Versioned JSON scenario files: physics settings, every meteor's state vector
+// and every orbital object's elements. Independent of the DOM so scenarios can
+// be loaded straight into a headless Simulation.
+// Bump the version whenever the format changes. Older files still load, with
+// the fields they lack defaulted:
+//   2 - meteors carry density, strength and breakup state; without them
+//       addMeteor derives density and strength from mass and size, intact
+//   3 - physics.earthRotationOffset, the Earth's spin angle at time 0
+//   4 - physics.epoch, the UTC date at time 0, replaces earthRotationOffset;
+//       the Earth's spin and the Moon follow from it, so older files start
+//       at the current clock's epoch and their moonAngle is not applied
+export const SCENARIO_FORMAT = 'meteor-demo-scenario';
+export const SCENARIO_VERSION = 4;
+
+export class ScenarioError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ScenarioError';
+  }
+}
+
+const toArray = v => [v.x, v.y, v.z];
+
+// Snapshot `sim` (plus UI `settings` owned by the App) as a scenario object
+export function createScenario(sim, settings = {}) {
+  return {
+    format: SCENARIO_FORMAT,
+    version: SCENARIO_VERSION,
+    createdAt: new Date().toISOString(),
+    settings: { ...settings },
+    physics: {
+      realistic: sim.realistic,
+      integrator: sim.integrator,
+      seed: sim.random.seed,
+      randomState: sim.random.state,
+      time: sim.time,
+      accumulator: sim.accumulator, // unstepped remainder of the fixed-step clock
+      moonAngle: sim.moonAngle, // ecliptic longitude; follows from epoch + time
+      epoch: new Date(sim.clock.epoch).toISOString() // UTC at time 0
+    },
+    meteors: sim.meteors.filter(m => m.active).map(m => ({
+      name: m.name || null,
+      asteroidId: m.asteroidData ? m.asteroidData.id : (m.asteroidId || null),
+      position: toArray(m.position), // scene units
+      velocity: toArray(m.velocity), // scene units per frame (simple mode)
+      physVelocity: toArray(m.physVelocity), // m/s (realistic mode)
+      mass: m.mass, // kg
+      size: m.size, // diameter, m
+      burning: m.burning,
+      burnIntensity: m.burnIntensity,
+      entrySpeed: m.entrySpeed,
+      energy: m.energy,
+      density: m.density, // bulk, kg/m³
+      strength: m.strength, // Pa
+      fragmented: m.fragmented,
+      ...(m.fragmented ? {
+        breakupAltitude: m.breakupAltitude,
+        breakupSize: m.breakupSize,
+        breakupEnergy: m.breakupEnergy,
+        spreadRate: m.spreadRate
+      } : {})
+    })),
+    orbitalObjects: sim.orbitalObjects.map(o => ({
+      params: { ...o.params },
+      currentTime: o.currentTime
+    }))
+  };
+}
+
+export function serializeScenario(sim, settings) {
+  return JSON.stringify(createScenario(sim, settings), null, 2);
+}
+
+function readVector(value, where) {
+  if (!Array.isArray(value) || value.length !== 3 || !value.every(Number.isFinite)) {
+    throw new ScenarioError(`${where} must be an array of three numbers`);
+  }
+  return new THREE.Vector3(value[0], value[1], value[2]);
+}
+
+function readPositive(value, where) {
+  if (!Number.isFinite(value) || value <= 0) throw new ScenarioError(`${where} must be a positive number`);
+  return value;
+}
+
+// Parse and validate a scenario from JSON text or an already-parsed object,
+// bringing older versions up to SCENARIO_VERSION
+export function parseScenario(input) {
+  let data = input;
+  if (typeof input === 'string') {
+    try {
+      data = JSON.parse(input);
+    } catch (err) {
+      throw new ScenarioError(`Scenario is not valid JSON: ${err.message}`);
+    }
+  }
+
+  if (!data || data.format !== SCENARIO_FORMAT) throw new ScenarioError('Not a meteor-demo scenario file');
+  if (!Number.isInteger(data.version) || data.version < 1) throw new ScenarioError('Scenario has no valid version');
+  if (data.version > SCENARIO_VERSION) {
+    throw new ScenarioError(`Scenario version ${data.version} is newer than supported version ${SCENARIO_VERSION}`);
+  }
+
+  const physics = data.physics || {};
+  const meteors = (data.meteors || []).map((m, index) => {
+    const where = `meteors[${index}]`;
+    return {
+      ...m,
+      position: readVector(m.position, `${where}.position`),
+      velocity: readVector(m.velocity, `${where}.velocity`),
+      physVelocity: readVector(m.physVelocity, `${where}.physVelocity`),
+      mass: readPositive(m.mass, `${where}.mass`),
+      size: readPositive(m.size, `${where}.size`)
+    };
+  });
+  const orbitalObjects = (data.orbitalObjects || []).map((o, index) => {
+    if (!o || typeof o.params !== 'object') throw new ScenarioError(`orbitalObjects[${index}].params is missing`);
+    return { params: { ...o.params }, currentTime: Number(o.currentTime) || 0 };
+  });
+
+  return {
+    format: data.format,
+    version: SCENARIO_VERSION,
+    createdAt: data.createdAt || null,
+    settings: data.settings || {},
+    physics: {
+      realistic: Boolean(physics.realistic),
+      integrator: physics.integrator || 'rk4',
+      seed: physics.seed,
+      randomState: physics.randomState,
+      time: Number(physics.time) || 0,
+      accumulator: Number(physics.accumulator) || 0,
+      moonAngle: Number(physics.moonAngle) || 0,
+      epoch: data.version >= 4 && Number.isFinite(new Date(physics.epoch).valueOf()) ? new Date(physics.epoch).toISOString() : null
+    },
+    meteors,
+    orbitalObjects
+  };
+}
+
+// Replace the contents of `sim` with a parsed scenario
+export function applyScenario(sim, scenario) {
+  sim.reset();
+
+  const { physics } = scenario;
+  sim.realistic = physics.realistic;
+  sim.integrator = physics.integrator;
+  if (physics.seed !== undefined) sim.setSeed(physics.seed);
+  if (Number.isFinite(physics.randomState)) sim.random.state = physics.randomState >>> 0;
+  sim.time = physics.time;
+  sim.accumulator = physics.accumulator;
+  if (physics.epoch) sim.clock.epoch = Date.parse(physics.epoch);
+  sim.updateMoon();
+
+  scenario.meteors.forEach(meteor => sim.addMeteor(meteor));
+  scenario.orbitalObjects.forEach(({ params, currentTime }) => {
+    const orbitalObject = sim.addOrbitalObject(params);
+    orbitalObject.currentTime = currentTime;
+    sim.propagateOrbit(orbitalObject, 0);
+  });
+
+  return sim;
+}
+
+// URL hash form of a scenario ("#s=..."): positional arrays instead of keyed
+// objects, numbers cut to 8 significant digits, then base64url. Decoding gives
+// back a plain scenario object for parseScenario().
+export const HASH_KEY = 's';
+
+const round = x => (Number.isFinite(x) ? Number(x.toPrecision(8)) : x);
+const roundAll = values => values.map(round);
+const METEOR_FIELDS = [
+  'name', 'asteroidId', 'mass', 'size', 'burning', 'burnIntensity', 'entrySpeed', 'energy',
+  'density', 'strength', 'fragmented', 'breakupAltitude', 'breakupSize', 'breakupEnergy', 'spreadRate'
+];
+const PHYSICS_FIELDS = ['realistic', 'integrator', 'seed', 'randomState', 'time', 'accumulator', 'moonAngle', 'epoch'];
+
+// The positional fields as links of an older `version` wrote them
+function hashFields(version) {
+  const physics = PHYSICS_FIELDS.slice(0, 7);
+  return {
+    meteor: version < 2 ? METEOR_FIELDS.slice(0, 8) : METEOR_FIELDS,
+    physics: version < 3 ? physics : version < 4 ? [...physics, 'earthRotationOffset'] : PHYSICS_FIELDS
+  };
+}
+
+function roundDeep(value) {
+  if (Array.isArray(value)) return value.map(roundDeep);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, roundDeep(v)]));
+  }
+  return round(value);
+}
+
+function toBase64Url(text) {
+  const bytes = new TextEncoder().encode(text);
+  let binary = '';
+  bytes.forEach(b => { binary += String.fromCharCode(b); });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return new TextDecoder().decode(Uint8Array.from(binary, c => c.charCodeAt(0)));
+}
+
+export function encodeScenarioHash(scenario) {
+  const compact = {
+    v: scenario.version,
+    s: roundDeep(scenario.settings),
+    p: PHYSICS_FIELDS.map(k => (k === 'seed' || k === 'randomState' ? scenario.physics[k] : round(scenario.physics[k]))),
+    m: scenario.meteors.map(m => [
+      ...METEOR_FIELDS.map(k => round(m[k])),
+      roundAll(m.position),
+      roundAll(m.velocity),
+      roundAll(m.physVelocity)
+    ]),
+    o: scenario.orbitalObjects.map(o => [roundDeep(o.params), round(o.currentTime)])
+  };
+  return `${HASH_KEY}=${toBase64Url(JSON.stringify(compact))}`;
+}
+
+// Inverse of encodeScenarioHash; returns null when the hash holds no scenario
+export function decodeScenarioHash(hash) {
+  const params = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+  const encoded = params.get(HASH_KEY);
+  if (!encoded) return null;
+
+  let compact;
+  try {
+    compact = JSON.parse(fromBase64Url(encoded));
+  } catch (err) {
+    throw new ScenarioError('Link does not contain a readable scenario');
+  }
+  if (!compact || !Array.isArray(compact.p)) throw new ScenarioError('Link does not contain a readable scenario');
+
+  // an invalid version is rejected later by parseScenario
+  const fields = hashFields(Number.isInteger(compact.v) ? compact.v : SCENARIO_VERSION);
+  return {
+    format: SCENARIO_FORMAT,
+    version: compact.v,
+    settings: compact.s || {},
+    physics: Object.fromEntries(fields.physics.map((k, i) => [k, compact.p[i]])),
+    meteors: (compact.m || []).map(row => {
+      // unset fields come back as null; leave them out so addMeteor fills defaults
+      const meteor = Object.fromEntries(fields.meteor.map((k, i) => [k, row[i]]).filter(([, v]) => v !== null));
+      const n = fields.meteor.length;
+      return { ...meteor, position: row[n], velocity: row[n + 1], physVelocity: row[n + 2] };
+    }),
+    orbitalObjects: (compact.o || []).map(([params, currentTime]) => ({ params, currentTime }))
+  };
+}
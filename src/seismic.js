@@ -0,0 +1,73 @@
+// Ground shaking from an impact, after the Earth Impact Effects Program
+// (Collins et al. 2005): a small share of the energy becomes seismic waves,
+// giving a Richter magnitude that falls off with distance into an effective
+// magnitude, read as a Modified Mercalli intensity. Energies are joules,
+// distances metres. Independent of the DOM.
+
+export const SEISMIC_EFFICIENCY = 1e-4; // share of the energy radiated as seismic waves
+
+// Modified Mercalli intensities drawn as contours (USGS descriptions)
+export const MERCALLI_LEVELS = [
+  { intensity: 12, roman: 'XII', shaking: 'Extreme', description: 'Damage total; the ground moves in waves and objects are thrown into the air' },
+  { intensity: 11, roman: 'XI', shaking: 'Extreme', description: 'Few masonry structures left standing; bridges destroyed, rails bent' },
+  { intensity: 10, roman: 'X', shaking: 'Extreme', description: 'Most masonry and frame buildings destroyed with their foundations' },
+  { intensity: 9, roman: 'IX', shaking: 'Violent', description: 'Heavy damage, buildings shifted off their foundations, partial collapse' },
+  { intensity: 8, roman: 'VIII', shaking: 'Severe', description: 'Considerable damage to ordinary buildings; chimneys and walls fall' },
+  { intensity: 7, roman: 'VII', shaking: 'Very strong', description: 'Slight damage to well-built structures, considerable to poorly built ones' },
+  { intensity: 6, roman: 'VI', shaking: 'Strong', description: 'Felt by all; heavy furniture moved, fallen plaster' },
+  { intensity: 5, roman: 'V', shaking: 'Moderate', description: 'Felt by nearly everyone; dishes and windows broken, unstable objects overturned' },
+  { intensity: 4, roman: 'IV', shaking: 'Light', description: 'Felt indoors by many; dishes, windows and doors rattle' },
+  { intensity: 3, roman: 'III', shaking: 'Weak', description: 'Felt quite noticeably indoors, like a passing truck' },
+  { intensity: 2, roman: 'II', shaking: 'Weak', description: 'Felt only by a few people at rest' }
+];
+
+// Richter magnitude of an impact releasing `energy`: its seismic share put
+// into the Gutenberg-Richter energy relation log E = 1.5 M + 4.8, which gives
+// Collins et al.'s M = 0.67 log E - 5.87
+export function impactMagnitude(energy) {
+  return (Math.log10(SEISMIC_EFFICIENCY * energy) - 4.8) / 1.5;
+}
+
+// Magnitude of a quake at the epicentre that would shake the ground as hard
+// as `magnitude` does `distance` away. The far branch is the 1.66 log Δ
+// surface-wave decay, joined to the middle one at 700 km.
+export function effectiveMagnitude(magnitude, distance) {
+  const km = distance / 1000;
+  if (km < 60) return magnitude - 0.0238 * km;
+  if (km < 700) return magnitude - 0.0048 * km - 1.1644;
+  return magnitude - 4.5244 - 1.66 * Math.log10(km / 700);
+}
+
+// Distance (m) at which the effective magnitude has dropped to `target`
+function distanceFor(magnitude, target) {
+  const drop = magnitude - target;
+  if (drop <= 0) return 0;
+  if (drop < 0.0238 * 60) return drop / 0.0238 * 1000;
+  if (drop < 4.5244) return Math.max(60, (drop - 1.1644) / 0.0048) * 1000;
+  return 700e3 * Math.pow(10, (drop - 4.5244) / 1.66);
+}
+
+// Mercalli intensity (real-valued, below 1 where not felt) for an effective
+// magnitude: a straight-line fit to Collins et al. (2005), table 4
+export function mercalliIntensity(effective) {
+  return 1.5 * effective - 0.5;
+}
+
+// Shaking from an impact of `energy`: { magnitude, intensity (at the
+// epicentre), contours: [{ intensity, roman, shaking, description, radius
+// (m) }] }, widest first, for every level felt somewhere; levels reaching
+// beyond `maxRadius` (half way round the Earth by default) shake the whole
+// globe and get no contour.
+export function seismicEffects(energy, { maxRadius = 2.0e7 } = {}) {
+  const magnitude = impactMagnitude(energy);
+  const contours = [];
+  MERCALLI_LEVELS.forEach(level => {
+    const radius = distanceFor(magnitude, (level.intensity + 0.5) / 1.5);
+    if (radius > 0 && radius < maxRadius) contours.push({ ...level, radius });
+  });
+  return {
+    magnitude,
+    intensity: mercalliIntensity(magnitude),
+    contours: contours.reverse()
+  };
+}
@@ -0,0 +1,885 @@
+import * as THREE from 'three';
+import { INTEGRATORS } from './integrators.js';
+import { Random } from './random.js';
+import { SEA_LEVEL, standardAtmosphere } from './atmosphere.js';
+import { SimClock, earthRotationAngle } from './clock.js';
+import { eclipticJ2000ToScene, equatorialToScene, moonEphemeris, sceneToEquatorial, sunDirection, sunPositionJ2000 } from './ephemeris.js';
+import { perifocalToReference, propagateState, stateToElements } from './orbits.js';
+
+// Headless simulation core: meteors, the Moon and orbital objects.
+// Nothing in here touches the DOM or a THREE scene, so it runs in Node as well
+// as in the browser. The App renders the state and reacts to emitted events:
+//   'burnStart' { meteor }                         meteor started glowing
+//   'burnUp'    { meteor }                         meteor destroyed in the air
+//   'breakup'   { meteor, position, altitude, speed } meteor started to fragment
+//   'airburst'  { meteor, position, altitude, energy, angle, heading } fragment cloud exploded
+//   'impact'    { meteor, position, speed, angle, heading, energy } meteor reached the ground
+//   'deflection' { meteor, deltaV }                velocity changed by an impulse or push (m/s)
+// Positions are inertial and the Earth spins underneath them; latitude and
+// longitude are in the Earth-fixed frame, turned by earthRotationAngle().
+// Speeds that matter to the air or the ground are measured relative to them.
+export class Simulation {
+  constructor(options = {}) {
+    // physics
+    this.G = 6.67430e-11;
+    this.earthMass = 5.972e24;
+    this.earthRadiusMeters = 6371000;
+    this.SCENE_SCALE = 1e5; // meters per scene unit
+    this.earthRadius = this.earthRadiusMeters / this.SCENE_SCALE; // scene units
+    this.gravityStrength = 2.0; // simple-mode gravity, scene units
+    this.impactMargin = 0.2; // scene units above the surface that count as a hit
+    this.frameSeconds = 0.02; // simulated seconds per frame at 1x
+
+    // Earth rotation about +Y (the spin axis), west to east; the angle comes from the clock
+    this.earthRotationRate = 7.2921159e-5; // rad/s, sidereal
+
+    // Integration: time is consumed in fixed sub-steps so high time-warp stays stable
+    this.integrator = options.integrator || 'rk4'; // key of INTEGRATORS
+    this.fixedStep = 0.02; // simulated seconds per sub-step
+    this.maxSubsteps = 2000; // per step() call; excess time is dropped
+    this.accumulator = 0;
+
+    // Moon properties
+    this.moonMass = 7.342e22; // kg
+    this.moonRadiusMeters = 1737400; // meters
+    this.moonRadius = this.moonRadiusMeters / this.SCENE_SCALE; // scene units
+    this.moonDistance = 384400000 / this.SCENE_SCALE; // scene units; the current distance once placed
+    this.moonAngle = 0; // ecliptic longitude, rad
+    this.moonPosition = new THREE.Vector3(this.moonDistance, 0, 0); // placed by updateMoon() from the ephemeris
+
+    // Atmosphere (U.S. Standard Atmosphere 1976, see atmosphere.js)
+    this.atmosphereHeight = 500000; // 500km in meters
+    this.atmosphereHeightScene = this.atmosphereHeight / this.SCENE_SCALE; // scene units
+    this.atmosphereDensity = SEA_LEVEL.density; // kg/m³ at sea level
+    this.dragCoefficient = 0.47; // for spherical objects
+    this.burnTemperature = 1500; // Kelvin
+    this.burnSpeedThreshold = 2000; // m/s - speed at which burning starts
+    this.seaLevelPressure = SEA_LEVEL.pressure; // Pa
+
+    // Fragmentation (pancake model, Collins et al. 2005)
+    this.pancakeDragCoefficient = 2; // drag coefficient of the flattening fragment cloud
+    this.pancakeFactor = 7; // cloud width / breakup diameter at which it airbursts
+    this.burnUpMaxSize = 1; // m; only smaller bodies can ablate away completely
+
+    // Wind speed (m/s) up to each layer top (m)
+    this.windLayers = [
+      { name: 'Troposphere', height: 12000, windSpeed: 10 },
+      { name: 'Stratosphere', height: 50000, windSpeed: 50 },
+      { name: 'Mesosphere', height: 80000, windSpeed: 100 },
+      { name: 'Thermosphere', height: 200000, windSpeed: 200 },
+      { name: 'Exosphere', height: 500000, windSpeed: 300 }
+    ];
+
+    // Wind system
+    this.windDirection = new THREE.Vector3(1, 0, 0);
+    this.windStrength = 0.1;
+
+    // Orbital mechanics (based on NASA elliptical orbit design)
+    this.keplerTolerance = 1.0e-14;
+
+    // All physics randomness comes from this seeded stream
+    this.random = new Random(options.seed);
+
+    // state
+    this.realistic = options.realistic || false;
+    this.meteors = [];
+    this.orbitalObjects = [];
+    this.impulses = []; // scheduled velocity changes, see scheduleImpulse()
+    this.pushes = []; // scheduled steady pushes, see schedulePush()
+    this.clock = new SimClock({ epoch: options.epoch }); // UTC calendar behind `time`
+    this.nextMeteorId = 1;
+    this.listeners = {};
+    this.updateMoon();
+  }
+
+  // Simulated seconds since reset; kept by the clock
+  get time() {
+    return this.clock.elapsed;
+  }
+
+  set time(value) {
+    this.clock.elapsed = value;
+  }
+
+  on(type, handler) {
+    if (!this.listeners[type]) this.listeners[type] = [];
+    this.listeners[type].push(handler);
+    return this;
+  }
+
+  emit(type, payload) {
+    (this.listeners[type] || []).forEach(handler => handler(payload));
+  }
+
+  // Add a meteor. `position` is in scene units, `velocity` in scene units per
+  // frame (simple mode) and `physVelocity` in m/s (realistic mode).
+  addMeteor({ position, velocity, physVelocity, mass, size, area, ...extra }) {
+    const meteor = {
+      id: this.nextMeteorId++,
+      position: position.clone(),
+      velocity: velocity.clone(),
+      physVelocity: physVelocity ? physVelocity.clone() : velocity.clone().multiplyScalar(this.SCENE_SCALE),
+      active: true,
+      mass,
+      size,
+      area: area || Math.PI * Math.pow(size / 2, 2),
+      burning: false,
+      burnIntensity: 0,
+      fragmented: false,
+      ...extra
+    };
+    const speed = meteor.physVelocity.length();
+    if (meteor.entrySpeed === undefined) meteor.entrySpeed = speed;
+    if (meteor.energy === undefined) meteor.energy = 0.5 * mass * speed * speed;
+    if (meteor.density === undefined) meteor.density = mass / ((4 / 3) * Math.PI * Math.pow(size / 2, 3)); // bulk, kg/m³
+    if (meteor.strength === undefined) meteor.strength = this.yieldStrength(meteor.density);
+    this.meteors.push(meteor);
+    return meteor;
+  }
+
+  // Create an orbital object from classical elements (meters / radians / seconds),
+  // or on the conic through a `transfer` state, such as an interceptor from
+  // planIntercept(): { position (m), velocity (m/s) as [x, y, z] in scene axes,
+  // time (simulated s), mu (m³/s²), heliocentric (about the Sun, not the Earth) }
+  addOrbitalObject(orbitalParams) {
+    if (orbitalParams.transfer) {
+      const orbitalObject = {
+        params: { ...orbitalParams },
+        position: new THREE.Vector3(),
+        velocity: new THREE.Vector3(),
+        transfer: { ...orbitalParams.transfer },
+        currentTime: 0
+      };
+      this.orbitalObjects.push(orbitalObject);
+      return orbitalObject;
+    }
+
+    const {
+      semiMajorAxis = 1000000, // meters
+      eccentricity = 0.1,
+      inclination = Math.PI / 6, // 30 degrees
+      longitudeOfAscendingNode = 0,
+      argumentOfPeriapsis = 0,
+      meanAnomaly = 0,
+      period = 3600 // seconds
+    } = orbitalParams;
+
+    const orbitalObject = {
+      params: { ...orbitalParams }, // as given, kept for saving scenarios
+      position: new THREE.Vector3(),
+      velocity: new THREE.Vector3(), // scene units per second
+      orbitalParams: {
+        a: semiMajorAxis,
+        e: eccentricity,
+        i: inclination,
+        Ω: longitudeOfAscendingNode,
+        ω: argumentOfPeriapsis,
+        M: meanAnomaly,
+        T: period,
+        n: 2 * Math.PI / period // mean motion
+      },
+      currentTime: 0
+    };
+
+    this.orbitalObjects.push(orbitalObject);
+    return orbitalObject;
+  }
+
+  // Restart the random stream; reset() rewinds to the same seed
+  setSeed(seed) {
+    this.random.setSeed(seed);
+  }
+
+  reset() {
+    this.random.setSeed(this.random.seed);
+    this.meteors = [];
+    this.orbitalObjects = [];
+    this.impulses = [];
+    this.pushes = [];
+    this.time = 0;
+    this.accumulator = 0;
+    this.updateMoon();
+  }
+
+  // Advance by `dt` simulated seconds (one rendered frame) in fixed sub-steps.
+  // Returns the number of sub-steps taken.
+  step(dt) {
+    this.accumulator += dt;
+    let substeps = 0;
+    while (this.accumulator >= this.fixedStep && substeps < this.maxSubsteps) {
+      this.tick(this.fixedStep);
+      this.accumulator -= this.fixedStep;
+      substeps++;
+    }
+    // falling behind: drop the backlog rather than spiral
+    if (substeps === this.maxSubsteps) this.accumulator = 0;
+
+    this.meteors = this.meteors.filter(m => m.active);
+    return substeps;
+  }
+
+  // One fixed sub-step of `h` simulated seconds
+  tick(h) {
+    const ticks = h / this.frameSeconds; // simple mode integrates in frame units
+    this.time += h;
+
+    this.updateMoon();
+    this.orbitalObjects.forEach(orbitalObject => this.propagateOrbit(orbitalObject, h));
+    if (this.impulses.length) {
+      this.impulses = this.impulses.filter(impulse => {
+        if (this.time < impulse.time) return true;
+        if (impulse.meteor.active) this.applyImpulse(impulse.meteor, impulse.deltaV);
+        return false;
+      });
+    }
+    if (this.pushes.length) {
+      this.pushes = this.pushes.filter(push => {
+        if (this.time < push.start) return true;
+        const { meteor } = push;
+        const done = !meteor.active || this.time >= push.end;
+        if (!done) {
+          const deltaV = push.acceleration(meteor, this.time).multiplyScalar(h);
+          const { position, velocity } = this.getTwoBodyState(meteor);
+          this.setMeteorState(meteor, position, velocity.add(deltaV));
+          push.deltaV.add(deltaV);
+        } else if (meteor.active) {
+          this.emit('deflection', { meteor, deltaV: push.deltaV.clone() });
+        }
+        return !done;
+      });
+    }
+    // one gust for the whole step, so every stage of the integrator sees the same air
+    const windDirection = this.realistic ? this.sampleWindDirection() : this.windDirection;
+    this.meteors.forEach(meteor => {
+      if (meteor.active) this.stepMeteor(meteor, h, ticks, windDirection);
+    });
+  }
+
+  integrate(state, h, accel) {
+    const scheme = INTEGRATORS[this.integrator] || INTEGRATORS.rk4;
+    return scheme.step(state, h, accel);
+  }
+
+  // Altitude above the surface in meters
+  getAltitude(position) {
+    return position.length() * this.SCENE_SCALE - this.earthRadiusMeters;
+  }
+
+  getSpeed(meteor) {
+    return meteor.physVelocity ? meteor.physVelocity.length() : meteor.velocity.length() * this.SCENE_SCALE;
+  }
+
+  // Velocity (m/s) relative to the co-rotating air and ground. Simple mode is
+  // arcade physics and ignores the rotation.
+  getAirVelocity(meteor) {
+    const velocity = meteor.physVelocity ? meteor.physVelocity.clone() : meteor.velocity.clone().multiplyScalar(this.SCENE_SCALE);
+    return this.realistic ? velocity.sub(this.groundVelocity(meteor.position)) : velocity;
+  }
+
+  getAirSpeed(meteor) {
+    return this.getAirVelocity(meteor).length();
+  }
+
+  // Earth rotation angle (rad) at `time`: turns Earth-fixed into inertial coordinates
+  earthRotationAngle(time = this.time) {
+    return earthRotationAngle(this.clock.julianDate(time));
+  }
+
+  // Unit vector toward the Sun at `time`
+  getSunDirection(time = this.time) {
+    return new THREE.Vector3().copy(sunDirection(this.clock.julianDate(time)));
+  }
+
+  // Velocity (m/s) of the ground, or the air above it, at inertial `position` (scene units): ω × r
+  groundVelocity(position) {
+    const w = this.earthRotationRate * this.SCENE_SCALE;
+    return new THREE.Vector3(w * position.z, 0, -w * position.x);
+  }
+
+  // Inertial scene position -> Earth-fixed scene position at `time`
+  toEarthFixed(position, time = this.time) {
+    return position.clone().applyAxisAngle(new THREE.Vector3(0, 1, 0), -this.earthRotationAngle(time));
+  }
+
+  // Earth-fixed scene position -> inertial scene position at `time`
+  fromEarthFixed(position, time = this.time) {
+    return position.clone().applyAxisAngle(new THREE.Vector3(0, 1, 0), this.earthRotationAngle(time));
+  }
+
+  stepMeteor(meteor, dt, ticks, windDirection = this.windDirection) {
+    const altitude = this.getAltitude(meteor.position);
+
+    // Aerodynamic breakup; a fully spread fragment cloud airbursts
+    if (altitude > 0 && altitude < this.atmosphereHeight && this.updateFragmentation(meteor, altitude, dt)) return;
+
+    // Check if meteor should burn up in atmosphere
+    if (altitude < this.atmosphereHeight && this.shouldBurnUp(meteor)) {
+      if (!meteor.burning) {
+        meteor.burning = true;
+        meteor.burnIntensity = 0;
+        this.emit('burnStart', { meteor });
+      }
+
+      meteor.burnIntensity = Math.min(1, meteor.burnIntensity + 0.05 * ticks);
+
+      // More intense burning if significantly above terminal velocity
+      const terminalVelocity = this.calculateTerminalVelocity(meteor, altitude);
+      const speedRatio = this.getAirSpeed(meteor) / terminalVelocity;
+      const burnRate = Math.min(1, speedRatio * 0.1 * ticks);
+
+      // Random chance of complete burn-up based on burn intensity and speed;
+      // larger bodies break up and airburst instead (updateFragmentation)
+      if (meteor.size < this.burnUpMaxSize && this.random.next() < meteor.burnIntensity * burnRate) {
+        meteor.active = false;
+        meteor.fate = 'burnUp';
+        this.emit('burnUp', { meteor });
+        return;
+      }
+    }
+
+    if (this.realistic) {
+      this.stepRealistic(meteor, dt, windDirection);
+    } else {
+      this.stepSimple(meteor, ticks);
+    }
+
+    if (meteor.position.length() < this.earthRadius + this.impactMargin) {
+      meteor.active = false;
+      meteor.fate = 'impact';
+      const speed = this.getAirSpeed(meteor); // relative to the spinning ground
+      this.emit('impact', {
+        meteor,
+        position: meteor.position.clone(),
+        speed,
+        inertialSpeed: this.getSpeed(meteor),
+        angle: this.getImpactAngle(meteor),
+        heading: this.getHeading(meteor),
+        energy: 0.5 * (meteor.mass || 1) * speed * speed
+      });
+    }
+  }
+
+  // Angle (radians) between the flight path and the local horizontal
+  getImpactAngle(meteor) {
+    const velocity = this.realistic ? this.getAirVelocity(meteor) : meteor.velocity;
+    const speed = velocity.length();
+    if (speed === 0) return Math.PI / 2;
+    const down = -velocity.dot(meteor.position) / (speed * meteor.position.length());
+    return Math.asin(Math.max(-1, Math.min(1, down)));
+  }
+
+  // Direction of travel over the ground (radians clockwise from north)
+  getHeading(meteor) {
+    const velocity = this.realistic ? this.getAirVelocity(meteor) : meteor.velocity;
+    const up = meteor.position.clone().normalize();
+    const north = new THREE.Vector3(0, 1, 0).addScaledVector(up, -up.y);
+    if (north.lengthSq() < 1e-12) return 0; // at a pole every way is south (or north)
+    north.normalize();
+    const east = new THREE.Vector3().crossVectors(north, up);
+    return Math.atan2(velocity.dot(east), velocity.dot(north));
+  }
+
+  // Yield strength (Pa) of an intact body of bulk `density` (kg/m³) (Collins et al. 2005)
+  yieldStrength(density) {
+    return Math.pow(10, 2.107 + 0.0624 * Math.sqrt(density));
+  }
+
+  // The body breaks up once ram pressure ρv² exceeds its strength. The
+  // fragments then spread sideways as a pancake, d²L/dt² = Cd ρ v² / (ρi L),
+  // and once the cloud is `pancakeFactor` times its breakup diameter whatever
+  // is left is dumped into the air: an airburst. Everything the body carried
+  // at breakup ends up in the atmosphere. Returns true if that happened.
+  updateFragmentation(meteor, altitude, dt) {
+    const airDensity = this.getAtmosphericDensity(altitude);
+    const speed = this.getAirSpeed(meteor);
+    const ramPressure = airDensity * speed * speed;
+
+    if (!meteor.fragmented) {
+      if (ramPressure < meteor.strength) return false;
+      meteor.fragmented = true;
+      meteor.breakupAltitude = altitude;
+      meteor.breakupSize = meteor.size;
+      meteor.spreadRate = 0; // dL/dt, m/s
+      meteor.breakupEnergy = 0.5 * meteor.mass * speed * speed;
+      this.emit('breakup', { meteor, position: meteor.position.clone(), altitude, speed });
+      return false;
+    }
+
+    meteor.spreadRate += this.pancakeDragCoefficient * ramPressure / (meteor.density * meteor.size) * dt;
+    meteor.size += meteor.spreadRate * dt;
+    meteor.area = Math.PI * Math.pow(meteor.size / 2, 2);
+    if (meteor.size < this.pancakeFactor * meteor.breakupSize) return false;
+
+    meteor.active = false;
+    meteor.fate = 'airburst';
+    this.emit('airburst', {
+      meteor,
+      position: meteor.position.clone(),
+      altitude,
+      breakupAltitude: meteor.breakupAltitude,
+      speed,
+      energy: meteor.breakupEnergy, // J deposited in the atmosphere
+      residualEnergy: 0.5 * meteor.mass * speed * speed, // J still carried at the burst
+      angle: this.getImpactAngle(meteor),
+      heading: this.getHeading(meteor)
+    });
+    return true;
+  }
+
+  // Newtonian gravity, drag and ablation in SI units
+  stepRealistic(meteor, dt, windDirection = this.windDirection) {
+    // Mass reduction due to atmospheric ablation
+    this.calculateMassReduction(meteor, dt);
+
+    const state = {
+      position: meteor.position.clone().multiplyScalar(this.SCENE_SCALE),
+      velocity: meteor.physVelocity,
+      rk45Step: meteor.rk45Step
+    };
+    this.integrate(state, dt, (position, velocity) => this.realisticAcceleration(meteor, position, velocity, windDirection));
+
+    meteor.rk45Step = state.rk45Step;
+    meteor.position.copy(state.position.multiplyScalar(1 / this.SCENE_SCALE));
+  }
+
+  // Acceleration (m/s²) on `meteor` if it were at `position` (m) moving at
+  // `velocity` (m/s), with the wind blowing along `windDirection`
+  realisticAcceleration(meteor, position, velocity, windDirection = this.windDirection) {
+    // Earth gravity (Newton's law of universal gravitation)
+    const rmag = position.length();
+    const acceleration = rmag > 0.1
+      ? position.clone().multiplyScalar(-this.G * this.earthMass / (rmag * rmag * rmag))
+      : new THREE.Vector3();
+
+    // Moon gravity
+    const toMoon = this.moonPosition.clone().multiplyScalar(this.SCENE_SCALE).sub(position);
+    const moonDistance = toMoon.length();
+    if (moonDistance > 1) {
+      acceleration.addScaledVector(toMoon, this.G * this.moonMass / Math.pow(moonDistance, 3));
+    }
+
+    // Meteor-to-meteor gravity
+    this.meteors.forEach(otherMeteor => {
+      if (otherMeteor === meteor || !otherMeteor.active) return;
+      const toOther = otherMeteor.position.clone().multiplyScalar(this.SCENE_SCALE).sub(position);
+      const distance = toOther.length();
+      if (distance > 0.1) acceleration.addScaledVector(toOther, this.G * otherMeteor.mass / Math.pow(distance, 3));
+    });
+
+    // Atmospheric drag; the air turns with the Earth
+    const altitude = rmag - this.earthRadiusMeters;
+    const airVelocity = velocity.clone().sub(this.groundVelocity(position.clone().divideScalar(this.SCENE_SCALE)));
+    acceleration.addScaledVector(this.calculateDrag(meteor, altitude, airVelocity, windDirection), 1 / meteor.mass);
+
+    return acceleration;
+  }
+
+  // Arcade physics in scene units per frame
+  stepSimple(meteor, ticks) {
+    const state = { position: meteor.position, velocity: meteor.velocity, rk45Step: meteor.rk45Step };
+    this.integrate(state, ticks, (position, velocity) => this.simpleAcceleration(position, velocity));
+    meteor.rk45Step = state.rk45Step;
+  }
+
+  // Simple-mode acceleration in scene units per frame²
+  simpleAcceleration(position, velocity) {
+    const r = position.length();
+    const acceleration = r > 0.1
+      ? position.clone().normalize().multiplyScalar(-this.gravityStrength / (r * r))
+      : new THREE.Vector3();
+
+    // Simplified moon gravity
+    const toMoon = this.moonPosition.clone().sub(position);
+    const moonDist = toMoon.length();
+    if (moonDist > 0.1) {
+      const moonGravityStrength = 0.001;
+      acceleration.add(toMoon.normalize().multiplyScalar(moonGravityStrength / (moonDist * moonDist)));
+    }
+
+    // Atmospheric drag
+    if (this.getAltitude(position) < this.atmosphereHeight && velocity.lengthSq() > 0) {
+      acceleration.add(velocity.clone().normalize().multiplyScalar(-0.01));
+    }
+
+    return acceleration;
+  }
+
+  // Place the Moon from the lunar ephemeris for the clock's date
+  updateMoon() {
+    const moon = this.getMoonEphemeris();
+    this.moonAngle = moon.longitude;
+    this.moonDistance = moon.distance / this.SCENE_SCALE;
+    this.moonPosition.copy(moon.position).divideScalar(this.SCENE_SCALE);
+  }
+
+  // Ecliptic longitude/latitude (rad), distance (m) and position (m) of the Moon at `time`
+  getMoonEphemeris(time = this.time) {
+    return moonEphemeris(this.clock.julianDate(time));
+  }
+
+  // Calculate gravitational force from moon
+  calculateMoonGravity(meteor) {
+    const meteorPos = meteor.position.clone().multiplyScalar(this.SCENE_SCALE);
+    const moonPos = this.moonPosition.clone().multiplyScalar(this.SCENE_SCALE);
+    const distance = meteorPos.distanceTo(moonPos);
+
+    if (distance < 1) return new THREE.Vector3(); // Avoid division by zero
+
+    const force = this.G * this.moonMass * meteor.mass / (distance * distance);
+    return moonPos.sub(meteorPos).normalize().multiplyScalar(force);
+  }
+
+  // Air density (kg/m³) at `altitude` (m)
+  getAtmosphericDensity(altitude) {
+    return standardAtmosphere(altitude).density;
+  }
+
+  // Wind direction for one step: the prevailing direction with a random gust
+  sampleWindDirection() {
+    const windDir = this.windDirection.clone();
+    windDir.x += (this.random.next() - 0.5) * 0.2;
+    windDir.z += (this.random.next() - 0.5) * 0.2;
+    return windDir.normalize();
+  }
+
+  // Wind velocity (m/s) at given altitude, blowing along `direction`
+  getWindForce(altitude, direction = this.windDirection) {
+    if (altitude < 0 || altitude > this.atmosphereHeight) return new THREE.Vector3();
+
+    let windSpeed = 0;
+    for (let i = 0; i < this.windLayers.length; i++) {
+      if (altitude <= this.windLayers[i].height) {
+        windSpeed = this.windLayers[i].windSpeed;
+        break;
+      }
+    }
+
+    return direction.clone().normalize().multiplyScalar(windSpeed * this.windStrength);
+  }
+
+  // Air pressure (Pa) at `altitude` (m)
+  getAtmosphericPressure(altitude) {
+    return standardAtmosphere(altitude).pressure;
+  }
+
+  // Air temperature (K) at `altitude` (m)
+  getAtmosphericTemperature(altitude) {
+    return standardAtmosphere(altitude).temperature;
+  }
+
+  // Calculate terminal velocity for meteor
+  calculateTerminalVelocity(meteor, altitude) {
+    const density = this.getAtmosphericDensity(altitude);
+    const area = meteor.area || Math.PI * Math.pow(meteor.size / 2, 2);
+
+    // Terminal velocity: v = sqrt(2 * m * g / (ρ * A * Cd))
+    const g = 9.81;
+    return Math.sqrt((2 * meteor.mass * g) / (density * area * this.dragCoefficient));
+  }
+
+  // Calculate mass reduction due to atmospheric ablation
+  calculateMassReduction(meteor, dt) {
+    const altitude = this.getAltitude(meteor.position);
+    if (altitude < 0 || altitude > this.atmosphereHeight) return 0;
+
+    const density = this.getAtmosphericDensity(altitude);
+    const pressure = this.getAtmosphericPressure(altitude);
+    const speed = this.getAirSpeed(meteor);
+
+    if (speed < this.burnSpeedThreshold) return 0;
+
+    // Pressure-dependent ablation
+    const ablationCoefficient = 0.002 * (pressure / this.seaLevelPressure);
+    const area = meteor.area || Math.PI * Math.pow(meteor.size / 2, 2);
+    const massLoss = ablationCoefficient * density * speed * speed * area * dt;
+
+    if (meteor.mass <= massLoss) return 0;
+
+    // a fragment cloud's width is set by pancake spreading, not by its mass
+    if (meteor.fragmented) {
+      meteor.mass -= massLoss;
+      return massLoss;
+    }
+
+    // Shrink the body assuming constant bulk density
+    const volume = (4 / 3) * Math.PI * Math.pow(meteor.size / 2, 3);
+    const bulkDensity = meteor.mass / volume;
+    meteor.mass -= massLoss;
+    const newRadius = Math.pow((3 * meteor.mass / bulkDensity) / (4 * Math.PI), 1 / 3);
+    meteor.size = newRadius * 2;
+    meteor.area = Math.PI * newRadius * newRadius;
+
+    return massLoss;
+  }
+
+  // Drag force (N) on a meteor at `altitude` moving at `velocity` (m/s), with
+  // the wind blowing along `windDirection`
+  calculateDrag(meteor, altitude, velocity, windDirection = this.windDirection) {
+    if (altitude < 0) return new THREE.Vector3(); // Below surface
+
+    const density = this.getAtmosphericDensity(altitude);
+    if (velocity.length() < 1) return new THREE.Vector3(); // No drag for very slow objects
+
+    const area = meteor.area || Math.PI * Math.pow(meteor.size / 2, 2);
+
+    // Drag acts on the velocity relative to the wind
+    const relativeVelocity = velocity.clone().sub(this.getWindForce(altitude, windDirection));
+    const relativeSpeed = relativeVelocity.length();
+    if (relativeSpeed < 0.1) return new THREE.Vector3();
+
+    const dragForce = 0.5 * density * relativeSpeed * relativeSpeed * this.dragCoefficient * area;
+    return relativeVelocity.normalize().multiplyScalar(-dragForce);
+  }
+
+  // Calculate drag force on meteor at its current state
+  calculateDragForce(meteor) {
+    const velocity = this.getAirVelocity(meteor);
+    return this.calculateDrag(meteor, this.getAltitude(meteor.position), velocity);
+  }
+
+  // Check if meteor is fast enough to burn
+  shouldBurnUp(meteor) {
+    const altitude = this.getAltitude(meteor.position);
+    if (altitude > this.atmosphereHeight) return false;
+    return this.getAirSpeed(meteor) > this.burnSpeedThreshold;
+  }
+
+  // Kepler's equation solver (based on NASA design)
+  keplerStart3(e, M) {
+    const t34 = e * e;
+    const t35 = e * t34;
+    const t33 = Math.cos(M);
+    return M + (-0.5 * t35 + e + (t34 + 1.5 * t33 * t35) * t33) * Math.sin(M);
+  }
+
+  eps3(e, M, x) {
+    const t1 = Math.cos(x);
+    const t2 = -1 + e * t1;
+    const t3 = Math.sin(x);
+    const t4 = e * t3;
+    const t5 = -x + t4 + M;
+    const t6 = t5 / (0.5 * t5 * t4 / t2 + t2);
+    return t5 / ((0.5 * t3 - (1 / 6) * t1 * t6) * e * t6 + t2);
+  }
+
+  keplerSolve(e, M) {
+    const Mnorm = M % (2 * Math.PI);
+    let E0 = this.keplerStart3(e, Mnorm);
+    let dE = this.keplerTolerance + 1;
+    let count = 0;
+
+    while (dE > this.keplerTolerance) {
+      const E = E0 - this.eps3(e, Mnorm, E0);
+      dE = Math.abs(E - E0);
+      E0 = E;
+      count++;
+
+      if (count === 100) {
+        console.warn('KeplerSolve failed to converge!');
+        break;
+      }
+    }
+    return E0;
+  }
+
+  // Propagate an orbital object on its Kepler ellipse about the Earth. The
+  // elements are equatorial: i from the equator, Ω from the March equinox (+X).
+  propagateOrbit(orbitalObject, timeStep) {
+    if (orbitalObject.transfer) return this.propagateTransfer(orbitalObject, timeStep);
+    const { a, e, i, Ω, ω, M, n } = orbitalObject.orbitalParams;
+
+    // Update mean anomaly
+    orbitalObject.currentTime += timeStep;
+    const E = this.keplerSolve(e, M + n * orbitalObject.currentTime);
+
+    // Position and velocity in the orbital plane
+    const cosE = Math.cos(E);
+    const sinE = Math.sin(E);
+    const root = Math.sqrt(1 - e * e);
+    const rate = n / (1 - e * cosE); // dE/dt
+    const position = perifocalToReference(a * (cosE - e), a * root * sinE, i, Ω, ω);
+    const velocity = perifocalToReference(-a * sinE * rate, a * root * cosE * rate, i, Ω, ω);
+
+    // Convert to scene coordinates
+    orbitalObject.position.copy(equatorialToScene(position)).divideScalar(this.SCENE_SCALE);
+    orbitalObject.velocity.copy(equatorialToScene(velocity)).divideScalar(this.SCENE_SCALE);
+    return orbitalObject.position;
+  }
+
+  // Move an orbital object along its transfer conic to the simulated time.
+  // Heliocentric transfers are shifted to the Earth-centred scene.
+  propagateTransfer(orbitalObject, timeStep) {
+    const { position, velocity, time, mu, heliocentric } = orbitalObject.transfer;
+    orbitalObject.currentTime += timeStep;
+    const state = propagateState(new THREE.Vector3().fromArray(position), new THREE.Vector3().fromArray(velocity), this.time - time, mu);
+    if (heliocentric) {
+      const jd = this.clock.julianDate();
+      const dt = 60 / 86400; // central difference for the Sun's apparent motion
+      const sunBefore = new THREE.Vector3().copy(sunPositionJ2000(jd - dt));
+      state.position.add(sunPositionJ2000(jd));
+      state.velocity.add(new THREE.Vector3().copy(sunPositionJ2000(jd + dt)).sub(sunBefore).divideScalar(120));
+    }
+    orbitalObject.position.copy(state.position).divideScalar(this.SCENE_SCALE);
+    orbitalObject.velocity.copy(state.velocity).divideScalar(this.SCENE_SCALE);
+    return orbitalObject.position;
+  }
+
+  // Osculating elements of a meteor or orbital object from its current state
+  // vector, about the Earth and relative to the equator: { a (m), e, i, Ω, ω,
+  // ν (rad), period (s), periapsis (m from the centre), periapsisAltitude (m) }.
+  // Simple-mode meteors are measured against the arcade gravity they feel;
+  // orbital objects against the gravity their own mean motion implies.
+  getOsculatingElements(body) {
+    const { position, velocity, mu } = this.getTwoBodyState(body);
+    const elements = stateToElements(
+      new THREE.Vector3().copy(sceneToEquatorial(position)),
+      new THREE.Vector3().copy(sceneToEquatorial(velocity)),
+      mu
+    );
+    elements.periapsisAltitude = elements.periapsis - this.earthRadiusMeters;
+    return elements;
+  }
+
+  // State of a meteor or orbital object as a two-body problem about the Earth,
+  // in SI units and scene axes: { position (m), velocity (m/s), mu (m³/s²) }
+  getTwoBodyState(body) {
+    const position = body.position.clone().multiplyScalar(this.SCENE_SCALE);
+    if (body.transfer) {
+      const mu = body.transfer.heliocentric ? this.G * this.earthMass : body.transfer.mu;
+      return { position, velocity: body.velocity.clone().multiplyScalar(this.SCENE_SCALE), mu };
+    }
+    if (body.orbitalParams) {
+      const { a, n } = body.orbitalParams;
+      return { position, velocity: body.velocity.clone().multiplyScalar(this.SCENE_SCALE), mu: n * n * a * a * a };
+    }
+    if (this.realistic) {
+      return { position, velocity: body.physVelocity.clone(), mu: this.G * this.earthMass };
+    }
+    // arcade gravity and velocities are per frame
+    return {
+      position,
+      velocity: body.velocity.clone().multiplyScalar(this.SCENE_SCALE / this.frameSeconds),
+      mu: this.gravityStrength * Math.pow(this.SCENE_SCALE, 3) / (this.frameSeconds * this.frameSeconds)
+    };
+  }
+
+  // Put a meteor at `position` (m) moving at `velocity` (m/s), both in scene
+  // axes, in the units of the current mode; the inverse of getTwoBodyState()
+  setMeteorState(meteor, position, velocity) {
+    meteor.position.copy(position).divideScalar(this.SCENE_SCALE);
+    meteor.physVelocity.copy(velocity);
+    meteor.velocity.copy(velocity).multiplyScalar(this.realistic ? 1 / this.SCENE_SCALE : this.frameSeconds / this.SCENE_SCALE);
+  }
+
+  // Change a meteor's velocity by `deltaV` (m/s, scene axes) now
+  applyImpulse(meteor, deltaV) {
+    const { position, velocity } = this.getTwoBodyState(meteor);
+    this.setMeteorState(meteor, position, velocity.add(deltaV));
+    this.emit('deflection', { meteor, deltaV: deltaV.clone() });
+  }
+
+  // Change a meteor's velocity by `deltaV` (m/s) when the clock reaches `time`
+  scheduleImpulse(meteor, time, deltaV) {
+    const impulse = { meteor, time, deltaV: deltaV.clone() };
+    this.impulses.push(impulse);
+    return impulse;
+  }
+
+  // Push a meteor from `start` to `end` simulated seconds with
+  // `acceleration(meteor, time)` (m/s², scene axes), e.g. a gravity tractor.
+  // Emits 'deflection' with the total velocity change once it is over.
+  schedulePush(meteor, start, end, acceleration) {
+    const push = { meteor, start, end, acceleration, deltaV: new THREE.Vector3() };
+    this.pushes.push(push);
+    return push;
+  }
+
+  // Heliocentric position (m, J2000 ecliptic) at Julian date `jd` of a body on
+  // the Keplerian orbit `elements` ({ a, e, i, Ω, ω, M, n, epoch } as from
+  // orbitalElementsFromNeoWs: m, rad, rad/day, M at the epoch's Julian date)
+  heliocentricPosition(elements, jd) {
+    const { a, e, i, Ω, ω, n, epoch } = elements;
+    const E = this.keplerSolve(e, elements.M + n * (jd - epoch));
+    const x = a * (Math.cos(E) - e);
+    const y = a * Math.sqrt(1 - e * e) * Math.sin(E);
+    return perifocalToReference(x, y, i, Ω, ω);
+  }
+
+  // Position (m) and velocity (m/s) relative to the Earth, in the scene frame,
+  // of a body on heliocentric orbit `elements` at simulated `time`
+  geocentricState(elements, time = this.time) {
+    const at = t => {
+      const jd = this.clock.julianDate(t);
+      return new THREE.Vector3()
+        .copy(eclipticJ2000ToScene(this.heliocentricPosition(elements, jd)))
+        .add(sunPositionJ2000(jd)); // minus the Earth's heliocentric position
+    };
+    const dt = 60; // s, central difference
+    return {
+      position: at(time),
+      velocity: at(time + dt).sub(at(time - dt)).divideScalar(2 * dt)
+    };
+  }
+
+  // Ballistic preview used for trajectory lines (scene units, simple gravity)
+  calculateTrajectory(meteor) {
+    const points = [];
+    const pos = meteor.position.clone();
+    const vel = meteor.velocity.clone();
+    const steps = 500;
+    const dt = 0.1;
+
+    for (let i = 0; i < steps; i++) {
+      points.push(pos.clone());
+
+      const r = pos.length();
+      if (r < this.earthRadius + this.impactMargin) break; // Stop if hitting Earth
+
+      if (r > 0.1) {
+        const gravityAccel = pos.clone().normalize().multiplyScalar(-this.gravityStrength / (r * r));
+        vel.add(gravityAccel.multiplyScalar(dt));
+      }
+      pos.add(vel.clone().multiplyScalar(dt));
+    }
+
+    return points;
+  }
+
+  // Where a shot from `origin` along `dir` at `speed` would hit, or null
+  predictImpact(origin, dir, speed, dt) {
+    const pos = origin.clone();
+    const v = dir.clone().normalize().multiplyScalar(speed);
+    const steps = 2000;
+
+    for (let i = 0; i < steps; i++) {
+      const r = pos.length();
+      if (r > 0.1) {
+        const accel = pos.clone().normalize().multiplyScalar(-this.gravityStrength / (r * r));
+        v.add(accel.multiplyScalar(dt));
+      }
+      pos.add(v.clone().multiplyScalar(dt));
+      if (pos.length() < this.earthRadius + this.impactMargin) return pos;
+      if (pos.length() > 1e4) break;
+    }
+    return null;
+  }
+
+  // Latitude/longitude in degrees of the ground under inertial scene `position` at `time`
+  positionToLatLon(position, time = this.time) {
+    const { x, y, z } = this.toEarthFixed(position, time);
+    const lat = Math.asin(y / Math.sqrt(x * x + y * y + z * z)) * 180 / Math.PI;
+    const lon = -Math.atan2(z, x) * 180 / Math.PI; // Reverse longitude for correct mapping
+    return { lat, lon };
+  }
+
+  // Earth-fixed scene position at `lat`/`lon` (degrees), `radius` scene units from the centre
+  latLonToEarthFixed(lat, lon, radius = this.earthRadius) {
+    const phi = lat * Math.PI / 180;
+    const lambda = lon * Math.PI / 180;
+    return new THREE.Vector3(
+      radius * Math.cos(phi) * Math.cos(lambda),
+      radius * Math.sin(phi),
+      -radius * Math.cos(phi) * Math.sin(lambda)
+    );
+  }
+}
@@ -0,0 +1,369 @@
+// Generated by scripts/build-surface-raster.js from earth_texture.jpg; do not edit.
+// 720×360 cells of 0.5° from 90°N and 180°W, rows run-length coded as
+// <count><level>: level '.' is land, letters depth in 125 m steps ('a' = 125 m).
+export const SURFACE_WIDTH = 720;
+export const SURFACE_HEIGHT = 360;
+export const SURFACE_DEPTH_STEP = 125;
+export const SURFACE_LEVELS = '.abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ';
+export const SURFACE_ROWS = [
+  '1x1z4A2z3y10x3y1z9y2z7y19z8y9z4y3z4y8x5y1z3y19x11y38x8y4z22A7B1C3B4C1B18C2D4E2D3E1F1G4F28E13F54G148F13E6F39E7D30E7F3E2F15E2D4E7D8C13B9A8B7A8B4A4B5A1z1x2w3v1u1t1s1q1o1j1h2a',
+  '1s4t1s2r1q2p3o1n4m1o2p3q5p3o4p4o5p5q5r8q2p8q10r1s3r1q2p1o7n1m2n1o2p1o2n2m5n3m3n5o5p1o3n1m3l7k3l3m9n9m2n11o1p2q2r5s2t10s3t1u1v1w3x10y8x7y2x2z1B1C1D1E2D1C1B1C1E1F2I2G2F18E1D9E13F34G17H11G5F22G7F5G82F3G77F3E7F1G22F20G6F11E3D2C2B2A4z11y5x3w2x8y8x6y2x2w6x6w7v5u1r1a',
+  '4x2y5z1A2B5C4D2C1D1C4D1C4B2D2E1D3C3D4C2D2C1B1z1y1x3y2B1C1D1C4B1A1B1D2C4B1A2z1A2z5A7z2A3z2A1z4y2z1y2x1y2z2A2z1y3x1w3v2u4t6u2t2s1t1u2t3s2r2q2p1q2p2o2q4p1o1n1m2l4k1l1n1m1l2k1l1m1l2k1j3i2j2i2h7g6h4g1f2g2h3g1h2i1j1k1l2m1n1o6p2q2p2q3p1o1p2q2s1v1w1z1A1B3C1D4E1F2E1D1C1B13C4D7E10F11G22H1I2H5I3H1G4H9G1H1I6J5I6H72G5H53G21H5G4H34G10F1E2D4C5B2A3z1y1x2w1v2u2t1s1r1q1p1n1m1l1j1i2f1e5d1e1f1h2j2l1k3l3k1l1m1o1q1s1t2u2v1u1t5s6t4s1t1u3v3w3v6u3t3s1t5s1t1u2v3u3v2w1x3w1k',
+  '1y5z3A1z2A1B4C2B1C2D1C1B2A1z2A1B2A7z1A4z2A1z2y1x1y1z2y1x1w1v3u2v1B1C1z2y1z1B1A1x1w1y1A1z2y4x2w1y3z4y4z5y4x3w3v3w2v4w3v3u1v4u12t5s1t5s6r3q2p2q1p3o1n1m6l1m1n1m3l1m1n1p3o2n4m3l1k4j5i1h1g2h1g4f2e2f6e2f2g2h2i2j1k1l1m1n1o1n1o1p1q1r1q1p3o1p1s1u2x3y2x1w2x1y1z1B1C1D1E1D2A1B6C6B3C6D9E5F9G19H1I2H1I2H5I9H9G1H14I3H60G2F3G6F2G4H26G7F3G1H14G6H10I8H2G1F1G1H6I15H14G1H3G6F1E1D1C1A1y2x1w5x1w3v3u2t2s3r2q1p2o1n1m1l1i1h1e1d4c4d1f1g1h2i2h2g2f2e1g1j1n1q1s2u1v4w2y3z5A4z13A3z1A4z9y4A3z8y1p',
+  '1B5C4B7A4B2A1z1y2x1w2v1u3t3s5r1s1t3u1t1s9r2s2r3s1t2u5s2r1s2t3s2t2s9r5q3r2q1r1s1r1q2p1r2t8s2r1q3p3o1q1s2w1v1u3t4s5r4q7p1q1p1o2m1l5k1j3k5j7k6l1m1n2o3p2o2n1o3n1m1n1m1l3j1k2j1i3h3g1f3e6d11c1d1e1g1h1i1j1n2q4o1p4q1s1v1z2B1A1z1A3B1A1z2y4z4y2z2A2B5C8D3E4F15G3F2E3D1F1G2H3I3H1I8H12G5F3G3F2G1H8I5H1G3H4G6F1G1F3G15F1E3D1E3F2E8D2C1B4C1D2C1B1A2z1A1C2E2G2E4D2C1D4E1B1A2z1x1w2y1x1w1y1A1D1G1H2I1G2F3E1D3C2D3E5G3H15I5H4G4H5G9H15G17H2G3F2E3F1E1C1A1z1w1v1u1t1u3v1u1t1s1r1q1p1o4n2m3l1k1j2i4h1g1f2e2d6c1d1f1g1h1i1k1m2p1r1t1v2y1z1A1C1B1A1z1A1z2A5C32B3A4B1C1u',
+  '1B2C5B10A3B3A1z2y2x2w3v4u4t1u4v1u4t4s3t5s4t5s6r2q1s1t1r4q1p5q4p4q1p1o1p2q3o1q1s1r7q2p1o7n1p1q1t2u1t1s2r8q4p4o4n1o2n2m2l4k10l12m2n6p7o2n1m1l2j1k1l1m1l1k3j3i1h1g2f1e5d12c1d2f1g1h1l2n2m2n2p2o1p1r1v1z1B1C1A2z4A4y2z7y2A3B3C6D4E7F14G4F4E2G2H2I13H11G6F3G4F1G1H8I5H1G3H4G6F3E8F9E1D3C1D3E2D4C1B4A2z4A4B1A1z2A1C1E1F2H1F1E3C1B2A1C1D1E1F1E1B1A1x1w2v4z1A1C1E1F3G1E3D3C4B2C2D1F3G1F2G2H14I5H4G4H4G16H9G18H2G8F1D1C1B1z1y3x2y1x1w1v1u1t1s2r4q2o3m1l2k4j2i2h1g1f1e3d4c2e2f1h1i2m1o1p1r2t1u1v4w1y2x1y1B5C31B5A3B1v',
+  '6A3z1A9z2A5z6y4x7w1x5w2v1u6t5s3r1s5r3q3p4o1q1o5n5m4l4m2l1m1n1m3l3m1l3k2l3k4j2i2j1k1l2m3n2m3l3m10l8k1l4k2l6m2n1m17n2o10n1m1l1k3j3l1k5j1k1j1i2g2e2d2c14b3c1g2j1l1n2q1r1p3n1p1r1u1w1x3w1y1z1y1x12w2x1y4z3A2B6C5D8E12F5E4F24G4F2E3F1E6F1G4H4F5E1D6E1D2C2D3C2B1A1B1C1D1B1A1z3A2B1A1z2A3B1A2z1A1C1E2D1B1A1z1x2w1y2z2y2A2B3C2B3A1B2C1D2E1C3z1y4x2y1x3v1w1x1y2C3D2C3B1C2B2A1z4A1z1A1z3A1B4C1B1C1D1E2F2E1F1G1H3G6F3G2F3G2H6G1H1G9H1G4H7G19H10G3F6E2D2C2B1A2z2y2x1w1v1u1t2s1r2q1p1o2n1m1l1j1i1g1f2e2d8c1d2f2h1j3k1l1m2n1o2q1r1t1x1y2B1C1D3C6B11A19z1v',
+  '9w7x4w1x2w5v2w2v1w9v2w5v2u1t4s3r3q6p2o1p5o2n3m1l5k3j15i2j3i1k1j1i2h3i1j5i2h1g1f1g2h1i2h6i4h1i2g3h15i2j3k2l1m2l2m2l13m6l3k3l5k2j3i3h6g2h1g2e3c2b18a1c1g1h1m1p1s1t2s6q1s2t2u3w1v15u2v2w3x1y5z4A3B8C4D8E5D1E4D2E12F8G2F2E1D1B1C1F1E3C1D4E4F1E1B3A3z1y2x1y1z4B1A2B2C1B1A2B1A2z2B1x5w2A1z2y2z2A1z1y1x1y2B2C1B1z1x3w1z2B2z1B1C2D2E1D1C2B1A2z3A1B1C1B4y1x1w1v3u1v2u1x1y2C4D1C1A1z2y1z1A2B1z2y1z2A12z1y1z1A1B2C3B5D4B2C6D1E4F2E5F9G1F1G2H8G2H4G3H36G4F2E2D2B1A1z1y1x1w1v1t2s1q1p1n1m1j1i2h1f1e1d4c5b3c1d1f3g4h1i1h1k1l1o1q1u1v1y1C2E1D1C1B6A3z5y1x2w4v4u4v4w1v1t',
+  '2q4r6q7p1q3p1o2n2o11p2q2r2q3p11o3n6m2l3m4l2k2j12i2h2i2h7i3j1i1k1i1h1g7h2g3h1g3f2g2f2g6h3g2f4g17h3i1j3i4j9k1j2k2j2k1j5i1j2i1h4g4f1e3d4c1b3c3b20a2b1c1e1h1i1n1p3q1s3t1s12r6q7p2o3p3q4p4q2r1s2t1u1t4s8r2t1u3v2u1w1z1B1D1E1B1A1B2D11E5F4E2D2C1B1A2B1A2z3A2C5D1C6z2A1z3y1z1A3z2A1C1B1A1z1A2B1A1z2A1z2y3z2B1A3z1A2B4A3z4A3z1A2B2A2B4C4B4A5B5z2y2x4y1A1z7A2z1y3z2A1z1y19z6A1z4A2z2A5B2A6B2C8D3C2D10E4F1G4F1H2G1F1G2H1I8H23G6F3E3D1C1B1A1z1y2x2v1t1s1q1p1n1m1l1k1j1h2g1f1e1d7b1c1e1g1j1l1m2n1k1j1k1j1l1n1v1w1z1B1C1D1C1B1A3z2y1x3w3v2u1t2s6r3q8r1q',
+  '6m3l2k1j1i2h2i5j5i1j8k4l2m1l2k2j1k2j1k3m1l4m1l2k3j1k2l2j1k1l4k3j7i2j6i2j3k1l9k2j7h4g1f2g1h1g12f3g2f3e1f4g8h1i2h5g7h4i3j3k3j4i1j2i1h2g1f1e3f1e3d6c2b17a7b2c5d1e2f1h1i1k1l1m3p3q3s2q3p2o1n4o3n3m2l4k1j2i4g2h2g1f1e1f1g3f1g1h1k3l1k2i1h1g2e3d2e1f1j1k1p2s3r1w1A1B2D3A4C3D3E2D4C2B1C1D1C1B1A1y1z1A1B1C1B1A1y4z1A4C3B1A2y2z1B2C2D1B1A2y1z3y1z1A1C1B1A2z1A1B5A1z1A1B1A2B6A1B1C4B1A1z2A18B12A11z2y2z5y17z8y3z3y3z8y2x5z1A1z1x7y2B2A2B3C1B1A2z2B2D8C1D2C3D1C1D1E3F1E1G2I1J3I2H2G3H20G14F1E1D1C1B2A2y1w1v1u1t2q1p1o1n1m1l1k1j1i1g1d2c1d1c2b1c1d1g1l1p1q2r2n2m1n1q2C1B1A1z2y4x3w2v2u3t3s7r1q3p2o7n',
+  '2l1k2j4k3j5i1j12k1l4k5j1k3l3k1m1l1k2l3m2n1m1l1k3j1k1m2n1m2k2l5k2l6k1l6m3n1o2p1o1p3o8n7m4l2k3j3i9h3g3f2e3f2g1h1g1f4g1h1i1h2i1h2i2h8i2h1i1h5i7h2g1f2e6d5c6b2a9b6c2d1e1d3e5f2e4f1g1h2i2k6l2k4j4i3j3i3h2g1f2e1d2c9b7c2d3e2f1g1h1i1h1f1e1f1h1n2p1q1r1s1w1z1y2x1y1A1C1B2C6B7A2z1y1x2w1v1w1x1y2x2w1y1z1A1B1z1A5y3z2A2z1y2z3y3B1C3B2A3B1A1B4C4B2C10B2C2B7C21B11A11z8y10x1y11x1w31x1w4x3y2z2y2z4A3z2A1B1C11B3C1B2C5D2E4F4E1H1I1G3F1G4H10G15F2E1D1C1B1A1z2x1v1u2s2q1p1o1m1l2k1j1h1g2e1g4h3i1j1l1o2r1q1p2n1p1s4y1x2w1v1u2v2w1v6u4t3s2t1s2r2q2p1o1n3m3l',
+  '2m4k2l6k1j2l1m7n7o1m1l5k2l1m7n2l2m1n3p1o1m3l2m1o2p1o4m1l1k2l2m5n2m1n1o2p3q2r1s3t5s7r1q1p3q6p1o2n4m2l8k3j4i2h1g1f1e1f2h1g4f1g1h2i1k1l1j1i4h1i4j1i1h6g1h3g2f2g1f1e1d9c2b1c3b15a7b10c6b5a6b4c18b28a2b1d1g1k1m1n1l2i1k1n1x1B1C1B5z1y1z1A1z1y1z2D2C1B2A1z1y1x1v4t2v5t3s1t2u1v1y1A1z1y1x1y1w1x1y1x3w2x4y1z1C1B1A1z2C4B14C1B26C7B8A1B8A13z4y6x5w10v1u1v1u15v16w12x9y3x5y1x1y1z2y4z2y1z4A2B1z1A3B3C4D4C1B2F1E2C1D1F1I5H7G10F8E1D1C1B2z1w1v1s1r1o1n2m1l1j1h1g1h1j1i1h1g1h1i1l1m1l3m1k1i1j1l1p1r1s1r1q1l1k1r1u2v3w1v1u2t2u2v7u4t2s1t2u1t2r4q1p2n5m',
+  '1o1n2m11n2p2q2r1q4r1s3t2s2q2p2r3q3r3s2r1p1q1r3q4r1q3p1o1p2q5o1n1o6p1q4p2q1r3s1t2u4v8u2t11s2r7q4p7o4n3m1l1k2j1i1j4k4j1k3j1i1h1g4h1i3h2g1f3e3d3c2b1c3b1a2b2c6d1e1f1c2b5a1b7c6b38a1b1a2b35a3b2c1d1f1h2i3h1i1k1q1r1s1r3p1r1u1v1w2x1w1x3A3z2y1w1v1u1t3u7w1v1u1v4w1z2A1y2A2z1B1z5y1z4y1z2y1x1y2z2y1z1B1C13D10C4B6A6z6y2x3y4x2w13v5u5t5s1t7s3r4q4p7q6r7s13t6u3v17w1x2w11x7y2z1y2z1y1z2B1C2B2D1C1B2C1B2A1B1D4E1F4G1F1G8F9E3D1C1B1z1x1w1t1r1n1l1h2g2h2g1h1i1j3k2l6n1m1l1m1p3q1o1n1i1j1r1t3r3s2r4s5t5s3r4s3r3p1o3n1o4n',
+  '3n4o8p1q1r1s1t1v6u2v2w1v1u2t1s1t2v1u1s1t1u1v4w2v1t1w1u1t1s2r1s1t1u1s6q1p1o5p1q1r1s3r3s4r1s2t2u1v3w3v5w3v1u3t1u1v3u5t2s3t4s6r5q4p3o3n2m3n2m3l1k1i1h1i3h1i2h2g5f2e1d2c1b13a2c1e2g1f2g1i1k1h1e1c4b1c1e1i1j2i3h1e1d1c1d2c3b33a2b1c1b1c1e1b2a1b10a4.2a7.8a1d1f1c1d2c2b1c1d1f1g2h1i1k1l1j1i3h1k1q1t1u2w1v3w1y5x1w2v1x3z1y1A1B1A1z3y1x1y1A1z1y1x1y1A2z1D3C1D1C1A2z2y3x3w3v3w1v1w1x1A1C1D12E5D4C2B2A1z5y3x4w13v2u1t3s10r1q5p4o2n2o3p3o3p2o3n2m2l2k1l1m3l3m2n6o2p13q1r3q2r4s1t6u17v4w9x2w1y1z2x1w1v1u1v1x1z1A2B1D1E1C3B1A1z1A1B3A1B1C1E2G9F11E4D1C1A1y2v1r1p1k1h2d2e2g1i2k2m2n2m2n3o2n2o3p1o1n1m1h1k1q1r3n5p1q2r1q1r3s2r8q3r3q2p1o1n2m3o3n',
+  '1m2n1m3n2o1p3r2s1u1t1v1u6v2w3x1w2x1y2x1y1x1w1v1w1x2y3z2x2v3u2t2s1r3q1p2o1q5p1q4r2s1t1u1t2u1t2u5v13w2v1t1s1u1w1x4v3u14t2s3r1s2r2q1p7o1n2m2l1k2i2h1g1f1d5c3b1a4b108a4.2a7.23a1b6a1b1g1q1u1v1u1t2s1t1v1u2v1u1v1w1x1B1F1D1z1y1x1v1w1y1A1B2A1z1y4x1z3B4A1z1y1w1v1t2s1q2p2o1n1o1p1q1o1n1l1k1m1r1w1B1D1F3E8D7C2B2A1z1y1x5w3u1t5s11r1p1o1n1m1k1j1i2h5g1f1e1d5c8b1c1d2f1h1i2k1l1k3i1h3g2f1e1f3g1f2g1h1i2j1i1k1l2k3m5n5m2l4m1n2o2p1q1r6s2t2u2t8u6v4w8x2y2x5w2x2y1A1D2E2D1B2z2A2z1A1B1D18E6D2C1B1z1w2s1o1m1k1j1e1c1h1i2j1k2l2m3n10o4p1o2n1o1r1q3p2q3p12q3p2q1p2q1p1q2p4n1o1n2o3n1m',
+  '3l1m4o1q1s1t2s3t1s1t4u3v2w3x3y9z3A3z1y2x2w1v1u1t1s5t1s1t1v1w1t1r1s2t1s3r1s1t1u1w4x2y3x4y10x2w2v1u3w3u2t5s1r9s5r2q2p1o2n2m1n1p1n1l1k1j1i1g1d1b23a2b1e1d1f1g1h1i1b8a34.9a2i1g1d1b12a2c13a25.30a2e4f1e1d1c1b1c1d1f1j1o1s2q1r1s1t1v1x1A1D1E1D1B1x1u2p1q1r4s1r1p1m1j1h1i1j1k1i1e2c2b1a2b3c1d1e1i1j2k4m1n1p1r1v1x2y3w1x1w5x1w2u2t2u2v2t1q1p1o1m1l1k1j1i1h1g1f1g1e1d3c7b40a2c1b23a8b15a4b1c1d1e1f2g1f1k1i1g1h2i1j1k1m5o1p2q3r2s2t2u4v9w8x1w1v2B1D1E1F1G1D1A1z1A2z3A1B1C11D4C4B2A1z1y1x1v1t1q1p1l1k1i1g1d1c1f1h1j1k2l2m2n12o6p2q18p3q3p1o5p4o4n3m2l1k1j1k',
+  '2k2m2n2o1p5r3s3t4u2v2w2x4y9z2A3z3y1x2w1v1u2t1u5v2w1v3u2v3u1v2w1x2y1x4y1x5y3x1y7x2w6v2u2t3s1r1q3p1q2r6q3p2o1n2m1l2k4j1h2g1f1c1b41a34.6a1d34a25.43a1b1d1i1m1n1p1q1r1u2w1y1z1B1A1z1A1s1p3m3n1m1k1g1c1b4c2b2a3b1c3f1h1j1l1k2m1n2m1n1p1q1p1q2r2q1r1u1s1q3p1q1r1p8o1m1l1h1g1e1d1c2b3a2b112a1b3a2b1c1d1f3h1j2k2n3o1p1q1s3t2u4v8w7x2w2x1z1C1G1L1K1F1D1B6z1A5D10C2B2A1z1y1x1w1v1u1r1o1m2h3c1a1e1h3k1l2m5n10o6p7q4p3q7p1q9p5o3n3m2l1k2l',
+  '1l1m2j1k1l1n1q1s1u3t1s1t4u2t6u8t1v3w4x1y2x1y3z4y4z1A1z1y1x4z2y2z11y6z8y8x2w1v6u4t1s1r1q2r1q1p1o2n2m2l1k1j3i1h1g1e1d2c2b25a2b6a1n1d12a2.2a2.7a19.8a1b3a1b1a74.5a7.2a2.17a1e1j1k1j1o1t1u1v2w1y2x1s1t1r1p1l1i1g1d2b5a4b3c1f4i1h1j1i3g3h1d59a6b1d1b1a1b1c4a1b10a1e3a1b1c2b1c57a2b1i1c4a2d1b6a1b1c1f1g1h1i1j1l1n1q1r2s2t2u6v9w4v1w1y1A2C1B1A1z2y1x2y3B10A2z2y1x1w1v1t1r1p1n1l1j2h2e2g1e1f1g1h1i1j6k1l10m2n7o1p1q2r1q24p5o4n1l1k2j1i1h2i',
+  '1k1l2j2l1m1o1p1r1s6t10u3t2s1r2s1t2v9x4z2y7z2y4z13y8z7y6x3w2v1u2s1t2u3t1s2t1s2r1q1p1o1m1l1k2j2i2g1f1e1d1c2b41a1c10a2.2a2.7a19.2a1d1b10a74.5a7.2a2.3a1b1f1d1b11a2b1d1h1n1q1u1t1w1y1B1z1u1t1q2p1m1k1h1e1c1b6a4b1c1d1c3d2c1b2a2b1c1b171a2b1c1g1i1k1n2o2p2r2s1t2u4v1w5v2w4v3w2x4y1x3y1z4A4z4A2z1y1x2w1v1u1s1r1p1o1m1k1j1i2g1h2f2g1h1i7j2k1j2k1j4k1l4m4n2o28p5o2n1m1k4i1h2g',
+  '1e1f1i1j2i1j3l1k1l1o2q1r1s2u1t2u4t1s3t2s1t1u2v4u1v2w1x1y2z1y2x1A20z20y5x2w2v2u1t3s1q3p3q1p1o2n1m2l1j2i1h1g1f1d1c2b39a17.4a23.8a1c2b7a89.13a4b1c1d1f1e2d1f1i1j4l1j1m2p2r1p2o1q3r3q1o1k1j2d2b9a1g3h2f3g1c1b2d8a2.10a1b1a2b8a2b5a1b4c2d1c2b2a1b43a1b1c1e2f1h1i1b12a1c1d1m1l1h1g3e1d1c1b9a1d1f1j1m1j1i1f4c6a6.2a1c3a1f8a2b1d1f1g2i2l2n2q1r1s17t2u1v3w7v9w5v2u2t1s1r1p1o2m2j2g1e1d1c5b2c2b1c3b6a2b3c1d2e3f1g1h2i2j1k1l4m2n2o3n9o1n2p2o2m1k1j1i1h2g2h2g',
+  '1h2g1h2g1i1k3l1m1o1q2p1q6t2s1r1q4p1r1s1r1u1v1u7v1x1y1z2y22z9y14x4w2v4u1t1s1r1q1p2o3p1r1s1p1n1l1k1j1i1h1g1f1e1c1b31a1b1d2a1b5a17.4a23.4a1d1e1d3c1b1m1n1o1m1i2a89.1a1f1a1b1e1d5a1b1f2g3h1j1m1i1g1f1j1n1q1r1o1l1m1k1l1o1p1r1q1o2p1q3r1s1v2w1v1q1k1i1d1c1b29a2.8a1b1d1c2b1c1d3c1d2c1d3c1d1e1d2b1e5h1f1d3c2b4a2b1c1d1c1b1c1b2c1e2c1e1d1b3a1c1e1g1i3h2j1d1b2a1b3a1b1c1e2h1i1j1l1k12a1b1g1h1e1a1e1m2g2h1f1c9a1g1m1q1t1r1p1l1g1e2d6a6.20a1b1c1g1i1k1l2o1p1q2r11s6t4u2v6u5v7u3t2s1r1q1o1m2k1i1f2c2b30a1b1a1b1c2d1e1f1h1i2j1k2l4m4n9o2n2l1k1j1i3g1h1i2g',
+  '2g1f2g1f1h1i1j2k1l1m2n2o5r1q2p1n1l7k2n2o1p1q1s1u2v1x2y2x1w1v2y18z9y12x6w2v3u2t1s2r2p2o2n1o1n1m1l1j1i1h1f1e2c1b8a2b3c1d1b17a1d1e1c3a3c8a34.4a2b1a1c1f2g1c3a1d1j1g3a88.14a1c1e1g2l1m1n2k1g1d1g1j1l1m3l1m1n1o1p1q1p1o4p2q1s1v2x1r1o1k1j1g1e1d1c1b37a1b1c1b3a4c1b1c2d1c1b2c2d2c1e2f1e2f1e1d1c4b6a11b1c1b4a1b1c1d1e1g1h1i1h1i1g1e2b1d1e1d3c1d2e2f1h1i2c1b1a1b4c1d1c2b2g1c1a1d1h2e2f1e1c1b3a1b2a1b1c1h1k1m1n1m1l1j4g1b18a1c8a2b3a1b1c1d1e1f2i1j1l2m4n3o2p3q3r6s3t2s2t7s4r2q1p3o1n1m1k1j1g1d1c2b39a3b2c1d1e1f1g2h2i2j1k2l7m2n2m1l1k1j1i2h4g2f',
+  '4f1e1d1e1f1h2j2k1l3m1p1q1p1o1n1l1j1g1e5c3b1d1e3i1l1q1u1v1w5v1q1o1s1v1x18z3y1z4y10x5w3v2u2t2s2r1q1p2o1n1l1k1j1i1f2e1d1c2b20a1b4a1b4a3.6a1c1b12a34.1a1e1b2c8a96.15a1c1d2p1r1s1j1m1i1d1c1d1e1f1h2k1o1q8p1o1n1o1r1t1v1u1n1m1k4j1i1e1b7a15.5a1m1i1c1b1d1f1e1d1b6a3c1b1a1b1d1c4b1c6d6c5b10a4b10a2b1d2g1e1f2h2e2i1h1g1e1d5c1d2e1f1d1c1e1h1i1j1k1l1i2e2h1c1b5c1e1c2b4c2b1d1e1f1g1f2e1d2e1f2h2d19a4.15a1b1c1d2e1f2g1h2j2l1m2n2o2p4q2p2q2p3q3p2o1n1m1l1m1l1j1i1g3f1d1c2b52a3b2c2d2f1g2h3i2j4k2j2i4h1g3f',
+  '2f2e2c1e1g1h1i1j1k1l1m2l1m2n1k1i1g1d1b10a1i1n1k1i1j1n2p4o3n1i1g1n1r1u1z1A16z9y8x5w3v2u1t2s1r1q1p1o1m1l1i1h1f1d1c2b11a2b19a2b1c36a18.6a1e11a96.1a1b11a1c1d1e1f2l3m1n1k1g1e2c1d1f1j1k1q1r1q7r3q1r2s1r2o1m1l1k1l1o1r1m1f1c5a1b4a8.12a1b1d2c1b4a5b3a6b2c3d1e2d12c7b1c2d1c1b12a1b2d2c2d2c1e2d5c3b1d1c1e1f1g1f1g1h1i1j2k1i4h1e3d5c4b2c5b1c4b3c2d2c1b6a3b2c2b1c17a2b10a3b1c1e2g1h3i2j2k1l2m8l3k1j1g1f1e1d2c4b1a1b1c1b1c1b61a4b1c2d2e2f7g1f2g4f',
+  '2f1e1d2c1f1g1h1j2k7l1h1f1c11a1c1t1u1i1h1j1l1k1j4h3g2d1n1q1u1A1B1A10z4y1z11y4x4w5v2u2t2r1q1p1n1l1i1f1c1b64a1b11a1.3a13.5a1b1c1b11a98.6a4b1e4h3f1h1n1m1k1g1d3b1d1i1k2q2r5s6t1s1r1q2p1o1l1k1q1x1q1j1g1d1c1b5a1e1a8.2a1e1b1a1h1a4.2a1b1a3b13a6b3c2d1c3b8c2e3d1c3d2c4b1a4b5a7b8a2b3a2c1e1f1g1f2e1f1g1h1g1f1g1h2f3e1d10b1c1b1c8b1c2b3d1b32a2c15a2b7c1d1e3f1e2f1g1f1e1d3c1b11a1b1d1g1i1e1b66a4b2c8d3e2f',
+  '2d2c2e1g1h1i1j4k1l4k1j1i1g1d1b2a3b3a1d1i1p1k1f1j1l2j1i1g1i1h1e1j1h1e1g1j1v1x1z2A11z16y5x2w4v1u2t1s1r1q2p1n1l1i1f1c1b7a3b11a1c10a1b11a1b1c2b3c2e1h1b1c1f1c8a1f1e1b13a12.2a1b1e3d1b5a1b1c5a98.4a2b2c3d2f1g2f1g1f1g1h1g1f1d1c2b1d1g1k1l2o1r1s11t1s2r1q1p1o2m1r1w1q1k1j1i1g1e1d1c3b1d1c4a2.2a1d2c1b1a1d2a1d27a3b2c13b2c4b3c2b1a1b1a4b8a2b4a2b3a2b1c1d1e1b3a1c1d1h1f3d4e2d1e4d1c9b1a3b1c6b3c2a3b1a2b2a3b4a1b1d2g1l1n1o13a1b1c1e1c1d1b2a3b24a1b17a1c1e1h1k1m1k1h1d2c68a2b8c3d1e',
+  '2c2b1f1g1h1j11k2j1i1g1d2a4b1a1b1g1m1j1f1j2m1k1i1f1e1g1f1d1h1f1e1o1t1E1D1B6z6A4z15y3x2w1v3u2s1r1q2n1l1k1i1g1d1b14a2.22a1c42a5.2a7.3a1b10a2b5a98.3a1h1c1d1f1g1e2c1b1d1e1f1g1f2e6c1g1k3n1p1r1t3v1t2s2t1u4t3s1p1o1m1n1r1u1p3l1k2i2g1d1c2b1c1b5a1e1c8b30a3b59a1c1i5d2c1d4c1b2c6b2c1b3a1b2c2a2b4c1f1e4a1b2g1c1b1d2b3a1c1g1k1m1f2c13.51a1f1d1c1f1g1h1k1m2n1m1i1h1b1c70a2b8c',
+  '2d2c1f1h1i4j3i3h1g1f1e3d1c2b2d1c2b1d1j1m1j1i2l1k1i1f2c1d1e2f1o1s1x1z2B9A1z3A4z8y1z4y4x3w2v2u1r1q1o1n1k1i1f1e1c1b34a1b27a1i1c19a1b15a1b1c11a2b2c2b21a77.1f1g1b1l1d1c1e1g1f1d2c4d1c1f1g1h1g1h1i1k1l1p1r3s1u1v2x1y1x2v1u1t5s1t2s1r2p2n1r1t1o2m2l2k2i1f1e1b2a1b1c2f1g1f1c1b26a1b49a1b1c1d1b19a1c1e1f5d3c4b2a1b1a1b2a2b2c2d1c1b3c2a1b1c1d2f1e1i1l1i3g1f1m1i4a3.1a29.42a2c2d1e1f1h1n1p1k5a2b2a1b1c2d1g1j1l1m1l2j2g2d5b46a1b1d1e1g2h2i1h1d',
+  '1h3f2g1h2g1f2e5d1c1b2a1b1c1e1f1g1h1g1d2c1g1m1k1j1i1m1l1j1h1e2b1d1g1i1l1B1E1B1A1z6A1B3A2z1A3z13y3x4w6v1r1q1n1l1g1e1b27a8.5a6.13a4.2a1b8a6.46a1c2a7b1c5a77.1g1l2d1a1b1c1g1h1g1d5c1f1k1m2o1p1r1s1t1u3v1w2x6y1w1v1t3r2s1t1r1q2r2n1q1s1q1o2n2m1l1k1j1g1f1c1b30a4b2c1b53a6.8a1d1h1k2j1e5c2b13a3b1c2f1c1d1e1c1d2b1c1d3f1e1h1j1k1l1k44.2a1b23a3c1d1b2a1b8a1b1d1f1d1k22.1p1o1l1i1e3g1h1i1f1c43a1c1g1i2j1l3n1g',
+  '1i3f3g1f1e1d2c2b1c1b1c2b2a1c1e1g2h1i1f1c1b1c1h1j1k1j1i1n1m1i1h1e2c1e1j1k1p1E1D2A2z5A1B3A2z1A3z13y2x3w8v1r1q1n1k1f1d13a2b2c1d1e2d1c1b1c4a8.5a6.6a1e1d1f1j1k1i1a4.10a1b6.20a2c19a1b1a1c1d2c1d1c2b2a1b3c1b2e1m1j77.1k1j1e3a1d1g1i1h1d4b1e1j1o1q3r1s1t1u2v3w2x1y1x4y1x1w1u4r1s1u1s1q1s1r1o1n1p2r1p1o1n3m1k1j1h1g1c1b26a2b1a5b1c1d1c1b52a6.1e1i1m2o1n1k1i1j1k1l1j1i1d6b14a1b2a1b1f1c1b2f2d2b1d2e3c2f1h1i1g44.2a1c19a2b2a4e1c1a2b9a1c1f1b1h22.1n1m1l1g1e1g1h1i1k1m1j1e1b42a1c1g2h1g1j2m1n1i',
+  '2m1j1l1m1l1m1o1n2l2k1j1k1j1i1f1e1k3m1l3m1k4i1o1n2l2g1f1e1f1e1g1l1u1C1D2A15z12y4x2w4v6u2t2q2n1i1g1b10a2j2k1l2i1j1h1e5d37a1c10a1e37a3b2c1d1e1f1g1h5j1g2c1b3a4b1a2b6a73.1h1f1a1b1a1b2c1d3c1j1n1p1r1s4t3u3v1w11x3y2x4w1v1u1r1q1p1o1n1q1t1p2n3m1l2k1j1i1g1f1b18a2b2c3d2c6b4a4b38a1d1k6.4a2b2c3b1a4b14a8b1e1f1g1f1d1c1e1g1e2c2b1f1e54.1j1e19a3b1c2a2b7a2b2e1i1h1f1i2j2i2m1f3a1i1c1f1d1i1h1i1h1j1p1t2.1r1k1j12.1u1q1p1m1i2b33a1b3a1b1e1k1p1t1s1r1q1k',
+  '2q1l1i1h1j1m1n1m1k1i1g1h1j1l1i1e2b2d1e1h1j1i2j1i1f1e1f1i1q1o2l1f1e2c1e1j1q1w1A1C1B3z3A11z6y9x2w4v3u4t2s1q1p2n1i1e28a2b1c2b2a1e1l1n1j1f1d1c5b13a1b5a1c1d2g1c5a1b1f1i1g1l1k1j2i1h1j1k1l1m4n1o1m2n1m1k1f1c1b1a4b3a3b2c1d1e1f1g1h1i6k1h1f1c3a2b9a1d1j73.1g1h6b1c1d1g1m1p2q2r2s3t3u2v5w4x9w1v1u2v1t1r1s1r1p1n1p1s1q3m2l1k2j1i1h1g1f1c12a1b1a2b4c4d1e2c6b3a3b1c1b40a6.1h1m2d1b4c5b8a2b5a1b1c2b1c2b1e1f1i2h1i1h2e1f1e1d1c2b1g1f54.1c13a3b3a2b1c1e1d2a1c1b2a1b3c1d1e1f1i1j1l1m1k1j1i1f1b1e1l1n1o1p2o2p1g1h1g4j1p1q2.1s2n12.1r2n1j1k1i1d37a1b1d1e1g1j2k1n1g',
+  '1n1m1n1m1e1f2h1i1j1h1f1g1i1h3g1f2b1d1e1c2b1a1b2c1d1g1l1n2f1e1g1k1m1n1o1p1r1t1u1v2x2y11z4y8x5w2v2u3t2s2r2q2p2o2n1h1e11a17.1a1i2g11a1d1a1g14a4.5a8.3a1b1f1h3a1.3a1j1m1f4a1b5a1b1e1h1n2c5b3c1e1g1i2j1k6l1k1g1c1b2a1b7a1b2a1b1g1a67.2m1f1g7a1c1i1m1n2o2p2q3r1q1r1s8t10s3t3s4r3p3q1o2l2k2i1g1f1d1c1b10a14b3c2b4c11b34a1q1a4.3a4b2a1i1k1d1c4a1b6a1b1c1q2r1s1l1f1g1i1n3r1p2u1n2l1m1n1l1o1r77.1r1k1g1d1f1h1i13.1u1p2k2c1b1c1i3k1f4c2b1l1o12.1q2m1n1o2t2n1l1j1g1c2a1b3c1e2b2a1b1c1e1h1j1i1b16a1b1c1b4a1m1l1m1l3m1k1f1d2f1d1g',
+  '1l3m3h1g1h1i1j1k1m2o1m1n1l1k2g2f1e1d1c1b1c1d1e1f1g1j1m1g1e1d2e1d1e1g1k1n1o1q1r2v1x2y7z7y6x2w5v2u1t2s4r1q2p3o2n1m1l1h1e9a1b1a17.32a4.5a8.1a1n2c5a1.1a1c19a1c5b2c1d1e1g1i2j3l1m4l1j1h1f1e2d1c1b2a3b3a1b1k1p67.1r1s2h6a1d1j1m2n4o2p2q4r2q6r1q1r4s1r5s1r1q1p1o2p2q1p3q1o1n1m1l1k2j1i1h1f1e1c1b27a3b5c10b36a4.1b1i1f3b2a1b1h1e1b5a1b1c5a1c1d1r1q1s1u1o1i1j1k1o1q1p1v1u1x1v1q1p2o1n1m1o1p77.1s1k1h1f1j1m1l13.1x1s1n1l2c1b1c1g1h1i1h1f1e1f1e1c2b2m12.1s1p1o2r1u1s1n1m1j1f1c3a1b1e3f1b5a1c1h1i1h1b19a3b1a1d1c1i1h1k1l1j1n1l1g2h1g1e',
+  '1c1g1j2f1g1j1n1l1j1f1c1e2g2l1q1p4i1g1e1c3b2c3b1c1b1d2e1d2c2d1e1g1k1g1i1m1n2q1s1t1v3w7x2w4v3u2t2s2r2p1o4n2m1l1k2j2h1f1d2b7a1c1m11.3a14.1a5.1b1a4.2a1b8a6.5a1.4a1b1c1b1p1a5.1a1h2a9.1e1n6.3a1i1a3b2c1f1h1i2j3l1m6l1k1j1h1e3b8a1e1k66.1g1a1b6a1c1d1i1k1i1h1i1j1k2l1m1l5m2n4o1p1q1p5q2o2p2o2p1q2r2q1o3p2o2n1m1l1k2j1i1h1f1e2c29a2b1a3b40a1d1e6.2a1e1c1b21a9.1y1v1q1o10.1t1s99.1t1r1g1c2f1d1f2e1g1i1k2m1n1o2w23.1s1i1c2a2b7a5b3a1b8a1b1d1f1j1m1l3k1j1n2m1l1q1r2.1q1l1j1e1c2b1c',
+  '2e1f3e1i1m1k1h1e3c1d1g1i2n1h3f1d2c4b1a2b1c2d3e3d1e1d1e1g1f2c2f1i1j1m1o1q1t2u1v4w2x2w2v3u2t2s2r1q1p2o1n2m2l2k1j1i1h1g1f1e1c1b8a1b1c1l11.1c1e1a14.1a5.2a4.5a1b1c4a6.2a1g2a1.1b1f3e4a5.4a9.2a6.6a4b1e1h1i2j11l1k1j1h1f1d1b8a1d1l66.1i2b5a1d2i1h1g2f1g1j2k1l2m1n4m3n5o1n3o1m4n2o1p1q2p3q2r2q2p2o2n1m1l2k1j1i2g1e1d1c2b72a1h1g6.1k1g1f1d1b21a9.1A1v1p1o10.1v1w99.1r1p1e3f2e1f1g1k1m1o1q1r2s1x1t23.1w1o1h6b7a2b6a1b3c3a1b1f1j1n1p1n1m1l1o1p1r1t1w1t2r2.1r1k1f1e1f1e1g1h',
+  '2.1r1q2d1c4b21a1c1e1d1c1b4a2b1c1g1l1m2s2m1g3f1e1d1f1g1i3j1l2n2o1p1o6p1o1n1m2l1k1j3h1g1f1e1d1c2b18a2e2.9a27.16a1b1a3.2a1k7a32.3a1c1f1d2c1e1f1h1i2k4l2k1j1i1f1d1b8a1b1c1d1e1f1h1i1b1a54.1a4.1e1a1g3a1b1i1j1h1g2f1e2d1e1f1g1h1k1j2h2i1j2l1k3j1l3m1l2m1o1m1n1o1q2r1s5t3s3r2q1p1o3n2m1l1k1j1i1h2f1d1c16a1b1c1d1c2a2d2c45a2m7.1q1m1f1d2c14a1d2k124.1w1q1j1h55.1v1s1n1i1f2c1b1c2b4a1b1c1e2i1h2g1f2i1f1i1l1m1l1k1h1e2d1f1g1j1n1o1u',
+  '2.2f2a5b21a2c2b4a4b1h1m1o1v1t1o1n2h2g1e1c2d3e1f1g1i3j3k2l1m3n2m2k1j1i2g1f1e1d1c1b21a1g1f2.9a27.18a3.7a1c2a32.5a1b1a1b1c1d1f1g2j6k1j1i1f1c1b8a1b1d1g3j1k1c1a54.1i4.2a1g2a1b1d2i1g3f1e2d4e1i1h2g1f1e1f1g1f1h1j2k1l1m1l2m1n1o1p2o1q2r2s6t3s2r2q1p2o3n2m1l1k1j1i1h1g1f1d1b15a1b1c1e1c1b1a1c1d2b45a1k1l7.1o1i1c1d2c14a1d1l1m124.1t1n1f1g55.1u1t1p1l1i1f1d1c3b5a1b1e1i1h1f3e2h1f1h1j3k1i1e1d1c1d1e1h1l1k1q',
+  '1g1c32a2e2h1k1o1r1u2v11.1t1r3q2p2n2k1j1i3g1h1i1j1i1h1g1f1e1d1e1d3c2b9a2b4g2h2g1c2a1b1c2d1e1h2g1f1d1b1a2b2a1b25.5a1b1c2a1b1a1b1c5a4.6a1c6a31.6a1f1e1f1e1f1h1i1j2k1j1i1h1e1c1b9a1b1g1m1n1m1j1a2e1b51.1o1p4.2a1f2a1b1d1i1h1f1e3d4e2d4g1d2c1b1c1g1l1n1o2n3p1q2r5s2t2u6t3s2r1q3p4o2n1m1l2k1j1h1d4a4b2c1h1i1k1l1n3q1p1o1p2.1p2j1i2d1b40a2c2i1p1n1o1.1o1j1c1b3c1g1f12a1g1q1s187.1w1t1p1k1i1f1e2b4a1e1h1f4c1j1l1j1i5h1f1c3b1d1f1c1e',
+  '2a2b30a1m1o1u1t26.2s1p1o2j1i1j1k1l1h1c1b12a1c1d5c1g1h1r2q1p1r1t1r1p1f2a1d13a1b4a2.4a20.14a7.15a13.1d18.3a1d1a1b1e1f1i1k2j1i1h1e1c1b10a1e1g1d4.1a1e51.4a1e1g2a1d3a1b1h1g1e1d3c1e4f1g1h1i1g2h1g1e1b1d1i1m1p1q2r2t4s3u4t3u7t2s2r5q4p1o1n2m1k1i1e3a1c2h1g1d1j1i2r15.2k1e46a1b1c1d1e1c1b3c1o1n2c10a1i191.1y1r1q1m1l2d4a1e1h1e1d3c1n1o1l1k1g1h3f1g1d1b6a',
+  '1b1c1b25a4b1h1l42.1r2p2o2m1f1g1l1p1q1s1t4.1v1x11.1l1o2.1i1l2p1n1i1c1a1c2e1g1h1b7a23.4a1c11a4.5a2b2d1c5a6.1b1d1c4a1b1e17.6a1c1d1g4i1h1g1f1e2c8a1b5a1j2c51.5a1c1d1c1b2a1c1d1g1f1d3c1d1e1f3g1h2i1h1i1k1j1h2e1j1n1p1r1s1t1u3v2u9t1u2t1u5t2s6r1q1p2o1m1l1k1j2i1f1c1h1m1q2.1q1o22.1s1r1q1m1i1h1g1f1d1e23a1c1k1h1d7a2c1d2f1e1d2c2e2k1l1m2r2q1p1o1m1k1g1d1j1o1q194.1t1s3q1r2u1n1i1g1h1i10.1t1q1p1n1m2k1e',
+  '2g26a2d2g51.1p1q36.1l1n1k1e1d6a13.1k1i8.9a4.4a7.8a1b2a6.2a1b1a2b2a1i1h1f17.1a1c1a3b1d1g1h3i2h1g1e1d10a2b2a1h1f1g51.1a1b1c1d1e2c2b2c3f1e4d1e1f2g1h5i2k1j1i1g1h1l1o1p1s2u2w4x1t1s3r1s6t1u4t4s5r2o1k1j1f1e2f1i1k1j1i1t34.1t1s1q1p1e1d21a1l1.1t1n1e4a1b1c1i1k1l1n1m1l1h1e1g1j1k1j1i1t1v8.1s1o1l1j1k1m1n201.1n1l1m1n17.1n',
+  '2.1q1p1k1j1g1c1b18a1e1l1n100.1a1j2a1e6.1b1i10.1b3a1f1b1a1b1a6.1a1e1g8.1c10a6.2a1b1c1e2a1f1k1n1g17.3a1g2d1e1f3g1h3g1e1b10a1f1l1m2.1q1p38.12a1d1f1i1g2f1d4c2d1c1d1c5e1f2g1h4i3j1i1h1g1i1k1m1q1t2v2x1y2x1y2v1t4r1q1p4o2n4o2p1o1n1l1i1h1e1d1c2b1c1h1j1o1s1u1s41.1o1n1k1g1d1b7a4n2b2a1g2o1m2l1m1p1q1t1w253.',
+  '6.1p1k1f1b17a1j102.1c1m1e1d1e2f1g2i1f1d1c9.1m1i1f1c1b1c2d2b5.1a1d2b12.5a8.2a1b1c1f1b1a1c1f1h1a19.6a2c1d4f1d1b10a1d1m1p41.12a1b1c1d2f1e1c9b1c1d2c1d1c1d1e1g2h1i1h4i3h2i1m1q1t2w2y1z1y2x2y1w1u1s1q1o1l1j1h3g1f1g3h1j2l1j1g1c6a1c1d1k1l1t47.1t1o1i1c4a2b4.1i1g1c1a1b1d1j1o260.',
+  '9.1p1i1b1c2f1d1c10a1c2g1o1p152.1a1b1a9.2a1c1b2c2b4a1b1f2i1j1o14.3a1d1h3g1f2d2c2b8a1f1n1o38.4a1d1e2d3c2b2a1b1e1d1c1b11a4b2a2b1d1f7g1f2g1h1j1m1q1t2w2x1z1y2x1y2x1w1u1r1l1g1e2d5e1d1e2f1e1c8a2f1q1r51.1p1d3a1e1f4.1l1k1m1p1t263.',
+  '10.1r1f1k2o2k15a1r1t162.2a1d9a1c1a3b1k19.1l1k1j1g6c1b7a1h1n1k38.2a1b11a1b1c1d1c1b20a1b1e1g2f1e5f1g1h1j1n1q1t2w2x1y1x1y1x1w3x1w1r1k1e11d1b10a2h54.1k1c2a1j1k4.2n266.',
+  '10.1r1h1n1s1t1m1j15a1n1o162.1c1e1c5a1c1f1g2j3b1a1h19.5a5b8a1h1r1s38.1f1g1c12a2b24a1b1d4e3f1g1h1j1m1q1t2v1w1v2y1w3x2w1u1r1l1f3e2d2c3b12a1k1a54.1k1d1a1b1f1e4.1r1s266.',
+  '19.2c1b1a1c1f1m161.1j2h1c1a2d13a1b1a1c1b15.1l1d6.17a2c1a30.7a1b19a1d1l1q1.1d1h1m2g2n8.1n1d4a1b1c1d1c1b2c1f1i1n1r1t1u1t1w2x1w3v1u2t2s1p1l1h1f1e1d1c1b14a1o1r42.1q1e1f1h1i1m1o1v1w1v1s1r2q278.',
+  '19.2c2a1c1e1j161.4a1l1c1i2a2b4a1b6a1d1c15.1k1l6.1a1c1e14a1c2h30.3a1m2h1b9a1b2c1b7a1d1n1q1.1q1j1l1h1k1r1k8.1o1f1b4a1c4b1c1e1h1l1p1r2s1z1y3v3u1t1s2r1q1n1j1g1e2c15a1q1l42.1y1n1d2c2f2l1k1j1n1t1z278.',
+  '1f1b6a1e6.1i1e8a1b1l158.1l2a4.1a1k1i1j6a1c1h1q21.1q1p1i1g1b3a1b12a2b5a1h1c23.2a1b8a2b1f1g6j1h1f1d1b8a1b1f1l17.1k6a2b1e1i1j1k1m1p1t1v1w2u3t1s2r2q4p1m1j1f1c1b13a1m1p19.1b4a1e1q19.1p1j1c1b1r1t1l1k1h1e1u279.1s',
+  '2b6a1i6.2f8a1d1k158.1n2a4.10a2c1a21.4a1e1i1f1d1b8a6b5a2h23.1a1g1d1b6a1c2f2i1k1l2m1l1k1g1e1d1b8a1b1g1m17.1j6a1c1f1h1k2l1n1s4t4s1r3q1p3o1n1l1j1i1e1d1b10a1b1c1v1x19.4a1b1j1y19.1v1l1a1b1y1E1y1v1r1m1x279.1n',
+  '15a2b1f1e2c9a2f2b1d1c1g1i141.2p1n1l1f1a1c1f1a4.2a1b8a1b1c1d1b7a1b15.1a1f1c8a1b9c3b2a1p1a20.8a1b1g1k1m1l1m2n1o1p2o1m1k1h2f1d1c1b8a1b1j1r1s6.5a1e1c10a1b1c1e1g1l1p7r1q1p2n2m1l1k1j1h1g2f1e1d1c6a1c1e1g1q21.1q1i2a1i311.1l1h1a',
+  '15a1b1a1g1e2c9a1m1k2f1j3i141.1p1o1l1j1d2a1b1m4.1a1k1n1c8a1b1d5a2b1h1l15.9a3b1c1e3f3d2c1d1e2a1p1f20.1a1c2a1b1c1d1f2l2m2n1o4p1n1l1k1i1h1f2e2b7a1b1h2n6.2s1o1k1i1h1g1e1b9a2b1d1g1j1l1n2o1p2q1p1n2l1k2j1h1f2e4d1b6a1f1k1n1w21.1h1g1b1f1q311.1n1h1a',
+  '17a2b2e1b5a1b1i1k149.1f1e1d1c4a1e4a1c1f1c9a1b1e1c4a2b1d1e1h1d1a10.11a3c1e1g5i1h2f1g1h1e1c1h1d17.4a2d1e1f1g2h2m2n2o4p1o1n1l1j1i1h1g1f1d2c1b5a2b1e2i1n1p1r1j1t1s2n1l1j1i1h1g1d1b10a2b1d1g1h2j2l2k1l1k2i1h1g1f1e1d2c4b4a1c1h1m1s1v19.1z1w1n1l1h1k1u1x312.1s1r1a',
+  '19a2e1c5a1h2s147.1h1i13a1h9a2b7a1b6a1f1h4.3a1e9a2b2d1f1h2l3m1n1m3l1m1l1j1d1c1n1a15.3a1b1g1j4k1l2n1o2p4q1p1o1m1l1j1i2h1f2e1d3b2c2d1c3d1e1f1h1g2f3i2j1i1g1d1c2b11a3b1c2d2c1g1h1g1f1d1c2b9a1d1f1m1r21.1q1d1b2a1h1q316.1a',
+  '26a1b1p147.2h2b13a1b9a1c1g1b10a1c1d2e1f2h1j1d4a1i1f7a1b1c1g1h1j1l4n5o3p1o1k2i1a15.1a1i2f2i1k1l1m1n1m2o2p4q1p1o1n1m1k1j1i1h1g2e1d2c2d1e7f2h4i5k1j1h1f1d4c2b6a1b1c4a1b1c1d1f1g2c1b10a1e1g1r1t22.1n1e4a1d1n308.1q2m1n1l1g1c1g1a',
+  '26a1d145.1t1g1f27a1e1j11.9a1d1c2a1e9a1c1j1k1m1n3o4p2q4r1p1o1e1b1o1i13.1a1c1e1i1j1k1m1n3o2p2q2r2q1p1o1m1l1k1i1h1g1f1e3c1e5g4h1i1j2k4l2m2l1k1i1g1f2e2d2c2b4a1c1e1b3a1b1e1f1d1c13a1n1s23.1u6a1b1g271.1d1k1c1h1p1s5.1o1p1q1v19.1c1f1e2c1d1c5a',
+  '25a1b1e1o143.1v1j2b27a1c1f12.5a1c2a2b3c2a2b4a1b1e1k1l2n3p4q2r4s2r1m1k1l1k1i1c4a5.2a1b1f1i1k1l1m1o2p5q3r1q1p1o1n1m1k1i1h2f1e2d1e1f1h6i1j2k2l3m2n1m1n2m1l1j1h1g1f1e3c3b3a4b3a1b2c1b3a1b11a1r1w24.1d1b4a1c1i269.1a1j2e2c1e1i1r2.2q1p1r17.1e1m1f2k1l2k1m1o1m1j1e1c1b1a',
+  '1b24a1c1f1i1m1o34.1j1f1o1n103.1g1b30a1d15.2a1h1b8a1b5a1b1f1k1l1n1o1p2q3r2s6t2s1r1m1k1j1k1f1b1c1k5.1a1e1c1i1k1l1n1o1p1q9r2p1n1m1k1j1h1f1e2d1e1f1h1i1j1k4j1k1l1m6n2o3n1m1k1i1h1f1c3b1d1b1a2b2a1b1c1b1a2b1c1b5a1e1f1b10a1s1z24.1o1g2a2d1f1l267.1a1g8a1f1l1h1d1m17.1p1n1g1m1g1i1o1p1r1t1u1v1u1r1n1l1i1e',
+  '1i1e23a1c1g1h2g24.1f7.1a2h1f1h1i1p2m1.1c8a89.1s1b31a1d1t15.1d1m6a1h1e2a1c5a1c1j1k1n1o2q2r1s3t7u2t2r2q1o1n1k1h1k1n1g3a2h1k1l1n1o1p1q7r1s1r1q1p1o1m1k1i1h1f3e1f2h1j1k6l1m1n3o1p3o2n2l1k1j1i1h1f1d1c2b1c1e3c1d2c3b10a2c11a1l1u25.1v1l1e3c1e1r1t1x8.2q254.1e1f8a1g1n2q7.1r1q2m1p1r1s1r1o1n1p1t1v1r1s1q1r2u1v2w1x1w1u1t1r1q1m',
+  '1q1o1c22a1b1f1d2b1c1e1p1o1s1t17.1j1e1l1r1q1.2a1d1a1b1c1d1c1e1j1k1n1p1o1m1j2d1h2a1e89.1p32a1e1u15.1n1p6a1s1i2.7a1g1j1n1o1q2r1s2t5u6v2u2t1r1p1k2f1g1f1j1c1d1h2m1n1p1q2r3s3r2s2p1o1n1l1i1g1f2e1f1g1h2j1k1l2m5n1o1p3q1p2o1l1j1g1f4e1d2c2e1f2g1d1c1f1e1d1c1b24a1f1n26.1s1k6a1c1h1m1p1q1r3s2n243.1o1q1t8.9a1b1k1t5.5c1e1i1n1q1r1p1m1f1c1d1p1r2t2v3w5x2w1v1s',
+  '1s1r1d22a1b1e1c4b2l1p1r17.1o1f1k1r1m1.1m2e2b1c2f1k1q1r1u1v1u1r1m1h1g1i1g1j1l89.1p32a1f1v15.2p6a1u1e2.7a1f1j1n1o1q2r1s1t6u6v3u1t1r1p1m1i1j1k1j1n2j1k1m2o1q2r5s2r1s1r2p2n1l1i1g3e1g1h1i1k1j2l1m5n2o1p3q1p2o1k1h1d6c1b1c2e1g2h1d1c1g1f1e1c1b24a1f1m26.1q1j6a1b1e1l1r1t1w1x2w2r243.1l1m1q8.9a1b1m1w5.3b1c1e1j1n2r1s1q1n1h1e1d1n1p1t1u2v3w5x3w1u',
+  '2w1r1j1h1f1d3b26a2o1j1e1l2s1t7.1i1a1c1g1c7a1c1q1o1C1K1F1E1B1z1y1w1v1u1t1r1m1e1c2a1d3a86.1n1l27a1i1w20.2k8.1f4a1b1g1l1n2q1r1s1t2u4v8w1v1u1t1r1p1o1m1l1j1i1k2o1q1r7s6r2p1k1j1h1g1h2i1k1l1m1l2k1m1n3o2p2q3r1q2p1i1e2a1b4c3b1e1g1f1g1h2i1h1g1d1b3a1e1b2a2p1m1q17a6.1D1q1g2a12.1t1g1b6a1h1o1p1s235.1s1o18a2b1c1b10a2f6.1c2b1i1c1u1B2A1z1x1v1u1s1q1l1d1c1h1l1u1v5w9x',
+  '2x2t1r1q1p1n1j1i1f25a2i1f1c1g2n1m7.1n1o2n1i6a1c1i1q1w1N1K1E1D1B1z1y2x1w1v1u1t1q1n1e1b1f1e1i1p86.1t1m27a1g1r20.1p1q8.1h5a1e1k1m1p1q1r1s1t2u5v7w2v1u1s1q1o1m2l2o2r2s3t2s3r3q3p1n1k1j3i1j1l1m5l1n3o2p2q5r1n1l1f1c1a1b4c1b3a1b1e1g2h2i1h1b4a1c1j1e1b1c1z1y1u1o17a6.1v1j1c2a12.1m1b7a1l2q1n235.1j1i19a2b11a1j1l6.1n2b1o1B2z1y1z1y2x1w1u1r1k1c1b1h1o1v5w9x1y',
+  '2z2y1x1w1v3s1l1c30a1e1o3.1y1r1g1e4.1j3a1e1m1p1A1C2P1J1G1C2B3A1z1y1x1w2v1u2t1p1m1j1e1n4.1o1f81.1n1l2k1c2b22a1b2f29.1j4a1f1j1m1n1o1q1r1s1t1u3v3w5x1w1v1u1t2s2t1u3v5u2t2s1r4q1o1n1m1k1i1j2k1l4m2n2o5p2q3r1q2n1i1e2b2c2d2c1b4a1b1h1i1j1i1k1g4a1b1f1j1q8.21a1b1e1i1l1k1b1h9.1p1f1c1h1m1h4a2.1r1h1k1t231.1c31a1d1g11.1a1f4w1x3y2x1u1o1g2c1n1t15x1z',
+  '2z2y2x1v3u1o1e30a1f1r3.1n1o1c1f4.1g1a1b1g1n1u1x2L1P1N1F1E1C2B3A1z1y1w4v2t2p1m1h1m4.1v1w81.1m1r1p1o1e3c1b20a1b1f1g29.1h4a1c1f1k1m1n1o1q1r1t2u2v4w2y3x1w11v4u1t2s2r2p2o1n1m1k1j1m2l2n2m1n2o7p2q1r2s1r1o2l1g1c1b4d3c1b4a1d2j2k1m1h1d1b2a1b1e1i1t8.21a1d1i1m1n1l2c9.1o1g1c1h1k1g3a1c2.1y1n1m1t231.26a1b5a1e1k11.1i1t2v2w3x1y2x1u1p1h2c1n1r15x1z',
+  '1z1A3z2y2x1w1u1s1n1k1f1h1f21a1e1j3.1r1k1c1b4a1d1b1c1e1m1v1E1L1O1P1O1I1G2D1B1C4A1z3y3x1w1v2t1q1o1n1l1g1c1h1o1v92.1r1l1d1b12a1d1i1c2a2b30.1m1j4a1e1g1j1m1o1q1r2t1u1v2w3x1y2z1y2x5w5v3u1t2s2r1p1o1n3m1l2j3m1l1n1o1p2q2r1q2p1q1r4s1q1n1k1i2g1e1d2e2d1b6a1e1l1o2n1o1m1k1g1e1b4a1b1p6.1o1k19a1g6.2a1n1t6.1t1e7a234.1x1i1e32a1b1c15.1w1z1w4x3y1x1v1p2k1t1w1y14x1z',
+  '2z1A3z2y2x1v1u1s3q1o1h1e1b1e1c14a2b1h1j3.1q1g6a1c1g1m1v1E1L1O2Q1O1N1H1G2E2C1A1B1z2A1y3x1y1x1w1v1t1s1q1p1o1n1l1e1f1k1r92.1u1n1g1c10a1b1c1i1n1e2a1b1c30.1q1k5a1c1g1m1o1q1r1s1t2u1v1w3x1y2z2y1x1w5v1u3v3u1t1s3r1q2o2m1k2j1k2l2m1n1p5q2p1q1r3t1s1q1n1k1g3f2e1f3e6a1e1l1n4o1n1m1i1d6a1n6.1m1j19a1h6.2a1q1s6.1n1c7a234.1s2d32a1b1g15.1C1D1y5x2y2x1s1n1m17x1z',
+  '2z2A4z2y2x2w2v1u1t1s1r1o1k1f1b8a2c1o1i1r1o1l1h1d1b5a1c1f1n1q1F1O1P1Q1O1M1K1J1I1H2G3F1E1D3C1B1A1z3y2x1v1u2t2r2q1p1m1f1a1c1j1n2.1A1C94.1s1t1r1o6a1d1h35.1t1q2e3a1c1e1g1i1k1m1o1p2s2u2w2y1z1y1w1v3u2v4u2t1s5r1q2o2m1j2k2m2n2o1p1q2r1s1r2q1t3u1t1q1p3n1m2n1j1g2f1d1c3b1d1h1l1n1o5p2m1d3a1d1l1m1o1n1m1n6.2h1b16a1f1r3.1s1r2.1o1m2t2c11a231.1t1l1d1b34a1k1p12.1C1E1D1P1Q1z1o1q3u1w3y2v1x2y4x1w1v2u1v1u1v2u2v1y',
+  '2z3A3z2y2x3w1v1u1t1r1q1p1l1g1c8a1b1e1n1i1p1n1l1i1e1b3a2b1i1l1t1x1K3O1L1I1H5G3F2E2D1C1B1A2z1y2x1w1v1u2t3r1q1p1n1h2c1h1l2.1w1z94.1w1v1s1p6a1e1k35.1v1t2f4a2c1e1f1i1l1n1q1r1s1t1v1w2y1z1y1x1v2u3v4u2t2s4r1q2o2m1j1k1l1m2n2o2p1q1r2s1r1q1r1t1u1v1u1s1q4p3o1l1h1f1e2c1b1c1e1h1j1m1o2p2q2p1m1k1b3a1g1o1p1q1n2k6.1i1h1b16a1f1r3.2s2.1o1l1p1q2c11a231.1q1k1f1c12a3b3a1b15a1k1q12.1x1D1E2R1E1w1q2m1o1u2y1x1w1v1x2z4x1w1v2u1r3q1r1s1v1z',
+  '2y4A4z1y3x1w2v1r1o1m1o1l1h1e3b4a1b1a1d1g1e4h1i1h1i1l1o1r1u1A1C1I1L1N2L1K1I1G1E1B3A1B1C2F2E1D2C2B2A1z1y2x1v2u1t3s1r1q1p1m1i1d1c1d1u1w1j1k98.4a1f1o1u38.1r1q2n1f5a1b1d1f1m1n1r1s1v1w2y2z1y1w3v3w3v2u1t2s3r1q2p1n1m2k2m3o2p1q1r3s2r1s1u2v5s1t1u1t1s1r1n1j3e1f1g1i1k1m1n2o4p1n1l1f3c1f1k5.1j1i1r1t6.1n1d15a1f1q7.1r1p1q1o2c1d1e1i1n1q1s1o1k1j1q1t232.1p1i1f1b1a2d8a1c1d4c3b13a1g1m10.1b1f1v1E1L1R1Q2J1A1o2m1q1u1w1x3w2z1y2x1y2w1v1u2r1q1p1n2m1s',
+  '1t1x4A4z2y3x1v1u1o1l1k1m1k1i1g1c1b1c1b3a1d1a1f1e1g1i1j1l1n1s1v1A1F1J1M1P2R2P2L1K1J1I1H1F1B1z1x2w1y2E2D2C4B2A1z2y1w1v2u2t2s1r1q1p1n1h1b1a1q1o1b1a1t1C96.4a1m44.1p1b7a1h1l1q1r2v2y1z1A1z2x2w4x1w3v1u1t2s3r2q1o1n1j1l1m1n2o2p1q1r1s1t2s1r1t1u1v1w1v1t2u1v1w1y1z1w1t1s1n1j1g1h2k2m2n1p1q1o1m1k2j1f1c2a1i1m1s6.1j1i2b1m1r5.1l1d14a1g1r5.1p1q4.2g1l1q242.1l1g1d1e1p1q1b3a2f1c1a1c2e1f1e1d3c3b10a1c1g9.2r1q1A1K1Q1O1L1H1K1M1E1B1x1u1t2u3w1x1z2y4x1w1v2w1v1t1n1j1h1i',
+  '1l1u5A3z1y1x1v2u2q1m1k3i1g2d1c1d1h1j1l1p1q1s1u1w1z1B1C1D1F1I1K1M2O1P2O1N5L3K1I1G1E2D1B1C4E2C1B1A3B1A1z2y1x1w2v4u2s1q1p1m1g1d1v1w1c1b1l1t96.2j1e1b1k1w44.1u1n1e5a1c1g1o1q1u1v2y1z3A5z2y1x4w1v2u2t1s2r1q1p1l1n1o1p4q1r2s4t1v1w1x1y5w1y1A1B1z1v1u1n3l2o3p1r1q1o1i1c3b4a1k1q7.1d1c2d8.1n1c7a1f1g2n1p266.1u1s2n2w1k1a1c1e1f3e3d1c4b9a1b8.1u1v1B1E1L2R1E1B1A1B1H1K1L1M1J1F1A1w1u1s1r1s1u1v1w1v1u4w2x1w1v1r1o1n1f',
+  '1g1p4z1A2z1y1w1u1r1o1n2i1h1f2c1d1c1e1l1o1r1w1z1A1F1H1M1N2R1S3R2Q2P1O2M2K2I1K1L1K2J1K1J4I1H1G4F2D1B1A4B1z1y4x3w2v1u1t1s1q1p1n1l1w1A1i1c1d1h98.1o1d1i1q46.1n1c5a1b1k1n1s1u2x1z1A1B2C4B1A1z1y1x2y4x2w3v2t1q1r2t4s3t1u3v1w1x2z4x1y1z1B1C1B1y1x1q2o1p1s5u1q1j1b8a1j1n7.2a1g1i9.1l1f6a1q1u275.1s1a1b8e4c2b9a7.1o1r1v1D1O1S1T1S1A1w1v1w1C1G1L1Q1R1S1N1F1y1r2o1p1n1g1n1p1t1u2w4x1u1r1o1f',
+  '1g1p5w1v1t1q1o1m1j1h1g1d1e1h1f1h1j1n1q1u1A1E1K1L2M2P2R2Q2P7O1N1M2L1J1K1L1M1L2K1J2I1H2I1E1G4F2D1C4B1A2z1y6x3w1v1t1r1q2p2t1m1f2b1i1l1w95.1x1m1n1s46.1p1d6a1d1g1o1q2v1x1z2B1C4D2C1B2A1z1x3w5x2w1u1v1w4v2w3v3w1x1y2z1y3x1y1z1A2B2A1v1t1u1w1B1C1B1A1y1w1q1g9a1p1r6.1n2a1l1n10.1p1h1b2a2c277.1t2b1c1d3e2d5c3b8a6.1t1p1t1B1K1S3T1L1H1C2B1F1G1I1K1N1O1M1J1F2C1A1s1g1h1l1m3n1p2r1q1n1l1h1c',
+  '1i1m1o1l1n1m1k2l1j1i2k2j1i1l2s1v1y1D1K1M1P1Q6S2R1P1O1N2M3N5O2N2L1N2O2N3L1K2J1D1G4F1E1D1C3B3A2z2y2x1y4x1w1v1t1r2q1p1o1n1l4a1i1v95.1u1v1y46.1n1d8a1i1m2t1w1y1A1B1C1D5E2D1C1A1x1v2u1w4x2y2x1y1x2y2x1w3v1w1v1w1x1y1A1z1A1z4y2x1y1z1B1A1y1C1F2K2H1D1z1r1g1b2a1b1c4a7.1n1f2a13.1m1d2a2j277.1u1b1a1b1c1e3d7c3b7a4.1g1o1u1s1z1N1S4T2S1M1L2D1B1z1B1F1J1N1O2Q1S1T1H1C1t1r1l1j1f1e1i1k1i1g1d2c1b',
+  '1r1m1q1n1r1q1p1s2v1x1A2B1C1A1D3J1L1O1Q1R5S2R3Q1P6O6P1O1P3O4P1O2P1O1N1M2J1I3H1F1E1D1B7A1z7y2x1v1u1t1s1r1q1p1o1n1e1b2a1c1m144.1n1e8a1c1h1o1p1s1v1w1x1y1B1D2E2F2E1D1C1B1z2x1y5z1A2z2A1z1y1x1w1u1t1s2u1t1v1x1y2z2A3z1y1x1w2v1w1C1A1D1H2N2M1J1F1w1l1c1a1c1f1g1c1b2a1l1n1q1.1o1j1g1d3a1o1p11.1m2k1m275.2s3.1g1c1b13c3b6a1n1i2.1n1s1z1C1L1S7T2Q1L1H1B1u1w1A1E1J1M1N1M2Q1P1O1K1I1C1A2v1x1w1s1o1k2i1m',
+  '1x1r1w1y2B1F1J1K1M1O1P2Q1R1Q1R1T2U2T2S3T1S2R2Q9P2Q5P1Q3P3Q6P1O1M1L1K1J2I2G1E1C4A3B1z3y2z2y2x1w1v1u1t1s2q2o1i1e2a1b1e1u138.1n1i1o1.1w1p1e9a1c1k1l1p1s2u1v1y1C1E1F2G1F1E4D1C2A1B1C5B1A2C1A1z1x1w1v1t1s1t1u1t1u2x2z2A3z2y1w1v1t1s1E1C1D1I4P1N1K1B1p1e1b1f2j1f1c13a1j1k10.1r1m278.2a3.1n1d1a2b11c3b3a3b1i1a1c1d1o1s1D1N1S1U1T1S7T1R1O1D1s1t1y1B1H1K2L1M1N3S1T1S1R3Q1N1G1z1t1q1p1x',
+  '1L1J2L2K1M1P1Q1R1S3T3S4T3S3T1S2R4Q2P2Q2R4Q2P6Q10P1N1M1K1J2I2G1E1C2A3B1C1B2A4z2y2x1w1v1u2t2r2p1l1j1e2d1j1u138.2e1p1.1x1n1d8a1b1c1i1j1n1p3r1u1B3E2F1G2F2E5C5B1C1D1C2B1A1y1w1v3u1s1t1v1x2z1A1B3A2z1y1w2u1D1C1D1G2O2P1O1L1C1u1l1g1k1m1l1i1g13a1k1n10.1p1l278.2a3.1o1d2a2b11c5b1c1b1a1f1i1c1h1v1x1J1S11T2R1E1s1v1B1H2N1K1I1L1Q1T1S1R1Q3R3S1P1L1H2F1I',
+  '6T6S2R16T1S1R1Q1R2S1T2S2T2S3R2S1R1Q3P2O1P1Q1P1Q1P2O2M2K1I2H1G1F1E1D1C4B1C1B1A5B1A1z1x2w1v2u2t1s1q2m2k1j1i1s121.1t1q2m1o1p1t1.1s2p1q1p1k1g2a1k1o2.1u1g1c9a1b1g1h1l1n1o2p1r1w1B1C2E1H1I4K1J1I1F4D1E1D1E5D1B1A1x1w1v2u1v1u1t1v1x1y4B3D2C3B1E1H1F1J1L1P1Q1P1O1L1H1D1z1t1n1m1i1e11a1b1c2g1c1b2a2b2a1e1l278.1y1m2a4.1l3a1b12c1d3e1d3b1e1r1A1Q1S1U14T1N1E1B1F1O1T1Q1O1P1L1P1R1S1R1P2M1O2R1S5R1T',
+  '8S1T1S20T2S2R2S5T1S2R5S2Q2P1O1N1O3Q2P1O2N1M1K2I2H2F1D6C1B1A1B2C2B1A1y2x1w1v2u2t1s1q1n1m2l2k1o121.2j2f1i1n1t1.1p4i1d1e2a1k1t2.1A1n1f1b9a1f1g1k1m1o1p1r1t1w1y1z1D1E1G1I5K1J1G1E2F1G1F1E1F3E1D1C1B1A1x2w1v1u1t1u2t1w1x1z1A1B2C1D1E4D2C2I1G1K3Q1P1N1K1G1B1s1l1j1d1b11a2b2d2b2a1c1b2a1e1n278.1z1m2a4.1o3a1b7c1b2c1d1e1f1h1g1d1c1e1c1d1l1C1I2U1T1S13T1P1K1D1C1N1T1S2R1Q2R2S1Q1M1L1N1Q2R1Q1P2O1P1S',
+  '2S1T1S35T2S8T2S2R2Q1R1S1R1Q2P1O2P1O1N2L2J1I1H1F3E6D1E1D2C1B1z3x1v1t1u1t1s1q1o1p1o4n1l1f1d1i1v122.1j1g1h2l1d4a1b1c9.1s1n6a1f1g1j1l1m3o1l1i1k1r1u1C1D1I4K5J1I1G3F2E2F1E1C1z1x1w1v1t1s1r1t1s1t1v2x1y2A1B1C1D1E1G1F1G2F1H1I1K2O3Q1P1N1K1B1v1m1e1f1b12a2c2j2f284.1n1g2b2.1t1g1d2a1b4c3d2f1h1i1k1n1o1m1g1c1b1e1l1H1P2U3S15T1S1L1C1E1L1R6T2S1R2S3T1S2R1S2R',
+  '39T2S8T8S1R2Q2P3O1N1M1L2K1I1H1G4F2E1D1E4D2C1A1z1y1x1w1v1u1t1s1r1q1p1q4o1m1k1h1e1k122.1n1f1c1e1h1c4a1c1f9.1t1r6a1c1e1h1k1l1n1m1j1e1c1d1m1r1A1C1I10K1J1I1H1F1E1D2F1E1D1B1y1w1v1u1s2r1q1s1u1x1w1x1z1A1B1C1D1E1F1G1H1G1H1G1J1L1K1M1P1R1Q1P1O1L1E1z1u1j1o2k1d10a1c1d2m1f1g284.1l1g1b1e2.1p1c1b1a1b3c2d2e1f1i1k1m1p1q1r1p1j1g1e1b1m1x4T2S16T1S1J1C1F1M1R5T1S1T1S1T1S5T3S2T',
+  '56T2S2R2S2R2P2N2L1K2J1I5H2G2E4D1B3A1y1w1v2t1s1r1q1r5o1n1k1g1c1b1d119.1n10a1r1x11.1c1b8a4b3a1d1m1x1A1J1K2L3M1L1K2J1I2K1H1K1I3E1D1B1y1x1w1v1t1s1q1t1r1t1v1w1x1z1B1E1F1G1H4I1L1J3L1M1O2Q1R1P1O1M1K1G2D1C1A1z1t1r1m1g1b5a1f1k286.1z1t1a1b2a1v1r1e3a1f2m1n1m1o1p1q1s1v2u1t1s1r1m2j2g1I2T1S2Q11T1U7T1R1M1J1M1R7T1S1T1S10T',
+  '56T1S3R2S2R2P2O2M2L1K2J4I1H1G2F3E1D1C1B2A1z1x1w2t1s1r2q5o1n1l1h1f1e1b119.1o10a2t11.1f1b9a2b4a1b1g1w1z1H1I1K1L4M1L2J2I1H1G1H1I3E1D1z1x2w1v2u1s1t2r1u1v1w1y1A1D1F1G1H2I2J1M4L1M1O1P1Q1R2P1N1L1K1J1I1H1E2D1y1s1o1m1g1b3a1e1f286.1s1o2c2b1w1s1f1a2d1j2q1r1q2t2u1v2u1t1r1m2k1i1n1t2T2S1P1O19T1R1P1J1I1Q6T4S10T',
+  '57T7S2Q2P1O2N1M1L1K2J3I2H4F2E2D1B1A1z2y1u1t1s1r1q1p6o1m1k1g1e1a119.1r1c1b4a1b1c2a2i2l2m1p1s1t1r1t1y1A1f1b9a2b4a1c1i1x1A1H1I1J1L4M1L2K1I1H1I1H1G1H1E3D1A1x2w1v2u3r1q2t1u1w1y1A1D1F1G1H1I1J1I3L2K1L1N1O4P1N1L1K1M2L1J2H1E1z1x1w1t1p1k1e1c2b2j284.1j1i1c1b2c2.1l1d1j1k1o4s2u2v1t2s1r1n1l1n1o1s1A1F4S1O1N2S17T1S1R1K1F1O20T',
+  '17T2S44T2S1R2Q2P2O1M1L1K3J2I1H4G3F1E1C1B1A2z1v1u1s1r1p4o2p2o1m1i1e1a120.1h1f1e1c1b1d1g1m1c1b6a1b1e1c1a1h1s1t1c10a2b2a2b1l1p1A1C1H1I1J1L4M1L2J2H1I1H1F1G4D1A1x1w1v1u2t1r1p1q1o1r2s1t1v1y1B1D1F2I1K1J2L1J1I1J1K1L2M1N1O1P1N1L1J1O2P1O1N1M1L1K2L1K1I1A1r1o4a1d1c282.1c1d1c1b1d1g2.1q1k1q1s1t3u2v3w1r1o2p1n1o1s1w1I1T1U1S2R1S1O1N2S19T1L1D1M20T',
+  '64T2S2Q2P2O1N1M1L2K2J2I1H4G3F1D1C1B2z1w1v1s1q1o1n3p1q2p1o1n1i1e1b1o1B119.1s1p1n1j1m1q1v1j1d10a1b2f10a1b2f1h1l1o1q1z1C2I1K2L3M2L1K2J1I1H2F2D1C2B1A1x1w1u1t1s2r1p3o3r1s1u1w1z1B1D1H1I4K1H1F1I3J1L1M1O1P1O1N1L1O1Q9O1N1J1E1C1o1k4a64.2p1n1m7.1p1q2l26.1r1p173.1p1o1e1d1b1a1c1g2l2h1o1s1t4u1t1s1r1q1n1l1n1o1t1A1F1M1R1T1S1R1Q1R1S1P1Q2S19T1M1E1K1R1S4T1U13T',
+  '64T2S1R1Q3P1O1N2M1L3K2I3H3G2F1E1D1B2A2x1t1r1o1n6q1p1n1j1f1b1l1y126.1l1g22a1c1i1m1o1s1x1C1E1L1M2O4N1M6K1J1H1D3C2z1y1x1v1u1t1r2q1p1n2o1p4r1t1v1w1y1B1E1F1I2J1K1G1F4H1K1N1O4P1Q1R1M1J1M1O1P4Q1P1O2M1D1z1i1b2a1m1l62.2b2a1d1k5.2f2c23.1u1n1j1f1d172.1s2j1f1c2a1c1f3a1b1i1p1s3t1s1n1k1j1g1h1i1m1q1B1P1T1U1T3S1Q1R5S13T1S5T1P1J1K1O1R2S2T2U12T',
+  '65T1S2R3P1O1N1M1L1K3J2I2H2G2F2E1D1C1B2A1y1x1u1s1p1o2p5q1p1l1g1a1n1B121.1w1r1o1m1j1c1b7a2c1b11a1e1n1r1u1v1x1B1F1I2O2P2O1L1H1G1E1F1H2I1J1I1F2C1A1y2x2w1u1s2r1p1o3n1p1q4r1s1t1v1x1z2C1E1F1I1K3J1I2F1I1M2O1L1I1J1M1O1M1K1N7P1O1N1M1H1E1t1m1d1a1l1n28.1m1q32.4a1b1d1m4.1e1d1e1g21.1u1l1h1e1j1o1e171.1s1p1k1j1e1b2a1g1m1n1l1d1a1e1l1p1q1o1m1k1i1f2h1s1v1z1G1P3T5S4T1S14T2S4T1R1O1G1H1N5T1U12T',
+  '66T1S1R2Q1P1O1N1M1K2I1H3I2H2F2E2D1C2B2A1z1y1v1u2q3p2q1r2q1m1h1a1q1E113.2f5.1u1o1g1b7a1b1c1f1i1l1m1k1f2b7a1b1k1u1x1z1A1B1E1I1K6P1K1E1C1A1C2E1F1G1F1D1C1B1y1w2x1w1v1t2r1q1o1n1m2n1p1q4r1s1u1v1w1x1A1B2C1H1K1L1M1L1I2F1K3O1K1G1H1K1M1P3Q1M1I1K1M1N2O1N1M1G1F1x1s1h1b1k1o26.1h1j1b1c1l1m28.1h1e3a1b2c1k1.1x1u1r1h1g1l1m20.1p1f3a1f171.1w1p1l1m2l1e1c2a1l1t2.1n1a1c1g1k1m1g2d2e1o1t1L1Q1T1V1U4S17T2S4T2S4T1S1Q1E1C1J2T1S15T',
+  '13T2U51T1S1R2P1O1N1M1K1I3H1I2H2G2F2E2D1C2B2A1z1y2w2s8r1n1i1a111.1q1p1i1g1b1g2.1w1p1j1g1c6a1c1f1l1m1n1p1r3t1q1m1k1c6a1b1n1v1z1C1D1E1H1L1M1P2Q2P1Q1O1L1I1G1F3D1E2C1A1z1x2w1x1w1v1t1r1q1p1o3n1o2p1q3r1s1t1v1w1x1y1z1C1D1I1M1K1I1E2D1I1O1Q1P3N3O2P1G1B1w1r1v1A1z2B1z1y1x1B1w1s1i1e21.1z1t7.1e1f2d1n27.2b1a1b1d1f1g1h1l2s1r1p1k1j2m1t1u1x17.1m1c3a1b1g1a169.1t1s3r1s1l1g1b1a6.2s1n1g1d1c1d1l1q1E1L2S3T2S25T3S3T2S1L1I1M18T',
+  '13T2U51T1R1Q2O1N1M1K2I4H2G2F5E1D1C1B2A3z2w1v1u3t2s1r2s1o1i1a109.1i1h5a1c1t1s1h7a1b1e1g1o1r1w2x1w1x1z1A1B1z1v1t1l1g4a1b1d1o1v1z1D1F1I1L1N1O3Q1P4Q1O1M1I1E1D2C1B1C1y2x3w1v1u1s1r1q1o1n1m1n1o3p6r1t1w1x2y1B1F2K1G1C2z1D1K1P1Q1P1N1O1Q1R1K2I1L1u1m1j1f1n1.2u1t2s1r1u1t1s1n1k19.1x1s1k1b1j6.1f1j2a1d1k24.2n2c1f1g1h2i1j1k1l2m1l2k2l1k1j1l1n1y15.1k1c3a1c1g1a168.1y1v1w1x3w1q1m1c1d8.1r1c1f1h1k1z1H1T1U1T4S27T1R4S2T1S1P1M1N18T',
+  '66T1R1Q1O1N1M1L1K1J1I4H2G2F5E1D1C1B3A2z2w2v1t1u1t5s1o1j1a109.2f6a1p1o1e6a1b1d1j1n1s1u1x2z2y1A1C1D1B1w1v1o1k1b3a1b1f1o1u1z1C1F1K1N1O1P3Q1P1Q1R2Q1O1M1J1E1D4C2x4w1v1u1s1r1p1n2m1n1o3q1s3r2s1t1u1v1y1z1A1H1K1J1D3A1E1M1Q1R3Q1S1R1G1C1D1I1s1h2g1q1.1y1x1v2u1r3q1n1l19.1y1r1k1b1i6.1b1i2a1e1l24.1n1o1g1f3h1i1j2k1l3m1k3l2k1l1n1w15.1j1c3a1c1h1b168.1C3x1w2v1r1o1d1e8.1q1d1i1m1r1G1N1U1T5S27T1R4S2T1S1N1J1M18T',
+  '64T2S1Q1P2O2N1M1K2J2I1H1I1H2F3E1F1E2D1C1B2z2y2x1v1u4t1s1q1p1q1o1m1b107.1o1d11a1c1e1g1i1l1q1u1w1A1C2G1I2J1I1H1I1L1M1L1J1I1z1w1o1m1j1k2p1s1w1A1E1I1N1P1Q3R2Q1R1S1R1P1N1L1I1F1D5C2B1C2y1v1s1r1q1o2l1n1m1o1p1s2t1s1u1v6w1v1D1G1H2F1H2P1R1Q1R3T2S1P1u1m1l1p1m1e1o25.1c1e1j1n1p2q2p2n1q1j2b6.2d4a1f1l20.1a1h6j2k2j1k1l1k1i1j1l3k1j1i1h1f1l1s13.1j8a158.1d1e1q1t1n1o1s1w1y1z1y4x1t1o2.1z1v3.1r1m1j1p1w1D1J1S1U1T2S30T3S7T1K1F1J1U17T',
+  '64T2S2Q3O1N1M2L1K2J3I2F5E2D1C1B1A1z1y3x1v1u3t1s2r2q1o1m1b107.1n1d9a1c1h2k1m1o1r1v1y1z1E1G2K1L2M1L2K1L2N2M1D1B1t1r1q3r1u1x1B1F1K1N1P1Q1R2S1R1Q2S1R1P1N1L1J1G1D8C2A1w1s1r1q1o4l2o1s1t2s1u4w2x1z1A2D2E1K1L1S2R2S3T2S1R1A1t1n1o1l1f1n25.1h1j1l1m1o4p1n1p1t1l1d1e6.2c3a1b1i1n20.1a1g7j1i1f2c1d1h2g5j1i1h1g1m1q13.1i6a1c1b158.2p2C1w3x1y1z1y4x1r1l2.2r3.1q1o1p1x1E1N2S2T2S30T1S1R8T1K1D1E1U16T1U',
+  '42T2S22T1S1R5P2O2N2M1J1I2G3F3E1D1C1B1A2z2y1x2u3t1s1r1q1r1s1q1o1d106.1u1n1f8a1o1p1s1u1w1x1A1E1H1J1K1N1O1Q1R4S1R1Q2R1S2T1R1P1H2C1A2t1v1x1B1G1K1O1P1Q1R3S1R2S1R1Q1P1N1L1I1F6E2C1y1x1t1r1o2l1m2l1k2n1p1q1s1u1v1w1x1y1z1C1B1z1y1z1w1E1K5T2S6T1M1C1t1v1q1l1n1q21.1r2m1p1o2n2o2p1n1j1n1s1l1g1i2d1j1k7.1g1f1c1b2a17.3n1o2l1p1t9.1j1o2j3k1i1n1r15.1k6a155.1w2s1t1r1x3w2x5w1v1u1i1f1w1s1c1f2c1f1l1w1M1S1U1T2S32T2S1Q1R1U6T1S1J2A1U1T1S10T1U2T2U',
+  '42T2S21T1S2R5P4O2N2K1I1H3F3E2D1C1B1A1y1z2x1u4t1r1q1r2s1q1o1g106.1o1i1d7a1i1s1t1w1y1A1B1E1H1K2M2P1R10S2T1S1R1M1K1E1A1v1u1v1x1A1F1K1N1P2Q1R2S1R3S1R1Q1P1M1J1I2H1G3H2C1x1w1t1q1o3l2j1k1o1n1o1p1t1u1v1w1x1z1B1C1B1x1v1y1x1K1M5T1R1Q1S5T1N1H1z1y1t2n1o21.1w1r1s6o1p1q1m1f1h1m1k1i1j2i1s1m7.4b2a17.1l1j2i2h1n1v9.2m2f1g1h2g1n1u15.1f6a155.1y2s1t1u2x2w1x1w3v2w1v1u1n1f1p1s1g2e1f1k1s1F1R1S1T3S33T1S1R1S7T1S1F1u1t2T2S14T',
+  '57T5S2R1Q2P1O8P3O1N1M1J1I3H1G1F2E5D1C1B1A1z1y1w2x3w1v1t1p1m1g102.1l1c9a1b1e1s1v1B1C1G1J1L1M1O1P2Q1R1S16T1R1P1H1F2D1B3A1E1J1L1N1O2P2R5T1S1P1M1K4J1I1H1A1y1v1u1q1n1m1k2j1l2m1l1m1l1n2s1t1v1A1E1D4C1G1K1P1R2T3S1Q3R2S4T1P1M1r1l1n1q18.1c1g3i1j1n1o5p2o1k3.1n1o1r1q2v1k1f2m5.1l1i1c1a8.1n1h1e1b1k47.1c1b4a153.1t1r1t2r1t3v1q1o2n1p3q3r1l1d4.1d1e1m1y1N36T4S9T1S1K2C2T1S1Q1L1M2S10T',
+  '2U55T4S1R2Q3P10O3N1M1K3J1I1H1E1C1A1z1A1D1E1G1F2E1F1H1G1F2G2F1D1y1q1j1f102.1i1b7a1f1j1m1o1v1x1E1F1J1M1N1O1P1Q3R17T1P1Q1N1O1K1I1F2E1D1E1H1K1M1N2P1Q1R4T2S1P1M1L2K2J1I1F1A1x1u1t1o1k2j3i1j1m3j1n2r1t1v1y1B1C2D2F1H1N1Q1R2T1Q1R4S2R1S4T1Q1O1r1c1j1q18.1h1i1g1f1e2c1h2p2q1p2o1l3.1p1q1r1u1x1w1n1k1p1o5.1l1e2c8.1p1l1g1b1k47.1d1c4a153.1w1s1r1q1r1t1u1v1r1f2g1f1h1m2n1p2o1h1c4.1c1d1l1y1M36T2S1R1S3T1S5T1S1M1K1O2T2S2L1Q1R1S9T',
+  '2T1U18T2S18T1S24T1S1R4S14T2S1R2S1R2P1N2M3L2K1J1I2H1F1C1x1t1q1n1o98.1b3a1d1l1o4p1s1t1y1A2G1I1K1O1Q1R2S1T3S25T1S1Q1M1I1J1L1M2P1Q1R2T2S1Q1P1N2L2K1I1G2D1y1w1q1o1k1i4g1h2i3g1m1r1s1t1v1w1x1z1D1G2I1P1R1P1R1S1R1O1Q3T1S1R1O1L1J1I1H1L1H1C1n1e1r18.1l2e1b1d1i1e1j1h1s3q1p1n1l1h1f1.1s1n1q1r1t2v2u1q1p1m1j1o1.1q1h1e2d1l1i5.1n1j1b2a1e1n1o44.1i6a1c1a131.1q1j1c1q4.2e1h1i5.1o1l1j1k1j1l1p2r1s1o2g1i1f1c1h3n1k1f2c1a4.1e1g1q1F1P3S30T2S1R1Q1P2S2T2S9T5S1R2P1R1S8T',
+  '21T1S1R18T1S24T1R1Q4S14T2S2R1S1Q2P1N1M4L2K1J1I2H1F1C1x1u1s1p1o98.3a1b1g1n3p1q1r1t1u1z1C1H1I1K1L1O1P1R2S1T2S1R1S24T1S1R1O1K1L1M1O1P1Q2R2T2S1Q1P1O1L3K1I1F2D1y1v1q1o1k1h3g1f1h1i1h2g1f1l1q1r1t1v1w1x1A1D1G2J1Q1R1P1R2S1Q1R2T1S1R1P1M1I1F1G1I1K1E1x1i1b1o18.1l1c2b1g1m1o1k1j1r3q1p1n1l1h1i1.1t1o2p1q1t3u1s1q1o1k1p1.1p1j1h1f1d1n1k5.1n1i1b2a1f2n44.1m6a1c1a131.1s1j1c1p4.2d1f1g5.1p1l2j1i1n4r1n1h1g3h1k2n1m1j1d2b1a4.1e1g1q1G1Q3S30T2S1Q1P1O2S13T1Q5S2Q1R1S8T',
+  '19T1S1T2S9T1S33T1S1Q19T1S3R2Q1P2O4N2M1L2K1J1H1E1A2x1s1l96.1u1p2a1d1j1o1q1r1s1t1u1v1y1A1F1H1L1M2N1O2P1Q1R3S1R1S25T1S1R3Q1R7S1Q1O1N1L1I2G2H1E2B1v1t1o1n1j2g4h1g1e1h1j1g1j1o1q1s1u1w1x1A1D1F1J1K1P1O1Q1R1S1R4T1S1R1P1L1H1F1I2N1I1D1n1f1n17.2i2c1e1l1q1t2m4q2p1n1j1k1p1n1i1h1i1j1p1r1u2t1s1q1n1p1r1n1m1o1n1l1p1m6.1l1g1d1a1e1k1j44.1m8a132.1n1e1i1l1j2g2a1c1d6.1u1m1i1g1m1o1m1o1p1n1i1g1j1l2n1m1j1i1g2c1j1n2.1w1r1f1g1s1J1R2S30T1S1Q1N1L1J1L4S8T1R1P2O3S2T2R1O1M1P2S5T',
+  '13T2S2T1S1R1S12T1S33T1S1R19T2S6R3Q2P3O1N1M1L1J1G1D1C1B1u1m96.1k1f1a1e1k1q1r1s1u1w1x2z1E1G1L1M4O1P1Q1P2Q1R1S1R1Q2S34T1R1S1Q1O1L1J1G1D1C1B1C1E1D2z1t1r1n1m1j1g1h3j1g1d1e2l1i1k1n1m1o1s1u1w1A1D1F1I1K2M1R1S2Q5T1S1Q1K2J1N2S1Q1P1v1m1q17.1i1k1h1j1k1n1q1p2o6q1p1m1h1e1c2b2c1j1g1m3o1q1s1p1n1o1p1s1u1t1s1n1q1o5.1k1g1a1e1i1h44.1j8a132.1q1h1d6a1b1c7.1q1j1g1i1j1g1l1o1m1g1f1m1o1p1n1i2d1f2d4.1g1e1f1h1v1O2S30T1S1R1N1G1E1D1G1S1T1S1R8T1M1D1B1N1R2S2T1R1Q1L1G1J1P1S5T',
+  '18T1S48T1S22T8S1R1Q2P2O1N1M1K1I1G1E1D1x1t1n1k94.2c1g1l1o1s1u1w1y1B1C1D1E1I1J1M1N3P2Q2R5S3R32T1R1S2O1L1I1H1F1C1z1y1x3y1v1u1q1p2i1h1i1j3k1i1g1j1m1l3m1k1l1n1s1x1B4G1H1K2R1O1P1R1Q2P1N1J1D1z1E1K1O2S1N1J1u1m1o1m15.2n1o3n1o2p1q1r2q3s1t1q1m1k1j1f1d1e2b1c1a1g1e2.1r1s1r1p1q1s1t1v1u1v1s1p1k4.1j1e1c1b1e1f1e45.1l1f2b4a134.1r1p1k2g4a8.1o1g1i4j1e1d1g2m1n1j1c1d1j1m2n4.1b1c1l1p1D3S24T1S1R2P2Q2P1L1G1E1D1G1R1T3R1S6T1O1H1E1P3S2T1S1R1L2D1H1N1Q1R2S1T',
+  '22T1S75T2S1Q3P1O1N1M1K1H2F1A1x1k1f92.1r1o1a1b1n1p1r1t1w1z1C1E1G2I2M2O2Q3R2S6T1R1Q1S1R30T2Q1M1K1H2E1D1A1x1w1v1w2v2r1n1l2f1h1j1k1l1m3n1o1p4o2m1o1t1z1D1I1F1D1E1F1H1Q1R3P1O1M1L1F1x1q1p1z1I1N2Q1C1B1t1n1m1j1l12.1n1q1r2p1o1n2m1l1k1n1o2n3q1p1m1i1k1.1e1d1g1a1b1c1a1n1h3.2r1s1t1u1v1w1v2w1r1m3.1m1h3b1c2b46.1o1e1c2a2b139.4a1b1c6.1v1g1k2l1h1f1a1b2i2j1e1a1h1q7.1a1f1v1A1O1T2S24T1Q1N1I1J1L3M1L1J1H1G1I1R1S1R1Q1R1S6T1S2R1Q7S1K1C1A1B1H1M1O1Q1S1T',
+  '2S2R2S2R1Q1R1S87T2S4P2O1N1L1J1I1G1A1y1r1o94.1a1e1p1r1t1w1z1C1E1G1I2K1N1O1P1Q2R5S6T1R3Q1S10T1S2Q1P9T1S2T1S2R1N1M1H1F1E1D2C1z1x1v3u1s2o1l1j2i1k1l1m1o1p1q1r1s1t2s2t1v2t1u1y1C1F1I1J2I1M1N1R1S1R1S1R1Q1M1I1A1s1r1v1C1G1H1J1E1D1G1A1v1s1o1m1l1m1j5.1o1r1p1q1r2s1q2r1q19.2a2c1l1i2j1m1s1u1v1w3y1v1u1t1v1w2.1q1j1g1c2b3c1n1l13.1n1l32.1p1q137.1o1k2g6a7.1i1j1i1h1f1d2a4d1f1j1t8.1f1m1I1M1R1T2S24T1N1G1B1C1H1L2M2N2O1P1S2T1S8T3S2N2R2T1S1R1L1F1E1C1E1G1J1M1P1S',
+  '2Q1P1O2P1N2L1N1R87T2S6P1O1M1L1K1I1B1A1v1t1o1l92.1a1g1r1t1w1z1C1E1G1I1K1M1N1P1Q1R3S8T3S1Q1P1Q2R1S9T1Q1M2J1R1S3T7S1Q2P1I1H1D4C1B1z1w1u3s1q2m2j2l1m1n1o1p1q1r1t2v2u1w1x4A1B1E1H1K1N2O2S4T2Q1J1C1w1r1x1I2K1I1G1C1P1Q1J1F1z1r1j1d1b1a1g2.1e1g2d1f1g2j1l1k22.3a1b1c1b2a1e1r1w1x1z1B1A1z1w2s1w1B1y1v1o1g1d2c2d2f1l1h1w1z2v1q2r1o1q1.1l1j1g1b1c170.1l1b9a7.1h1g1d1c1b4a2b1a1i10.1l1r1R2T1S24T2S1K1D1y1z1F2L1M1N1P1R15T1S1R2D1P1R2T1S1R1O1L1J1F2C1F1J1L1P',
+  '1I2J1I2F1E1C1G1O1S87T1S1R6P1O1N1M1K1J1D1C1z1x1q1j1p89.1z1y1b1l1t1w1z1D1E1G1I1L1O2Q3S10T1S1R2Q2P2R1Q1R2S7T1R1N2I1P1Q1R1Q1P1N1O2R3O1N1L1K2F2C2B1A1z1x1v1t1r3q1o1n1m2n1o3p1q1r1s1t1u1v1u1t1z1A1D1E1F1G1I1K1L1M1P2R4T2R1K1I1A1v1s1t1A1I1J1I1G2F2M1G1F1z1s1l1f1c1b1l2.2n1m2k1m1p1l24.8a1b1j1r1w1y2A1z1w1s1r1t1w1x1y1u1o1i3f1g1j1l1m1k1w1x1w1v2p1o1n1r1.1m1k1i1d1e169.1l1e9a1b6.1r1c1b2a2c1q2r1s2t9.2r1t1C30T1N1J2G1J1L1J1H1L1O1R14T1S1R1Q2q1K1Q2O1P1Q1P1O1L1F2A1D2F1I',
+  '1C1D2E2x1y1x1D1P76T1S11T1S1R1Q5P2O1M1L1J1F1E1C1B1r1f1k1l88.2q1e1q1v1y1B1F1G1I1K1N1Q1S13T2S1Q4O2Q1P1Q2R7T1S1Q1L1J1P1O1P1N1K1H1J2P1K1J2K1I1H2E2C1A1z1y1x1v1t1s1q1p1o1q1r1p1o1p4q2r1s1t2u1w1u1s2C1F1H1J1L1N2P1O1Q1S5T1Q1P1E1C1v2q1t1A1G1F1E1B1C1B2I1E1D1y1s1n1g1d1b35.1a1b7a1c1l1t1w1y2z1w2r1q1t1u2x1t1n1j2g1h1k1o1m1l2s1o1n2m1l1k1o1.1e1f1h1d1e168.1o1b9a1c1e6.1k4a2h13.1v1p2n1B1O30T1R1Q2P1N1K1H1E1J1P1S1U1T1U11T1S1Q1P1k1g1H1P1I1J2N1O1N1L1F1z1y1B3C',
+  '1w1x1C1B3u1x1J2S74T2S11T1S1R2Q5P1O1M1L1K1G1F1D1C1u1k2n88.1k1i1q1s1x1A1D1H1I1J1M1P1R14T1S1R1P2N1O1N1O1Q2R2P1S6T2S2P1E1H1J1L2M1O1Q1M2I1J1I1H1I1G1F2C1z2x1v1u1s1q1o1n1m1l1o1p1q1r1s1t2s2r1s1u2w1v2s1F1E1K1L1N1P1Q1R1Q1P1Q6T1Q1N1C1y1s1q1u1w1x1B1D1C1G1B1D1J1I2F1B1v1p1j1e1a35.1a1b8a1h1p1t1x2y1x1r1q2p2s3t1v1t1r1s2t1o2q1p2n2m3l1.1k1n1m2g168.1p1c9a1c1f6.1h4a1k1r13.1u1w1v1z1N1R2S28T1S1R1Q1P1M1I1G1F1L1R1S14T2S1R1u1j1L1P2C1J1K1L1N1K1D1z2y1z1y1A',
+  '1H1L1I1B1G1I1D1B1N15T3S61T2S8T2S3Q1P1O3N2M1L1J1I1G1F1A1w1p1f1d1f1j81.1w1j2a1b1k1w1y1E1G1K1O1P1R1S13T2S1R1P1N1M1L1M1P1Q1R1Q1O1P1R1S7T1S1T1P1S1M1O3S1Q1P2R1Q1N1L1J1G1E2D1B1A1y1w1u1s1q3p1o2q1t1s4r1t2u1s1p1q1u1v1u1x1C1G1J2R1S10T1S1R1L1J1D2B2C1D1F1H1I4K1J1I2G1z1p1i1c1n34.1g1p9a1c1h1k1o1q1t1v1y1u1r1n1m1l3m1k1l1p1s1t1s1r1p1o1p1q2r2o4n1l1k2j1h172.1r1b7a1h1g1c5a1h1p1x10.1s1j1m2o1b1f1n1w2U3S1Q1R25T1Q1O1A1y1x1y1C1J1P1T2U16T1L1F1T1S1D1B1v1w1z1C1B1z1v1t1q1o1n1x',
+  '2N1K1I2P1G1B1L15T1S1R1S56T1S14T2S1Q2P1O1N3M3L1J1I1G1F1A1y1t1l1h1j1p81.1p1f2a1d1o1x1A1H1J1N1Q1R1S13T2S2R1M1J3L1O2R1Q1M1N1P1S9T2S1P1Q2S5R1P1L1I1H2D3C1B1y1v1t1r1p1o2q1p1q3s3r2s1t2u1t2s1t1s1z1C1E1I1Q1R1S10T1S1P1J1F4B1C2D1G5K2I1H1D1s1e1b1a1d34.1a1d8a1b1e1g1j1m1o1r1t1v2t1o1m1j1h1i3j1m1p1q2p1o1p4r1p1o2n1k1j1k1j1i1h1c172.1o1c7a2d1b5a1j2s10.1t1p1t1s1q1h1c1i1q1S1U5S25T1P1L1w1v1w1A1G1M1R1U18T1J1E2T1L1H1u2t3v1u1r1o2n1A',
+  '1S5T1S2M1Q1S17T3S2T1S47T6S2R5Q2P1O1N1M3L1K1L1K2I2J2K2H1F1E2C1y1s1j1d1e1f1h1f1c75.1k1b4a1m1t1D1G1P1R1S12T1S1R1L1M1L1I1K1N2O1N2M2S1T1S1O1P1R4T1S13T2S1R1P1K1G1E1C2B1C2z1x1u1r1p2o1r2t2u2v2u2w1v3w1u1r1s1t1u1v1y1J1M1Q3S7T2S1G1E1z2x1w1t1u1A1E1G1I1H1G1E1C1B1C1E1v1k1n1m41.4o1c1d2c1f1i1j1k3j1i1m1x1v1x1w1p1k3l1m1n2o1r1s2r1o1n1l1k1i1g4f1l1q1e173.1e1c6a2c4a1i1s3.1q1m1x1p1f1h1l1q1u1w1z1C1z1t1q1c1b1g1m1M5S8T1S7T6S2R2Q1B1x1q1r1x1H1P21T1Q1L1I1N2T1P1N1K2I1L1N2K1L1J1P',
+  '6T1S3R1S16T2S4T1R47T1R4S1R1Q1P3O3N1M2L2I1K1L1M1K4I1J1K1J1H1G1F1E2C1z1x1n2d1f2i1e75.1f1b3a1c1p1s1E1I1Q2S12T1R1Q1M1I1B1C1J1M3N2M2S2T1R1Q1S4T1S13T2S1Q1O1J1F1D1C1B2C1z1x1v1s1q1o1p1r3s1u2v1w2v2x1y2z1x1v1u1v2w1t1s1K1N3S8T1S1R1E1C2z1w1u1s1w1C1G1H1I1F1E1D1z1x1B1C1o1d1e1c41.7a1b1d1g1h2i1h1f1c1a1d5a1h1k1l1n1p2q2s1r1p1m1k2h1f1e3d1e1i1m1a173.1d1c6a2b4a1h1q3.1t2o1p1i1o1u1B1D1E1D1C1z1s1p1b1c1j1n1J1S12T1R7T1S1T2S1R1Q1O1Q1P1L1x1t1p1q1x1I1P21T1R1P1D1I1S1T1R10Q1S',
+  '2S8T1Q1P1S19T1P1L1P1R43T2Q2O3N2M1O2Q4O2M3L2J1I1H3G3H2G2F1E2C1B1A1w1q1j2g1e1d72.1r5a1c1e1l1p1r1B1G1S14T2S1M1E1B1H2K1L1N1O1P1R2T1Q1R14T1S4T2S1R1P1O1L1G1D2C1B2x1v1t1s2p1r1s1t3u3v1w1z2B4C1B1C1D1B1y1w1k1n1O1S11T1Q1O1G1H1L1M1I1H1G1I1J1I1H1F1B2x1v1t1q1n1k1c50.1c1d1b1c2d1c1a1p1a9.1q1u1v1w1q1p1m1k1e1b4c1b2a1b1l175.1o1p12a1b1f3.1f1j1m1p1D3J1H1E2D1z1t1q1f1e1m1q1M4S8T1S1R2S8T1S1R1Q2M1E1B1v2u1v1C1N1S23T1K1D1M3S5T1S3T1S',
+  '1Q1S8T2Q1S17T1S1T1Q1O1P1S40T2S1R1O2N1O1P1Q1P2O3P3O2N4L2J1I1H3G1H1G4F2D2C1B1A1y1u1n1g1h1f1e72.1o5a1d1h1n1q1r1x1E15T2S1M1L1J1I2K1M1P1Q1R1S2T2S13T1S6T1S1P1M1J1H1E2C1B1A1w1v1u1r1q1p1q1s3t1u1v2x2w1A1B6C1D1E1B1y1r1p1x1P1S1T1U7T2S1P1O1K1L1O1N1K3J2I1G1C1x1u1t1u1r1k1h1f1a50.1a1c2a3b1a1o1a9.3a1b1f1k1i1g1b1a1b1c2b4a1c175.1m1q12a1b1e3.1g1l1s1A1L2J1H1F3E1A1u1r2e1l1q1K1T3S10T1P1S2T2S5T2S1P1O1F1D1A1y1x1y1F1O1S23T2P4S5T1S3T1S',
+  '1P1S8T2Q3S17T1S2Q1S38T1S1R3Q2O2N2P1O1N1M2N2O4N1L3M2K1J1H2G2H3F2E4D1B1A1z1w1r1l1j1h1g1r1j2.1h1e66.1j4a1b1e1j1o1u1v1y1B1Q1R1S12T1S1R1N1M2K2L1O1Q3S23T2S1Q1N1J1F1D2B1A1z1w1v1t3s3t2u1v1w3z1A1D2E7F1D1A1t1x1D1P1R9T2S1Q1P2N1O1N2K1J1H1G1E1B1w1t1s1q1r1p1j1g1k1a52.1c1e1i1g2b17.1g1l1k1g4.1m1d1c1a178.12a1b1c1m2.1j1o1A1F1L1K1J1I3G1F1A1u1r2g1l1p1G1Q13T1R10T2S1R1Q1L2J1I2G1L1Q24T2R2S2T1S1Q1R2T2S2T1S',
+  '1Q1S7T1S4R1S19T1S1R38T1S3Q2P1O2M2O1M3L1M2N2M1N1M1L1M2N2L1K1J4H1F4E4D1C1B1A1z1v1r1n2l1m1d2.1a1d1f1a62.1u1q1e2a3b1f1l1q4A1M1P1R12T2S1P1O1N1M2N1Q1S24T4S1P1M1H1E1C2B1z1y1v1u2s1u3v1u1v1w2y2B1E1G2H2I1J1K3J1I1F1D1y1G1K1P1Q9T2S1R1Q2P1O1N2K1H1E1B1z1v1r1p1o3m1j1g1p1a55.2a1b207.14a1c1g1j1o1s1K3L1K1J3I1H1B1u1s1i1j1k1p1D1N1U27T1R1Q3S1R1S27T2S2T1R1P1R1T2S1R1Q2S',
+  '2S8T1R2Q2S17T4S26T8S4T2S3R2P2M2N1L1K1J1K1L1M7L2N1M1L1K2J3I1G4F3E1D2C1B1z1w1u1s1p1o1n1i2.1b1n1d1b1e49.1r1q1o9.1w1s1f2a3b1d1h1n1E1I2G1J1L1P1S13T2R1Q1P2Q1R25T2S1R1Q1M1I1E1C1B1A1z1x1w1u1v2u1v3w1x1y3A1C1D2J2K2L1M2N1M1L1K1G1C1w1C1L1R1S9T2S1Q3P1N1M1I1H1E1A1x1w1u1s1o1m1h1j1k1h1f1r1a265.14a1d1h1o1w1C2F1K3L1J2I1H1C1v1s2l1m1s1D1K2U20T1S5T2S28T1S3T1P1Q2T3S1T2S1Q1O1P1S',
+  '1S1R1S1R6T1S1P1Q1T3S15T1R1S28T2R1Q1R1S1R2S6T2S1R2P1N1O2N1L1J2I4J1K1J3K2N2M1K3J3I2H4G1E2D1C1B1z1x1w1v1t1s1n1k1p1h2.2a1h46.1v1d4a1b1h1j1o1l6.1i3a2b1c1e1n1L1P1N1M1J1I1L1Q1S14T3S23T2S2T2S1Q1N1J1F1C1A1z2x1v1u1t1u1w1x2w1x1z1A1C3D1G1I1L1M1N3M4O1M1L1G1C1w1D1M10T2S1R2P2O1L1J2F1B1y2w1v1t1n1i1f2h1d1b119.1f1a144.1o1q9a5b1h1n1t1K1O1C1y1F1L2M1K1J2I1D1v1s1p1o1r1v1D1F1V1U19T1S1R1S38T1M1Q1S2R2S3T1R1P1O1S',
+  '1L1K1I1J1P1Q1P1Q1R1T1S1Q1R3T1S1P1R3S10T2S28T1S1T1R2S3R2S3T2S3R1Q3O1N1M1L1J1I1J1I1J2K2I1J1K2N2M2L1J2I1J1I5H1G2F1E1D1B1A2y1x2w1s1o1m1e1j2d1h1m1d34.1o1j1h1g1h1q1p2.1u1s1m3e1b2a2b2c1g1l4.1o1a4b1d1f1r1S1R1P1O1L1K1L1O1R15T1S24T1S3T2S1R1O1K1G1D2A1z1y1v2t1u4x1z1C1D1F1H2I1K1M4O5P2O1N1L1J1I1N1Q10T1S2R1P1O2M1G1B3z1y1x1w1v1q1i2e1c1b1k1c118.1i1f1b1e143.2h9a1c3b1d1m1t1y2L1E2A1H1M1P1N1L2J1E1x1v1r1q1s1v1B1y1P1Q1S18T1S1R1S38T1P6S3T2S1R1S',
+  '1I1H1y1A1G1H1I1J1O2S1R1S3T1S1N1O2Q2R3S10T2S1T1S26T2R1Q1R3S1T3S4R2P4O1L2J1I1J2K1G1F1I1K2N1M1N1M1L1K3J1I6H2G1F1D1C3B1z3y1v1d1a1k1b2.1l1c32.1p1e7a3b1c1e1h2k1f1b7a5.4b1c1e1g1p2T1R1Q2M1N1O1R46T1S1Q1M1I1E1B2A1z2t1u1v2y2z1B1D1G1J1L2M1P2Q1P1R1Q4R1Q1P5Q1S11T1S2Q1O1N1L1K1C1v1t1s1q1t1v1u1r1k1e1c3a120.3a1d1l1a141.1b9a1b1c2b1c1g1p1w1B1E2C1D1A1C1J1R1Q1M1K1J1G1z1w1t1s1r1v1A1u1B1H1Q65T2S5T1S',
+  '1Q1P1D1B1D2F1C1G1P1R6T1L1M5O1P2Q1S7T1R1N1O1Q3S24T2S1R7S5R1Q1P4O1N1L1K1I1J1K1L2H1J1L5M1L3K1J1H2G4H2F1E1D2C2B2A2z1A1l1c1l1b3.2l1k29.1k1f1b7a2b1c1e1g1j1m1o1m1k1g1c1b4a5.1h1d1a1b1c1e1g1m2S2Q2M1O1Q1S44T2S1R1Q1M1H1E1B1z1y1w1s1t1w1y4A1D1F1I1M1N2P1Q2R1Q1S1R2T3S1R4S1R11T1S1R2Q1O1N1J1H1B1v1t1r1o2p1o1n1h1i1l1a94.1j1a26.1a1e1a1b1g1a140.1j8a2b1c2b1c1f1m1w1H1G1E1A1C1I1H1C1I1P1Q1P1M1K1I1E1C1v2t1v1B1s1t1A1O1T2S2R1S2T2S5T4S1R1S28T1S23T',
+  '2T1M1J1I1H1F1B1E1N1R6T1L1M1N1M3L1M1N1O1Q2S4T1S1Q1H1I1N1Q2R1S25T4S4R1Q1P1Q1R3Q4O1N1M1L2K2L2K1L2M1L3M3L1K1I3H1I1H2G1F2E3D1C3B1A2B1v1n5.1k1l1g1n27.1i2a6b1c1d2e1g1h1i1k1n1q1r1s1q1k1g4a5.1o1g2a1b1e1g1m1S1R2P1L1N1P1S45T2R1Q1O1K1F1E1C1y1w1t2u1z2A3C1F1J1M1P1Q3S3R2S21T2S1R1Q1P1N1M1H1F1B3w1u1s2p1n2i94.1c1h1d1a27.1b4a1b1a137.1i1c8a2f1c1b1c1e1l1t1G1S1P1L1J1K1O1M2J1L1Q1S1O3L1J1v2u1t1A1r1q1w1M1S1R1Q1P1R1S2T4S3T2R1S1R1Q1S28T1S11T2S10T',
+  '2T1O1N1K1I1E1D1I1P1S6T3N2L1K2L1M1N1P1R1S4T2S1H1I1M2Q1R1S25T3S5R1Q1O3Q1P1Q4O1N2M1L2K3L2M2L2M4L1K2I1H2I1H2G3E3D1C4B2A1x1t5.1h1m1j1p27.1i1a1b1c1d3c1d1e1f1h1f1i2k1l1n1q1r1s1r1n1j4a5.1o1g3a1e1h1n1S1R1P1O1L1N1Q1S44T1S2R1Q1O1J1F1E1B1y1w1u2v1z2A2C1D1F1K1O1Q1R4S1R1S23T2S1R1Q1P1N1L1G1F1A3y1w1v1u1t1o1h1d94.1d1n1g1e27.5a2k137.1j1c8a1g1f1c1b1c1g1n1w1J2S1P1O2P1N1M1K1J1P1S1P3M1L2v1u1r1z1s1q1w1M1S1R1P1Q1S3T2S1R3T1S2R3S41T2S10T',
+  '4T1S1R1K1I1L1O1N1J1M4P3M1L1J1H2G1H1J1M2O1Q1R2T2S1Q1P1Q1R1S2T4S22T2S1R1Q8P6O1N3M2L1M2N2O4N1M4L1K2J1H2F1E2C1D1E1F1D1C3D2C1z1A2y1s1g2a2.1q1l1i1b1h25.1h1b1e1h4i1j2l1n1o2q1p1o1p1q1r1s1t2u4a1c1f4.1m1a1c1f1i1m1x1Q1P1M1L1O1Q1R44T1R1Q2R1O1L1J1F1D1B1x3u1w2z1C1D1G1J1K1M1P1R1S5T1U23T2S1R2P1K1I1D1B3y1x1w1v1r1m1n1m96.1m1c1b1h1a27.1i2b10a1c126.1k1c8a1d1h2f1e1d1k1s1C1P1M1G1I2P1S3Q1K1C1K2S2R2Q1G1C1u1o1v2q1u1E2J1K1O1R1S45T1S21T',
+  '4T2S1R1P1Q1P1F1w1x1C1P1N1H1K1I1K1L1J2G1J1K1L1M2O1Q1R2T1S1P2Q1R2S2T1S1R2S23T2S1R1P3O10P1O6M2N1O1P3O1N1M4L2K1J1H2G1E1D1C1B1D1F1E4D2C2A1y1z1t1n1l1j2.1k1g1k1f1m25.1h1b1f1j1m3n1k2m1p3s1r2q1r1s2t2u1c3a1c1d4.1k1b1e1k2l1H1Q1P2M1Q1R1S44T1R1S2R1O1J1H1G1E1B1x1u3w2y1A1C1F1J1K1N1O1Q1S29T2S1Q2P1K1G1C1A4x1w1u1m1d2a96.1d1b1c1l1c27.7a1j1k1l1n1h1b1e126.1i1b7a1c2i1f1e1c1e1n1x1K1R1G1y1w1E1I1Q1R1S1R1N1E1H1R2S3R1I1D1s1n1t1s1r1u1z1x1w1z1D1M1S1T1S31T2U10T1S21T',
+  '9T1R1K1D3C1u1s1m1k1x2r1p1o1s1F2Q2P2O1P1Q2R2Q1P1N1O3Q3R4S20T2S1R1Q3N1O3P2O2P1Q3P4O1N1O1Q3P1N1M1K3J1K2L2K2I1G2F2G1F1E1D1C1B3C2B1A1z2w1g1c1f1g1i1.1r1j2i1a23.1f1b1j1s1v1w3v2u1w4v7u1v1i5a1q2t1q1h2a1e1m1v1u1N1M2N47T2S1O1P1O1L1F1C1z2v2w1A1B1A2z1D1G1L1O1Q1R1S8T2U1T2U11T1Q5T2S1Q2N1I1F1y1v4t1o1f2a99.1c1k1d1b30.1a1b4a1b1e1a1e1h6a11.1a107.1l2a1c1b1a1b1c1e1j1l1g1c1b1c1m1u1G1T1S1P1I1C1z1u1t1v1x1G1K1H2C1J1R2T1S1R1I1C1p1m1p1r1p1s1v1u1C3P1O1M1H1B1G2S5T1S55T',
+  '9T1S1O1J1I1J1F1v1C1w1q1v1w1v1p1i1m1C2R2Q4P1Q1N3O1N1O2P6Q1R1S20T3S1Q4O3P2O1P3Q2P4O1N1O4P2N1L1J1K1J1K1L2K1J2H2G1F3E1D2A6B1y1A1y1w1n1j1i1e1c1.1n1j1p1t1n23.1i1d1m1u1w2x2w2v3w2v1w2v3u2v1o1b4a1n1r1t1r1j2a1f1n1m1e1t2N1O37T1U9T2Q1P1O1M1J1F1B1w1t1u2w4B1D1F1H1K1O1Q1R1S3T2U2T1U17T1S4T1S1R1P1N1M1I1F1x1w3s1r1j3a99.1a1j1c1f30.1a1b7a1c1k1g1k2o1r1o11.1n107.1l2a1c2d1e2i1j1i1b1a1g1h1q1C1O1T1Q1O1E1w1u1z1H1D1C1N1O1N1K1H1K1R2T1S1R1J1E1o1l1o1p1o1t2A1F1Q2S1R1P1N1O1I1Q1S5T2S17T2S35T',
+  '11T1S1Q1O1L1M1N1O2N1L1F1w1p1n1t1B1H2J2P4O2N4M1N1M1L2K2L1N1O2S19T2S1R2Q1P4Q1P3Q1P1N1M1N8P1O1N2K3J5I1G2F1G3F6E1D2C1B1z1A1B1y1x1w1t1k2a1.2m2n2h1a19.1b1c1g1l1s1x1y5z3y1x1y1w1s1l1f1k1p1t2v1u1q4a4b3a1.1j1c1d1l1p1M1N47T2Q2O1M1J1E1A1y3x1A2C1D1G1L1K1N1Q1R1S6T2U1T1U1T1U20T1S1Q1O1M1L1E1D1v1t1q1p1l1j1c1a1h102.1c1d1f1a28.1e1f2i1o1f4.1m1g1j1l2m2n1l1k1l2n2o2n1j2b1c1a102.1h1a1b1e2.1x4g2c1e1h1s1v1J1U1S1Q1K1G1D1y1q1u1E1J1I1N1M1P1S1R1O1Q1T1S2R1K1H1t1n1j1n1t1w1K1T1R1S4T1S4T1N1O1Q2S1Q1R1T1S2Q5T1S2R4S2Q1S17T2S4T2S10T',
+  '11T1S1R1P7O1I1C1z1w1t1q1t1x1A2L3O1N1K1M1N1O2N1M1L1J2H1J1K1M1N1R1S19T2S9R1Q3P2O1P7Q1P2N3K2J1I2J1I1H1G2F1G3F3E2F1E1D2C3B1A2y1w1v1q1h1n1.1f1c1i1l1n1h1g19.1c1f1j1m1s1x1y8z2y1u1n1d1a1d1j1r2w1t1q2c1b1c2f1c3a1d1.1b1d1b1j1k1B1C47T2R1Q1P1N1L1G1B1z1x1y2z2C2E1K1N1P1Q1R1S4T1U1T1U1T1U1T1U21T1S1Q1O2L1D1C1w1u1q1o1i1f3a102.1a1e1h1c28.6a4.1c1a1f1l1o2r1q1r1q1r3s1r1q1n1h1a1b1f1d102.1j1a1b1c2.1F1p1o1i1k1l1m1j1i1A1F1P1T1S1R1M1G1D1z1v1w1y1B1I1P1O1Q1S1R2P3S1R1L1J1v1q1k1n1u1x1K1U9T1S1T2H1M2S1R1S1T2R1S4T2S1R1P1O1Q1R1Q2R1S11T1S5T2S4T2S10T',
+  '13T2S1R1Q7P1Q1N1E1z1B1D1o1t2B2A1D1F1L2P1O1N1L1I1G2F1H1I1J1P1R1S19T1U7T2S2R3S2R4S2R2O2P1N1M1L1J1I2H1I1H5G3F2E5D3C3B1A1B1x1w1u1r1i1c1f1.1l1m1r1k1f2d17.1c1f1k1o1s1w1y6z1x1w1k1d5a1f1m1q2p1o1m1l1r1q1p1o1l1h1c5a1b2a1k1r1H1L1O1R1S37T1U4T2S1K2I1K1H1E1C1B1z1y1A1E1F2J1N1P1Q1R1S10T3U20T1R1Q1N1K1J1F1D1y1w1r1o1d1b1d1c103.1b1g1d1b1c2a40.1t5u1s1r1q3p1j1c3a1h1a96.2m4a1i4.1G1E1I1F1E1I1O1Q2U3T1S1Q1M1P1T1S1R1Q1L1H1J1L1N2P2N4Q1N1J1A1w1h1l1u1w1G1Q1S6T3S2T1R1S1T1R1Q1J1E1N1T1S3R1Q1N1O2R1P1Q3S1P1O1Q1S21T3R2S7T',
+  '13T2S2R1Q6P1Q1N1H2D1E1t1v1B1z1x1u1B1D1K2P1O1N1M1J1H2G1H1I1J1P1Q1S27T2S1R9S3R1P1O2P1O1N1L1J3H1I2H3G2F4E5D3C3B2A1x1w1v1s1m1g1k1.1m1n1r1l1h1g1e17.1c1g1l1o1s1w1y6z1w1s1f1b5a1d1j4n1k1j1p3n1k1h1c7a1c1j1q1B1G1L1Q1S41T1S1R1S1K1J2I1G1E1C1B1z1x1z1C1E1I1J1N1P1Q2S10T3U20T1R1Q1N1K1J1F1D1y1w1r1o1c1b1c1a103.1a1f3c1a1c40.1k2t2u1t3r1q1p1o1j1e1b2a1h1f96.2m4a1i4.2K1M2K1M1Q1R1U4T1S1Q1O1Q2T1S1R1N1K1H1G1J1O1Q2O3Q1P1N1J1B1w1k1m1t1v1F1O1Q6T1S1R1S1T3S1T1S1R1I1C1M2S2Q1R1O1P1N2S2R3S1Q2P1R21T1S1R1P1Q1S7T',
+  '15T2S1R3Q2P1O1N1L4K2F1G1E1B1x2D1G1I2G1K3L5K1O1Q1R34T2S1T3S2R2P1Q2P1O1M1J1I1H2I1G1F2G1F6E5D4C2B2A1y1x1w1u1s1p1r1s1p1q1r1p1n1j1d17.1d1g1l1o1s1v1x3y1x1u1r1k1f7a1b1f1j1l1n1m1p1n2j4.1q1m1k1i1d3a1g1l1o1l1v1z1F1L1P1R39T1S2R2L2K1H1E1B1A1x1v1w1A1C1H1J1N1O1P1R1S6T1U25T1S1R1P1N1K1J1F1E1y1w1r1o1c1b1f104.1a1h1d1f1d1b1h40.1a1q1s2t2s1t1s1p1o1n1l1i1f1d1b1c1d94.1q1o2d4a1h1p1v1E1L2O4R6T2R3S3T1S1R1Q1M1I1K1O1R1Q1P1O2P1O1M1L1F1B1r1o1t1u1y1C1I1P1S4T1S1R7T1S1O1K1P2S2R1S1P1R1P4S5R1Q1S9T1S1R1S6T3S1N1J1H1L1O4Q2R1S',
+  '17T1S3R1Q1O1L2I1K1N2P2N2M1K1J1I1H1C1w1v1y1C1F1I1L1N1P1O2M1P1Q1R40T2R1Q1P2Q2P1N1L2J2K1H1F1G2F4E6D5C1B2A2z1y1w1v1u3t2s3r1j1c1i1l15.1c1f1l1o1r1u1w2x1w1v1j1e10a1e1j1k1o1p2.2g8.1j1c1d1e1h1o1n1g1o1s1w1x1C1L1R1S21T2S15T1Q1R4M1I1D1A1z1w2v1z1B1G1J1M1N1P1R1S10T1S21T1S1Q1P1M1K1J1F1E1z1w1q1m1c2a106.1a1g1e1b1h42.1r2s1p2u1s3p1o1m1i1g1f2a91.1k2b5a1c1d1h2k1n1v1F1N1M2S8T1R1Q9T1S1R2Q1R1P1M1L1N1P1O1M1L1I1H1w1q2v1u1t1z1I1P4T2S11T2S2T1S1R2T1R3Q1R1Q2R3S8T1S2R1S5T1S1R1Q1R1C1y1x1D1I1J1H1G1K1N1O1S',
+  '1O1P1R1S3T1S7T2S2Q2P1O1M1K1J1L1N1O1P5O2M1L1K1E2y1A1x1u1v1x1D1M1P3Q1R1S40T1S2R3Q2P1O1N1L3K1J2I1H1G2F3E5D1C4B1A4z1y1x1v2u1t1s2r1q1s1r1o1j1e1f15.4m1q1t2v1u1t1r4a2f1i1l1m1o1j1f1k1o1p1v1w1z1v1r1p9.1s1u1r1q1o3p1r1u1o1m1w1F1M1P1Q19T4S11T2R1P1Q1O1N1L1J1F1C1z1x1w2v1B1C1F1J2O1Q2S5T1U4T2S2T2S1R3Q1R1S9T1S1R1P1N1L1J1I1E1D1y1w1o1i1c1a107.1a1m1f1c1h40.1a1r1s1t1s1p1v1u1t2s1r1p1n1l2j1d1a1h1c86.1q1m1h1c6a1e1j1l1o1p1m1n1r1z2K8T1S3R12T1S1R1N1K1L1N1P1O2M1K1J1z1v2w1v2u1w1F1P1R2S2R8T3S1P1N2S1P1M2Q2P1M1L1M1O2Q1P1O1L5T1S3T2S6T1S1R1N1J1t1s1t1w1x1w1v1w1y1A1E1K',
+  '1G1L1P1Q2T1S1R1S4T2S1Q1O1M3L2K1L1N3O5P1O1N3M1K1J1H1G1z1r2o1p1y1H4S43T1S1R1Q4P1O1N2L1K3J1I1H2G1E1F1E2D2C1D1B4A5z1y1x1w1v1u1t1s1r2q2s2t1d1a17.1m1j1o1s2t1r1q1p4a7.1n1q1v1z1G1E1C1B1G1F1z1A1z1w1q1j5.1t1v1l1o1r1m1p1u1q1i1m1t1z1E1I19T5S10T3P3O1M1I1E1C1z3w1x1C1D1G1J1P1Q1R1S11T2S2T1S1Q1O3M1P1R1S6T1S1R1Q1P1O1L1J1H1G1D1C1x1v1m1g1d1a107.1a1p1f1c1j1b39.1a3u1s1t2v2u1t1s1q1o1m1l1m1k1i1c1a36.1n1k2m1k3h1f32.2d4.1k1b11a1j1m1o2r1o1n1p1u1F1I8T1S2Q1S13T1R1N1L1M1O2P1N1M1L1K1F1C1u1w1x1w1r1o1w1F1M2R2P1S1T2S4T1S2R1L1H1R1S1H1G1I1L1M1O1N2L1N1P1Q1O1L1H4T1S1R1S10T2S1H1B1r1s2u1r1p1r1v1u1t1w1E',
+  '1I1K1N1P2S2R1S2T1S1Q1N1H1D2C1D1H1I1J1L2O1P2Q4R2Q1P3O1N1M1K1H1F1B1w1t1q1t1x1O1S45T2S5Q1P1O2N1M1L1K2J1I2H2G1F1E4D1C2A2B4z2y1x2v1u1t1s1r1q1r2s1u1w1n1f17.1q1j1o2q1p1n2l4a7.1n1v1F1H2J2E1F1E2w1v1t1s1o1p1r5.1s1x1q1m1q2y2u1w2u1x1P1S2T3U10T2S2T2S11T1R1S1P1O2L1J1F1D1B1z3w1x1C1E1I1L1P1Q1R1S15T1S1Q1O1N1L1K1N1P1R4S1R1Q2P1N1M1K1I1F1E1D1B1A1w1u1l1h1b1a1e108.1d1e1h1b1a38.1n1u3v2w2v1u1t1s1r1p2o3p1h1a1g1f1l32.1h1g1f2g1d2c2b30.1k1i2a4.1i10a1b1e1m1o1p1r1t1s1r1p1r1A1E9T2S14T1P1K1L1M1O2P2O1M1L1I1G1s1t1y1A1u1q1s1w1C1J1O2J1L1N1F1K1N1R1S1T2S1R1P1O2R1C1H1L1O1P1Q1R1P1M1H1M1R1O1J1E1P1S2T4S7T1R1P2Q1C1A1y1z1y1v1u1v1z1F1D1A1y1E',
+  '1I1K2N1Q2R4S1R1J1B1w2u1w1x2I1J1K1M1P1Q1S5T1S3R1P2O1N1K1H1G1I1F1D1B1v1q1D1P47T1Q3R2Q2P2O1M2K2J1I1H1I1H1G2E3D1C4B1A3z2y1w1v2u1t1s1r1q1r1s1t1u1w1t1l18.1k1n1o1m1k1i2f2a1b1c7.1p1B2N1L1K1B1z1A1y2r1p2n1m1l1i1t6.1r2q1t1u1s1v1y1u1s1v1H1R11U4T2S2T2S13T1Q1P1K1J1F1D1B1A1y1w2v1x1C1E1I1L1P1Q1S16T1S1R1Q1P1N1L1N1P1Q3R1Q1O1N1M1L1K1I1G1E1C1B1A1z1y1u1t1m1i2b1n108.1c1f1d2b36.1b1e1s1t2v1y1x2w1v1u2t1s3q1r2s1k1b3a1f1o29.1m2d1c2d1c3b1a1f1e28.4a1q1s2.1f6a1b1c2d1h1m1r1q1r1t1w1x1t1n1p1w1z25T1N1H1K1M1N2O2P1M1L1K1H2s1x1D1y1t1q1r1x1D1L2J1z1F2z1F1N1P1T1S1Q1R3T1R1F1K1R1Q2T1R1O1H1F1L1P1L1I1F1P1R2S2T1S1R1S6T1P1I1P1N2B1F1E1B1w1x1B1G1L1J1G1C1D',
+  '1F1I2M1P3Q2P1M1G1z1v1w1y1u1t1x1G2E1H1N1R1S9T1S2R1Q1P1N1J1H3G1K1A1s1C1Q47T2S2R1Q3P1O1N1L4I1H1G2H1G2E3D3C2B2z2y2x1w1u5t3s1t2v1x1q1w17.1s1o1l1i1f1c1b3a1l1o7.1x1I2M1G1E1v1u1z1y2u1w1x1y3z1G4.1z1A1p1m1n1o7.1D1P1O3Q2O1N1O1P1R5T1S8T2S8T1Q1P1L1K1H1D1A1y1w1u2v1x1B1D1H1K2O1Q1S15T3S1R1Q2O4P1O1N2J1I2G1F1D1B1z2x2w1u1t1o1m1f1e1l108.1b2e1c2d34.1b1m1r1u2v1w1y1x2w2v1u1t1s3r1s2t1o1h4a1e1l26.1p1r1m2i3g4f1e1h1e26.2g2a1d1c2.1s1q1f4a1b1e1g1k1l1k1q1t2u1v1x1y1w1q1l1n1v1y1S22T2S1P1M1O2P3Q1P1N1M1K1I1v1t1x1D1A1w1t1s1y1E1J1Q1P1F1K1L1F1K1P1Q2R1Q1S4T2P1R1P2T1S1P1M1N1P1L1K1O1P1S1R1J1Q1R1P1N1L1P3T1R2Q1C1z1M1F1A3E1C2z1B1H1L1K1J1I1H',
+  '1E1G1M1L4P1N1L1G1x2t1x1E1w1s1z1D1y1z1F1Q14T1S1R1P1K1I2G1H1L1F1x2.2S45T4S1Q3P1O1N1K2H2I1G1F2G1F1E2D6C1B1z1y1x1y1x1w1v1u1t1r1t4u1s1t2v1A1w1t1s17.1r1j1f1b3a2c8.1z1D1K2M1C1y1r1q1B1A1w1y1F1M1Q2S1R1P1M1K1y1z1r1n1k1j1o1q7.1B1O1F1J1L1K1H1G1F1G1J1N1R4U9T2R3S4T1S1P1O2L1I1E1z1w1u1t1u1v1w1A1C1G1I1L1M1P1R1S17T2S1R1P4O1L1K2G1E2D1C1B1z1x2v2u1t1s1p1o1i1g1i108.1b1c2d3a33.1a1n1t1v1w1v1w2y1x2w1v1u1t4s3t1q1l5a1d24.1c1j1i4j1i8h1d1k1o23.1o4a1m1k2.1r1p1e3a1b1d1h1k1o1q1p1v3x1y1A1z1u1o1j1m1u1y1R1S4T2S15T1S2R1Q1R1Q1R2S2Q1O1N1K1I1w1u1x1C1B1z1v1t1y1C1G1R1T1R1Q1S1P1R1T1S1Q1R1S7T1S1P3T1S2R1Q1I1K2T2S1B1O1Q1L1K1G1L1S2T1P2M2t1H1B1A1E1D1C1D1C1A1B1H2M1N1M1L',
+  '2A1F1K1N1O2N1J1D1w1q1t1x1D1J1G2w1z1F1K1P1R15T1S1Q1M1J3G2J1F2.2S45T4S1Q3P1O1M1J1H1G2H1F2E1F2E3D4C1B1C2z1y2x1w1v1u1t1s1t1u2v1u1v1u1t1u1v1x1A1y17.1q1e1b4a2e8.1B1F1K2L1x1r1l1n1H1K1L1K1N2Q1R1Q1M1H1E1C1s1p1k1i1m1k1o1p7.1r1q1t2v1s1q1o1m1q1y1F1N13T5S2T3S1P1N1J1I1G1E1A1w3v1w1y1B1D1G1I1M1O1Q2S16T3S1R1Q1P1N2M2J2F1D2C1B1A1y1w4u1t1s1q1p1k1h1n108.3a1c1b1a1g33.1o1s1t3w3y3x1w1v1u1t2s3t1u1r1q1e4a1c24.1i1p3k1l1k1j8i1h1m1l23.1m4a1m1n2.1o1n1e2a1b1d1i1p1s1t1u1t1x2y1z1A1B1w1q1l1f1h1q1w1Q1S2T1S1T2R1S14T1S1Q1R1S2R2S1R1P1Q1P1N1K1J1x1v1x1D1C1A1v1u1y1A1z2S1Q3S2T3S8T2S3T2S1P1O1Q1R3T1S1H1N2Q1P1N1Q3T1O1F1C2p1B1E1D2C2A1C2A1G1L3N1M',
+  '2F1z1B1z1A1x1u1r1n1q1v1C1I1K1S1R2S1Q1P1N1O1S17T1S1O1L1K1I1N2Q1T1S49T1R1Q1P1O1N1M1K1I1G1F1E1D1E1D1C3D2C1D2C2B2A1z1A1z3x2w1v1u1t1u1v1w3x1y1x1v2r1t2x1t1v30.1q1z2G1D1B1D1E1O1Q1K1I1E1F1G1F1x1q1n1o1t2.1k1m2j1y2u1w3.1u1q1m1n1m1p1k1j2.1l1n2o1h1b1k1w1H1R1S10T1S3R1Q1R1Q1S1T1P1N1J1I1F1D1A1x1w1x1z2B1D1E1K1M2P1Q1R1S12T3R1Q1R1S1R1P1O1N1L1I1H2F1C1B1z1x2y1x1v1u2t1s3t1r1q1l1k1j1a109.1k1b1c2b1a29.2a1b1m2v2x4z2y2x2w1v5u1v2u1m1g1c3a1m21.1d1l1o1n1m1n2m1l8k2l1e1a24.1n1m4a1g1e2a1f1j1k1l1o1s1v2x5A2B1y1w1s3.1B1H1J1O1P1O1Q1P1R1S15T1R1O1P1S2T1S2R1P1Q1P1N1M1L1z2v2C1z1u1r1v2z2U2T1P1O1I1G1M1P2R1S21T1Q1R1N1R1Q1N1O2S1T1P1C1v1k1p1t2w2y1z1B1D1E2G2E1F1J1O',
+  '2N1I1E1x1y1x1t1q1s1y1D1K1O1P3T3S1Q1P1R17T1S1Q1N1M1N1O1P1Q1S50T2R1Q1O1N1M1J1I1G1F1E5D4C1D1C4B1A2z1A1y2x2w1v1u1t1u1v1w3x1y1x1w1s1r1s1u1z1D1C30.1r1A1E1F1I1J1N1M1O1R1K1F1x1w2v1p1g1h1l1p2.1k1j1i1k1G1N1M1I3.1G1A2v1u1v2t2.1v1u1s1m1e1b1d1h1v1O1R11T2S2R1S2R1S1P1M2I1F1D1B3x1z2C2D1J1M1O1P1Q1R1S3T1U2T1U5T2S1R2Q2R1P1N2L1I1H2G1B1z1y1w2x1w1v3u4t1s1r1m1j1i1a109.2a2b2c29.1n1k1f1n1u1v1x1w1z3A1z2y1x2w4v1u4v1q1n1g3a1m21.1n1w1o4n2m3l4k3l1i1c24.1q1m4a2d1c1e1g2h1i1n1t1v2x1A1B3A2B1x1t1r3.1C1E1F1O1I1G1M1K1S16T1P1M1Q3T1S1R3Q1N1P1N1M1z1v1x1E1C1A1v1r1u1y1C1U3T1Q1E1z1B1M1O1M1P1S21T2S2R1Q1P1Q2S1T1P1I1E2t1v1w1B1z1A1B1C1D1F1G1H1D1C1E1K1Q',
+  '2P2S1H1F1I1P1N1M1P1R7T1Q2P1K1L1R1S18T2S1R1Q1R1S44T2S1T1S2T2S1P2N1M1K2J1I1J1H1G2F2D1C1B3C1B1A2z4A1z1y1x3w4v1x2y2A1y1w1s3r1u1x1B1D1y1s1q1w1z24.1m1v1D2G1F1t1m1i1g1d1b2a2b1c1b2a1c1g2i1h1l1o1x1B1D1E1A1v1x1D1J1O1P1Q1P1Q1R2O1M1L1C1r1h3c1m1x1L13T1R1P1S1R2Q1L2I1H1D1B1A1x1w1v1x1A1B1H1J1M1O1P1Q1R1S19T1Q1O1M1L1O2N1J1I1B1t2q2v1s1r1t2w3v1u1t1r1k1i1m111.1b1g2b1a1e2a23.1a1g1x1w1y1x1v1w1x1w1t1D1C2B1A2z1y6x3w2y1v1t1p1i1b1a1g19.1c1g1r1q2p2o5n2m4l1m1n1k1g26.1g1h3a1b2e1c1b1c1h1o2r2q4C2z1y1u2r5.1J1E1t1q1w1D2R1S13T1S1P1M1Q3T1S2R1P1N1R1S1O1M1z2v1A1B1z1t1o1u1C1I1U2T1S1C1z1D1N1K1G1N1R1I1E1K14T1P1L1Q4T1S1T1R1N1P1S5T1P4R1P1O1K1G1F1G1H1J1K1O3S',
+  '2P2S2O1Q1R1P1O1R8T1Q1J1M1O1N1P1S21T1S1R45T1R1N1R1S2T2S1R1P1O1N1L1K2J1I2H2G1E1D1C2B1C2B1A2z4B2z2x2w3v1w1x1y1x2y1x1v1s3r1t1w1y1B2C1D1K1D24.1n1w1C1x1r1p2i1e1d6a1c2d1e1g1h1i1h1j1n1o1y1D1E1D1w1u1z1D1G2K1M1O2Q2L1K1J1B1r1j1f1e1d1m1w1J4T1S8T3S1R1O1P1L1H2F1C1A1y3v1x1A1B1G1I1L1N2Q1R1S19T1R5P1O1K1J1C1z1v1q1r1t1p1o1u2x2w2v1t1r1k1h1i111.1a1e1a1c1b1c1d1a23.1C1A1y1w1y1z1y2w1v1t1D1C2B2A1z7y1x1u1w2y1w1u1q1k1c1a1g19.1l1q2r1q1p3o5n6m1n1k1d26.1j1h3a1b2c1b1a1b1e1m1q1p1o1w1D1C2D2z1y1t1n1q5.1J1C2q1x1C1P1Q1S12T1S1R1M1K1R3T1R2Q1P1O1S1R1N1L1y2v2A1y1s1n1t1C1G1U1T1R1T1I1L1P1R1K1I1Q1S1M1J1N14T1R1Q1R6T1P1L1Q6T2R2S1P1N1P1O1K2G2H1K1P2S1T',
+  '1S3T3R4S6T1S2R2Q1R2Q1S10T1S42T1S1T3S2R1Q2R5S1T1S2T2S4R1Q1P1N1M1L1K1J1I1H2F3E3D1C4B1A1B1C1B2z3x1w2u1w1x2w1v2B1y1w1s2r1s1u1v2w3x1A1D1G1B1u1r5.1l1k1o12.1t2s3.1o1n7a1b1c1f1h1k1l2m1q1r1s1u1D1E1A2u1y1B2C2B1F1H3N1M1I1H1C1u1m3j2i1n1L1O2R2T1S1R1S8T1P1M1I1H2E2C1z1w1v1w1y1A1C1G1I2N3R2S6T1R2Q1S13T1S1R1O1M1J1H1E1B1y1u1j1g1t3A1z1w1v1s1r1j1f1l112.1j1b1c1b1c2a19.1k1m1o1p1q1r1s1u1y1C2B1A1x1w1F1E2C2B3A3z2A1z1w1x2y1x1w1r1m1i2c1g15.1j1h1m1p1q2r2q4p4o6n1o1h1a28.1l1k2a2b1c1d1g1l1m1g1f1i1A1F1H1E1D2C1A1t5.1I1N1J1E1v1u1C1E2Q1P1Q1S10T1P1M1K1M1R3T1S3Q1R1S1R1N1K1y2v1z2A1t1o1z1O1N1Q2N1Q4T1R1Q1S2T2S1L1P6T5S1T1M1F1E2S2T3S6T2S4T1S2T1S1L1E2C1F1J1Q3T',
+  '2S2T2R1S8T1R1S1R1Q1R1P1O1P1Q1R1S53T2S2R1Q1R1Q2R6S4T4S2R1Q1P1O1N1M1L1K1I1H2G2F1E4D1C5B1C1B2z2y1x1w1v1u1v1w1x1y1z2C1z1y1t3s1t2v1w2x1w2y1A1B2I5.1o1k1i12.2w1v3.1y1u6a1b1e1i1k2l1m1o1r1s1u1x1A1E1B1w1s1v1z1C1D1B1A1B1F1I1O2P1O1I1H1B1t1n1k1l1m2l1p1L1J1L1P1S1T2S9T1Q1K1G1I2D2C1A3y1A1D1C1E1F1K1N1Q4S6T1S1Q2S13T2S1P1O1K1I1F1D1y1r1n1q1w1A2B1z1w1v1s1p1e1b1c112.1b3a1c2a19.1n1m1o1p1q1r1s1t1w1A3C1z1A1F1E2C3B8A1y1x1y1z2w1r1m1i2e1f15.1t1n1p1q1r1s2r3q4p3o4n2o1g1a28.1n1k3a1b1c1e1i1n1m1h1o1w1A1F1G2F1B2z1u5.1G1M1H1E1A1y1G1J1S3R6T2U3T1M1H1J1O1R3T1S2R1Q3R1N1L1z2w1A1B1z1r1p1D1Q1O1R1L1M1P4T1N1M1R2S1R1Q1B1P6T2S2R1S1T1P1K1J1T1S2T1P2S6T1S1R6T2S1N1E1C1D1G1K1Q3T',
+  '4T1S1R1S6T1S1T2S1Q1R1S1R2Q2R2Q1R2S46T3S2R5Q6R2S4T2S3R2Q1P1O1N1M1L1K1J3I1H1G1F3E2D5C2B2A2z1y1x1w1v1w1y2z1A2C1y1x1u1t2s1t1u1v2w1x1w2x1y1z2C1I2H1J1D1w1p1i1m19.1o1k4a1c1g1i3k1o1t1v1w1y1B2C1y1v1t1v1A1C1D3C1I1K1P2Q1P1J1H1A1s1m1j1m1n2m1n1D1E1F1H1P1R1S10T1R1M1G1E1B1A1z1A1z3y3z1D1E1K1L1O1P1Q3S2T3S1T1S16T1S1Q1P1K1J1G1B1w1r1p1u1z1C1D1C1B1x1w1r1o1h1c114.2e2c2a17.1a1q2m1o3p1q1s1v1z1B1C2B1C2F1D3C3B3A3B1A2z1A1w1v1r1m1j1f1c1b1r13.2r1p1r4s2r4q4p7o1c1a2h1i1j1h1g1q23.2a1b1c1d1f1l1q2s1w1B1D2F2E2B1C2w4.1s1u1r1s1C1E1O1P4S11T1L1F1J1P1S2T2S1R1Q1O3Q1M1L1z2w1B1A1v1q1s1G1Q2R1N1Q1R4T2Q1S2T1S1R1K1R7T1S2R1S1T1Q1M1N2S2T1P1R9S6T2S1N1F1D1E1I1M1R3T',
+  '4T3S5T2S3T1Q1R6S1Q1N1O1R1S45T2S2R2Q4P2Q3R1Q1R2S4T2S2R2Q2P1O1N1M2L4K2I1H1G1F3E5D4B3A1z1y2w1z3A2B2x2u1t2s1t1u1v2w1x5w1x2y1A1C1E1H1z1o1h2d19.4a1d1h1j1l1k1j1r1z1B1C1D2F1A1w1v1u1w1z1C3E1F1L1N4S1I1G1z1r1l1h1l1p2o1l1v1x2A1J1P1R10T1S1Q1J1G1B1A5y1x1v1u1v1A1B2H1M1N1P2R2S1T1S2R19T1R1Q1M1K1H1B1z2w1A1D2F1E1D1z1x1r1n1j1c115.2a1c2a14.1g1e1h1j1o1k1m2p2o1p1r1t1w1z2B2E2F4D3C4B5C1B1w1u1q1l1j1h1c1a1l12.1r1p1r1s4t2s5r4q5p1o1n8a1g23.2a1d1e1g1i1o1s1x1E1G1H2F1E2D1C2E1z2u2.1q2d1b1c1y1J2T2S13T1K1D1J1R1S2T2S1R1Q1O2P1O1M1L1z1w1x1B1y1r1q1x1L1S1U1N1Q1S11T1S1T1R8T1S1Q1R1T1S2Q2S2T1M1Q3R1S2Q1S8T2Q1L2E1H1L1O1R2T1S',
+  '4T2S7T1S3T3S1R1S1T1S2R1Q1O1Q1S45T2S3R1Q5P2Q1R2Q1R2S4T2S4Q2P1O1N3M1L3K2J2I1G1F1E7D3C4B1A2y6A1y1x2u1t3s1t1u1v8w2x1z1B1C2F1C1w1s1m19.2a2b1e1h1l1o1n1o1w1D1C2D2E1B1z1y1x1y1z1B1D1F1H1I1O1P4S1H1F1y1r1k1g1l1p1o1n1l1n1o2w1F1O1Q1S9T2S2P1K1I1F1D1B1A1y1w1t1r1s1x1z2E1L1M1O1R2Q1S2T2S19T1S1R1O1N1K2H1G1F1G1H2I1H1G1B1A1t1p1e1b117.1f2c12.1o2r1o1n1p1n1l1n4q1r1s1u1v1y2B2E2F2E4D7C4D1x1u1q1k1i1h1d1a1g13.1q1s1t3u2t2s6r3q2p2q1m1g2b6a1c1m22.1b1e1i1j2k1o1s1y1F2G2F1E2D1C1B1D1A1u1q2.1t2n2h1o1B2T2S13T1M1G1M1R1S2T2S3Q2P1O1K1I2w1x1A1w1p1s1D1O2U1O1R1S12T1S1Q1R7T1S1Q1R1T1S1R1N1I1O2T1O1R1P1J1K1R1Q1R9T2R1K1D1I1O1Q1R1S2T1S',
+  '1T1S11T1S4T1S1T2S1T1S1R2S3Q45T4S1R1Q2P2O1P5Q1R2S4T2S3Q3P2O1N2M2L2K4J1H1F1E6D2E1D5C1B2A1B5A1y1x2u1t2s1r1s1t1u2v6w1x1y1A2C1D1F1J1I1H1D1p1k2m13.1y1p2a2d1g1i1n1r1t1w1B1E3D1C1D2C1B1z1x1w1y1z1C1F1G1N1O1R3S1G1E1x1q1i1f1m1p1n1k1j1i1g1q1r1C1K1O2S10T2S2P1L1I1E1B1A1x1u2r1x1y1C1D2K1N1Q1P1Q1S23T2S1Q1P1N1M1L4K2L2J1F1D1w1t1b1a1m117.1b1e9.2h1j3n1o1m1p1m1n1o1q1r1s1t3u1v1x2B1F1E2G2F3E8D4E1y1v1q1j2h1e1a1c1j1l11.1p1t5u2t5s4r4q1r1g1c1d1e2f1e1d3a1d22.1f1l2n1o1n1o1s1A1H1G2F2G2D1A1y1A1C1w1o1s4.1s1t1l1u2T2S13T1P1J1M1Q1S2T1S1R1Q2R2Q1O1H1D1u1x1z1y1t1o1v1K1S1V1U1S1R13T1S1R2S7T3S1R1Q1O1B1K2S2T1O1F1I1R1S12T1L1F1O4T1S1R1T',
+  '2S2T2Q1S6T1S9T4S1R1Q1P11T2S32T4S3R9Q3R2S2T2S3Q4P1O3N1M1L6K1I1G1F2E4D3E5D1C1A2B3A2z2x1v1u1t1s2r1s1t1u5v2w1x1z1A1C3D1E3F1G1C1y1v1s1q1p1q1r9.1w1n2a1f1g1j1m1q1t1v1z1A4B2C1z1x1u1q2p1m1k1o2s1z1B1I1K2Q1H1F1y1q1j1h1n1p1k1g1k1j1e1m1n1w1F1K2P1Q1R2S1T1S5T1S2Q1O1M1J1E1C1A1x2u1x1y1B1E2K1N2Q1R1S25T1S1R1Q1P3O2N2O2M1I1G1z1v1b1a124.1d1o2l1n1p1o2n3m3l1n1m1r1u1v1w2y1x1w1A1D1E2F3G3F4E1D4E4F1A1w1q1j1i1h1g1e1c2d11.1o1u3v3u4t4s7r2f2h2g2i1c2a1b22.1i1o2n1p1r1u1y1C1H1G4F2C1w1u1t1u1r1m1r1.1s2p1r1t1p1u1Q16T1P1I1K1O1S1T1S4R1P1O1M1J1B2w2y1x1w1x1H1Q2T1S1N1R15T1Q1L2T2S3T3S1R1P1R1L1N1Q1R2Q1P1M1O1R1S2R2S8T1P1N1R4T2S1T',
+  '1S1R1T1S1L1M1Q7T1S11T2S2R10T1S1R2S32T7S3R1S1R4Q2R2S2T2S3Q4P2O2N1M1L2K2L1K1J1I1H2G1F2E2D2F2E4D1C3B3A2y1w1x2v1u1s2r1s2t2u4v1x1y1C1D4E5D1F1G1F1D1u1q1k1d1c1e7.1t1l1a1b1g1h1m1q1s1u1w4z2y1A1B1w1s1m1e2d2a1b1f1h1o1q1x1B1L1M1H1G1y1r1l1k1n1m1h1e1k1j1f1k1j1s1A1F2L1M1O1Q1R2S6T4Q1N1I1E1B1z2x2z1B1C1I1J1M1O1Q1R1S27T1S4R4Q2O1M1K1C1x1c1b120.1c1g1d1f1b1h2i1j1k1l2m1l1k1i1f2g1i1d1f1p1s1x1A1C1A1z1D2H2F1G2H3G3F6E1F3G1C1y1s1k1i1h2i1d2a11.1p1u4v5u3t4s1r2s1r1q1g1j1i1k1e1g1l1m1e3a1r4.1j1k15.1j1p2n1q1w1B1D1E1G1F3E1D1B1A1t1q1m1h2f1o1.1o2h1o2q1u1H16T1P2J1M1R1T1S4R1N1K1F1C1x1u1y1z1y1z1F1O1S1U1S2Q1H1P15T1L1J2T1Q1R1S2T2S2R1Q1S1R1Q1M1P1M1K1M1P1Q1R1P2O1P1R8T2S5T1S2T',
+  '1T1S1T1S1M1N1R7T1S4T3S4T1S1R1Q1R9T4S33T11S5R1Q1R3S1T1S1R1Q7P2O1N2M1L3K2J1I2H1G3F2E2F2E3D1C2B2A3z1y1x2w2v1u1t1s1r1s2t2u2v2w1y1z6E2D2C2B1A1B1C2A1x1t1o1h1m6.1p1j1d1f1j1k1p1r1s1u1w2y1x1w2u1t1s1p1n1m1h1c1a1b1a1c1k1o1l2n1p2s1w1v1p1i2f1g1f2e3h2i1q1x1C1J1K1M1O1P1Q2R1S1T1S2T1S2R1Q1P1N1K1G1D1B1A1z2x1A1B2E1G1J1N1Q2R1S26T5S3R2Q1N1L1D1y1d1c1n119.1b1q1i1k1f1g1h1i1j1k1l1n1o1p1k1f1g3d1b1f1n1q1w1B1D1C1B1E3H1G2H1I3H3G6F1G3H1D1B1t1l2i2j1g1b1a10.1t1r1v2w4v5u4t5s1p1d1j1h1k1i1l2n1f2a1b1s2.1o1k2c1l1p13.1e1l2n1s1A1D3E1B1z1A1y1t1n1q1p1l1g2b1c1g1k1m1n1l1i1k1q1t2.15T1R1N2K1Q1T2S1Q2P1J1E1C1B1C3E1F1J1O1Q1R1T1R1Q1R1O1R15T1I1N2T1R1S2T1S1Q1M1G1K1Q1R1P1Q1D1F1G1C1A1B1K1P2N1O1Q3R16T',
+  '4T2R3T2S7T1S1R2S5T1R1P1Q4S4T1S2R35T2S1R4S2T6S1R2Q1S1R2S2R5P1Q2P3O2M1L2K2J3I2H2G4F3E3D1C1B2A1z4y3x2v1u1t1r1q1r2t2u2v2x1A1B2E2F2E2D1C2B1z3y1z1A1C1D1z1r1j1g5.1k1j1l1m1o1p1r2t1u1w1x1w1v1u1q1o1i1f2i1n3.1i1c1f2.1j1k2e2c1i1h1c6a1b1c1f1g2h1q1w1B1I1K1L1N1P1Q2R6S2R1Q1O1N1L1K1I1E1C1B2v1x1z1B1A1C1F1L3Q1R2S2T2S7T1S20T1S1R1O1M1D1A1f1c1k119.1a1n1b1c2f2g1f3e1g1f1a2.1e1h1f1k3u1w1B1D1C1D3F1J2I1H4I4H2G4H3I1F1C1v1m1j1i1j1k1i1e1c1m1t8.1t1s1v5w3v5u6t1s1o1c1i1g1k1p2q1n1f3a1q2.1h1d4a1n12.1a1e1l1m1u1C3E1C1v1r1t1r1i1a1e1j1g1c1a2b2a1l2.2e1q1t2.1U14T1S1Q1M1K1P3S1P1L1K1H2B1E1N1Q2O1Q1R1P1N1P2R1Q1R17T1J1F5T1S1Q1M1D1v1C1P1R1P1Q1B1A1D1v1s1r1B1M1N1L1N2R1O1Q16T',
+  '4T2S3T2S7T1Q1P1R1S5T1R2P1R2S1R1S3T1S2R35T2S3R2S2T6S1R1Q1R1S1R2S1R1Q8P3O1N1M1L2K2J3I2H2G4F3E3D1C2A1z6y1x1w2v1u1t1r1q1r1t3u1v1w1x1y2B1E3F2E2D1C1B1A2z2y1z1y1z2A1v1m1f5.1j1n1m1n1q1r1s2u1v2w1v2u1p1l1d1b1g1h1m3.1m1b1e2.2i1f1d2b2c9a1f2g1h1q1w1B1H1J1L1N1O1Q2R7S1R1Q1P1O1N1M1K1G1D1C2v1w1z2B1D1G1M2R1Q1R2S2T2S7T1S20T1S1R1O1M1D1A1g1c1k119.1a1k1b1d2f1g1f1c6a2.1g1l1j1q1x2w1x1A1D1C1D1F1E1F2J1I1H1J3I9H4I1F1D1w1m1j1i1j1k1j1g1e1l1q8.2s1v6w2v6u5t1s1n1c1j1f1l2s1q1n1e3a1p2.1f1d4a1m12.1a1c1k1m1u1C3E1B1t1o1r1o1g1a1c1h1e1b1a2b2a1k2.1f1d1q1t2.2U13T1S1Q1M1K1P2S1R1O1J2H1C1A1E1S1T1S1R1S1R1N1L1O1R1Q1P1R17T1J1B5T1S1Q1K1B1t1C2R1P1R1H1C1D1t2q1z1K1N1I1J2Q1N1Q16T',
+  '9T1S7T1Q1P1w1y1D1M2O1P1Q1M1G1F1N1L1O1Q1R1S3T1S2Q1S36T1R1Q2R8S3R4S1R1Q7P4O1M1L2K1J4I4H2G3F1E1D1C2B1A1z2y1x1y1x1w1x1y1x1w3v1u1t2s1t2u2v1x1y1z1B1A1C3D1E2D1C2B2A6z1w1u1t1w1v1l1o6.1j1m2r1t2u4s2r1l1d15.1r1p2.1h1g1k1n2.1q1i1k1n1j1b1c1g1j1s1x1z1C1E1F1I1K1M2O2R6S1R2Q3P1N1L2I1J1I1H1E1C2B1D1F1J1M1O2P1S2R1S18T2S8T1S1R1N1M1C1z1b3a1d1j118.1p1r13.1i1q1A1C2G1D1B1E1F2E1A1z1C1I2J1H5J8I2J2K1H1E1z1r1m3k1l1k1j2b8.1n1p1v5x4w4v6u1s1l1c1g1p1u2t1q1l1d3a1q2.7a1c1r8.3a1b1l1n1v1B1z1x1v1r2n1o1l1g1c1f1e1a1d1l1g2a1b1l1s1r2.1q1s1d1l1V1U13T1P1K1H1G1N1R2Q1L1J1L1K1F1C1H2M3Q1P1F1x1D1N1R1S1T1R1S15T1R1L1U3T1S1Q1H1C1D1A1B1D1H1Q2P1N1I1D1H3L1K1I1G1H1J1R1S16T',
+  '16T1S1K1O2D1J1Q1P2N1M1H1B1z1M1N1M1N1R1S3T1S1R1Q1S36T4R15S1R1Q3P7O1N1M1L2K5I4H2G4F1C1D1B2A1z3x1v2u1t1v1x1w3v1u3s1u2v2w1y1z2A2C4D2C2B3A5z1y1w4u1s1u6.1h1k1q3r1q2o1p2r1q1f1b15.1u1w2.1g1e1k1s2.1v1k1l1p1j1a1b1h1k1t1v1x1A1C1D1F1I1L2O1Q1R6S2R2Q2P1O1N1M2K1I1H1C1A1z1x1A1D1G1I1J2L2R1S1R2S5T2S9T1S9T1S1R1N1L1C1w4a1b1h118.2a13.1i1t1D1E1I1J1G1B1z1B1D1B1A2z1F1H1I1K1L3K10J3K1I1F1A1t1o1l2k3l1g1a8.1l1m1v1y5x5w3v5u1t1l1d1f1q1w1t1r1o1k1c3a1p2.7a1b1m8.3a1d1m1p1v1z1u1q1p2m1n1m4h1b1a1f1n1j2g1f1p1t1q2.1o1r1i1j2U13T1P1I1H1I1O2P1O1I1J1P1H2s1y1D1F1N1O1Q1P1E1v1z1L1R3S1Q1S14T1Q1P4T1S1R1H2A1x1u1t1C1O2P1O1E1J1K3L1I1E1F1H1I2S16T',
+  '15T1S1R1O1Q1P1M1N1Q1S1T1S1R1N1E1z1D2H1I1M1H4S1P1N1P1Q1R13T1S21T1S1R1S9R6S1R1Q2P8O1N2L2K4I2H3G2F2E1F1E2C3B1A1y1w1x1y2x1w1v3w2v1t2r1t2u1v2w2x1z1A4C1B1A9z2y1x2w1v1u1t1u1v1t1o1m1o1t2.1r1t1l2j1l1q1.1q2n1l1i1k1m7.1q22.1a1b1e1i1q1s1t1w1x2y1z1E2K1P5Q8P3O1L1K2D1A1y1w1u1w1z2A1C2D1E1F2M1O1P1O1P1O1N1O1P1R14T1S1Q1N1K1L3J1F1z1t1e1d1b4a1c129.1a1o1u1D1M1N2O1M1J1F1D1B1z3y1z1A1E1F2L10K3L2M1L1J1E1y1q1k1j1k1m2n1g1a6.1l1g1i1s1z6y5x3w2v1u1t2u1m2c1p1v1n1m1l1j1c3a1r2.1e1d8a1q4.4a1f1j2q1p1m1k1l1n2m1n1j1n1l1k1i1j2m1l1i1g1k1t1z1v1s2r1q1p1t1r1M1P2S9T1S1Q1M2D2E1G1J1F1D1J1P1x1s1n1o1m1p1A1C1I1M1H1C2B1F1K1L1x1t2O2N1Q1S1R1Q1S6T1S1T1S1T3S1R1D1w2C1D1I1Q1S2R1Q2J1G1D1H1K1E2x1B1E1O1P11T1S4T',
+  '15T2S1Q1S1O1P1Q1R1S1T1R1Q1O1L1K1F1J1I1E1M1N1T1S1R1Q1N1K1J1I1P13T2S21T2S2R5Q2R6S1R1Q2P7O2N2L2K2J1I3H2G1F1E1D2C2D2C4B1z1x1y1z2y1x4w2v1t1r1s1t1u2v2w2x1z1A2B2C1B1z3y1z3y2z2y3w2v5u2s1m2.1z1r2c1f1l1t1.1w1p1j1f1c1m1o7.1u22.1b1a1b1g1o1p1r1u1v2w1t1u1D1J2P1Q3P4O3P3O1M1J1K1F1D2z1y1x1y3z1A1B1C1D1C1J1K1N1O2P1N1M1P1R1S14T1R1P1M1F1C1E1C1H1I1C1x1p1m1h1e1c2a1b129.1a1u1B1G1O1P1Q1P1O1K1F1C1B1A1z2x1y1z1C1D1J5K3L1K5L2M1L1J1E1A1t1l1j1k1n1o1p1f1a6.1n1g1l1r1w8y4x2w2v3t1u1p2c1m1x2m1l1h1b3a1s2.1i1d8a1r4.4a1g1i1o1n1k2j1k3l1k4j1b1m1p1o1l1j1i1r1B1E1A1w1t1u2o1r1x1F1M2S9T1Q1S1N2D1E1G1H1G1A1D1L1M1y1z1t1p2n1t1w1E1L1J1E1y1u1y1D1H1t1s1G1I1x1H1N1R1O1N1R6T8S1O1J1I1H1K2O2S1R1J1B1F1B1u1y1J1H1B1x1y1z1I1O1S9T2S4T',
+  '2T6S13T3S6T1O1F1L1K1H1M2P1N1L1K1L1M1N1Q4T2S6T1S1R1P1Q1R21T1R2Q5P1Q2R4S1R1Q1P2O5N2M1L2K2J3I1H1G1F1E1D1B1A1z3C2D5C3B1C1B2A1z1y3w1v1u4s1t4u1v1x1y1z1A3z3y7x1w1v4w1v1u2t1r1p1o1n1i1o1s6.1o1b1s38.1d2e1g1j1n1p1q1n1i1f1i1l1A1E1N1M8L3M1N1M1K1L1M1K1H1F1D1B1D1E1A1z1A1z1y1C1D2I2K6M1O1P3Q2T2S4T1S1R1P1M1J1G1F1E1D1K1L1N2L1J2G1C1w1j1a1j128.1r1z1O1Q4T1R1M1H1E1D1A1y1v2u1t2z1D1G2K3L8M2N1K1H1E1B1u1m1k1l1n2p1i1e1c1i2.1b1d1k1q3.1x1z2A4z3y3x1w1v2t1u1x1v1f1c1f1s1n1o1l1e3a1c1v4.7a1c1e1g1b6a1c1d1e1f2g1i1k1i1h1j2l1m1n1d2e1h1j1l1q1w1B1I1H1B1y6.1A1J3T1S5T1O1L1O1P1H1x1C1H1C1y1v1s1B1G1B1w2A1x1u1q1m1n1p1s1t1s2o2r1s1j1e1i1s1m1u1z1A1u1w1J1S1R2Q4R1Q1P2R1S1T1Q1M2N1M1K1M4T1Q1R1P1I1G2I1H1F1C1z1w1G1R1S14T',
+  '2T3S3R1S13T1R1S6T1O1F1K1L1J1L2O1L1I2J1K1N1Q1S3T2S6T1S1R3Q21T2Q3P1O2P2Q1R4S1R1Q2P1N6M2L4K1J1I1H1G1F1E2D1C1B1C1D1C3D1C1F1E1D1C2B2C2B1A2z2x2w1v1u1t3s1t3u1v2x10y5x2w1v3w1v2u1t1q2o1k1h2p6.1k1a1p38.1m1e2a1c1i1l1m1k1f2d1e1q1x2L2K4J3K3L1N1M1K2M2L1I3E1C4z1B1C2G1J1L2K1N2O1N1M2N1O1P1S1T2S4T1S1R1O1L1I1D1B1D1F1I1K1M1N2L1K1J1E1z1n1a1h128.1u1A1Q1R4T1R1N1I1E1D1B1y1u2t1u1w1z2D1I1K3L7M3N1K1H1E1B1u1m1k1l1n1o1p1k2g1c2.1e1f1l1q3.1t4A3z6y1x1v2t1u2x1i1d1e3o1k1d3a1c1s4.7a1c1d1e1b6a1b1a1b1d2g1i1j1i2h1j1n1o1j2c1b1c1h1p1w1A1D1I1A1r1o6.1x1H1S1T2S4T1S2L1N1O1G1w1B1E1C1y1t1x1D1z1v2s1v1x1v1w1q1o1n1o2q1l1j1n1q1p1f1c1f1s1v1z1A2B1D1K1R1P2M1O3R2P1Q1R1S1T1O1L2P3Q4T2S1Q1L1E1D2H1F1C2A1H1R1S14T',
+  '4S1D1B1A1E1O14T2Q2S1R2Q2O1K1E1I1H2E1G2I1H1I1L1M1N1Q12T1R1P1O2R17T2S2Q2P4O1N2O3P1Q1P1O10L1K2I2H1G2F2E4D4E4D4C1B1A2B4A1B1A1z2y1x1w1v1t2s1t4u2w5x2y2x2y1x1y4x1w1v2w1v1u1t1s1q1m1k1f1e1g1h1m1f1k1l1q1r1m1j1o1u39.1d1c3a1b5a1e1m1C1E2G3F5G2I1J2O1N1M1L1M2L2K1I1G2H1G1C1z1D1B1y1A1D1C1D1G1I1J2I2J1M2N2K1M2N1L1H2G1E1A1w1v1A1B1I1J5P1N1L1I1A1p1i1f1j124.1c1w1B1J6T1S1O1M1L1G1C1z2w1v1x2v1A1B1E1G2J1K1L3M2N2M2L1J1E1D1B1t1l1j1k1n2p1l1i1f1c1a1d2m1o1r4.1G2B4A6z1y1v1s1r1s1x1z1s1o1f1j1p1o1i1c2b3a1b1h2.2b16a1d3g1h2i2h1l1o1p1e1a2b1a1c1l1u1z1F1E1B1w1r1q1s1w7.1T1S4T1S1Q1K1L1G1I1y1o1A1Q1J1D1G1L1D1v1u2r1s1q1p1t1w1v1r2q1r1p1m1n1p4n1m1F1G1D1v1r1w1E2K1I1G1q1A2J1I1H1M1N1Q1S1R2P1Q1R2S8T1N1B1A1E2F1E1z1B1L1P2T2S2P1S7T',
+  '4S1B1z1A1F1O14T1R1Q1R1S1R1P3O1K1G1H1C1z1A1D1F2H1J1L1M1N1Q12T1R1P1O1Q1R17T2S2Q2P4O3N3O1P1O1N10L1K1J1I2H1G2F2E3D5E4D4C3B5A1B2A2y1x1w1v1u2s1t4u4w3x2y2x2y4x1y1x4w1v1u1t1s1p1m1l1f1e1g1i1p1j1l1m1s1w1r1o1s1w39.1e1c9a1c1l1B1D9F1G1H1I1J1N1O1N2M3L2K1I2G2F1B1z2B2y2B1C1E1F3G1H1I1K2M2K3L1K1H1F1E1B1y2w2A1H1J2P2Q1P1O1M1J1C1u1o2m124.1h1x1D1L6T1R1O1N1L1H1D1A1x3w1u1v1z1B1E1F1H1I1K5M1O1M2L1K1I1E1D1B1u1m1j1k1n2p1l1i1g1e1c1g2m1p1s4.1G4B5A3z1y1v1s2r1x1z1v1p1f1j2o1i1c2b3a1b1e2.2c15a1b1e3g1h1i2h1i1m1o1m1b1a1b1c1a1b1k1u1z1F1C1v3r1y1x7.6T1S1R1L1K1G1F1w1t1D1P1J1G1J1K1D1w1v1t1s2t1q1s2v1t3s1r2o1q1r1q1p1o1n1G1H1E1x1t1u1A1I1K1J1I1v1A2I1F1B1H1K1P2R1Q2P1Q2S8T1O1F1E1I1H1G1F1y1z1K1O2T2S1Q1P1S7T',
+  '2T1S1R2C1F1M1R14T1S1R3Q1P1O2N1K1I1B1w1q1s1w1B1E1G2H1K1M1O2R1T1S2R1S5T1S3P1Q12T3S2R2S1R1Q2P1O3N1M2L14K3L1J1I1H1G4F5E2F4E2D4C2D1C1A1z2A3B1A1z1y1x1w1v1u1t1s1t4u1v3w3x2y2x1y3x4y3w1v1u1s1r1p1m1k1j2g1l1m1r1n1l1n1t1x1v1t2w41.1m2d2c1d1b3a1g1v1w2B3C3D2E2G1H1K1L4M3L2K1I1H1F1E1B1A1z1A1x1v2x1y1A2B1C1D1E1F1H4K1I2G1H1G1E1B1z1w1x3y1E1H1P4Q1P1O1N1J1E1B1y2v1t122.1n1z1H1O4T1S1Q2P1O1L1I1E1C1z1x1w1u2t1w1y1B1C1D1G1I1K4L1N1L1K2J1G1E1D1C1w1p2k1n2p1m1j1i2j1m3p1q3.1A1F2C4B6A1y1v1r1p1q1w1A1z1t1g1i2l1h3c5a4.1f1e1b12a1b1d2e1f2g1f1i2l1k1d2b1u1v1b1c1h1q1v1w1q1j1n1w1A1G1A4.1D1K1S6T2S1O1L1C1B1z1G1M1P1M2K1J1E1B1A2y2z2v1q1r1t2u2w2v1w1y1w2u1r1E1G1H1G1C2z1D1H2J2E1F1D1z1v1D1G1L2O1P3Q1R1S7T1S1Q1N1L1J1I1J1I1C1A1J1M2S2T1S1R1S7T',
+  '2T1S1Q1H1I1O1S17T1R1P3O1M1L1K1I1y1u1m1n1s1z1D2F1E1H1L1M2P1S1R2Q1R1S4T1S2R1Q1R10T5S2Q2S1R1Q1P1O1N3M1L2J1I5H2I1J1K3J1K2L1K2I1H6F3E5F3E2D1C3D1E1C4A3B1A2z1y1x1v1u1t1s1t4u1v3w2x5y4x4y1x1w1v1u1s1q1o1l1j1h1g1j1l1p2r1n1j1m1r2u2v1u1A41.1o1n1m1n1o1g4a1m1q1w1y2z2A2B1C1D3E1H1J5M5L1J1G1F2C1z1A1w1v1u1v1w1x1y1z1B3D1E1G1H1K1J5E1D1B1z1y2x2v1C1G1P7Q1O1M1I1F1C1u3q26.2u1r1q89.1n1r1C1L1Q4T1P1N1P1R1O1J1I1G1D1B1A1w1u2s1u1w1z1A1C1D1G1H1J3K1L2I2J1F2D1C1x1s1l1j1n1o1p1n1k2l1n1p3s1q1y2.1C1F4C8B1z1v1r2o1w1A1B1w1g3h1f3c5a1o1r2.1u1o1f13a1b2c2e1d1e1k1l1g1b1a1e1k2.1i2e1g1l1j2f1r1H1K1J1F4.1w1B1O8T1Q1L1z1A1I1P2Q1N1L1K1I1G2F1E1F1E1D1B1z1m1n1s1w2x1z1B3C1B2z1v1A1E1J1P1M1H1C1y1C2H1G1F1C1z1u1w2E1H1K1L1N1P1Q3R6T1S1Q2P1L1D1F2K1I1C1H1M1Q1S3T2S7T',
+  '2T2S2P1S4T2S12T1S1R1P2O1M1L1K1J1C1w2o1t1y1C1E1G1H1J2L1N1O1Q3P1Q1R1S4T2S2R9T2S2R2Q4P1O4N2M1L1K2J1H3G2H1I1J2K3I1J3K1I1H6G5F1G4F1E8D1C3A3B2A2z1y1x1w1u1t1s1t4u4w11x1y3x2v1u1s1q1n1k1i1h1j1k1p1q1s2t1p1o1q1t2u1v1u1t1A47.1u1t1g1e1c1g1o1s3v1w1x1y1z1B1C1D2C1E1K1L3M5L1J1G1F2C2B1x1w3u1v1x1y2z1B2C1E1G2F6E1C1B1y1v1u1s1t1C1I2Q5R1Q1P1O1L1J1G1y1w1t1o23.3x1w1v1o1i89.1u1x1H1O1Q2T2S2Q1R1S1P1M1L1J1F2C1y1w1u1t1u1w2x1z1B1E1F1G4H2F1G1F2D2C1x1s1k1g1m2o1m1l2n1p1r1w1x1y1x1C1.1E1F1E4D5C3B1z1v1s1r1s1y1A1D1y2g1k1g1j1o1l1j1e4a1i1l4.1s1f18a1d1h1f1c2b6.1o1f2g1m1t1C1L2M1N2.1w1A1u1x1L6T2S1O1H1B1F1K1O2Q1O2L1K3J1G1F2E1z1v1m1o1t1y1A1z1B3E1D1C1B1C1A1C1F1K1P1N1L1C1v1x1B1C1B1A1y1x1t1u2B1E1G1I1J1L1N1L1J1M1R6S1Q1N1M1K1F1H2K1J2F1M1R1S3T2R7T',
+  '11T2S14T1R2P1O1M2K1G1C1t1s1t1w1y1C1F1I2K1L2M2O2P1Q1R1S6T1R1S8T1S1R1Q2P1O1N1L1M2L2K1L3M2L1K2J1H2G3H1I1J1K1J1I1H2I1J2K1I1H13G3F1E3D1C4D1C6B1A3z1y1x1w1v1u2t3u1v2w1v1w12x1w2v1u2t1r1o1l1i1f1h1m1o1t4u1s1u1v1u1t3u1r1x49.1w1q2a1e1k3q1s1t1u1x1A1B2C2z1I1K5L3K1I1F1E2D2C1y1w1u2t1u1v3w1y1A1B1D1E1C1D2G1F1D2E1D1B1x1t1s1q1s1F1K1R1S2T3S1R1Q1P1N1M1K1C1B1v1s1j1h1t16.2s1t1s1u3v1t1j1d1h1k86.1j1w1A1I1P1Q2T1S1Q1R2S1R1Q1P1N1K1G2D2A1x5v1x1y1B3E7D1C1D2C1x1q1i1f1l2o1m1l1p2q1s1B1C1D1E3F4E2D1E1D6C1A1w1v2u1x1A1E1C2f1m1i1q2.1v1o1g1b2a1d1g5.1s1e18a1b1a1b1g1j7.2j1o1x1J1L2M1Q1R1S1Q1s1r1t1s1D1S3T1S1R1Q1R1L1E1C1I1J1O1P1Q1O1M1L1K1L1K1J1F2E1D1w1s1n1p1t1y1B1D1F1I1G1F2D1z1D1E1H1I1L3O1F2v1x1y4w1t1r1x1y1B1D1E1F1H1I1G1D1H1P3Q3R1Q1M6K2L1F1M4T1S1Q1R7T',
+  '6T3S5T1S12T2S2R1Q1N1O1I1G1C1A1x2v1z1E1I1K2L2M1N1O2P1Q1R1S5T4S1T4S1R1Q1P1O1N2M1L1K6J1K4L3K1J3H1I1J1I2J2K3J2K1L1K1J1I1H5I1H2G1H2G3F2E6C2D1C6B1A3z1y1x1w1v1u2t3u1v2w1v1w2x5w4v2u1t2s1r1q1o1l1j1g1f1i1o1q1t1u1t1u1t1u1q1p1o1q1t2u1o1u51.1p1n1a1c2h1j1l1o1r1v1y1A1C1D1B1x1D2F1G1H1I1J3K1I1F2E1D2C1y1x1v2u2v3w1y1z1B4D1G1H1G2F1G1E1B1x1v2u1x1K1N2S3T2S1R1Q1P1O1M1L1F1D1y1w1q1j1o1v5.2y2z1u3s1r1s1x1D1C1y3z1y1v1m1h2e85.1j1n1u1z1H1O1Q2T1R1Q1S1T1S1R1P1N1M1L1J2G1E1D1A1z1x1w2u1v1x1z3B2A1y1A1B2C3D1C1x1q1h1e1k2o2n1s1t2s1B1C1F4G2F5E1C5D1C1A1x1v1s1r1x1B2G1k1h1k1i1m1v4.1j2a2b6.1i18a1b1j1s8.1t1m1s1y1H1N3P2S2R1p1m1s1p1t1C1M1T1S1R1P1N1O1F1A1D1E1H1O1Q1R1Q1O1M2K1I1H2G1D1B1s1p1q1r1v1A1C1E1G1J1I1G1E1B1x1I2K2J1L1M1N1H1A1y2w3v1u1s1r1u1v1y1B1C2D2F1G1I3N1O3P1O1M1I2H1I1J1I2K1F1D1Q1R3T1R1S7T',
+  '6T1R1Q1R4T2S17T2R1J1H2J1E1y2v1D1I1K1L4M1N1P1Q2R1S8T3S1R2Q1P1N1L3K2J3I2H3I5J1K2J2H1J3K2J5K4L2K1J5K1I1H3G2F2E2D2C2B4C7B1A3z1y1x1w1v1u2t4u3v6w1v1u3t2s1r2q1p1o1n1k1i1g1f1h1m1q1r1t1u3t1s1k1j1l1p1s1v1t1k1s53.4a1b1f1k1o1t1x1A3C2z1A1z1A1B1E1G1J2K1I3G1F2D1z1y1w1v1w1x2w1x2y1z1A2C2E1F2G1H1I1J1F1B1z2x1A1D1N1P4T2S1R2Q1P1O1M1L1H1G1B1z1w1t1s1r1s2v4w2x1u1r1k1n1v1x1F1K1I1F1E1D1C1A1y1r1m1d1b1k5j1t77.1g1o1n1s1z1H1O1Q2T1R1S3T1S1Q1O1N1M1L2J1I1H1D1C1z1y2u1v1w5x2w1x1z1B1C2E2D1y1q1g1d1k2n1p1q1v1w1u1t1A1C1F4H1G5F1E3D2E2D1A1x1s2p1y1B1H1I1r1k1h2g1i4.1t1d1c2a6.1k8a1d1b8a1h8.2x1u1t1A1G1M1Q1R2S2T2Q1n1l1r1q1o1p1B1S1R1Q1N2J1D1x1F1B1H1O1Q1S1R1Q1N1K1J3I1H1C1z1p1n1s1u1y1C1E1H1J1K1J1I1H1A1B1O1Q1M1L1J1I1K1L1H1C1y1u1t3u1t2r1t1u1x2A1B1A1B1E1H1I2K2L2M2N1K1H3F2G1I1J1E1z1M1Q3T2S2T1S4T',
+  '6T1S1R1S23T2S1N1L2M1I1D1w1s1y1F1J1L3M1N1O3Q2R8S2R1Q1P2O1N1M1L3K2J1I2H1G4H5I2J3I10K7L6K1I1H2G3F2E2D14B1A2z2y2x1w1v1u2t3u3v3w3v1u1t1s2r2q2p2o2m1k1i1h1i1k1m1p2s2t1s1t1r1p1m1n1o1q1s1u1p1h1t53.1i1f3a1b1g1m1r1w1z1B1C2E1C1D1B1A1C1E1F1H1I1J1I2H1F1E2D1A1y4w2v4x1z1A1B3D1E1F1H2J1H1F1E2D1H1I1P1Q2T1S4R1Q2P1N2M2J1H1G1F1G1E1C1D1G1F2E1D3E1D1B1z1F2N2O1M1J1H1G1E1C1B1w1t1m1i1k3i2j1n1r76.1r1v1u1y1E1K1P1R1T2S5T1S1Q1O1M1L1K1L1K1J1E1D1B1z4w1v3u2t1u1x1z2B3E1D1z1s1h1e1k2n1q1s1x1y1x1v1y1A1E1H2I2H3G4F3E1F2E1A1v1q1o1p1B1D1G1I1B1s1g3f1m1v5.1e1d6.1l8a1c6a1c1e1h9.1q1t1v1y1E1L1P3S1T2S1N1M1o1n1o1n1o1p1x1L1K1H1G1F1E1B1y1E1C1F1M1N2P1O1M2K2J1H1G1B1y1o1n1u1v1A1F1H1J3K1J1K1F1H2P2Q1N2L1K1G1B1x1t2r1s1r3q1s1t1w1y1z2A1B1E1G1H2J3K3L1K1I1G4E1H1K1H1x1K1P5S7T',
+  '28T2S4T1R1N1O1N1L1G1x1p1t1C1H2L2M1O1P3Q2R6S2R1P3O2N1M2L4K2J1H5G5H6I12K7L4K1I1H1G4F2E1D1C9B6A2z4x1w1v6u4v1w3v1u1t1r1q3p1o2n2m2k1j2h1j1n1p1r1s3t1r1t1q1n1p1q1r1s1t1s1m1f54.1s1p4a1d1k1q1w1z1B1C2F1G1H1F1C1D1F1G1H3I2H1E3D1A1y3w1u1t1u4w1x1z1A3C1D1E1H2K1J1I2J1K2L1P1R2T5Q2P1O2N1M2L1M2N1M1L1K1L2M1L3K2J2M1S3T1R1Q1O1M1K1I1F1E1D1A1y1s1o1i2g1h1j1k1i1f1w74.1m1t1w1z1D1I1N1P1R9T1S1P1M1L2M1L1K1G1E1B1z2y1x1w1u1r2s1r1s1t1x1z1C1B4E1A1u1j1e1k2n1s1u1y2A2x1z1E1H3I2H5G7F1A1t1o1n1p1D1E1G1H1I1z1i1g1e1d1e1g1A4.1n1k1m1r4.1m14a1c1j1n10.1l1o1t1B1H1O1R4T1S1R1K1J1q1p2j1n1s1w1E1D1A1B1C1A1y1z3E3K2L3K1J1I1G1F1B1x1p1n1v1w1C1H1J6K1I1K1P1N2T1Q1O1M1I1F1B1w1s1q1p1q2p1q1p2s1v1w1y1z1A1B1D1F1G2I2J5K1J1H1F3E1I1L1I1u1L1Q4R1S7T',
+  '28T1S1R4T2S1Q1P1M1I1z1s1t1x1F1K1L1M1N3P2Q4R6Q1P3O2M2L6K1J2H4G9H2I1J11K7L3K1J1I1H2G3F2E1D1C1B3A4B7A1z1y4x1w1v5u2v6u1t1s1q1p3o1n1o2n1m1l1j1h2i1k1n1p1q1r2s1t1v1t1u1p1o1r2s1t1u1n1f1h54.1r1u1b3a1c1j1q1w1z1B1C2F1G1H1G3F1G1H2I1H2G1E1D1C1E1B1A2x1w1v2t1u1w4x1z1C1B2C1E1G1J1K1L4K1L1M1Q1R2T5Q2P1O1N1M1N1M1N1O5N1O1P1O3N3M1O1Q4T1S1Q1O1M1L1J1H1F1E1A1z1u1s1l2k3l1j1d1v74.1z1v1y1B1E1I1N1R1S9T1S1P1M2N1M1L1K1I1G1B1A1B1A1z1x1u1s2r2q1u1x1A2C1D3E1A1v1k1f1l1m1n1t1v1A2B1z1y1A1D1G4I5H7G1F1z1s1o2n1D1E1G1H1I1J1q1m3f1d1t4.1t1n2o4.1o14a1e1q1x10.1m1s1x1D1K1Q1S4T1S1R1K1D2o1g1i1o1t1s1y1A1w1A1C1y1x1B1D1E1C1F1G3I1J2K1J1I2F1A1x1p1n1v1x1D1I8K1L1K1J2T1S1Q1M1H1D1A1v1r1q2p1o1p1q1p2r1t1u1w1y1A1C1D2F4I3J3K1I1F3E1J1L1I1E1N1O1Q1R1S1R1S7T',
+  '30T1R1Q2T1S3T1R1O1I1E1y1t1w1z1G1M1N4P2O1M2L1M1N2O2P1N3M2L1K5J3K1I1J1I2H10I2H1I1J1I4J3K2L1M2N1M2N1M2L1K1J1I1H2G1F2E3D1C1B3A5B2A4z1y1x5w1v3u1v1w1t2s1t1s1r2p1q3p2o2n2m1l1k2j1l1m1n2o1p2q2r1s1t1v1w1s1r4t1n1e60.1q2a1f1n1t1w1z1A1E1F2G9H2G1D2C1E1D1A2x1v1t1s1r2s1t1u1v1w1x2y2B1A1z1B1C1F1I1K2L1N1P3S1T1S5T4S1R4N2O1Q3S2R6S5T1S1R1Q1O1N1L1J1I1H1D1C1y1x1u1t1r1o1n1m1k1h71.1a1i1t1u1x1C1F1J1L1O1R10T1S1Q1O1N1M2L1M1O1J1K1H1F2C1B1A1y1w1u4s1y1A2C1D1F1E1D1A1v1o1k3m1t1v1B1D1H1G2E1F1G1I1K1J9I3H1G1C1v1q1p1r1t1D1F2H1J1L1O1N1G1x1m1e1f1k12.1k1c8a2h2j13.1x1q1v1F2K1I1G1K2N2R1H1y2l2j1m1n1s1y1A2D2C1F2D1E1D5F1H1J2K1J1F1E1A1x2p1u1w1C1H1J5K2L1M1L1K4R1N1G1B1y1u1r1q1o3n4o1p1r1t1w1z1C2D1E1G1H5I2J1I2J3H1K1L1G1C1D2H1L1R1S2Q1S5T',
+  '20T1U9T2S6T1S1Q1L1F1z1u1r1q1D1L1M4P1N1L1J1I1J1K1L1N3O1N3M2L1J4I1J3K1J8I3J3I2H2J3I2J3K2L1M1N1O1N2O1N2L1K1J1I1H2G1F1E1D4C8B3A4z1y1x5w2v2u2v1u3t1u1t1r1q4r2p1o2n2m1k2j1l1m1n3o1p3q1s1t2v2t1v1u1t1r1i1d60.1p2a1b1i1q1u1w1y1D1E1G1F1G7H1G2F2C2D1B1A2x1v1t1s2r1s1u2v2w2x1A1z1x1v1x1C1F1H1I1L1M2P1S1R2S8T1S1R1Q1M1L1O1P2Q1R2S1R3S2T2S6T2S1Q1P1N1M1K1I1H1D1C1y1x1u1t1q2m1l1j1g71.1v1B1v1w1A1E1I1L1M1P1R10T1R1P2O1N3L1O1L1J1I1H2C2B1z1x1v2t2s1y1B2C1D1F1E1D1A1v1p1l1m2n1u1w1C1D1I1J4I1J1K4J1I2J6I1G1D1x1s1q1s1w2F1H1I1J1K1M1N1M1I1v1i1f1g12.1l1c8a1r1p1o1n13.1y1o1p1w1B1y1v1u1x1D1F2O1E1r1n1j1k1l1m1p1r1w1F1H1E1D1z1E3D1H3F2E1F1G1J2K1E1D1z1x2q1u1v1B1F1I3K3L1K2M1J1P1S1R1Q1N1G1A1x1u1r1q7n1o1p1q1t1w1z1C1D2E1G1H6I1H1G1I1K1J2I2J1E1w2F1L1N1R1T1Q1P1R5T',
+  '7T1S22T4R1Q1N1Q1P1Q1R1P1M1J1H1D1z1D1K1L3N1L1I1G1E1D1F1H1I3K1L1J1I1J3K1J4I2J2K8I2J6I1H2I2J3K3J1K2L4M2L2K1J1I1G1F1E2D11C3B2A1z6y3x3w1v4u3v3w4v2u1t1r1q1p1o2m1k2j1k1l1m2n2o1p1q1r1u3v1u1v2t1s1m1p62.1n1c2a1e1o1u1v1B1C2E4F1G2H2F3G1C1D1E2G1z1y1w2u2t1u1w4x1z1y1z1x2y1A1C1D2F2E1J1M4Q2O2P1O2L1M1N1P2Q1R2P2Q2R1S14T2S1R1Q1P1N1K1J1H1E1C1z1y1u1t1r1q1o2k1p69.1i1q1t1v1A1B1F1J1L1N1P1R9T1R1P1N1I1L1R1P1N1M1L1K1P1O1J1K2F1D1C1A1y2x1v1t1u1z1B3C3D1B1w1o1j1m1p1q1y1C1G1J5N2M2L12K1J1I1C1v1t1y1D4J2I1J1K1L1O1K1v1n1k1l1o1y9.1m1d6a1b1c19.1w1q1t1s1x2.2w1t1v2.1m1i2l1s1.1y1v1s1p1u1z1v1B2A1B1E1C1F1J1H1F1D1C2D1C1A1z1v1u3r1s1w1A1C1E1G1I1J1K1L1K1M1O1H3R1Q1O1I1C1z1v2r2n2l2m2n1o1p1s1v1z1C1E2F2H2I5H1I1J1K1J4H1E1w1G1J1I1J1O2S1R1S5T',
+  '6T2S22T1Q1L1O1P1Q1R3S1Q2O1K1G2F1z1J1K3M1L1J1F1B1A1E1H1I4J2H1I4J1I2H2I3J13I3H2I3J3K3J1K4L3K1L1K1I1H1G2F1E4D9C3B2A1z8y1x3w1v6u2v2w6v1u1t1r1q1p2o1m2i1j1k1l1m1n2o1p1q1r1u2v2u1t1r1s1p1k1v62.1m1e3a1f1m1s1y1B2D3E1F3G1H2I3J1I1H2J1E1C1A1y2x4y1z2y1z1B4z1A1B1C3D1E1L1N1R1S1Q1P1H3G1F1H1J1K1L1M1N4O1Q1P1Q1R1S14T2S1R1Q1P1N1L1J1I1E1D1A1y1u1s1r1p1n1j1i1o69.1p1t1v1w1B1C1G1K1L1N1P1S9T1Q1O1J1I1P1R1P2O1M1L1P1O1K1L2G1E1C1A1z2x1v1u1t2z1B5C1B1w1l1g1m1r1u1C1D1J1K1M1N2O2N2M3L11K1J1E1y1z1D1E3K2J1I1J1K1L1M1L1C1r2k1m1v9.1l1c6a1b1f19.1t1p1q1s1C2.1C1A2B2.1l1m1n1l1q1.1x1o2k1o1q1o2B1A1B1D1F1K1O1L1H1E1D1C2B2w2u3r1s1v1y1A1B1D1F1H1J1K2L1P1I4R1O1J1E1z1v1s1r1n1m2k2l1m1n1o1p1r1u1y1C1E1F1G4I1H1G2H1I1J2K1I1G1F1H1I1G1C2E2M1Q3S6T',
+  '6T2R3T2S13T2S1T1S1Q1S6T1S1P1Q1S1Q1M1J2I1B1H1M1L2P1O1N1I1F2G1I2K1I1H2I2H11I4H6I1H1G5H2I2J4K4L1M1N1O2N2K1I2H2F7E3D2E3D2C1B3A6z3y1x1w1v1u2t2u1t13u2t2s1r1s1o1f2i1k1l1n1o1p1q2r1s1t1q1o1k1g1h1k1n1r64.1p6a1l1r1w1x1z1A2z1B1D1F1H1I1J1I1J1L1M1L2K2L2K1I1F1E2D2C2B1A1z2y1w1u1w1y1z1C1E1G1H1J1L2J1I1H1J1K1G1B2A1D2F1G1H2K2M2O1P1Q1R1S13T2S1R1P1O1M1K1J1I1F1E1A1y1t3r1m1f1j1v67.1l1q1u1v1A1C1G1H1J1L1M1N1P1R1S5T2S1R1O2J1L1N1O3N1M1L3K1J4H1E1C1B1A1w1t1v1u1w1z1A1B4C1z1r1m1q1v1x1H1I2L1N5O1N1M2N1L1J1K8M2L1F1z1C1H1I6L1K3L2O1u1e2c1d9.1i1c8a17.1d1l1k1h1m1r1m1j1l1o1q1y1A1y1x1m1n1o2k1q1n1h1e1b1g1m1v1E1F2E2s1u1A1J1M1K1I1E1C1B1u7t1u1w1y3A1D1F1I1L1J1Q1M1Q1R1Q1N1L1I1E1A1t1p1o1k1j2i2j2l1n1p1r1u1y1D1F1H1I2J2I1H1G1H1I3K2J3K1L1M1L1z1F2O1R9T',
+  '6T2S3T3S11T2R1S2T2S6T1S1P1Q1S1Q1O1L1J1K1E1F1L1M2Q2P1M1K3J2K4J2I3J7I5H8I3H1I1H2I1J3K3L3M1N2O1N1M2K2I1H2F4E2F8E2D1C2B3A5z3y1x1w1v5u1t14u1t1s1t1r1n1l2d1e1h1j1l1n1o2p1o1p1q1o1k1f1d1j1i1l1r64.1r1b5a1d1n2u1x2z1A1B1C1E1G3I2K2L2K3L1K1I2G1F1D2C1B1A1z1A1y1w1v1t1v1y1B3E1D1I2L1M1L1I2E1A2y1z1B1C1D2F1H1I2K1J1M1O1P1R1S13T1S1R1Q1P1N1K2J1I1F1E1z1y2u1s1q1l1d1j1w67.1r1t1v1w1C1D2I1K1M1N1O1Q1S5T4S1O1J1K3N3M2L4K2H1I1H1F1D1C1z1w3u1v2z1B2C1D1C1z1r1m1r1w1A2J1L1M2O2P2O1N1M2N1M1K1L9M1L1D1v1w1C1G3M7L1N1P1B1l2f1e9.1j1e8a17.1f1k1j1f1l1r1m1h2j1i1r1x1u1w1n1l1p1n1p1t1m2g1d1j1q2s1u2v1o1m2n1u1F1K1J1F2C1v1u2t1u2v1u1v1x1A1D1C4A2H1M1P2R1M1L1K1F1D1z1t1p1o1l1j3i1j1k1l1n1p1r1t1y1D1F1H1J2K3I1G1H1J2K1J1I1J2K2L1M1N1J1D1B1H1Q9T',
+  '6T1S2Q1T3S12T2S11T1S2R1T1S1Q1O2L1H1I1N1O2R2Q1O2M2L2M4L1J11I8H11I1J2K3L5M3N2M2K2I1H1G9F2E2F2E2D2C2B3A4z3y1x1w1v1u1t19u1t1u2s1m2d1e1g1h1j1l1m1n1o1n2m1k1h1f1e1k1h1o67.1r1n1h1d1c1a1g1r1s1v1w1x1y1A1B1C1D1F2H2J2K2J1K1J1K1J1I1H2G1E2D4C2B1z1x1z1C1E1G1I1J1I2L2M1I1F2C1y1w1x1z2C4B1D2F1H1K1M1O1P1Q1R3S7T2S2R1Q1O1N1L1J1I1H1E1D1z1x2u1s1q1l1d1n68.1s1t1w1y1E1F2K1L1M1N1P1R1S5T1S3R1O2M1N2M9L4J1G1D1C1A1x1v3u2y1B2C1D1C1z1r1n1r1y1C2K1M1N1O4P2O1N2O1N1M9N1M1L1B1t1w1D1G9M1L1M1O1G1r1k1i1j1p1t7.1o1g8a17.1g2l1k1r1.1s1p1r2s1r1t1q1s1m1l3r1s1l1f1d1c1j1q1r4.1u1p1n1k1q1v2w1x2z1w1v1t1u2v2x1w1u2t2s2r1s1u1t1w1y1L1M1I1G1H1F1C1y1t1q1p1l1j4i2k1m1o1q1u1y1C1E1G1I2K1G1H1J2I4J1I1J2L1K1J1L1M1L1H1A1E1L1N1P1R1S5T',
+  '6T1R1O1P1R1Q2S31T1Q2O1M1K1P1Q2S1R1Q2P7O2N1K1J3I3H7I5H7I5J2K2L2M3N1M3N2M2K3I1H13G1F2E2D2C3B3A2z3y1x1w1v1u1t5u8v9u1x1r1g3i1j1k1l2m2n1i2h1f2g1m1g1s70.1n1m2a1k1o1s1t1u1w1x1z1y1x1A1D1E1H3I4H1J2K2J1K1J5H1I1J1K1H1F1G1J1K1M2N1L2N1M1K1F1D2A1y1x1z2C1B1x1v2w1y2C1F1H1K1M1N1O1P1Q1R2S4T2S2R2Q1O2N1M1K1I1G1E1C1z1x1v1u1t1q1l1d1p66.1p1r1t1u1y1A1G1I4M1N1P1R6T1R1Q2P3O1N1L6K3L1M3L1K1G1D1C1A1y1v1u2t1x1y2C2D1C1z1s1o1t1B1F1M1L1M1O2P3Q6P2O2N4O3N1L1z1s1y1G1I8N1M2L1O1M1B1r1n1p1h1f8.1j8a1t1x13.1t1q1j1k1n1p7.1q1o1i1l2m3s1r1l1f1c1a1g1n1r4.1C1t1n1g2j1h1i1n1q1r2v1u1v1w1v1z1y1u1n1k1i2j1i1h1j1i1h1i1j1w2A1B1E1F1z1v1s1q1p1k1j4i1j1k1m1n1q1u1x1A1D1F1G2K1G1H2K1J1I2H2I1K1L1K2H1J1L1N1M1B1A1C1F1H1O1S5T',
+  '6T1S3R1Q1S32T1R1Q1R1P1M1R3S1R1P1O1N2O5P2O2M1L2K1J9I4H1I2J1K5J4K4L2M6N1O1N1M2K3I2H3G3H6G1F2E2D3C2B4A1z3y1x1w1v1u1t4u16v2u1w1u5p3q2p1o1m1l1j3l1o1h1s72.1g1f1h2l3m1o1q1s1t1v2y1E5G2H1J1L2M1N2O5P1O2Q1P2N1O1P1Q1P1O3N1L1K1I1H1G1F1E1C1D1E1C1z1w1u2v1w1A1C1E1G1H1J1L1N1O1P1R8S2Q1P1O1N3L1J1G2F1E1A1z1x1w1v1t1o1g1l1x64.1w1r1s1v1w1A1C1H1J4M1N1P1S6T1Q1O1M1L1K1J1K1L3J3I1H6L1K1I1F1D1C1B1y1v1u1s1v1y1z1D3E1D1B1u1q1v1E1J1N1M1N1O3Q3R2Q2P1O2N7O2N1M1B1w1D1K1L6O1N2M1L1M2P1L1y1q1p1i1f9.1o1l1f1e4a1h1j13.1g1h2j1n1u4.1z1q3o1q2w1u1t2s1t1o1g1d3e1h6.1o1f1j1m1p1v3.3w1y1x2v1u1p1j1g3e1f1g1h1e1g1h1g1m1n1p1s1v1y1w1s1r2p2j4i2j1l1o1q1s1u1w1A1D1E1G1H1I1H1K1J1H2E1D1E1F1G1H1G2E1G1I1L1M1K1H2D1H1O1R5T',
+  '9T2S4T1S1R11T2S17T2P2T2S1R1P2M1O7P3O2N1M1L3K2J8I1J1K2L7K2L5M6N2O2M2K1J2I9H4G1H2F1E3D2C3B4A2z1y1x1w1u2t4u1v7w4v1w4v1u10t1s2r2q1o3p1q1j1p72.1q1s1e1h2c2b1c1e1k1p1r1u1v1B1E2D1F1G2H1I1K1L1M1N1O1Q2S2T1S1R1S1T6S1R2Q1P1O4M1N1M1I1F2E1B1y1x1w1v1u1v1z1A2E1F1G1J1L1N1O1Q2S3R1Q2R2Q1P1N1M1K2J1H4G1D1C2A1z1x1s1k1g1k63.1r2s1t1w1x1C1D1I1K4M1O1Q1S6T1P1N2H1F1E1G3H1G4F2K3L1K1I1F1E1D1C1B1y1v1t1u1w1y1z1E1F1G2F1D1w1r1x1I1M1O3P3R3S1R3Q1N1J1L7P2O1N1E1z1D1I1K3P2O1P1N1M1L1M1O3Q1G1x1r2h11.1q1o1a1b4a13.2a1e1h1p5.1x1k1l1t1w1K1P1L1F2z1w1v1q1h1g1j1g1b1a1g1o4.1q1f1k1r7.2x2u1t1s1n1i1g1e1d1b1d1g2h1j1k1j1i2h1i1l1p2s1p1n1o1k6i1j1l1n3q1t1y1B1C2E2G1I1H1E1C3B1C4D1C1D1E1K1M2Q1L1F1I1O1R2S3T',
+  '15T1S2Q1R7T1S1R1Q1R2S15T1Q1P4T1S1Q1O1N1O8P4O1N1M2L2K3J2K4J1K10L2M6N5M2N2L2K1J1I1H4G5H5G2F1E3D2C3B2A2z1y2x1w1v6u2v2w6x3w1x5w1v8u5t2s1r1s1t1r1k1m78.1r1q1p1o2l1n1q1r1w2y1z1C1D2E1G1I1J1L1N1O1Q1S3T2S8T3S1R2Q1P2N1M1L1I3F1C1z1x1w1v1u1t1y1z1C2D1E1G1I1K1M1N4P4Q2O1M1L1J2I1G1H1I1J2K2H1F1E1D1B1x1q1j1f1p61.1q1p1s2u1y1z1D1F1K1L3M1N1O1Q1S4T2S1L1I1B1C1z1w1z1D1E4F1D1C2G2K1I1H1F1E2D1C1B1y1w3v1x1z4E1D1C1x1u1B1M1P2R11S1R1K1D1F2Q7P1N1D1x1z1E1H4P2N4M1O1Q1P2N1L1F1n1l1m1p9.1p1n1b1g1b3a13.2a1b1g1r6.1s1r1A1H2R1P1H1F1D1x5t1m3g1j5.1n1t12.1w1v1p1m1k2h2g1h1g1h1j4l1j1i1k1m1o1r1o2l1k1j3h3i1j1l1n1o1p1s1v1y1x3C1D1F1D1C1A4z1A4C1D1E1J1L2R1Q2M1O1Q2S3T',
+  '9T5S1T1S1Q2P3T1S3T1S1O2L2R15T1R1Q2S2T1S1R1Q3P3O5P3O1N1M2L1K2J2K6L2M4L5M3O4N7M3L2J2I1H8G1H5G1F2E3D2C3B1A2z1y1x1w1v6u2v2w3x6y2x3y1x2y1x1w2v3w2v3u1v2u2s1v1y1p1i1j82.1t1i1h1k1n2s1u1v2z1A1B1D1F1J1L1N1P1R1S16T1R1Q1R1Q1N1M1K1J1G2F1E1B1y1w1v1u1t1s1x1z1B1C2B1D1F1I1K1L1M3N2P1Q1P2L1K1J3H1G1I1K1L1P1O2M1K1I1H1F1C1x1o2f1l1o58.1l1k1n1s1v1w1A1B1F1H2L2M2N1P1Q1S4T1R1P1H1D1w1v1r1n1r1x1B1E1F1G1H1D1A2B2H2E4D1C1A1z1y2w1v1w1y4D1C1A1x1w1E1Q1R14T1J1A1E2R1P6Q1L1B1v1z1E1G4P2M4N1P1S1P1M1P2S1x1p2c9.1k1j1c1f1b3a1l1k1l1o1s1t7.2a1c1h1s6.1u1r1w1I3Q1I2.1A1v1A3.1w1n1k1h1j21.1v1o1l1j2k1j1i1f1e1h1k1l2n1m1l2m1n1p1o1l1k1l1k4h3i1j1l1n1o1q1s1u1t1z2x1y2A1z1y2x2w1y1A1B2C1D1E1I1K5S2R5T',
+  '8T1S1R3S2T2R2Q7T1S1N1G1F1E1H1Q1R4S2T2S5T2S1Q1S3T1S2R1Q1P8O3P1N1M2L7K2L1M2N6M2N5O3N4M5L2K2J2I1H1G2F4G1H6G2E2D2C1B1A3z1y1x2w2v1u2t1u3v3w1x7y2z1y5z2A1z1y6x5w4v1z1C1t1l1o84.1n1k3n1q1s2z1B1C1D1E1J1L1O1Q1S17T1S1R1P1N2K1H1G1E1D2C1z1x1w1v1t1s1t1w1x1z1A1B1C1D1F1H2J2L2N1M3N2M1L1K1L3M3O1R1Q1P1O1M1L1J1G1E1B1v1n1j1g1f57.1r1h1j1n1s1w1x1B1C1H1J1L1M4N1P1Q1S4T1Q1N1D1A1q1j1g1c1g1n1v1B1D1F1G1D1C2y1C4D1C2D1C1B1z1y1x1v1w1v1x1C2D1C1A1v2s1D2S13T1S1J1B1F1S1R1Q5R1Q1M1B1v1B1H1J3Q1P1M1N2Q1P1O1R1S1P1N1P1Q1R1K1A1e1c1p1s7.1d1c6a4c2e1h1k1p2.1n1o2a1g1i1n1r1w6.1y1M2Q1O1M1K1I1E2A1D1F1G1B1x1p1f1g1v1x1w1A1B1D18.1u1q1m1k1h1g1f1g1i1j1l2m1l1n1r1t1u1r1o1n1l1j2f1g1h3i1j1k2m1o1q3r1q1t1u3w5v1x2y2B1E1F1K1N2T1R1P1Q2S5T',
+  '8T1S2R1S3T1P1S1R1S7T1S1M1D1B1u1y1M1N4S2T3S6T1Q1S6T1S1Q1O2N5O1P1Q1P1O4M2L2K2J2K1M2N5M3N3O1P2O5M2L2K1J1K2J2I3H1G2F4G1H5G1F2E2D1C1B1z1y3x1w1v1u1t3u1t2u2v3w2y8z1A1z5A4B1z1A4z1y5x2y1x1B1G1x1n86.1m1n1e1f1j1m1z1B2E1F1H1K1M1P1R1S19T1O1M1K1J1E1D2C1B1A1z1x1v1u1t1r1s1v1w1x1y1A1C1D1E1G1I1J2K2N2L2M1P1O1N1L1M1O1Q7R1Q1O1N1K1I1F1C1y1u1o1g1e1n1q55.1p1d1i1n1s1x1y1D1E1J1K2M2N2O1P1Q1S4T1P1M1B1x1k1c3a1c1n1v1A2F2D2y1z1A4C1D1E1D1C1A1z1y1w2v1x1B3C1x1p1n1p1C2S13T1S1J1C1H2S1R4S1T1R1O1D1y1G1N1O3R1Q1N1O1S1R1Q1P1R1S1P1O3P1S1P1m1f1g1f1s6.17a1c1b3a1c2h1g1f1q1.1w1s3.1D1P1Q1R1J1G1B4C3B1G1J1B1f1d1j1m1k1h1n1t19.1x1n1k5g1h1k1l1k1i1q1A1B1C1u1n1o1l1i1e1d1f1g3h1i1j2k1m1o1q1o2k1r1s1u2t4u2v2w1z1B1E1G1N1Q2T1Q1O1P1R6T',
+  '8T2S2R3T1O1S1R1S7T1S1L1C1z1t1w2L4S3T2S6T1R1S6T1S1R1P2N3O1P1O2Q1P1N4M1L2K4J1K1L7M3N5O1N5M2L1K2J1K4I3H1G3F9G1F2E2D1C1B1z1x2w1x2v2t3u1t1u3v1w2x1y8z5A7B5A2z3y1x2z1y1x1B1I1x1l86.1l1m1b1d1f1h1z1C2F1G1I1K1M1P1R1S19T1P1N1K1J2E2C1B1A1z1x1u2t1q1s2w1x1y1A1C1D1E1F1I1K2L1N1O1L1M1N1O1Q1P1N1J1K1O1P5R1S1R1Q1O1N1L1I1F1C1y1u1q1k1i2n55.1p1e1j1n1s1x1y1D1E1J1K2M2N2O1P1R1S4T1Q1N1C1w1j1e1b2a1b1k1t1A2F1D1C2z1y1A4C1D1E1D1C1A1z2x1u2w1B3C1v1o1m1p1D3S12T1S1K1D1J6S2T1R1P1E1B1K2P4R1N1O2S1Q1P1R1S1Q1O2P1Q2S1q2h1g1r6.17a2b3a1d2g2e1r1.1v1s3.1E1M1Q1R1G1C1w1y1A1C1E1F1E1C1I1N1I1h1d1h1o1n1e1i1n19.1z1o1k1g1f2g1f1h1j1l1k1h1s1E1D1F1w2n1l1j1e1d1f1g3h2i2j1l1o1p1o1j1k1q1s4t4u1v2w1z1B1F1G1O1Q2T1S1Q1P1Q6T',
+  '2T1U8T2S5T1S1R1S4T1S1P1H1z1x1u1x1I1C1N1R3S1T1S6T1S1Q4T1S1Q1R2T1S1R1Q2R2Q1P1O3N2O4M1K1J1I1H1G1H1I4K1L2M2N8O5M1L1K3I3J2I3H2G2F2G2H1G5F2E1D1C1B1y1x1w4v1u1t1s1t1u1v3w2x1y3z1A4B5A3B2C4D1C3B3C1B1A1B1C1D1C1B2A1G1L1s1e92.1x1B1J1K1L1M1N1P1R7T1S13T1P1N1J1I3C1B3z1y1w2v1t3s2v1w1y1B1D1E1I1L1M1N1P1R2S1Q1P1K1I1E1B1D1E1F1L1R4T1S1R1O1N1L1I1E1C1y1v1q1l1j1c1a54.1p1l1j1m1q1u1x1y1D1E1H1J1L1M2O3P3O1R2T1R1P1B1r2t1s1n1h1b1c1i1r1y1z2D2C1z1B3D2E1D1C2B1A1B1x1y2x1A1B1y1t1l1h1n1v1I2S14T1R1P1S2T1S5T1S1P1G1B1J2R2T1S1Q4T1R1Q3R2S4T1L1z2g2h1r3.1m24a1b1c1f1o1u1p1j1l1t1v1s1p1q1x1u1v1A1y1x1y1F1O1M1D1J2T1q1e1g1o1v1i1c3a1b1l17.1s1k1l1i1h1p1q1s1t3.1G1C1y1t2n1t1q2i2j1i1h1d1e1h1i1k1n1r1u1v2q1o1p1q2r4s1t1v1w1x1B1D1L1O5T4S5T',
+  '3T1U7T2R4T1S1R1O1S4T1R1O1F1A1z1y1E1O1N1O1P1S2R8T1R1P4T1S1P1Q3T4S1R1P1Q2P3O1N1M3L1K1J1I1H1G1H1I1J3K2L1M2N8O6M1K2J1I2K2J1I3H2G2F2G2H1G5F2E1D1C1A1x2w2v3u2s1t1u1v1w2x1z4A1z1A3B5A4B2C5D7C1B1C2D4C1G1M1v1k92.1w1C2K1L1M1O1Q1S21T1P1M1J1H1C1B3A1B1A1z1w1v1u2r1q1r2u1w1y1B1F1H1J1K1M1O3S1R1O1N1I1H1D1C1D1B1C1K1R4T1S1R1O1N1L1I1F1C1z1v1r1l1j1c1b54.1o1l1j1n1q1u1x1y1D1E1H1I2L2O1P3O2K1Q2T1R1P1t1o2v1u1q1n1i1g1h1m1t1w1C1D2C1B1C6D1C2B1C1A1y1x1w1y1B1z1w1o1f1c1l1w1I2S14T3S8T1S1P1F1y1E1O1Q2T1R1P4T1S1R4S5T1O1K1p3h1p3.1m25a1c1g1k1s1q1l1q2v1w1o1k1n1s1x1E1B1A1E1M1Q1J1B1I2T1r1e1n1v1q1p1i3a1b1f17.1x1n1j1h1g1x1w1C1B3.1T1O1I1v1k1j1p1s1m1l1m1n1k1j1h1g1i1j1m1p1t2w2u1s1r1q5r1s1t1v1x1y1D1G1P1R5T1Q1P1R1S3T1S1T',
+  '10T1S1R1S11T1S1Q1M1E1A1z1D1L1Q1M1L1N1R1Q1R14T1S2P1S9T2S2Q1P1N1L3K1J1I1H1G2F1G2I2J1K1L1M2N8O3N1M1L1K1J1I1J2K2L1K1J2I3H4G2H1G1F4E2D1B1A1y1x2w1v2u1t2s1t1u1v1w1x1y1z1A4C2B1C3B2A4B4C2D3E2D2E5D6E1I1M1w1n1a91.1s1x2J1L1N1R21T1S1T1P1L2I1F1E1D1C1B1A1z1x1v1u1t1s1r1t1u1y1A1B1D1G1J1K1J1K1N1O2S1Q1O2I1E1D1C1A1C1G1M6T2S1P1O1M1K1G1D1B1z1u1o1l2a54.1t1n1g1l1q1u1x1y1C1D1F1G1I1J1M1N2O1L1G1C1E1L1Q2P1O1p1x1A2z1x1s1o1m1i1h1l1p1z1A4C2D1C3D3C2B1w1u1w1x2w1q1f1a1c1o1B1M15T1S5T1R1S4T1R1M1B1v1C1K1N3T1S6T1S2R1S2T1S1R1S2T1K1z1r1j1i1g2f5.2p2c1l1m1j1h1e1c2b10a1b1g3m1n1l1k1v1y1x1z1C1F1K1L1N1P1N1I1C1A1J1P1N1i1e1m1j1l1y1n1b4a1h1w1C17.1t1w1y1z3.2S2Q1S1Q1B1s1v1u1o5r1p1n1k1j1l1p1t1w1x1v1t2x2y1x2w1x1y1A1E2G1O1R7T1R1O1M1O1S4T',
+  '11T2S6T1S3T2S1Q1N1F2z1C1G1O1L1K1O1N1P1S14T1S2Q1S9T2S1R1Q1P1N1L1K2J1I1H1G3F1G1H2I1J1K1L1M1N9O3N1M1L1K3J2K2L1K1J2I8H2G1F4E2D1B1z1y1x2w1v2u1t1s2t2v1w1y2z1B1C3D12B2C3D4E2D3E2D5E1F2E1I1L1C1u1o91.1o1w1H1I1L1O1R21T2S1O1M2I2E1D1C1B1A1y1w1v4u1x1y1A1z1A1C1F1I2J1K1N1O1Q1R1N1M1I1G1D1C1B1A1G1M1Q6T2S1Q1P1N1K1H1E1C1A1w1q1n1b1a54.1s1k1f1l1q1u1x1y1C1D2F1I1J2M2O1J1A1y1D1J2N1K1O1u1z1A3y1t2o1m2j1m1w1z3B4C3D1C3B1A1t1v3w1v1n1e1d1f1q1C1N14T3S3T1S1P1S4T1R1M1A1v1D1M1O10T4S3T1S3T1N1J1y1p1m3j5.1u1q1e1f1m1n1k1h1f1c2b10a1d1k1m1k1m1o1n1o1w1y2B1F1G1I1J1M1O1H1z1A1H2K1A1b1d1f1a1l1q1i5a1f1t1w17.1t1x1F1M3.1T1R2O1R1Q1L1J1t1u1j2o1p2r2s1m1i1k1n1r1v1w1r1t1w1y1z5A1C1F1I1M1N2S7T1S1R1Q1R3S2T',
+  '1R1S7T2S2R2S2R1S2R3S1R1P1N1K1F1C1B2C1G1E1D2J1L1O1Q1S8T2S3T2S1R1S10T2R1P1N1M1L1J1H1D1A1x2z1E1F2G1H1I1K1L1M1N8O1N5M4L2K4L1K1J1I1H1G5H1I1H1F2E2D3z1y1x2w1v3u1t1s2u1v1w1x1y1z1A1D1F2E1F1E1D7C1B1C2D11E3F5G1H1G1F1G1H1I1M1D1j1a1d89.1m1A2J1N1R1S19T2S2Q1K1I2F4C1A1z1y1w1v1w1u1t1u1v1w2y1z1C1D1F1H1K3M2L1J2H1I1F1G1J1L1O1R1S8T1R1Q1P1M1K1I1G1E1A1u1r1g1c2b53.1o1h1n1r1u1x1y2C1D1E1F2G1H1K1M1L1I1B1A1G2K1J1M1z3C1B1A1x1t2s1o1i1h1l1o2v1x1y2z1B3D2C1z1x1w1v1u1y1B1w1t1o2h1l1v1H1P1S17T2S1Q1O1R4T1S1O1E1B1N12T1S1Q1R2S8T1S1P1I1D1v3p1o13.1n1g1a1c1d1c1b1a1e1i1p1y1B1A1w1t2q1s1v1w2A4G1D1A1z2A1v1q1o1k1j1h9a1c1o19.1r1x1K1L1K1L1N1P1N2I4L1z1q1i1j1i1e1j1l1o2r1o1j1h1m1q1p1u1w1s1w1A1B2C1D1E1H1M1Q4T2S5T1S1R2M1N1J1E1L1T',
+  '1R1S7T5S1P2Q3S1R2S1P2N1K1E1B1A1C1D1E1B2E1H1J1M1N1Q8T2R3T3S11T2R1P1N1M1L1J1H1C1x1r1v1w2E1F1G1H1I1K1L1M1N8O1N6M2L3K4L1K1J1I1H1G4H2I1H1F2E2D2z2y1x1w2v3u2s2u1v1w1x1y2A1D3F1G2F2D5C1B2C1D7E1F2E4F6G1H2G1H1I1M1I1o1a1i89.1k1u2K1N1Q1S21T1R1Q2K1H1E4C1A1x1u1s1t1u1t2s1v1x2z1B1C1D1E1H1J1L1M3L1J2H3I1H1J1O1N1O8T2R1P1N1K1J1H1F1B1v1t1i1g1d1a53.1q1j1n1r1u1x1y2C2D3E1D1H2L1K1F1C1E1H1K2L1A3C1B1A1x1v1u1t1q1l1j1h1j1r1t2w1x1y1B3D1C1B1z2x2u1A1B1w1s1n1i1j1n1x1I1P19T1S1R1P1R4T1S1O1E1C1O12T1S2R2S8T1S1R1Q1M1D1t1s1v1w13.1t1k1b1c2e2d1k1o1s1y1C1E1G1H1x2p1v1t1v1y1H1A1D1C1y1u2v1q1m1i1g1n1j1d8a1b1f1u19.1p1k1v1y1v1x1C1K1O1M2J1H1A1x1z1C1o1j1i1j2n1l1i1k1o1n1h1j1n1r1u1t1s1v1B4C1D1H1M1Q4T1R1S5T1S1R1O1N1J1I1L1O1T',
+  '1R1S6T2S1R1Q1O1L1E1F1I1K1L1P1N2M1K1J1F1C1y1v1u1z1E1y1u1x1z1D1E1H1J1P1T1R1P1R10T5S10T1R1P1N1L1K1I1C1x1t1u1v2C1E1F1G1I1J1K1M3N5O1N5M2L1K1J3I3G10F3G1F1E2D1C1z1y1x1w2v1u6t2u1w1x1y1z1A1B1D3F3G2F3D1C1A1y1A1C1D7E5F2G5H1I1J3I1J2R1x1e1b1a1l87.1j1o1L1M1Q1S2R1S3T1S12T1S2R2P1K1I1E1D1A1z1y1A1x1u1s4r2s1w1z1A1y1A2C1D1G4J2K2L1N1L1O1P1Q1S2R2S8T1S1Q1O1M1K1J1I1E1A1y1m1k1d1a53.1s1l1p1r1u1w1x1A1B1C1D2E1v1r1v1G2J1K1J1F2C1D1E1I1B3D1B1z3w1t1o1n1c2b1j2p1t1v1z3C1B1A1z1y1x1v1y1z1A1r3l1p1t1C1M1Q11T1S3T1S3T1S1R1Q1S4T1Q1I1C1F1P6T3S2T2S2T1S13T1S1P1D1u1t1r1t1w1v1r1m1f1g1j1l1m1o1r1v1u1s1v1r1s2.1u1v1q1k1n1u1v1w1u1t2u1v1z1B2.1t1u1q1n1l1h1e1c2d1f10a1d1i1l2p2c7.1s1h2a1c1w4.5a1c1l1s1x1A1u2r1w1x2v2r2h2j1l1s1x1v1q1o1q1s1q1w1E1H1K1I1F1E1F1G1J1O2R10T1S2P1Q1N1L1C1N',
+  '1Q1R6T1S1R1Q1P1M1K3F2I1O3M1K1J1F1B1x2v1A1E1y1u1w1y2E1H1J1O1T1R1M1P10T2S2R1S10T1R1Q1O1M1K1I1D1y1t1s1t1B1C1E1F1G1H1J1K1L1M3N4O1N4M2L1K1J2I2H1G3F1E8F2G2F2D2C1z1y1x1w1v1u7t2u1w1x1y1z1A1B1D4G2H1G1F3D1C1A1z1B1C1D8E4F1G3H3I3J2I1J1Q1R1A1h1b1a1k87.1n1r1L1M1Q1S2R1S16T1S2Q1O1P1J1I1E1D1A1z1y1z1x1u1s1r3q2s1x2z1y1A2C1D1G4I2K1L1M1N1M2Q1R4S9T1S1R1O1M1K1J1I1F1A1y1m1k1c1a53.1t1m1p1r1u2w2A1C1D1E1F1w1t1x1G2I1J1H1B1y1x1C1D1I1F2E1D1B1y3w1t1p1o1d1b1a1i2o1t1u1y1B2C1B1A5y1z1A1p2l1m1p1u1C1M1Q11T1S2T2S3T1S1R1Q1S4T1Q1I1C1G1Q6T2S2T3S2T1S13T1S1Q1H1y1w2r2v1s1p2k1n2o1q1t2x2v2s2.2x1s1l1o1u1x1z1y1x1y1x1w1z1w2.2u1r1o1m1i1f4c10a1c1i1k2n2b7.1r1f1a1b1e1u4.2b3a1c1h1m1s1u2r1t1x1y2x1v1s1h1g1h1i1l1r2v1s1p1q1u1v1z1C1E2F2D1H2I1M2Q10T1S3Q1O1L1G1L',
+  '1K1M1P1Q3R1Q1P1M1K1I1G1F1E1C1A1D1F1N1M1N1M1I1F1D1B1y2w1B1E1w2t1v1D1E1I1K1O1T1R1O1P1T1R6T1S2R1S1R1Q3R5S3T1S1R1P1M1K1I1F1C1z1s1t1u1x1D1E1F1H1I1J1K1L7M2L3K1J1I1H1G1F3E4D1C4D5E1F2E2C2A1y1x1w1v1u1t3s2t2u1v1w1x2y1z1B1D1F3I2H1I2H1E1D2C1B3A2B1C1D5E3F2G2H2I2J3K3J1P1Q1J1t1f1a1g87.1v1z1N1O1Q1T5S14T1S1R1Q1L1M1K1J1E1D1B2A1B1y1u1s1r1q1o1q1r1t1v3x1z1B1C1D1E2F1G1H1L2M1N1P1Q3R2S12T1R1P1M2K1J1F1B1z1m1j1c1a53.1w1n1p1q1s1u1v1y1z2B1D1E2y1B1F3H1D1v1s1r1B1D1I1J1G1F1E1B1y1x1y1z1v1r1q1g2b1f1i1k1q1r1w1A1B1C1B1A2y1A2z2A1q3o1s1w1E1O1S14T2S2T2S1R1Q1S4T1Q1H1D1I1Q10T1S1R1S15T2S1R1P1L1J1C1y1w1v1s1r1o1p3r1q1t1x1A1B1y1x1w1y1A1v1t1p1l1o3t1v1w2x1t2.1t1u1q1p1m1i1f1c2b14a2c2d2a1m1l4.1p1g1b1a1e1g1o1w1B2.1u1r1e2g1i1j1i1m1o1p1t1v1y2z2A1x1r1q3o1p1r1w1x2v1w1y1v2r1t1u1w1z1D1G1F1G1K1L2R2S7T3S1O1L1J1G',
+  '1C1E1K1L2O1N1M1J1F1E1D1C1B1A2z1C1H3O1L1F1C2B2A1B1F1E1v1s1r1s1A1B1H1L1P2T3S1R6T1R1N1O1S1R1P1O1P1Q3S1R2S4T1R1O1L1J1H1G1F1y1w1q1t1C1D1E1G2H1J6K3J3I1H1G1F2D6C6B3C6D1B1A2y1x1w2v1u1t2s1t2u1v1w3x1y1z1A1C1F1H4J1I1J1I1H2E2C2B1A1z1y1z1A1C1D4E2F3G2H2I2J6K1O1P1O1F1n1a1f85.1s1w1C1H1O1P1R3T3S15T2S2K2L1G1E4C1z1v1t1r1p1o1q1r1s1t1v1x1y1z1A1B3D1E1F1G3N1O2T2R1Q1R2S11T1S1P1L1J1K1J1F1B1z1m1j1d1a54.1k1n1o1p1s1t1w1x1z1A2C1B1D1E1F1G1F1D1y1s1o1p1C1E1I2J1I1F1B1z1x1z1B1y1u1s1k1e3b1c1l1n1u1z3B1A1z3y1A2B1u1t1r1p1t1z1H1R1S15T1S3T1S1Q1R1S4T1Q1I1F1K1Q8T5S6T2S7T1S1Q1P1R2T1R1O1E1B1x1u1t2u1t1r1o1p1u1y1C2D1C1z1y1t1p1o1n1q1u1o1j1n1q1r1s1o2.1l1k1h1f1c27a1b3c3a1d1g1h1l1o1n4.1q1p3n1l1n1p1r2v3z1y2B1C1A1z1A1v2p1u1A1B1z2v1n1j1f1j1m1r1v1x1B4E1M1N1Q1S9T1S1P1M1K1E',
+  '1u1v1D1F2G1F1D1C1D1E3G1F1G1H1L1N2R1P1M1H5F1H1G1C1v1s2q1v1w1D1M1Q4T2S4T1S1T1S2O2R1Q2O1P1R5Q4R1Q1O1M1L1J1H1G1C1B1v1t1C1D1E3F1G5H2G3H1G2F1E3D6C1B1A6B6C1B1z1y2x2w1v1u2t2s1t1u1v2w2x1y1z1A1B1E1G1I3J1K3I1H1E1D2C1B1A2z2y1A1B1C2D2E3F2G3H1I1J5K2L1M1N2O1x1i2h84.1u1A1F1J1O1P1R23T1P1N1I1J1I1G4C1z1v1t1r1q1p1r2s1u1w2A2B1C3E1F2H1M1L1N1Q2T3R3S11T1S1R1O2L1K1F2B1n1k1e1b54.1s1q1m1o1r1s2v1x1y2A3D2E1C1A1w2s1v1F1H3K1J1G1C1B1A1B1D1A1w1v1o1k4a1i1l1s1z1B1C1B1y1x1w1x2A1B1A1x1v1t1r1w1D1L1S20T1R1P1R1S3T1S1O1F1D1J1Q1T1S6T1S1T7S2R1N1Q2T1S1R1S1T1S1P1O1L1P2T2S1P1O1K1I1J1I1G1D1B1x1w2x1y1C3D1C1z1x1w1u1r1p1k1f1h2j1l1n2t1f1c32a1f1e1b1a1b1e2f1j1m1n1x1y1z1y1s1q1l1h1i1j1n2q1s1t2w1x1w1q1r2v1w1A1C1z2v1x1y1w1u1x1s1n1g1j1m1r1u1v1x1z1B2C1H1G1I1L3O2N1O1Q1S1Q1O1K1G1C1w',
+  '1o1n1x1A1B1z2y1A1D1H1K1L2M1P2Q1S1T1S1Q1O1N1L1N1O1L1J1L1E1A1x1t1p1o1r1s1A1L1R10T1S1T2S2Q2R1Q2O2Q1P2O5P1O1M1N1M1K1J1H1E1D1z1x3D4E1F3E3D1E2F3E2D8C1z3A9B2A2y2w3v1u1t3s1u2v1w2x1y1z1A1B1C1E1H1I4J2I1H1G2D1C2B1A5z1A1B2D2E3F2G3H1I2J4K2L1K1L1O1R1H1s1j1c82.1s1v1x1A1I1J1N1O1R23T1R1P2G2I2D1C1B1y1v1t2r1q1r2t1w1y3C1D1E3F1H1K1L1K1L1O1R2T2S2R15T1Q1O1M1K1F2C1r1n1f1c1k1f53.1t1l1n1q1r1s1u2w1x1y2B1C1D1B1z1x1v1w1y1C1H1J4L1H4D1E1C1z1y1r1p1b3a1j1l1s1y1B1D1A1w2v1x1z1y1z1A1y1v2u1z1I1P21T1R1O2S2T1S1R1N1A1y1H1Q2S9T1S4R2Q1L1E1K2T1R1P1R1T1Q1M2L1P2T4S1Q1R2S1R1O1M1L1K1I1F1D3F1G2H1G1F1D1u1l1i1g1f1e1d1j1k1d1b14a1b19a1l1j1c1a1c1f1e1f1h1k3m1l1k2q1k2c1d1g1l3m1q1s1v1r1i1l2r1q1r1B1K1I1E2C1B1C1F1D1v2l1n1q1s1t1v1u1v2x2D2A1D1E1C1B1A1C1J1P1K1E1z1x1w1r',
+  '1m1k1u1t1y1w1x1z1C1G1I1K1L1M1N1P2Q1S2T1S2R1Q1R1S1P1K1J1D1C1y1t1o1n1q1r1B1O1R13T1S2Q2R3Q2R1P3O1P4O1N2O1L1J1H1F1E2B2D2E5F2E3C1D4E2D9C8A6z1y1x1w4v2u1t2s1t1u2v1w2x1y1z1A1B1D1E1H1I3J1I3G1F2D3B1A1z3y1z1A1B2C4E2F3G2H1I1J2K2L4M1N1P1N1D1p1d1i81.1u1y1A1B1H1I1K1L1M1P1S21T1S1R1M1K1H1G2D1C1B1y1v1u1s1t2u1v1w1z1B3C1E2F1G1H1I1J1I1N1Q2R4T2R15T1R1O1M1J1F1C1B1u1q1h1e1k1h53.1t1l1n1q1r1q1t2v1w1x1z2y1x1w1s1r1u1z1C1E1J1K4L1J1F1E4D1C1B1u1t1i1b2a1o1q1v1z2B1z3w1x1z1y1A1B1x2v1w1C1K1Q20T1S2P1S3T2S1L1w1v1G1Q1R1Q1R7T2S1O1L1O1Q1R1S1O1L1N2R2P1Q1R1N1K1M1P3S1R3S1O1N2L1I2F1G1K1N2M1O1P2O3P1O1M1C1t1p1n1k1f1d1e1c12a1g1m1l1h1j1m1l2d1c3b10a1b1y1v1i1a1f1k1j1k1m1o1r3q1p1t1u1r2p1n2k1m1n1o1r1t1r2m1o1t1u1s1p1u1C1J1L2K1L1J1K1L1J1u2l1m1o1r1u1t3s1w1y1w1v2t1v1u1r1s1x1C1z1t2q1r1n',
+  '1l1m2q1s1t1v1w1B3G1J2N1O1P2S8T1S1O1M2F1z1v2n1o1p1A1Q1S14T1S4R4S2P1N1O1P5O2P1M1J1I1F1E2C1D3E1F5G1F1D2C1D4E2D4C3D2C2B3A2z4y4x2w2u1v2u1t3s1t1u2v1w2x1y1z1A1B1D1E1H1I2J1I1H3F1E1D1C3B1z1y2x1y1z1A1B2C3D3E2F2G2H1I1J1K2M2N1O2N1O1P1O1v1f1i81.1v1x1C1D1F1H3I1J1P17T1S5T1Q1P1J1G1E1D1C1A1x1v2u1v1w2x1y2C1D1C2D2E1H2K1J1I1Q2S1R1S20T1R1P1M1I1E1B1A1u1r1i1f1k1i53.1t1l1o3r2s2u1v1t1v1u1q1m1j1k1r1z1E1F2K2M2L1K1I1F6D1x1w1m1e1b1g1u1v1z1B1A1y2x3w2z2C1x1w1x1z1F1M1Q1S18T1S1R1O1R6T1K2v1H1Q1R1Q1R1S5T1S1R1Q1K1F1L1Q1R2T2S2O1I1M1P1R1P1N1P1R1S2R1Q3S1K1H1C1B1y1x1z1C1H1M1N1P1S4T2S1R1P1F1y1v1s1m1e1c13a1b1m2.2p2.2n1l3i1c8a1d1g2.1o1b1l2p1q1t1u3w2x1A1B3C1A1w2s1t1v1u1r1l1k1n1o1t2u2p1v1C1I1K1L1M1I1J1O1R1E1p1l1i1m1q2t3s1r1q1r1t1s1r1t1s1q1p1q2s1p2n1m1g',
+  '2o1p1q1s1t2v1z1F1D1C1H1L2M1N2S8T1S2R1N1O1B1v1o1n1p1q1B1Q1S13T1S2R1Q2P2Q1P3Q1P2Q1P5O1N1K1H1G1E3D2E1F2G5H1G1E3C1D3E2D7C2B2A5z1y4x5w4u2t3s1t1u2v1w1x2y2A1B1C1E1H3I1H1G2E2D2C3B1A1z3y1z1A1B2C2D1E1D4E1F1G1H1I1J2L2O2P2O2N1O1P1E1q1k1j1c77.1A1C1z1B2E1G1H3J1K1O19T4S2Q1K1H1E1D1B1z1w1u2s1u1v1w1y1z4C1D1E3F1E1D1E1F1O1P2Q1R1S19T1R1P1L1H1D1A1z1u1r1k1e55.1v1m1q2s1u1s1t1r1t1w1t1v1r1j1i1l1o1u1A1C1E1J1L2M2L1K1H1F3D2E1D1z1x1n1f1k1q2x1A1B1z1y1w3v1w1z1A2B1A1z1A1C1I1O1Q1S12T4S1T1R1P1M1O1R2T1S1R2S1I1u1w1K1Q1S1R6T1S1R1M1I2J1O1Q1R4T1P1O1B1E1K2P1Q5R1O1R1P1N2I1F1E1B1C1F1H1M1P1Q1S7T1R1P1B1s1r1o1i1c1b13a1b1n11.1s1i8a1h1n2.1v1j1p2r1s1u1w1y2B1D1E2H3I1H1F1B1y1w1v1o1m2j1n1o2s1u1r1o1s1y1D1H1J1K1E1D1F1I1J1t1n1i1m1q1t1u2t2s1r1p1s1u1t1s2r1q3r1s1r1p2k',
+  '1r2o1q2v1w1x1A1F1D1A1F2K1J1K2R13T1D1v2o1p1q1C1R1S12T2S1R1Q1O1N4O1N2R2S2Q1P3O1N1K1H2F3D1E2F1G4H3I1H1E1D2C1D3E3D5C2B1A1z4y1z2y3x4w2v2u4t3s1t1u2v2x2y2A1B1C1E5H1G2E3C5B1A2y2z2A2B2C1E4D1E2F1H1J1K1M1N3Q3P1N1M1N1P1L1z1k1c1a76.1z1w1x1B1D2G1H1I1K1J1L1M1Q19T4S2P1I1G2C1A1z1w1s2r1t1v1w1y1z4C1D1F1G1F1C1y1x1z1A1L1N3P1R19T1R1P1L1G1D2z1u1r1m1f55.1w1n1q2t1u2v1o1s1y2x1q1g1j1r1u1y1C1B1D1J1L2M1L1M1J1G1E2D4E1A1y1p1f1r1u1w1x1z1A1z1y1w3u1w1B3A3C1E1J1P1R1S9T8S1P1M1I1O1R2T1R2Q1R1H1t1x1M1R1S1R1U5T1S1Q1H1D1I1O1Q1R1S1U1T1U1T2Q1z1B1H2N1R1S1Q3R1N1Q1M1J1I1K1M1L1I1K2N1Q10T1R1O1z1o1m1k1g1b14a1c1s12.1m8a1l1r3.1p1s2r1s1u1v1z1D1E1H1I2L3M1L1J1F1z2u1l1j2i1o1p2r1t1s1o1q1x1B1F2I1z1y1x1A1L1u1o1i1m1q1t2u3t1s1p2s3r4q1r1t1s1r1j1q',
+  '1m1j1n1p1y2A1x1B1F1B1C2E1A1x1I1Q1R13T1G1v1s2q1s1F2S12T1S1R1Q2P1N1L1M1N1M1L1P1O1S1R2O1M1K3L1K1I1H1E3D1E2F1G3H3I2H2E4D1B8C2B1A1z1y3x4y2x3w1v1w2v2t3s1t2s1t2u1v1w2x2y2A1B1C1E2G1H1G2F2D2C2B2A2B1A2y1z3A2B2C3D4E1G1I2L1N1O2R2Q2P1O2M1O1M1F1q1g1a76.1B1x1y1D1E1H1I1K1I3L1N1R19T3S1R1P1N1J1H2C1B1y1v1s2r1t1v1w1y1A1B2A2B1C2D1B1y1z1B1D1L1N2O2S19T1R1O1K1G1C2z1u1s1l1a55.1u1n1q2t2w1v1t2x1w1v1r1h1j1q1s1x1A1z1C1J1L1N2M1L1J1G1E2D4E1A1z1m1f1p1t2x1z1B1z1x1v1u1v2x2B1A1B2C1D1G1L1Q1S10T3S3R2S1P1L1K1P1R1T1S1P1O2P1E1s1y1N1Q1R1Q6T1S1R1K1B1E1N2R1S4T1R1P2F1J1M1P1S1R2P1S1R1M1O1C1D1H1O6Q1R10T1S1N1w1m1l1j1d15a1c1s12.1j8a1l1s3.2p1q3r1s1v1D1F2J6M1L1J1C1v1u1n1l1i1j1p1t1w1u1s1r1s1v1y1z1B1E1F1s1o1n1p1G1w1p1j1m1r1u1v2u2t1s1p1r1o1r4p3q1r2s1r1t',
+  '2k2l2m1o1t1D1J1L1P1N1K1z1w1v1C1D1C1D1K1R2S7T1S1Q1E1A1G1J1Q12T2S1R1Q2P1K1C1w1u1v1C1B1G1E2G1F1E1D1E1G1I1J1K1E1A1y1A1B1E3F2G7H1F1E8D1C2B1A1z3A3z2y1x3y1x3v4u2t3s1r1s2t2u1v2w2x2y2A2B1C1D1F1G3F1D1C2B4A1z1y1z1y1x1y1z1A4B1A1C1D1E2F1G1I1K1M3P1Q1R1S1R3Q1O1N1L1K1L1N1D1u1i75.1u1w1z1A1E1F1J1K2M4K1L1P1R1S1R1P1R1S12T2S1R1O1K1J1E1D1C1B1z1x1v1u4t1u1v1u1t1u3w1x1z1C2E1D1F1G1H1J1Q2R1S19T1R1O1K1F1C1y1x1s1q57.1v1m1p1s1t2w2x1v1u2q1p1o4.1D1w1z1H1J1N1L1J1K1J1H2E3D2E1B1A1c1a1q1t2x2z1x1w5v1x1w1z1A2D1F1J1O1R1S18T1P1M1I1O2Q1P1B1z1x1y1w1r1z1Q3R7T2S1R1O1M1O1Q1S1U5T1R1P1R4T2S4T1J1y1O1R3T1S1Q1N1O1R1S8T1Q1H1u1n1l1h1c6a2b1q1r1l1f1c1a1m13.1k1d8a5.1s1n1m2o1j1f1h1q1v1G1H3M3N2M1J1F1D1s1o1p1s1B1C1t3s1u1w2u1w1y1x1q1p1j1i1y1B1s1h1j1o1s2v2u1s1r1t1s1t1s3r3q1n2j3k',
+  '3m2l1k1l1r1A1I1M1Q1P1M2I1G1x1w2x1F2P1R7T2S1G1B1M1N1Q11T1S2R2Q1P1O1J1B1t1p1o1v1t1x1v1z2y1x1w1z1D1G1H1I1B2w1y1z1E4G6H2G1F1E2D1E4D2C2B2z1A1z2A2z7y1x1w1v4u1t6s1t1u3v2w2x2y2A2B2C1E1G1F2E2C1B1A2z1y1z1y1x1y1x1y2z1A1B1A3B3E1F1H1J1K1L1O3P1Q1R1S2Q3P1N1L2J1K1G1C1r75.1u1x1A1B1E1F2K2M2L1K1J1N1Q1R1T3S13T1S2R1Q1L1J2E2D1B1z1x1v1u1t1s1r1s2t1s1t1v1w1x1y1A3D1E1F1G2K1P2R1S19T1Q1O1K1F1B1y1x1r1p57.1v1o1p1s1t1v1w1x1w1u1t1p1n2l4.1C1v1y1G1J2M1J1K1J1H1E3D1E1F1E1B1x2a1s1v2y2z1x1w1v1t2s1t2v1x1z1D1E1H1K1O1R1S18T1Q1N1L1M2P1H1u1r1q1r1s1q1B3R1S1U5T4S1R2M1Q1S6T1S1R1S4T2S2T1S1T1K1z1O1R3T1S1O2J1O1S8T1P1G1v1n1j1e1b6a2b1r1q1k1f1c1a1o13.1j1c8a5.1r1k1f1h1m1k1h1f1l1n1y1E1J1L1M3N1M1L1K1J1I1u1q1v1y1D1z1q1r1s1u1v1t1v1z1B1D1E1y1C1r1n1w1y1p1i1l1o1s2v2u1s4t1s5r1q1n2k1j1k1n',
+  '1n1m1l1h3i1j1k1l1m1p1y1I1N1L1M1I1F1P1Q1R12T3Q1R1S4T1S1R1Q1O3P1O1N1M1N2O1M2L1K1G1D1n1i1g1j1n1o1n1o1r1s1v1w1u1t1p1n1o1r1t1A1C1F1G6H1G2F2E3D1C2D2C2B2A3z2A2z1x4y1z1y1x3w2v2u2t4s1t1u2v1w2x2y2z2A2B1C2D1E2D1C1A1z2y1z1y5x1y1z1A1B2C1D2E1F2H1I1J2K1L1M1O4P3Q3P1O1N1L1J1G1E1C2B1r1a73.1s1x2B2E1I1J1L1M2O3P1R1S17T3S1R2O1L1I2E1C1z1w1v1t1r1q1p1r3s1t2v1y2B4D2F2K1P1R1S20T1R1P1K1F1A1w1v1m1h57.1w1p1q1s2t2u1t1p1m1n1j1r6.1w1z1F1H2M1L2K1H1F6E1x1u2a1s1u1A1B1A1z2y1v2t1u1s1v1x1z1B1F1G1H1K1O1R1S21T1Q1R1O1I1s1n2m1n1p1C1S1R1Q1R1U5T1S1R1Q1R3S16T2S3T1S1O1S3T1R1O1L2I1J1P8T1J1v1m1e1b6a1c1d21.1p1c9a2q6.1r1h1i1f1e2d1e1h1m1q1v1B1F1I1K4M1w1t1A1D1w1r1q1r2s1u1z1G3K1J1B1E1A1B1C1t1r1s1r1p1t1u1v2w3v1t1s1r1t1s3r1p1o2n2m1n',
+  '1o1n1l1j3k3j2l1o1u1I1R1O1K1M1R2S12T1S1R1Q1R1S4T1S1P2N2L2O1K1J1L1N3M2L2K1u1p1j1g1i1l1k1m1r1v2w1u1q1m2l1n1q1B1C1F1G6H1G2F1D1E3D5C2B1A8z5y1z1y2x2w2v2u2t4s1t2v1w1x4y2z2A2B1C2D1E1C1B1C1A1y1x1w1y1A5x1y2z1B1C1D3F1G1I2J3K2L1N2O8P1O1N1L1J1G1D1z2w1C1v73.1q1w1A1B1D1E1G1I1L1M2O2P2Q1R17T3S1R1N1M1J1F2D1A1y1w1v1t1r1p1o1r1s1t1u1v1w1x1z1B1C3D1E1F1G1K1L1Q1R21T1R1P1L1F1A1v1u1k1b57.1z1o1q4t1q1p1m3f1r6.1u1A1F1H4M1L1J1H3F2E1D1v1q2a1l1s3A1z1y1x1w1v1t2s1w1x2z1E1G1I1L1O1R2S20T1S1R1P1N1v1r1p1m1n1q1E1S1Q1P1R1U5T1S1Q1R3S6T1U15T2S4T1R1O1M1O2P1R8T1G1s1k1d7a1d1f21.1q1c9a1q1o6.1t1g1h1f3d2c1g1h1l1r1w1C1I2M2L1w1t1y1z2s4t1x1D1I1L2K1H1C2z1y1z1r2t2p1t1u1v2w1v1u2t2r2s3r1q1p5n',
+  '1e1h1m2l1k1l1m1l1j1h1f1j1o1x1U1T1S1R4T3S8T1S1R1O1Q1S3T1S1R1P1N1M1H2J1E3F1G1C1z1C1G1I2J1G1C1u1m4f1i1m3o1p1o1m1k1l1n1s1u1A1B1D1G2I1H1G5F3D5C1B1A7z2y1x6y2x2w4u2t3s1t1u2v1w1x2y4z1A1z1A5C1z2x1y1B2A3z2y1z1B3D2F1G2H1I1J6K2L1M1N4O1P2O3N1O1M1J1C1w1s1p1q1A1J1C1q1j1a69.1l1p1x1A2D2E1J1K2M2N1O1P1R1S14T2S2Q1N1M2K1I1G2B1z1x2w1u3t1u1x2w1x3A1B3C1D1B1C1F1P1Q2T4S17T1S1Q1M1G1B1w1u1n1a56.1q1p1n1o1q1r1l1f2h9.1v1w1y1C1I1K2L1N1K3L1K1I1G1C1w1u1e2a1b1q1u1y1A2B1y1v1t3u1t2w1x1A1F1H1J1M1O1Q1R3S2R1S2T2S2R1S11T1S2Q1H1x1q1p1D1S1Q1P1R1T3S2T2S32T1S1P1G1A1B1F1M2P2R2S1O1M1w1i1d6a2d27.1h6a8.1x1g1h1f1e2c1b1a2b2c1e1l1u1z1A1B1C1w1v1t1q1p1r2v1w1B1G1L1O1Q1N1J1I1J1C1z1C1B1x1t1p1m1n1r1s1u1v1w1v1t2r2q2s2r1p1n3m1l1k1h',
+  '1b1d1k1m1l1m2o1l1j1i1g1k1p1y1U1T2S4T2R1S8T1R2P1Q1S4T1S1P1N1M1L1M1G1A1E2F1D1w1r1v1D1F1G1H2G1A1w1k1j2f1g1h1j1m1o2p2o2n1q1r1y1A1C1G2I1H3G3F2E1D5C1B1A7z1y9x2w1v4u1t2s1r1s1t1u2v1w1x2y6z1B1E3D1C1A2y1A1z8B1D2E1F1G1H1G2H1I1J7K1L1M2N6O3M1N1L1I1A1u1r1p1r1D1H1M1H1G1s69.1l1s1y1A1D3E1I1K3M1N1O1P1Q1S14T1S3R1O1N1K1L1K1G1B1A1y1w2x1w4v1y3w3y1A3C2D1F1G2O2T1S1R2S17T1S1Q1M1G1B1v1t1k1a56.1s1q2n2o1e1a1h1k9.2u1y1D1J1K2L2N2M1L1K1H1F1A1u1s2a1c1l1w1v1y1z2B1y1v5u1w1u1x1A1H1J1K1L1N1P4R1Q1R1S2T2R2P1R12T1S1R1K1z1q1n1B1S2P1Q2T2S1U1T2S32T1S1Q1F1u1t1x1D2H1P1N1O1S1L1z1o1d7a1e1g27.1h6a8.1w3f1e2b3a3b1d1i1p1u1v1w1x1t1u1r1p1q1s2v1x1D1I1M2P1I1E1K1G2H2I1H1D1u1n1l1o1r1t2v1u1t2r1p1o2s1q2p1o1l1f1d1e1i1l',
+  '1f1d1i2l1m2n1l1k1i1f1k1p1A1U1T2R3T3S8T1S1R1P2R2S2T1S1R1P1N2M1N1H2E1F1G1F1z1u1w2A2B1D1E1D1A1s1p2l2m1l1m1o1p1q2s1p2o1p1v1x1z1D1F2H4G3F2E4D2C1A5z3y9x1w2v4u1t1s2r1s1t1u2v1w1x2y2z3A1B1C5D1C1B2C1B2C5D1E4F1G1H1G2H1I1J5K1J2K1L2M2N1O3N2M2L1I1E1y3t1v1E1H1N1M1L1A1t1i67.1i1o1t1u1B1A2E1I1J2L1M1N1O1P1Q1R1S12T2S1Q2P2N2I1G1E1B1A1y3w1v2u2v1x2w1x3y1z1B2C1D1E1H1I2P2T2S1R1S17T1S1Q1M1H1B1u1t1j1a55.1t2o4m1b1a11.1r1v1C1G1K1L2M2N2M1L1K1H1E1z1t1q2a1i1r1x1v1x1y2A1y2w4v1u1t1y1B2H1J1K1M1O1Q3R1Q2S2T1R2Q1R1S12T1R1Q1I1x1q1n1C1S2Q1R5T1S1R1S32T1S1R1G1u1q1s1u1v1w1C1z1A1D1w1p1i1b4a1b2h30.1o1n1h1j2c9.1n1i2e2b4a2b1c1f1l1p1r1t1u1o3q1r1t1w1v1y1D1H1K1M1L1G1D2G1J1L1M1L1K1H1B1q1k1n1p1s2u1t1s2r1p1o1q3p1o1k1h2g1i2m',
+  '1i1e1f2l5m1i1f1k1q1D1T1S1Q1R13T1S2R1Q2T2S2T1S1R1P2N1O1P2K1G1H2I1E1z2x1u1t1u1A1B2E1A1y1s3t1q2n1o1s2v1t1s1n1m1s1u1w1y1C1F9G1F1E4D1C1B2A3z6y3x1w2x1w2v4u2s2r1s1t1u1v2w1x2y2z1A1B3C3D3E2F2E2F5G1H2G1F4G1H2I1J4K1J1I1J2K2L6M2L1K1J1D1y1v1u1w1y1B2H1N1P1R1N1B1o1j1b65.1c1i1o1q1y1x1D1E1I1J2K1L1M1N1O1P1R1S12T2S1P2O2M1H1E1C1B2A1y1v2u2t1u2v3w1x1y3x1z1B1D1E1G1J1K1Q1R4T1R1S17T1S1Q1M1I1B1u1s1i1a53.1t1o1m1l2m1k1j1i2a11.1q1z1H1J4M1O3M1L1K1G1D1z1s1q1a1c1s2x2w1x1y1A1y1w1x1y1x1w1v1s1t1A1D2G1I2K1L1N1P4R1S2T1R1P2S13T1R1P1G1w1p1n1C4S4T1S1R2S24T1S5T4S1J1v1o1l2m1n1q1o1n1q1j1d1b5a1g36.1i1d10.1k1c1d1c7a1b1e1h1k1n2q2k1p1q1s1u1v1w1A3E1G1H1D2A1B1I1N1O1L2M1K1u1i1k1n1q3t1r1s1r2p3n1p1n2f1k2l1o1p',
+  '1j1f1d3l3m1k1h1g1p1w1K1S2R1S4R1S7T1S1P1M1Q1S2T4S1R1P1O1M1N2P1N1M1H3J1G1D1B1z1w2t1y1z2E1D1E4A1y1w1t1r1u2v2w1r1q3s1t1w1A1B1C1D1E1F4G2F5D1C1B1A3z8y4x1w2v4u2s2r1s1t1u1v1w2x2y2z1A1B3C2D2E6F1G3H5G3F3G2H2I5J1I2J3K6L2K1I1F1z1v1w1y1B1D1F2K1L2M1N1K1D1v1m1g63.1q1a1c1l1q1y1x1D1E1H1I2K2L1M1N1P1Q1S13T1S3Q1O1N1H1E1C1B2A1y1w3v4u1v2w4x1y1A1C1F1I1L2O1R1S2T2S19T1S1Q1N1J1C1v1t1g1a51.1o1q1p2n3m1k1j1i2a11.1t1D1I1K1M3N1O1N2M1L1J1F1C1y1t1s1i1n1A1z1y1x2w1x1y1x1u1v1w1v1t2s1u1z1C1E1G1I1J1I1J1L1N1P3Q1P1R1S1R1P2S13T1R1Q1G1v2p1E4S4T1Q1R10T1U19T2S3R1Q1H1t1l1i1j1k1l1j1i1h1j1c7a1j48.1l1a4b3a1b1c1e1g1j1l1n2o2k1o1p1u1v1t1v1z1C1x1u1x1z1t1n1m1t1A1I2J1L1M1N1w1j1i1k1n1q1r1s1r1s1r2q1p2o2p1j1m1u1r1m1n1q',
+  '1l1f1c1k2l1m1n1m1i1g1h1u1G1P1M1P2T1Q2O1P1R6T2S1O1K1R1S2T1S3R1P1O3N4P1J1L1K1G1E1F1E1C1A1x1w1z1A2F1G1H1K1J1F1D1G1I1C3w1v2z1v1u2t1r1q1s1u1w1x1z1B1C1F2G1H2F2E4D1B6z6y3x2w2v3u1t2s1r2s1t1u1v1w1x3y1z2A1B3C2D2E1F2E1F1G1F1G1H2I2H2G1F2E1F3G2H9I2J8K2J1F1B1w1u1y1D1G1I1K1N1M1J1K1I1J1M1P1D1q1m1e62.1k1a1b1m1q2y1D1E1H1I4K1L1M1O1Q1R14T1S1R1S1P1N1I1G1E1D2B1z3x1w1v1u1t3u2v1w1x1y1z1B1E1I1M1P4S2T2S2T1S1R1S15T1R1O1K1D1w1u1d1a49.1k1j1h1j1k2m2n1l1k2j1b1a11.1u1D1K1L2N4O1N1M1L1I1D1x1t1q1p1r1w2C1z1x2w2x1v4s2r1t1u1x1z1D1E1F3H1J1M1O1P2O1N2Q1R1Q2S13T1S1R1G1u1p1s1G2S4T1S1R1P1S10T1U19T2S3O1N1A1o1i1f1g2h2c2b8a1l48.1n3a3b1c2d1e1g1h1k1m1n1m1l1k1l1n1p1v1w1p1r1y1B1u1p1r1s1j1b1a1q1s1C1E1I1J1L1N1A1l1g1h1l1p1q2s4r5q1o1s1z1u2o1p',
+  '1n1h1e1j1l1m1n1o1m1i1g1j1x1N1R1N1R2T1L1J1M1Q1R2S6T2R2S2T1S1P1O4N2O4P2N1M1I2F2D1C1A1z1A1C1F1H1I1J2K1J1G1I1K1I1D1A1z1y2C1z3y1w5u1v1x1z1D1E2G2F6D1C1A4z6y4x2w2v4u1t3s1t2u1v1w1x2y1z1A3B1C1D2C1D2E4F1G1F1G1H4I2H1G3E1F3G7H4I1J6K1J1I1F1E1C1y1x1y1C1F1I1L1M2N1M1N1M1L1K1L1K1C1t1h62.1g1a1f1r1u1z1A1E1F1I1J5K1L1N1Q1R1S14T2S1R1P1M1K1G1F1C1B1A1z1y1x2w1v1u1t2r1t1v1x1y1A1C1E1H1J1L1O1R3S3T6S14T1S1R1N1H1z1q1m1b1a49.1d1h1i1k1l4n1m1l1k1j1d1a11.1y1G1L1M2O4P1N1L1J1G1y1p1o2q1v1A2C1y1w3v1u1s1q1p1q3r2t1v1x1A1B1C2F1E1G1K2N1M1N1O1Q1P2R2S13T1R1Q1E1r1o1t1H2S3T2S1Q1R31T1Q1O1G1F1C1y1q1i1f1d1e1f1e10a1c1h50.1h1g5a2b2c1d1h1l1n2o1p1o1m1o1r1s1e1g1p1t2r2t1l1c1a1m1p1v1y1D1F1I1M1E1q1i1h1l1p1r2t3r1q3r1s1r1q1r3s1r1q',
+  '1n1i1f1i1m2n1o1l1h1f1l1C1S5T2K1O2R1Q1R8T5S1P1O1M1K1J1L1N2O3P1O1P1O1N1K1G1E1F1E2D1B1D1H1I2K3I2J2L1K1G3D1C2D1E1D1C1A1y1w1v1u1v1w1x1B1C4F6D1C1B1A2z6y5x2w2v4u2t1s2t1u1v2w1x1y2z1A3B4C2D1E2F5G2H5I1H1F1E1D1F8G4H2I1J6K1I1H1B1A1x1v1y1D1F1H1L4N2Q1P1N1L1H1K1N1x1f61.1r1g1a1h1t1v1z1B1F1G1J6K1L1N1Q1R1S16T2S1P1N1I1H1E1D1B1A1z1y2x1w1u1s2p1s1u1z1A1C1E1H2K1L1N1Q1R4S2T2R1S16T1S1Q1I1z1r1h1f2a1j1a45.1g1d1c1f1j1l1m3n2o1m2k1g1b10.1C1D1J1M1N2P2R2P1N1J1H1F1x2l1u1x1D1E1D1C1w1v1t1r1p2r1p2o1p1r1s2t1u1v1x1y1A3D1F1J1L1M1L1N1P1R1P2R2S13T1P1M1A1o1n1t1G1Q1R3S2R1Q30T2S1M1J1A1x1s1n1h1d2c2d1c10a1g53.10a1e1k1o2r1t1s2m1o1m2a1g1m1o1r1u1w1q1m1d1e1n2s1x1B1E1K1I1y1n1j1m1p1r2u1s2r1q2r1s2t1r2p1t1x1u1q',
+  '1n1j1e1j2o2n1k1f1g1q1H1U5T2R1S1T2Q1S8T2S1P2Q2P1O1L1I1J1K1M1O1P3O1P1O1N1L1J1I1H2I1H1G1H1J1I1K1L1H1F1G1I2K2L1J1G1H1E2B3D2C1B2A1z3y1A1B1D3E2D4C1B4z5y6x2w2v4u4t2u1v1w2x1y2z1A2B5C2D2E2F3G1H1G6H1G1F1D1C1E2F3G1F3G5H1I1J5K1G1E1w1v1u1w1B1F1H1K1M2N1P1Q2R1P1O1M1I1H1M1B1j61.1n1j1e1j1q1s1v1w1C1E1F1G2I2J1K1L1O1Q3R15T2S1P1O2K1H1G1D1C2B1A1z1x1v1t2q1s1u2A1C1E1H1K2L1O2R3S1T1S3R1S10T2R1O2P1O1I1A1u1q1k1g1f1b1a1d1a45.1b1c1g1i1l1m1n1o1p1o2p1o2l1g1b10.1C1F1K1N1O1P1Q2R1N1M1J1E1D1F1B2s1C1G1H1F2D1z1x1u1s1q2r3q1r3s1r1s1t2w1z1C1D1E1G1K3L1M1N2O1Q1P1R2S1T1S1R2S3T2S1R1Q1M1I1z1o1n1t1G1R1Q2R1Q1P1S1R30T2S1O1L1A1w1o1i1e4c1b3a2b2f1i1l1m1n54.1n1o1b7a1c1i1n2r1t1s1o1n1m1g2a1e1k2i1o3u1p1g1l1s1q1p1t1w1C1I1J1u1j1l1p1q1t1u1t1s9r1t2w1v1s',
+  '1n1j1d1j2o1n1m1i1c1i1u1L1U9T1S1R7T1S3T1O3N2O1M3K1M5O1P1N1M1L1K2I1K3M1N4L1H2G1I1J2K1L1J2I1H1D1w1y1z1y1A3D2C1B1A2z1A1C3D3C3B1A4z5y6x1w3v4u3t2u2v1w2x1y2z1A3B5C2D2E3F7G2H1G1F1D1C1D2E5F2G1H4G1H1I1J3K1J1E1B1r1p1s1y1E1H1J1L2N1O2R1S1R1P1O1N1L1H1K1B1k60.1u1i2l1m1o1q2t1w1y1x1A1E1F1G1F1H1L1O1R1P1M1O17T1Q1P1L1K1J1I1G1E2F1D1B1y1x1w1t1r1s1u1z1A1C1E1H1K1L1M1P2R2S2T1R1Q1R2S9T1S2N1H1J1I1E1w1o2m1l1i1h1d1b2a43.1r1m1a1d1j1l2o1p5q1p2m1f1a9.1y1D1H1L2O1Q3R1L1J1C1v1x2D1B1D2K1H1F2D2C1y1x1v1t4s2t1s1q1p2r1v1w1y1B1D1E1H6L1M1N1O1N1Q1R1S1T1S2Q2S1T1S1Q1P1N1M1I1F1y1q1p1u1H1S1Q2P1O1P22T3S5T4S1R1Q1F1B1q1g1d2c1b5a2e1m1k60.1g1c6a1b1f1l1q1s1t1q1o1m1i1c2a1d1i1d1a1f1n1t2w1q1m1r1p1j1k1n1s1D1P1z1l1k1n1p1t2u1t1r1q3r2q1r1t2x2w1t',
+  '1m1h1d1j2o1n1m1i1c1i1w1M1U10T1S6T2S3T1O1N1L1M1N1O1N4M4O2P1N1M1L1K1I1H1K1M1N2O3M1L1I2H1I2J2L1K2I2H1w1u1y1w1z3D2C1B1A1z1y1A1C3D3C3B1A4z4y7x1w3v4u3t2u1v2w2x1y2z1A3B5C2D2E4F4G2F1G1H1F1E1D1C1D2E5F1G2H5G2I2K1J1I1D1z1p1o1s1A1F1I1J1L1N1O1P1R2S1R2O1N1L1J1L1C1k60.1t1j1l2m1o1r2v1t1w1s1x1C1E1G1E1F1L1P1R1O1J1N17T1R1Q1M1K2J1H1G2H1E1B1z1x1y1u1r1s1v1y1A1C1E1H1K1L1N1P3R3T1R1Q2S10T1S2K1H1I1F1B1s2n1o1n1k1j1f1c2a43.1q1m1b1e1j1m1o2p2r2q1r1p2m1d1a9.1y1E1I1M2O1Q2R1Q1J1I1z1q1u1B1D1E1H2K1G1F2D1C1D1z1x1v1t3s3t1s1q1p2r1u1w1y1B1D1E1H6L1M1O1N1M1Q1R1S1T1S1P1Q1S2T1R1Q1O2L1H1E1y2q1v1H1S1Q2O1N1P22T4S4T6S1J1G1t1h1d2c1b5a2c1i1f60.1g1c7a1e1k1q1s1t2n1l1h1c2a1c1i1e1a1c1i1q1w1x1v1n1r1n1l1i1k1p1A1O1B1n1k1m1n1t2u1s1r1q4r1q1r1u1x3w1u',
+  '1i1g1e1k1n1m1l1k2g1u1N3S6T2S8T1S2T2R1O1N1L1I1J1M1N1O1P2Q2O2N2O1N1M2L1K1J1L1N1O2P1O1P1N1M5K2L1K1J1I1H1G1H1F1D1B1x1s1q1t1v1w1y1A1B1A1z4A1z2A3B2A4z2y7x3w1v5u2t1s2u1v2w3x1y2z2A6B3C4D3F1E1D1C3E1F1E1D3E1D5E1G3H5G2H2I1E1D1s1n1m1p1z1G1H1K1M1N1O3P1R1Q1P1O1P1O1L1K1N1G1p59.1l2j1n1r1v1z1A2E1H1I2G2I1K1L1M1O1Q21T1Q1P2N2L1K1I3H1F1B1x1y1u1s2x1A1C1D1F1J1L1M1O1Q4S15T1P1M1C1E1A1y1v1s1v1B2C1y1u1t1m1h2a1g1a43.1c1e1o1r3s1q1r2s1t1r1m1l2n9.1t1D1L1N3P1Q1N1J1F1E1z1u1w1A1F1J1K1I1H2G1F1E2F1D1C1A1y1x2w3v1t1s2q1s2v1y1B1D1E1H1M1L1J3K1M1O2L2P1Q1R3S2T2S1O1N2I1G1E1y2r1w1I1R1Q1P1Q1P1R21T1Q1K1C1w1C1L1Q2S1N1K2M2T1R1S1P1F1t1k1f1b1c2g68.7a1b1h1p1s1t1m1g1h1g1b2a1b1h1g2d1b1g1m1s1w1u1v1z1p1t1p2l1r2z1q2m4r1p1o1q1p1o1p1t1z1B2A1z1y1u',
+  '1j1f1e1l2m1l1i1e1j1A1R3S6T2S11T1P1Q1O1N1L1K1L1M1N1L1N2R1P1O1M1H1N1O1N1M1L2K1L1M2O2P1O1P1N1L5J2K1J2H1C2F1z1x1z1B1x2s1v1w1v1y4A2z1A1z3A3B1A4z1y8x3w1v4u2t1s1t2u1v2w2x2y2z2A6B3C4D2F2E4D3E2D2E2D4E1F3G4F2G1H1I1H1D1B1n1l1t1v1C1H1J1L1M2O3P1Q1P2O1P1N2K1O1H1q59.1k2i1n1r1w1z1A1C1F4J3K1L1M1P1R21T1Q3O2L1K1H2F1G1F1C1A1y1s1u1v1y1B1C1D1E1H1L1M1P1R4S15T1P1N1F1C1x1v1t1r1w1C1D1C1A1w1v1o1k1b1a1i1c43.1b1d1q1r1s1t1s2q1s2t1q1m1k1n1j9.1u1E1M1O4P1L1I2E1D2A1C1G2K2J1H2G1E2G2D1B1A1z1y1x1w1v2u2r1q1r1u1w1y1C1E1F1H2K2J1K1L2M2L3O1Q2S3T2S1P1N2J1H1E1z1s1r1u1G2R2Q1R1S21T1P1F1u1p1w1G1P2S1I1E1K1J2T2S1Q1N1C1o1f1a1b1f1c68.8a1d1n1r1t1o2e1f1g1e1c1d1i1j1g2e1f1h1p2v1D1y2t1o1j2l1t1G1y1o1l1q1r1s1q1l1o2m1o1t1y2B1C1B1A1z1u',
+  '1j1g1i1n1p1o1l1g1j1u1N1U20T2S1O1P2Q1O1M1N2O1P1Q2S2Q1O3N1K1I1L1J1H1L1N1O1N1L1N2P1O1P2O1M2K2L1J1G1F2H1G1D1C1D2E3D1y1t1s1u1w6y1z2A3B1A1z3y2x8w3v2u1t1u4t1u1v1w3x3y2z2A7B6C10D7C2D5E1D7E1G1F1z1u1q1w1B1D1H1K1M1N7O1N2M1L1H1C1H1P1K1s56.1z1r1i1a1e1m1p1t1v1x1z1E1G1J3K3M1N1P1R1S17T1S1T2S1N3M1K1J1I1G1E2C1B2A2x1A1B1C3D1F1J1O1Q1R1S2T4S13T1P1O1y1s2o1q1s1x2F1E1C1A1z1s1p1e3a43.1d1f1r5s2t2u1s1q1p10.1B1A1G1L1O2Q1P1Q1L1J1E3D1E1G1K2M2N1K1L2K1H1F5E1D1C1B1y2w1t2s1t1w1x1z1B1E6F1J1L1K1J4L1N4Q1R1Q1P2O1N2L1K1I1B2s1x1I1Q1R2S2R7T1S13T1S1N1A1r1u1E1N1M1J1v1y1E1J2O2T1R1P1z2k1n73.1m5a1b1j1n1p1n1h1i1k1l1m1l1k1l1j2f1h1i2j1r1t1w1v1n1k1j3g1k1u1F1G1C1s1r2u1A1D1B1D1F3E2D1B1A1x1r',
+  '1k1f1g1m2o1l1f1m1A1O1U20T2S2Q2R1P2N1O1P1Q1R2S1R1Q4O2L1N1K1J1M1N2M2N1O3P1O1P1O4N1M1K1I3H1G1H1G1D3E1D1y2v2u1x1y2x1w1x2z4A2z3y2x8w2v3u6t1u1v1w1y1z4y2z3A6B13C2D10C2F3E2D6E1F1G1B1v1s1w1D1E1I1K1M1N4O4N1M1K1I1C1y1F1Q1J1p56.1s1p1g1b1j1p1r1t1w1y1z1E1G2J2K1N1O2P1Q1S20T2S1N2M1L1J1H1F3D2C1z1x2z1A1B3C1E1H1L1O1Q2S2T1R5S11T1P1L1t1q1n1m1p1w1E1H1G1F1D1A1z1t1r1g1b2a43.1d1h1q1r4s1t1u2v1t2s10.1C1B1F1K1N2Q1P1Q1L1K1F3D1F1I1K1N3O1M2L1J1H1F2E1F1E1D1E1D1C1A1y1w2u2s2v1x1A1D2F1G1F1E1F4K1L1K2L1N1O1N1M1O1Q3P2N2L2K1B1t1s1z1K1Q3R1Q1P7T1S13T1R1O1H1B1E1L1P1O1M1x1A2D1L1P2T1R1L1s1d1h1i73.1o5a1b1h1m1q1l2i1k1m1n1m2l1j1f1g1i2j1k1p1q1w1v1p1k1g1d1f1g1k1r1A1L1N1E2B1F1L1I1J1I1F3E2D1B1z1y1p',
+  '1i1e1f1k1m1n1k1f1v1S1T4S15T1S5T2S1R1O3P1Q1R3S1R2P2N1O1Q1R1S1R1Q1K1E1F1O1N2M1P1O1M1N1O4P1O1N1M1L3I1J1H1G2F1E1C1y1x1A1C1B2y1x1v1s1v2y3z3y3x1w10v2u2t3s1r1t1v3w1v2w1x2y3z3A3B1A1B2A2B2A2B1A8B1A1B1A4B1C2E1D2C3D1C1B1A2y1x1A1B1y1B1A1K2J1K1L2N1O1N1M3L1K1J1D2B1C1I1Q1M1o50.1u1r6a1e1n1q1s1t1v1y1A1B1E1F1H1I2K1N1O1R17T2S2T4S1Q1P2L1J1I1G1F1E1C1z1w1v1u1w1A1B2C1F1I1K1L1M1N1P1Q1R1S1R1S14T2S1J1E1p1m1k1l1s1E1F1G2J1F1C1B1u1s1i1c2a43.1c1j1p3r1s1t1u1v2w1v3u1m7.1x1y1A1D1H1N1P1Q2S2O1I2F1H1K1M1N1O1Q1R1Q1O1Q1M1L1J1L1K1I1G1F2E2D1C2B1z1y1t1s1u1w1y1B4C1D1F3G2H1K1J5K2M2L1M2L1M1N1M1K1I1z1r1v1F1N2Q4P17T1S1R1S3T1Q1P1R2T1S1R1z1x1q1p1D1K2N1A1m1c1a1k75.1n1e2a1b1e1m1q1o1l1j1k1m1n2o1m1j1i1g2f1i1k1m1n1p2w1r1n1i1c1e1h1j1l1t1A1C1L1N1M1K1G1F4H1F3E1B1y1w1p',
+  '1h1d1g2k1j1g1h1z2T4S2T1S18T2S1Q3P1O1P1R4S1Q1P1N1O1P1Q1R1S2R1O1K1J1O1M1C1K4M1N2O1P1O1P1O1N1M1J3I2H2G1E1D2C2D1C1z1y1x1v1u1v1x2y1z2y4x1w2v5u1v4u3t3r1s1u1t1v1w1v2u1v1x2y3z20A3B4A1z1A4B3C2B3C1B1z3y1w3A1C1D3J1K1L1M2N1M1L2K1L1K1G2B1C1D1J1Q1K1o50.1o1k4a1c1e1j1o1q1s1u1w1y2B1E1F1H1I2K1O1P1R16T2S2T4S1R1Q1P1K1I1F2E1D2C1z1v1u1t1w2y1C1D1I2J1K1M1O1P1Q1R1S1T2S13T2S1L1F1p1l1j1l1s1C1J1M1L1K1G2C1v1t1k1e2a43.1d1j1o2r1s1t1u2v3w2v1y1j7.1A1C1B1D1H1M1P1R2S1Q1O1J1I2J1L1N1O1P3R1Q1P1M1L2K1J2K1I1G1E1D2C1B1C1z1y1u1t1v1w1x2A2B1C1D1E1F2E1F1I1J1H2K2J1L1M1L1K5L1O1N1K1I1y1q1w1G1M2Q1P2Q1P17T1S1P2S2T1S1R4S1R1x1t1o1p1C1J1I1E1s1g1b1a1g75.1p1f2a1d1l1t1w1t1p1k2m1n1o1n1k2i1g2d1g1j1m2p2w1s1p1k1d1e1h1j1k1r1B1C1J1K2H1G1F1H3I1G1E2F1B1y1v1o',
+  '1i1c1g1j1g2f1l1D1T2S5T1U18T3S4R6S2P2Q5R1Q1P2N1H1G1H1I1H1B1H1I1L3O1N1O1N1M1L1J3I1H2G1F1E1D1C1B1C2D1C1B1A1z1y3x2w2x1w1v1t3s3t8u1s2r2q3v1u2v1t1r1s1u1w3y3z7y3z1y5x3y3x1y1z5A1B2A1y1x1y1z2y1A2C1D1B1y1x1B1E1z1A1z1A2F1H1I1J6K2I1D1z1y1B1E1I1L1Q1H1m46.1r1e4a1b1d1h1i1k1m1n1q1s1u1w1z1B2D1E2F1G1L1M2R1S15T4S1T1S2R1O1N1O1N2K1G1F1D1C2B1z1w2v1u1w1y2C1D1E1G1J1M1N2O1Q2R4S2R1Q1P1Q2S6T1R1N1u1o1f1g1o1y1H1O1N1L1I2F1z1x1p1k2a41.1t1s1f1j1r1s1u1v2w2x1y2z2y1w1h7.1t1C1H1L1P1R1S4T1S1P1N1O1P2R1S4T2S1R1Q1O2N2O1N1L1I1F1D1C2D1A1y1v2u1v1w3x2y1A2C1E2D1E1F1G1F1G1I1K1I1H2I1J4K2L1K1I1w1m1q1z1K1R2Q2R1P2S15T1M1K1P2S3T1S2Q1R1Q1z1x1q1r1A1D1t1p1g1b2a1g77.1p2h1u1D1E1G1H1s1r1o1n2o1l1h1g1f1d1c1e1f1j1p1q1v2w1t1o2g2j1k1r1x1y2C1F1E1G1H1K3L1J1I1H1G1C1y1v1l',
+  '1j1d1h1i1f2e1m1E2T1S24T4S2R7S2P6R2Q1O1N1O1J1G1I1J1H1D1H1I1L6N1M1L1J3I1H2G1F1E1D1C1B1C2D2C2A1y3x1w3x1w1v1u1t1s4t7u1t1s2r1p1q1t5u1t2r1t1w4y2z10y1x7w1x1v2w1x1z5A1B1A1z1w1v1w1y1x1w1x1B1C1B1A2y1C1E2A1x1v2F1G1H1I6J1I1G1A1y1z1C1F1I1L1Q1H1m46.1n1c4a1d1f2i1l1m1o1q1s1v1x1z1B2D1E2F1G1L1M2R1S15T4S1T1S2R4N2K1H1F1D1C1B1A1y1w1v1u1v1w1x2C2E1G1I1L1M2N1P1Q4R1S2Q1P1O1P1R1S6T1R1O1v1p1e1f1n1y1H1O1N1L1I1G1F1A1y1p1k2a41.1r1q1f1j1r1t2v1w1x2y1z2A2z1w1l7.1u1D1I1M1Q1R6T1Q2P1Q1R2S4T3S1R1P4O1N1L1I1G1E3D2A1v2u1v1w3x2y1z2C1E2D1E2H1G1H1I1J2H1I2J4K2L1K1I1x1m1q1y1J1R3Q1R1O1R1S14T1S2K1Q2S3T1S1Q1P1Q1R1D1A1q1r1A1C1s1p1g3a1j77.1q1i1g1t2D1H1J1v1t1p1m1p1o1k2g1f2d1e1f1i2p1u2w1t1o1h1g2j1k1q1x1z2C1E1F1H1I1K3L1K2I1H1C1y1u1l',
+  '1j1e1l1j1d1c1f1p1F1R2S27T4S4T2S2R2S3R1Q1P2O1N1O1M1J1I1F2C1E1F1I1K6L1K1J3I1H2G2F2E5D1C2B1A1z5y2x3w1u1v8u1t1s1t1s2r2p1r1s2t2s1r1q1r1s1u3w5x1y7x1w1v2u2v1t2x3v1w4y4x1y2w1x2z2x2A1z1x1w1v1z2A1y2v4E1F5H1I1E1B2y1C1F1G1H1K1Q1H1o45.1o1c4a1d1i1j2k1m1n1p1r1t1w1z1C1D2E3F1G1L1N2Q1R1S14T2S3T1S1R1Q2N1M1N2K1H1F1D1C1B1z1x3v1w1x1y2C1D1E1F1I1J1K2L1M2N2P1Q1R1Q3P1Q1R6T1S1O1L1v1o1e1h1q1D1K1P1O1M1K2I1C1A1r1m2a1o1c37.1p1l1g1i1h1j1p1t1y1z1A2B5C1B1x1s1q1m2.1s1t1u1x1G1L1P1R1S6T1S2R2S9T1S2R2P1O1N1M1L1J1I1G1F1E1B1A1x1w3v3w2x1z2C3D1F2I4H2F1H2I2J2K2L1J1G1w1l1o1w1H1P3Q1R1P1Q1R11T2S1H1C1E1I1R1S4T1S1R1Q1R1S1O1L1B1z2B1t1p1g3a1j78.1r1h1s1E1F1L1M1F1C1u1p2q1k1g1h1f1e2d1e1g1n1o1r1v1w1u1o1g1i1k1l1m1q1v1x1C1B1D1F1I1J4L1K1J1I1H1C1y1t1m',
+  '1k1d1o1m1f1e1k1u1H1P1Q1S37T5S1R1Q2P1O3N1M1L1G1z1u1z1B1C1E1H3I5J3I2H2G3F4E2D2C2B3A3z1y4x2w1v4u1v1u1t1s1t3s3q1r1s1t2r2q2r1t2u2v4w2x6w1v2t1s1v1w1u1z1y4w3x1y4w1y2A1C1D1C1B1z1y1x2w2v1w1x1A1z1y1A1C2D2C2E4F1A1x1z1C2F1G1H1L1Q1F1n44.1n1c3a1b1e1j2l2m1n1o1p1s1u1w1A1E2F5G1L1M1O2P1Q1S13T1S3T1S1Q1P1O2N1J1K1J1I1F1E2D1B1z1w1u2v1x1y1z1D2C1D1E1H1I2J4K1M1N1O3P2Q2R4T2S1R1I1D1q1l1f1k1u1I1M2P1O1M2K1E1C1s1n2a1k1b36.1k2a1b1c2i1n1s1B1C2D5E2D1y1u1h1b1g1j1f1h1p1A1I1N1Q23T2S1Q1P1O2N1O1M1K1I1G1F1z2A1z1v1u1v1w2v2w1z1B2C2D1F2I3G1F2D1E1F2H1I1K3L1I1D1v1m1p1w1F1O1P2Q1R1Q1P1Q10T1S1R1P1u1r1C1H1R1S5T4S2T1P1M1E1D1u1r1j1b2a1g79.1j1s1H1J2O1N1M1z1t1s1r1m1j1i1f1e3d1e1l1n1r1u1w1v1o1f1i1m1n1p1r1t1u2B1C1E1I1J4L1K1J1I1H1C1x1s1n',
+  '1k1e1n1m2h1o1z1L1Q1O1Q1S4T2S32T3S1R1Q1P2O3N1K1L1I1B1v3x1z1C1D1E1F1G2H5I2H2G7F2E2D2C3B2A2z4y2x2w1v3u2v5u2t2r2s2q2p2q1r1s2t2u1t1v5u2v1w1v1t2s1t1w2x2y3x2y1x2y3x2y1z1A2C1A1z1x3w1y1z1A1z1A2B2A1B1C1D1B1C2E4F2B2D1E1D1F1H1L1Q1E45.1h1b2a1b1g2l4m1n1o1q1t1v1y1B1E1F1H5I1K1L2M1N1P1R13T3S1R1Q1O1M1N2M2I2H1E1D1C1B1z1x1v2u1t1v1w1y2B1C2D1E2F1H4J1M1L2M2O2Q1R5S1Q1N1G1y1v1q1o1s1w1D1N1P2Q1P1N2M1G1E1u1p1b1a1e1a36.1l1b2c1d2i1o1w7H1G2F1E1A1w1l1f1h1k1j1k1p1x1G1N1Q22T2S1R1P1O1M1K1L1M1K1I1F1E1D2A2z1w1x1w1v3u1v1w2y1A1C1D1E1G2E2F1E3D1E1F1G1H1J1L2K1H1C1u1n1q1y1G1M1N1P1Q1R1Q1O1P4R6S1Q1O1K1A1B1J1L1S4T1S7T1S1R1N1L1A1x1n1c2a1f79.1k1u1K1L3O1N1z2u1t1p1l1i1g1e4d1l1o1s1u1x1w1p1g1j1o2q1t1w1x1z1y1A1C1F1G1J1K1L1M1K1I1H1G1D1A1u1p',
+  '1i1f1n1m2i1r1E1O1S2P1S4T1P1S34T1S1R1P1O2N1O2N2L1K1J1C1y1w2v1w1z1A1C1E1F2G1H1I4H3G7F1E3D1C4B3A2z4y2x1w3v7w2v1t1s1r1q2p2o2p1q3r2t1r1t3s1t2u1v1u1t1s2t1v1w3x4y1z4y4x3y2z1y1x1v1u1w1y1A4B1C1B2A2B3C1D4F2E1D1E3D1E1H1M1P1B45.1e2a1b1f1l1n3o2n1o1p1r1u1x1A1B1C1G4K2L1I1H2J1L1N1Q12T3S1R1Q1P1O2M2L1J1H2F2D1B1z1x1w1v1u1t1s1t1v1x1z1A3C3D1F2I1J1I2L2K1M1N1P1Q1R2S3R1M1G1x2q1w1x1J1M1P4R1Q1P2N1I1F1w1s1e1b2a36.1m1c1d1e1f1h1i1q1C3M2L1K1J2I1H1G1B1z1n1h2g1i1j1n1t1D1L1Q8T2S11T1S1R1S1Q2M1K2G1H1G3D1E1C1B2y2z1x1v1u3t1v2w1z1A1C2D1A2D2E3D1E2F1H4J1E1B1v1n1q1B1I1L1M1O1P1S1Q2N4O1P2Q1R1Q1O1M1K1H1L1M2P2T5S8T2S1J1F1s1g1b1a1g79.1m1v1L1N1O1P1O1N1w1t2u1r1n1j1h1f1e3d1l1p1u1v2x1q1g1l2r1s1v1x1y2w1y1z1C1D1H1I1L1M1K1H2G1E1D1y1q',
+  '2g1n1l1i1k1u1J1Q1S1P1N1Q1S3T1O1S34T1S1R1Q2O5N1M2L1G2B1A1w1s1t1u1y1C1D2E2G5H3G7F2E2D3C3B2A1z5y2x10w2v2t1s1r1q1p1o1p4q2r1s1u1s1t1s1t1s1t4u2t2u1v1w4x1y3x4y9x2w2u1x1z2A7B2C4D1E1F4E1D4E1F1H1K1H46.1e2a1e1k1n1p1q2r2p1q1r1s1t1x1B1C1E1I2L1K1L1K1J2F2I1K1M2O1Q1R3S6T3S2R1Q1O2M2L1K1I1E1D2C1B1z1x1w1v1t1s1r1s1u1v1x1y1B2C2D1E1G1I1J1I1H1K3L2M2N1Q1R1Q1P2O1G1A2u1y1I1J2P1R3S2R1Q2O1J1H1y1v1i1d2a1c34.1s1m1e1f2g2i1r1F3O1N1M1L2K2J1I1D1C1n1j3i1j1m1q1v1C1M1S7T2S9T2R1S1Q2O2H1F2D2E2D2E2C1B1A1B1A1z1x1v4u2w1z1y1C2D1C3D1E2D1E2F1G1H2I1H1G1D1C1x1r1s1z1G1K1L2M1R1P1J1K1L1K4J1L1N1K1E1B1A1D2L2O1Q1R3Q1R1S10T1P1O1C1q1g1a1e1m78.1q1u1C1G1I1M1O1K1t1q3t1q1l1h1f1e3d1l1r1u1w2x1r1i1m1u1t2u2t1u1v1s1t1x1y1D1E1I1L1I1F2E1B1z1x1q',
+  '1f1i1m1k1j1m1x1O2S1O1K1O1R1S2T1R1S19T2S15T1R1O3N1M1N2O1M1L1J1H1G1F1A1u1s1r1v1z3C2E2G3H3G3F4G2F2E2D2C2B2A1z1y1z3y5x7w2v2t2s1r1q1p1q3r1q1r1s1r1u1s1t1s1t1s1t6u2v2w2x1y4x1w2x2y4x1w8v1x5A3B3C1D9E1F1E3G1F1G2I1z46.1f1b1a1g1n1q1s1t2u2r4s1x1C1E1H1J2L2K1H1G2E2G1I1K1I1F1I1O1P2Q7T4S1R1O5L1J1E1D2C1B1z1x1w1v1u3s1u1v1w1x1A1B1C1D1E1F1G3I1H1J1K1M5L1N1P1N1M1L1J1B1v1s1D1K1Q2R1Q1S1T4S1R2P1K1I1z1w1l1g2a1e34.1q1l1g2h1i1k1l1w1H2Q1P1O1N1M3L2K1F1C1n1l1m1l2m1n1o1p1t1F1R1S4T4S9T1Q1P1Q1P1I1J1C2D2C2E1D1E1F3E3D1B1A1y1w4v1w3x1B6D1E2D1F2H1G2H1G1F1E2C1A1x1w1x1D2I2J1P1N2F1G1E1D3C1F1I1E1u2q1x1J1K2N5O1Q1S12T1O1D1o2b1d79.1t1w1A1E1F1N1I1u1p1r1s1t1s1m1h1f2e2d1m1s2v2w1r1j1n3u1s2p1t1u1o1n1t1v1A1B1E1I1H1F1D1B1y1w1v1p',
+  '1g1k1j1h1m1p1B1Q1T1S1R1P1O1P1S2T2S20T1S15T1S1Q2P1O1N3O2N2L2J1H1E1B1y1A1C2D2C1D1G3H4G2F7G4E1D2C2B2A3z3y5x6w1v1u2t2s1r2q6r1s1r6t2u2v2u1v2w2x1w1x4y2x5y2x2w3u2v1w2x1y1A1B3A3B2C2D3E4D1E1G5H1G1I1L1J1w45.1p2b1c1i1o1s1u1v3x1w1v3x1A1D1E1H1J1I1H2F2E2B2y1z1A1x1t1w1C2E1I1Q1R4T3S1R1Q1P1N3L1K1I1H2D2C1B1A1y2w1v1s2r1u1v1x1y1A1B1C1D2E1F1H3I1J1K7L1M1L1K1H1D1x1u1w1M1Q5S3T2S1R2P1J1H1z1w1m1g2a1c1d32.1v1n1l1i1j1k2l1n1E1M2R1Q1P1O1N1M4L1D1z2m2o3q2p1s1C1P1R4T5S4T4S1P1O1K1M1D1F1D2E1F1G2H1G1H1I2H1G3E1C1B1A1y4w2x1v1w1z1A2C6D1F1G5F1E1D2C1B1y1x1v1y2D2E1I1H1C1B1x1w2u1v1w1A1D1A1q1m1n1u1E1G1M1N2O2N1O1Q3S10T1R1N1x1k1d1b1p78.1w1A1D1I1F1O1M1z1t1r2s1r1m1g1f4e1m1t1u1s2v1r2k1q1s1r3q1t1s1o1k1t1u1A1B1E2G1E1D1B1y1w1v1o',
+  '1g1l1i1f1o1r1D1S1T1S2T1Q1N1S41T1S1R1Q1P2O3P1O1N1M2L2M1J1G4F1E1B1D1G2H4G3F7G1F3E2D3C1B1A6z1y7x3w1v1u2t2s1r2q5r3s4t2u4v2u1w2x1y1x1w1x5y4z3y2x1w3u1v1w1x1y2z1A2B2A3B2C3D1E3D1C1D1F1H1I1J2I2H1J1N1K1u43.1y1v1h2a1e1k1p1t1w1x1z1A1C1A1z2B3C1E2I1G1E4C1z1y3t1u1q1m1o1v2w1B1O1Q2S2T2S1R1Q1P1N1M4L1H1G1D4C1B1z1x1w1v1s1p1q1v1w1y2A1B1C3D1E1G1I2J2K4L5K1I1D1y2v1z1S11T1R1P1O1I1F1y1v1m1g4a1c31.1q3j1k1l2m1n1K1Q1S2R1Q1P1O1N1M3L1B1x2m1p1q1s2r2q1s1B1N1R4T7S2T1S1R2Q1P1O1F1J1B1E1G2F1I1J1K1L1K3J1K1I1E2F1E1D1C1A1y3x2w1u1v1y1z2B5D1E2F5E3D1C1A1x1v1s1u1z3A2C1z1y1s1r2p1q1t1w1A1w1o1l1m1s1C1E1M1N2O2M1P1R3S11T1S1F1r1g1a1l78.1z1E1H1K1J1P1O1D1w1r2s1q1l1g4e1f1n1t1u1r2u1r1l1h1m1q2p1q1r1s1r1n1i1s1u1A1C1G1H1F2D1B1z1w1v1m',
+  '1j1m1i1d1t1v1H2T1S2T1R1Q1S42T1S1Q3O4P2O4M1L1I1G3F3E1G1H5G3F7G1F3E2D3C2B1A5z4y4x1w1v1w1v1u2t2s1r2q4r4s2t4u1v5w5x1w1x5y5z2y2x1w1v3w1x2y2z1A7B2C3D1E2D2C1E1G1H6I1K1O1H1q43.1r1q1f1a1c1g1l1p1t2x1z1A2C4B1C1D1G1J1H1F1E1y1z1A1z1u1w1u1t1s1v1u1r1s2t1u1y1M1P2S2T1S1Q1P1O1N1M4L1K1I1G2D4C1A1z1y1w1t1r1t2w1y1z1A2C1D1E1D1F1H1I1J3K4L4K1J1G1A2u1v1B12T1R2O1G1E1x1v1n1h4a1j31.1q1k1l2m1n1l1k1m1L1Q2S1R1Q2P1N1M1L1K1J1y1t1k1m2p2q3r1u1D1N1R4T1Q1R3S2R3S1Q2P1L1O1D1L1B1D2I1J1L4M1L1K2J1K2G2F1E1C1B1A1z1x1w1v1w1u1v2y1z1B6D2F6D1C2D1z1t1p1o1s1w1x1w2v1x1y1w1o1p2o1q1s1u1y1v1p1n1o1r1B1D1M1N1O2P1O1Q3S12T1S1L1z1m1a1k78.1y1E1I1N1L2P1E1t2p1q1p1j1f1e3d1f1n1t1u1s1t1u1r1m1g1i1n1o1p1r1s1o1q1m1i1r1u1D1E1G1H1G1E1D1B1x1v1u1k',
+  '1m1l1i1j1D1H1Q1U4T1S1R1S8T2S32T1S1R1N2L1O4P1Q4P1O1N1M1K1I1H2G3H4G4F3G2H2G2F3E3D1C3B1A8z2y2x1w2v2u2t1s2r4q2r4s1t1u1t1u3v2w7x5y3z1A5z2y4w2x1y4z1A7B2C6D1F1H2I1J4I2J1M1Q1F1p43.4a1d1j1n1r1u2w2y3B3A1z1A1E1F1A1u1r2k1n1l1g1k2u1w1z1C1D1z1u1r1q1u1G1J2L1O2P1O1N2L4K2J1I1H1F1E2C2B1z1w1u1s1u1v1u2w1y1z3C1D1E1H2I1J2K1L1K4L2K1J1G1y1t1v1w1r1m1r1S10T1S1Q1N1M1G1E1x1v1o1k6a28.1o1f1i1l1n1o2n1l1i1l1J1Q4S1R1Q1O1M1J1G1E1u1p2n1l1i1m1n1r1u1z1G1K1M1P1R3S2N1K3J1M3P1N2L3D1H1F1K2O1Q1R1Q2O1N1L1J1H1K1L1J1K1G1H1G1E2D1B1A1z1x1w1v1t2v1w1x5C5D1E2D2C1B1A1v1n3j1l2m1l1o1p1q1n1l3m1n1o1r1u1t1q1o1p1q1x1z1I1K1M1N1O1Q1R1S1Q1O1Q12T1S1Q1C1n1k1n1o75.1u1y1K1L2O1N1P1u1m1p1q1o1k1g1e1d2c2d1m1s1v1t1q1s1q1l1i1n3r1q1p1m1o1k1g1p1t2C1E3G1D1z1x1w1t1d',
+  '1n1m1f1n1G1K1S1U4T1R1P1R9T1S32T1S1R1P2N2P9Q1P1N1M1J2I4H4G3F2G2H1G1H2G2F3E2D2C2B2A8z2y2x1w2v2u2t1s2r2q1p1q2r4s1t3u2v3w6x4y2x10z1y4w1x2y4z2A1B1C4B2C6D1G9I1J1M1Q1E1o43.4a1f1l1p1s1u1v1w1x1y3A4z1B1E1D1x1q1n1h1g1f1g1e1f1p1r1w1z1B1C1y1s1p1n1s1F1I2L1M1N1O1P1O1M1L4K1I3G1F1E2C1B1z1x1v1t2r2s2w1x1y1B3C1D1F2H1J2K3L1N2L2J1I1F1u1o1u1z1s1l1k11T1S1Q2N1G1F1y1w1q1m1c1b3a1b28.1u2n1o2p1o1n1k1i1j1J1Q4S1R1Q1O1M1J1F1D1r1o1n1m1j1i1l1n1r1w1D1J1L1N1P1R3S1O1P2F1H1J1M2P1O1K1I1J1z1C1G1J2K1N1O1Q1R1Q1N2M1K1J1K2L1K1I1J1G1F3E1C1B1z2x1u1s1t1u2w1A2B3C4D1E1D2C1D1B1x1t1n1k1j2i2j1k1m1n1m1l2k2j1l1n1q2s1q3o1v1x1F1I1L1M1O2R1S1R1P1S12T1S1R1J1w1p1n1o75.1A1I1M1L1N1O2N1q1p1s1r1n1i1e1d3c2d1l1q1v1u2r1p1k1l1s1v1t1s1r1q1m1p1j1e1p1t1B1C1D1F1G1H1E1B1y1w1s1d',
+  '1n1j1l1v1R2T3S4T1R2Q42T14S1R1Q1P1M2K1I1H1G1H1G2F4G1H2G3F2G1F1E2A1B1A1B1D1C2B1A7z4y2x2w2v2u1t1s1r2q1p2o1p1q1r2s3t2u3v1w7x4y2z5A5z1y2w1x1w1x2y3z1A2B2C4B2C5D1E1G1I2H1I2K2I2F1J1O1E1r41.2e1a1c1j1p1r1t1u5v1w1x1y3A1B1D1G1D1y1t1p1o1h1f1d1e1d1c1f1g1m1r1w1C1A1w1s1p1t1E1G9K1J1I1H1G1E1D4C2A1y2w1v1u3s1t2v1w1x1B5C1F4I1J1I2J2K2I1D1x1z1D1E1C1w1r1w2S6T4S1Q1P1O1J1H1z1x1s1q1k1j1d3a1f25.1q1t1u1s2t2s1q1o1m1n1o1O1R4T1S1R1O1L1F2z1i1k1l1j2i1n1o1u1C1H1M1N1P1Q1R1Q2S1P1L1J1I1J1L2N1K1G1B2y1B1A1I1O1L3Q2R1O1M1N2O2N2L1K1J4I1H1F1D1B1A1x1w2t1s1t1v1u2w1z2C2D4C2D2C1B1A1u1k2g1l1p1t1x1z2B1u1t1n1k2g1i1l1n1p1o4m1q1t1w1x2K1O2S1T1O1N1S14T1Q1J1s1f1c75.1y1K2N2P1A1H1t1v1w1u1m1f1d2c4d1h1k1s1t1p1o1m1j1m1t1z1A1z2A1r1t1f1e1p1u1A1B1D3F1E1C1w1s1n1l',
+  '1m1j1p1A1U1V1T3S3T2S1G1Q42T9S4T2S1R1Q1O1M1L1J3I2F5G2H2G2F2G1F1E1z1y1z1A1B1D1C2B1A7z3y3x3w1v2u1t1s1r2q1p2o1p1q1r3s2t2u3v2w6x4y5z3A3z2y2w1x1w2x1y2z1A3B2C4B1C1D1C4D1E1F2H2I2J1I1H2E1I1N1D1r41.1d1e1g1i1n1q1s1u2v5w2y1A3B1C1F1D1z1v1s1r1n1j2e1g1j1g1h1m1q1w1C1A1x1t1r1u2F1I1J6K1J1I1H2F2D4C1A1z1x1w1v1u1t3s1u2v1w1y1E1D4C1E1G1I4J1H1G1J1I1F1D2z1D1E1D1A1v1s1F2S6T1S2Q1S1R2P1K1H1A1x1t1r1m1l1e3a1i25.2w1u1t2u1t1s1q1p1o1q1s1O1R4T1S1R1O1L1G1y1w4j1i1j1p1r1y1D1H1L1N1O1P3Q1S1N1J3M1L1M1O1J1C1z3y1A1L1R2O1Q3R1P2N3O3M2K1I1J2I1G1E1D1C1z2w1u2s3t1w1x1A2C1D6C1D1C1A2y1s1j1g1h1o1u1y2B1H1I2D1A1w1m1j1h1j1l2n1l2k1l1p1s2t1G1L1P1S2T1Q1P1S14T1Q1L1u1i1c75.1y1K1N1O2P1K1H1t1u1y1u1l1f1d2c4d2k1r1t1o1k1i1g1k1q1y1C2B1A2t1e1f1s1u2A1C3E1D1B1v1r1l1q',
+  '1o1j1A1M2V1U8T2R58T1S1R2Q2O2M3K1L1K1J3I2H1F1C2G2F1D4C2A1C2B1z1x1y4z3y3x3w2v1u1t2s2r4q1r4s2t2u3v2w7x1y8z3A1z1y1x1y3x4w1x1z3A4B2A2B3C3D1E1F1H2I1H2I1H1F1D1E1H1L1A1o39.1c2a1b2m1p1s1u1w1y1z1A1B5A1B1C1D1E1F2I1G1F1E1D1v1r1p1q2s2v1x1B2C1B1z1w1t1x1D1E2F3I1H1I1J1H1G1E3D3C1B1A2x2w1v1t1s1r1t2v1w1x1A1B2C4D1E4G2F1z1C1E1C2y2A1D1I1D1s1z1P1R1Q1R6T1R1P1R2S1R1Q1L1J1C1B2w1r1q1l1e4a22.1o1v1t1u4w1v1s1n1j1h1l1o1P1S5T1S1P1L1F1z1x1h1f2g1i1k1s1t1w1y1A1C1D1E1F1G1I1L1M1O1P1O1L1J3H1F1C1B1C1A1G1L1N1R1Q1P1O1P1Q2R2Q1P3O2L2K1J2K1J1H1E1D1C1A2y1v1t1s3r1t1u1y2B1C2B2z1A1y2z1B1x1w1q1j1l1p1u1z1B2D1E1G1J1I2G2I1D1v1p3m1n2o1n3o1C1N1Q4T1S12T1S1R1Q1M1F1q1e1a24.1l1e1b5a1e1c2l38.1w1v1J2O2P1L1H1s1w1C1A1s1k1g2d3c1d2p1r1t1l1e2c1e1k1v1B1A2z1t1r1g1j1p1t2A1B1C2B1z1x1t2p1u',
+  '1q1k1F1O1V1U9T1R1M58T2S2R2P2N1M2N1M1L1K2J3I3G3F3D2C2A1C1D1C1A1w1x4z3y3x3w2v1u2t3s1r2q1r1s6t2u3v2w8x4z2A2z2A1z4y5x2w1x1y1z3A3B3A2B3C2D1E1G1I2H1G2I1H1F1E1C1H1L1y1o39.3a1c1m1n1q1t1v1x1z2B4C2B1D1E1G2H2J1H2G1H1w1t1r1t1w1x1y1z1B1D2C1z1y1v1t1w2D1E1F1I3G1H1J1H1F3D2C2B1z1y4w1v4t1u1v1y1x1A1B1C1D7E2F2E1C2D1C2B1w1s1A1K1B1u1D1P1Q2R6T1S2R2S1R1Q1L1K1D1C2y1t1s1o1i1c3a22.3v1w3x1w1u1r1k1g1f1k1p1R1S5T1S1Q1M1G1B1A1g2d1e1h1k1r1s1v1x1z1B1C2D1E1G1J1L1P1O1M1K1I1G1E1D1E1C1D1F1E1I1L1O1Q1O1Q1N1O4Q1P3O1N1L1M1L3K1J1I1G2F1C1B1A1z2u4r2t1w2A2B1y3x2u1z1y1x1v1q1l1o1s1w1A1B2D1F1G2K2J1I1J1I1G1D1z1w1u1w2z1t1v2u1G1J1O4T2S1T1S6T4S1Q1O1J1B1l2a24.1q1j1c5a2e2n38.1z1B1K1O1N1O1P1F1H1t1w1C1D1w1n1g1e1d4c1p1s2t1l1e1d1c1f1j1p1x1A2B1s1q1h1j1p1t2z1B1C1B1A1y1v1q1m1r1t',
+  '1q1o1M1R2U9T1R1O59T1S2R1Q1P4O2N1L3K3J2H1G1F1E6D1C1D3E1C2y3A2z4y2x2w2v2u2t2s1q1p1q1r1s5t3u4v1w8x8z1A2z4y7x1y2z2A5B1A6B2C1D1E1F2G1F2J1H1G2B1F1I1x1p39.3a1c1m1n1r1u1w1y1A1B1C2D4E1G1H1I2K1M1K2H2J1C1y1w1x3A3B1A1z1x1v1u1t1v1B1D1E1G1I1H4I1G1F1E2D2C1B1A1z1y2w2v1u3s1t1u1w2x1B2C4D4E1D3C1B1z1u1x2A1v1u1D1K1B1v1D1M1Q2S7T2S1T1S1R1Q1M1L1G1D2A2w1s1n1g1a1b1c22.1v1w2x2y1x1w1t1p1j2f1k1p1R1S6T1R1P1J1D1C1g2c1d1g1j1q1r1v1x1A2C1D2E1G1K1L1N1K1M1I1G1E1A1z1D1F1G1I1H1J1M1P3Q1N1O3P1Q1P2O1N1M2L1M1L2K1J1I1G1F1E1D1C2A2v2s2r2u1w1x1y2z1x2w1x1v1w1y1x1w1u1r1o1q1u1x1A1C2D1G1H1J1K4J1I1G1F2D1C1E1F1E1C1E1A1z1J1K1P12T1O1J1D1E1J1L1J1G1z1r1f2a19.2n2j1i1g1c1b5a2b2e1p1n35.1t1y1H1N4O1E1J2v1z1A1w1n1h1e1d1c3b1n1s2u1o1i1f1c1g1j1n1r1s2t1q1o1h1i1m1r1x1y1z1A1z1y1w1t1q1n1s1u',
+  '1p1t1T1U1T1S9T1R1P1R3S56T2S2R4P1O1N2M3L2K1J1I1G1F1D1B1C2D3E1G1I1G1F1E2B1C1D1B1A1z1x4y1x2w2v3u1t1s1r1q1p1r2s3t5u4v2w7x10z4y5x2y1z4A11B1A3z1y1z1A1B2D2J1H1G1A1B2F1u1q37.1m1j2a1b1e1n1p1s1v1x1z1B1C1D2E1F1G2I2K1L1M1N1O1L1I1K1L1M1J1I1E1D2E2D1A1y1x1v1s1r1s1t1v1B1D1G1I2J2K1J1I2G1F2D1C1B2A1z1x3v1u1t3s1u2w1x1y5C4D1E1D1C1B2A1x1v1p1t2w1v1z1I1M1F1z1F1M1P12T1S1R1Q1O1N1J1H2E1C1B1x1t1l1c1d1f20.1r1v1x1y2z2A1x1u1q1m1i2f1m1r2S7T1S1M1F1D1g1d2c1f1i1q1r1v1y1B1C2D1E1F1H3L1H1J1G1E1A1w1v1C1J2K1J2M2Q2R2P1O1N1P1R1Q1O1N1M3L1M1L1K3J1H1F3D1B1A2w2t1s1t1u1v2u1v4w1v2w1x2w1u1s1r1q1t1w1z1B1C2D1H1I6J2I1H1I1K1M1N1M1L1N1O2K2N1Q8T2S2T1H1x1q1r1w1z1y1x1r1h1b2a17.2h6a2b9a2d34.1t1n1B5P1O1G1M1A2x1y1v1n1i1f1e1c3b1j1q2v1s1o1i1d1h2j4k2m1g1i1j1m1t1u4v1u2q1r1s1t',
+  '1s1z2U2S9T1S2Q1S58T2S2R2Q3P1O2N2M1L2K1H1G1D1C1B1z2A1C1D1E2F2G2F4E1D1C1A1y3z2y2x2w2v2u1s1r2q1r3s2t6u4v2w2x2w1x1y4z6y2x5y1x1y1z2A8B2C3B1A1B1A1z2A1y1z1B1C1D1E1I1H1G1F1E1H1F1w1r38.2c1a1c1h1l1r1s1v1y1B1D1F1G1H2I2J2K3M1N1O1P1N2L4M1I3G1F1E1C1z1y1x1v1u1v1x1y1F1G2I3H2G1F2E1D2C1B1A2z1y1x2w2v1u1s1t1u1v1w1x1y1z6C1D1E1F1E1C2B1z1y1u2x1w1u1w1B1G1K2L1J1M1Q1R12T2S1R2P1M1L1I1H2F1C1y1s1k1f1c1n15.1t2u1B1y1z1A4B1A1v1q1n1m1l2k1r1y9T1S1N1G1E1m1i1d1c1f1i1p1r1v1A2C1D1E1F1G1H1J1I1J1H1D1B1z1x1w1v1C1J2K1J1Q1O1S1R1S1R2P1N1M1O1Q1O1N3M3L1K1J1I1J1K1J1F1E1D1C2B2w2v4s1t1v2w3v1w5x1u1t2s1w1z1B4C1G1H1J3I3K2J1H1J4L1M2L1P1O1N1P1R1S7T1S2T1G1v2n1p1r1s1t1p1g1c1b1h15.1v1u1e1g1e1i3l1m1n1m1i1f1c2b6a1k4.1p28.1v1z1L1Q1P1O1P1Q1P1M1O1J3F1z1q1l1j1g1d3b1e1j1r1s1r1q1l1g1h4i2h1g1f1c1f2i1n1o2p1r2s1q1r2s1q',
+  '1y1F1V1U2S11T2R59T3S1R2Q3P2O1N1M1L2J1E1D1x1w3y1x1z1C3E1D1E2F5E1D1B1z2A1z1y2z1y2x2w2v1t1s2r4s1t10u2v5w1x1y4z3x1y3x1w1x5y1z1A10B4C2A1B1A1B3C1E7G1F1J1M1C1o1r36.1k1j2a1d1j1p1r1v1w1A1E1H1K1L1M7N4O1P1Q1P1O1N2M2N2K2I2H1F1E1C2B1A1B1E1F2J1H1F1C6B2A3B1A1z1y2x2w2v1s1r1s1u1w1x1y1A1B2C1D1C3D1E1F1E1C1z1y1v1t1s1A2C1y1A1G3L1P2R2S15T1R1Q1O1N2L2J1H1E1y1r1j1b1h1q1u4.1o1m1l1j1k1l2k1j1k1m1x1A2C2E2D1C1z1s2m3n1o1y1G10T1O1I1G1p1n2f1h1k1p1r1w1B1C2D1E1F2G1H1E1J1G1y2x3w1D1J3L2R2T2S1O1N2M1N1O3N2M2L1K1J2H1I2J1H1F1E1D1C1B1y1x1w1v4r1t2w1v2u1w2z1w3x1v1t1u1w1z2C1D3C1F1G3J1I5K1J1K8L1O1P1Q1R1S10T1J1x2l2m1o1q1o1h1d1e1k8.1r1j1i1h3i1g1h1m1p1t1w5z1x1s1m1h2e1c1b4a1d1n1p1o1l1i27.1s1B1M2Q1P2O1Q1P1O1P3O1P1H1u1o1m1k1g1c3b1c1k1o1r1s1o1k1h1g2h2i1h1c1b1a1c2d2h1j1k1n3p3q1p',
+  '1C1L1U1T2S10T2R1P3S56T3S2R5P2O1N1L1J1I1C1B1z1y1A1B1A1z1A1C2D1A1z1B5E2F1E1C1A1B1A2z1A1B1A2z1x1w2v4t4s2t3u4v3u2v5w1x4y3w4x2w1x3y2z1A2B1C2B3A2B2C7B3C1D1E3F1G1H1G1H1K1I1v1h1u33.2s1k2c1a1b1k1n1u1w1B1C1G1J1M1N1O13P1Q2P2O3N1M1L1J5I1E3B1E1H1J2H1F1D1B5A1z2y1z2A1z1y2w1v2u1v3u1v1w1x1y1z4B1D1C6D1B1x1w1t1u1z1D1F1H1I1H1J2N1O1Q1R3S15T2S1P1O2M2L1K1H1B1v1p1i1g1h1i1p1n2i3d1e1h1k1o1t1w1y1z2E1F4G1F1E1B1w2s2r1s1t1F1N9T1S1O1J1H1r1p2l1m1n1t1u1x1A1B1C2D1E3F1E1D1B2y2x1z1A1F1L1M1O1N2S2T1S1R1O1N1M2L4M4L1K1I1G1H3I1H1G1E1D1C1B2z1w1u1s1r1q1r1t2u2t1v1z1B1A1x2y1x2w1x1z1B2C1D3C1F1E2I2J3K10L1M1K1M1P1Q2S10T1P1I1v3w1y1B1z1t1n2k1v1A5.1v1w1v1w4v1u1w1D1E2I2L1K1J1I1H1D1x1r1o1l1g1f1c2b1a1c1g1i1h1i1l1o26.1w1J3Q1O2N5O1N2Q1M1B1s1o1n1k1f1d1c1b1c1e1h1n1q1p1n1l1j1h1f1h1i1h1f1d2a1o1n1e1f1g1h1k1m1n3p1o1r',
+  '1E1P1U1T1S8T1S1T1S1R1S1Q1O1Q1R56T4S1R5P3O1M1J1I2D2F6E1F1D1A1z1C2D1F2E1F2G1E2C1B2A3C2B1x1w2v4t1s2r1s1t2u2v3w1v2u3v3w1v2w3x1y3w2x2y1x2w1x2z2A2B2C1B1A1z1y1A1B3C7B3C3D2E1F1G1H1I1K1y1o1f32.1o6a1b1g1o1r1y1A1H1I1L1O1P5Q4R5Q1P3Q3P2N2M1K5J1F1C1D1E1F1I1J2G1F1D3C2B1z1y1x1y2z2y1w2v1u1t2u2v1w2x2y1A2C2A8C1A2x1v1z1F1G1J1K2M1N3Q1R2S19T1Q1P2M2N1M1K1F1z1u1q1i1d7a1c1f1k1p1x1F1I4J2K3J1I1G1E1B1z1x3w1x1N1R9T1R1O1J1I1v1s2q2r1x1y2z1B3C1E1F1D1C1E1x1y1z1x1w1y1C1E1I1M1O2Q1S3T1S1Q1O1N1M3K3L3K1L1K1J1I3J1I1H1F1E1D2C1z1A1v1u2s2r3s1q1t1y1A1B1A5y1z1B4C2D1C3D1G2H1I2K2L4M3L1K1L4M1P1R3S1T3S5T1S2M2N1O1Q1P1M1C1w1v1r1q1t3s1u1z1F1K5L2M2P2R4S2R1P1M1G1B1x1o1m2i2h1f1c2a1g1o1m1n1o24.1C1N2R1Q1O1N1O1N1M1N3O1Q1R1P1K1x1q1p1o1k1h1f4c1h1m1n1p1o1m1k1h1g2i1g1f1b1a2.1h1f1c1d1i1l1n3p1o1q',
+  '1G1P2R2S7T1S1T3S1R2O1Q3S54T4S2R2Q1P2O1N1M2K2H4I4H1I1H1G1F1D1B1D3F1G2H1G1F2E5D1C1B1y1x1w1v4t1s1q2r1t1u2v1w2x1y1x2w1y2z1y1x10w2v6w1x2z1A3B3C1B2A1B4C4B4C6D1E2F1H1J1B1m1l1p32.1j6a1i1n1t1v1C1E2L1O1P1Q4R4S6R3Q1R3Q1P2O1N1L5K1H1E1G1I1J2K1G1H2F3D2C1B1A1z3A1z1y1v1u1t1r2s2t1v3w1x1y1z2C2A5B1A1B1D1B2A1z1B1F1H1L1M2O1Q2S1R2S9T4S7T1R1Q4O1N1M1I1E1A1w1r1o1j5a1e1i1m1s1A1G2J1I1H2K4L2K1H1E1C1B1z1x1y1z1D1R1S8T2S1P1L1K1x1u2q1s1u1y1A1z1y1z1A2z1A1B1z1x1C1w1z1A2z1B1E1H1K1N1Q2S4T1S1R1O1N1M2K1J6K1L2K1J3K1J1H1F3D1C1A1z1v1u1t1s2p3q1r1v1A2B1A4z8B3C2D2E2F2I1J1K7L2K2M2N1P1R1S1T4S6T1S4R1S1T1S1R1P1M1L1I1G1F2E1G1I1L1O5Q3R3S7T1S1R1P1O1M1E1C1y1x2w1v1q1h1c1g1j1g2e23.1G1L1P2Q1P1O1M1N4M2O1Q1R1Q1O1D1v1t1r1p1n1l1f1e2c1e1g1i1l3m1k3j1h1g1d1c1o1s1p1m1e1b1g1l1n4o1q',
+  '1J1O1N1O2S11T2R1Q1M1P1S1R2S53T6S1R1Q2P1O4M2L4K4J1K1L1K1J1F1C1E2G1F1G4H2G1F1E4D1C1z1y1w1u4t1r2q1r1t2u1v1w2y1z3A1C1D1C1B1z2x4w2v1u2v1u1t1u3v2w1y1z1A1B1C1B3C2B1C1D4C4B2C7D3E1F1H1L1q1c1l32.1s1g4a1c1e1q1s1y1A1H1J2O1Q1R3S4T8S5R3Q3P2M4K1J3I1J2K2H2I1F1E1D2C1B4C1B1A1y1v1u1r1p2q1r1s1u1v3w1x1y1A1B1A4z2A1z1B2D3C1E1I1J1O1P2R1S14T1S1Q1P1Q1S6T2S4Q1P1N1L1J1F1C1z1x1u1f2a1c1i1m1q1w1E1L1J1F2D1C2J1L2M1L1K1J1G3D1B1y1A1D1K2T2S4T1S1R2S1Q1M1L1A1v2p1u1w1z1A1z2y1x1w2v1w1v1u1B1v1z2B1C1E1H1K1M1O1R6T2S1P1O1N1M1K2J12K1J1I1F4D1A1z1w1v1s1r2o1p1o1q1t1y2B2A3z1A7B1A1B2C2D1B1C2D2F1H1J3K4L2K1L1M1N1O1Q1R1S1T1S1R1S1T3S2T4S7T3S1R2P2O1Q1S25T1S2Q2O1M1H1w1m1i1e3a1g1j19.1A1B1H1P2Q2P1N2L1M1J1H1L2O1Q3R1L1E1z1t1r1q1p1i1f2c1d2e1g1i5k1j1i1h1g2f1d1u1r1j1c1f1l5n1q',
+  '2L1J1L2S11T1Q1R1P1N1P1S1R2S54T5S2R1Q1P1O1M3N1M3L1K1L2K1J2K2L1K1H1F1E2G1F1G5H1G1F1E3D2C1z1y1w1u4t1r1p1q1r1s2u1v1w1x1y1z2A1B1C3D1B1y3x2w2v1t1u1v2t1u3v2w2y1z1A1C1B12C3B2C3D1E3D4E1H1L1o1c1n32.1t1g4a1e1h1r1t1z1B1J1L2P1Q1R2S5T8S7R1Q3P2M4K2J2I1J2K4J1H1E1D7C1B2z1w1v1r3q1r1s1u1v3w2x1A1B1A2y3z2A1C2D2C1D1F1J1K2P3S14T1R1P1O1P1S6T2S2R2Q1P1O1L1J1G1E1B1A1y1i1b1a1f1o1q1u1C1J1N1H1C2z1B2J1L2M1L1K1J1F3D1B1z1B1E1M1T1U1T1S4T1S1R2S1Q1M1K1z1u1n1p1u1x1z1A1z2x1w1v4u1t1C1u1z1B1C1D1E1H1K1N1P1R6T2S2P1O1M1L1J10K1J2K1J1H1F4D1A1y1w1v2r1o1p2o1q1v1z2B2A4z3B2A2B2A2C1D1E1A1C2D1E1F1G2J2K4L2K2L1N1O1Q1R1S1T1S1R5S2T3S8T1S1T2S4Q1R1S26T1R1S1R1Q1P1M1D1t1m1e3a1g1j19.1w1D1I2P1Q2P1N2L1M1H1F1K2N1R3S1O1J1C1u3q1j1g4d1e1f1g1i1j2k2j1i1h1g1f1g1c1t1r1k1d1f1l1m2n1m1n1p',
+  '1F1A1z1A1E1G1O10T1Q2R1O2N3P1Q1S8T4S45T2S1R1Q1P1O3P3O1N3M2N2M1N2M1K1J1H5G1H1I1H1G1H1F2E2D2C2z1x1w2u1t1s1q2p1r1s2u1v1w1x1y1A1B1C8D2B2A5x1w1v1u4t1u2x2y2z1A2B1C10D1C2B1D10E1I1J1m1i1z32.1g1b3a1f1m1p1y1A1G1I1P1Q20T6S2Q1R1Q2O2M2L1K1I1D1B1E1G1H1G1F2E2D6C1B2A2w2v1r3q1s1t1u2v1w2v1s1v2x1w1v3w2v1w1x1y1A2B2D1F1B1J3S12T1S3Q1R1S9T1S4R1Q1N5K1J1w1y1E1F1H1K1P1T1R1O1D1v1t2r1v1x2D2K1H1G1E3D1C1A1E1I1P1U1T2S2T1S1R1Q1P1N1M1J1F1E1u2r1u2x1y1x1v1u1s1q4p1q1u1D1v1z1D1F1H2J1K1P1S11T1S1R1P1M1L6K3J1H1I1K1J1H3E1D1C1A1z1u1t1p1l2i1l1p1v4z6y2z3y2z1A3B2C1B4C2D1E1G1H1I1J7K1L1M1N1O1Q1R1S4T2S1Q1P1Q1R4Q4R1S2T3S1T2S3T1S2T1S29T1Q1K1v1k1i1b1d19.1u1w1E1O2P1O1M3L2K1L1M1N1P2T1S1R1S1T1O1F1y1u1s1g1f1e1f2g1d2b2c1d1g4h1g1f1c1a1q1t2.1q1g1k1n1j1f1g1x',
+  '1A1z1x1y1B1D1M10T2R1S1Q1M1J1L2M1P1S8T5S45T1S2R1Q2P2Q2P2O1N5M4N1L1J1I5H1G1I1J1I1H1F2E2D2C1z1y2v2u1t1s1q2p1r1s2u2v1x1y1A1B2C5D2E1D2C1B4z1y1x1v1u4s1t4x2y1z1A1B1C2D1E7D3C1D6E1F3E2I1i1m1D32.1e1b2a1c1h1q1t1B1C1I1K2R22T4S1R1Q2R2P3N1L1K1I1C1A1C1D2C2D1E8C1B2z1x1w2v1s1r2q1r1s2t3v2u1x3w1v1u1v2w2v1w1x2z1E1F1I1J2L2S13T1S1R4S9T1S3R2Q1O1L4M1L2F1H1M1P1O1R1T1R1O1E1w1t2s1v1w1A1F1K1I1G1F3D1E1B1y1D1L1Q1U1T1S3T1S1R1O1N1L1J1F2C1t1q1t1u1y1w1y1v1s1r1p1o1p2o2p1v1B1w1z2F1H2J1K1P1S11T2S1Q1N2L3K4J2I1J1K2J1I1G1E2D1B1A1u1t1m1j2h1k1q1v2x1y4x6y2x2y1z1A4B6C2D1F1G1H1I1J6K1L2M1N1P1Q1S4T1R1Q1O1L2O1M1N5P1Q1R2S1R2S1T1S1R1S2T1S32T1R1Q1I1v1p1i1d19.1m1A1H1O2P1O2M2L3K1N1O1P1S1T1S1Q1R1T1Q1K1E1A1x1i1f1e1g1i1h1e5b1c1f1g1h1g1f1e1c1a1n1r2.1t1d1h1p1k1c1j1B',
+  '3w1v1y1A1F1M1Q1S5T2S2P1Q1R1P1K1x1v1K4S8T1S1R1O1M1P1R1S47T2S2Q11P1O1M2L1M2N1M1K2J1K1I1H1G1F1E2D1C1B1y1x2v3t1s1r2q1r1t2u1v1w2x1A3B1C2D2E6F1D1C2B1z1y2w1v1u4t1u4w2x1z2B1A1B6D5C2D5E2D1E1F1D1d1f1z29.1i1g1b4a1c1m1x1A1I1J1P1Q28T1S1R3S1R2P1O1N1L1J1F3D1C1D1E1I1G1C1D9C1A1x2w1v1t5r2s3r1s4u2v4u1v1x1y1z1A1D1F2L1S31T1M1L1M1L1O1Q6P1O2R6T1R1N1D1v1s2r1t1w1F1I1F1E2F2D2E1C1D1L2R3T1S2T1S1Q1L1H1F1D1A1x1w1q1o2v1w1u1v1t2o1r2o1s1t1u1t1A1B2D2F1H1K1M1N1R13T1S1Q1O1N1L3K2I3G1H1I1K3J1I1F1D1C1A1x1t1q1h1g1l1k1p1v7w8x1z1A1y1x3y1z1y2z2A2B2C2D1E1F1H1I1J4K4L1M1N5O1N1L1K1J2I3K1L1M2O1N1P1Q2R1S1T1U2T3S35T1S1O1L1z1u1i1f2n2u2.1p1g1s2.1B1v2a2i1v1J1L1N1O3N3M1L1M1N1P1R1Q3R1P1Q2S1R1N1J1C1s1p1h1i1o1m1h1b5a1b1c2d1c1b2a8.1v1i1v1x',
+  '3w1x1A1B1F1K1P1S5T1S1R4P1O1K1C1y1I4S8T2S1P1K1M1Q2S46T3S1R3P1Q3P1Q2P2O1N4M1N1M1K2J1K1I1H1G1F1E2D2B1y1x2v3t1s1r2q1r1t2u2w1x1y2A2B2C1D2E1F5G1F1D2B1z1y1x1w2v1u1t1s1t1u1v4w1x1y3A1B2D1E3D3C1B1C2D4E2D1F2G1y1e1c1x29.2e1b3a1b1d1o1A1C1K1M1R1S28T1R1Q4S2Q1P1O1L1K1H1E3F1E1F2I2E2D5C2B1A1z3x1w2s3q1r2s3r2t1u1t1v2u1t1u1v1w2x1z1A2D1J1M3S28T1S1C1E2O1P1Q6P1Q2S6T1Q1K1A1t3r1x1z2E1D1E1H1G2D1F2G1H1M1Q1S2T2S2T1S1Q1K1F1D1C1z1w1u1n1r1u1w3u1s1q2p1r2s1t1u1t1B1A1C1F1G1F1I1L1N1Q1S13T1R1P1O1N1M1L2K1I1H2F1G1H1I1J1I2H1G1E2C1z1x1t1r2i1l1n1s2v6w7x1y2z1y7x1y2z2A1B2C2D1E1G1H1I4K1L1M2L6M1N2L6K2L1M3O1P1Q1R2S4T3S35T1S2R1I1F1r1o1p1m2p2.1m1d1n2.1s1o2a1n1p1F1I1K3N1O1N1M2L1M3O3Q2R1Q2R2S1O1K1C1u1q1i1j1r1p1j1c5a2b2c4a8.1v1p1v1x',
+  '2w1x1z1A1B1E1H1L1P1Q1R3S1Q1P2O1N3O1L1G1J1O1R12T1R1O2P1R2S49T2S1R1Q2O2P1O1N2M7L4K1J1H2F1E1D1C1A1z1x1w2u2t1s2r1q1r1s1t1u1v2w2x2z1A3B1C1D1E1F3G1I2J1G2z1y3x2w1v1u1t1s2t1u2v2w1x1y1z1A1C2E2G1D6C2D5E3F1z1p1b1a1u22.1l11a1b1g1o1z1K1M1R1S30T1S1R1S4T1S1R1O1M6K2I1J1I1E2D8C1B1A1x1w1v1u1s2r1s4t1s1r1t1v1u3t3u2s1r1o1r1w1y1E1H2M1N1O1N1O1Q1S14T1S5T3S1T1R1Q1J1I2O1P2R1S1R1Q1R10T1M1B1t1o1n2o1s1v2C1F1G1K1J1F1D2E1F1K1Q5T1S2R1P1L1I1D1A1y1u1p1o1p2s1u2s1r2q1s2v1w3x1z1E1C1D2H1G1I1L1P2S13T1S1Q1P1O1M1L2K1G1F2E4F1E4D2C1y1w1v1t2k1n1q1s1t2u2v2w1v6w1x1y1x8v2w1x1w2x1y1A1B2C1D2E1F1H1I3J3K7L4K5L2M1N2O1P2Q1R1Q4R1S1T1S1R1S30T5S2T1S1J1E1u1r1g1d1b10a1k1u1I1K1M2O1P1O1M1L1M3N4P3S5R1N1I1w1t1r1m1n1u1s1m1d1b10a1b1f6.1m1c1n2w1v',
+  '1u1v1y1z2A1D1G1K1L1N1Q3R2P1N1M2N1O1P1O1N1P1Q1S12T1S1R2Q1R2S49T2S1R1Q3P2O1N1M8L4K1J1H2F1E1D1C1A1z1x1w2u2t1s1r2q1r1s1t1u2v1w2x1y1z1A3B1C1D1E2F2G1I2J1H2z3y2x1w1v1u1t1s3t2v1w2x1y1A1B1D1F1G1I1H2D1C5D3E3F1E2D1z1n1b1e1y22.1l11a1c1j1s1D1O1P1S31T2S6T1R1P1M5K1J4H2E1D5C2B1C1A1z2w2t1r1q2r1s1u1t2s1r1s1v1u1s2u2v3u1s1t1w1x1w1F1G2L1M1N2O1Q1S3T1S4T1S5T1S4T5S2P3M1L1O1Q4R1S9T1S1K1z1s1o3n1r1t1B1C1H1J1K1J1G3D1F1L1R5T1S2R1O1K1G1B1y1v1r1m1k1p2r1s1r1u2r1s1u2v1w1y2z1y1D1A1H1F1H1E1I1M1O1R1S13T1S1R1Q1O1L1K2J2F6E3D4C1x1w1u1s2l2q2s1t2u4v6w2x1v1u2v2u1v1t1u6w1y1z1A2C3D1E2F1G1J6K5L4K1L7M2N1O1P1Q2P1Q3R1S1T4S29T8S1M1J1z1w1k1h2c1b6a2c1j1t1H1K1M2O1P1O1K1L2O2M1N3P3S4R1Q1M1I1C1w1v1o1q1w1t1m1d2b9a2b6.1p1h1p1x1v1u',
+  '1p1q1t1v2x1A2E1D2C1G1J1K2J2I1J1K1M2P1Q1S1T1N1D1A1Q1R58T4S4T2S1R1Q2P2O1N1M1L10K1M1L1H1F1D2C2z1w1v2u2t1s1r2q1r1s1t2u1v1w2x2y1z1A2B1C2D1E1F1G1H1I1J1I1H1D1C1B2A1z1y1x1w1v1u1s3u2v1w1x1y2z1A3B2C2B5C2D1E1D1C1B2A2B1u1i1k1y22.1o1f10a1f1k1t1F1O42T1S1R1O1M2L5K2J1I1H1G1F1D3C1B2A1x1w1v1u1t1u2t1s1r3s4r2t2w1t1y1x1w2x2z1x1A1D1G1I1J1I1K1L1O1N1P2R5Q1R2S7T1S2R1Q2P3N1O1H1C1q1s1B1N1R1S11T1S1P1I1A1u1p2o1n1o1p1y1C1L1M2P1O1L1J1H1M1Q1R1S2R1Q1O1M2J1G1D1z1v1s1o1n1m1l1t1s2v1u1z2t2u2v1w1x1z1B1A1C1B1C1A1H2J1K1N1P1Q1R1S12T1S1P1N1L1I1G1H2F1E7D5C2y1t8r4s2t1u3v2u1s1q3r1s1r3s1t2v4w1x1y1z1A1B2C1D1C2D1F1G2K1J1I1H1F1G1I1J2K1J1H2K3L1M2L1M2L4M2L1N1Q1S1R9S24T1S3T4S4T1M1H1v1s1g1a1c1g1d4b1h1m1n1y1H1J1L2O1P1O1N1O2P3L1M1N1M4Q2P1O3N1K1C2z1E1z1v1m2c3b5a1j1k2a2b3.2n1o1r1t1s1p',
+  '2p1s1t2w1z2C1B2A1D1H3I2H1I1K1M1O1P1Q1S1T1O1F1C1O1Q59T3S4T2S1R1Q2P2O1N1M1L6K4J2K1H1E1D2C1z1y1w1v2u2t1s3q1r1s1t2u1v2w2x2y1z2B1C2D1E1F1G1H1I1J1I1H2D2B1A1z1y1x1w1v1u1t1u5v1w1y4z2A8B3C1D1C1B3A2B1t1g1l1z22.1o1f9a1b1g1n1w1I1P42T1S1R1P1N1M2L4K3J1I1H1G1E1D2C1B2A2w1v1u2t3s2r2s3r1s2t1w1x1v5x1z1A1z1B1D1F3H1K1L2N1P7Q1R2S7T1S1R2Q1P1O1N1M1N1O1D1y1v1w1F1P1R12T1S1P1I1A1u1q1p3o1p1z1C1M1N2Q1P1N1M1L1O1Q1R1S1R2Q1N1M2I1F1B1y1v1s1o1n1o1p1r1s3w1A4u2v1w1x1y1z1A1C1B1A1z1I2J1L1N1O1Q1R1S12T1S1P1M1K1I2H1G1F8D5C1y1x1t7r2s2r1s2t2u2v1u1s1q1p1q4r3s1t1u1v4w2x1z1A1B2C1D1C2D1E1G3J1I1G2F1G1H2J1I1H1J2K9L3M2L1N1O3R1S1R7S23T1S3T4S4T1N1K1w1t1j1b1c1k1j1d2c1d2m1p1z1H1J1L3O2N3P3L1M2N4Q2P3O1N1M1F1C1D1F1A1v1m1d1c3b5a1o1p1a3c3.1n1o1p1r2s1p',
+  '3p1q2t1u5v1w2z1B1A1B1C1G1J1K1M1O1Q1R1S1R1N1M1O1L66T2S2R1Q3P1O2M1L2K4J2I1H2G1F1D1C2B1z1y1w1v2u1s1t1r3q1r1s1t2u4w2x1y1z1A1B1C1D1E2F1G1H2J2I2E1D2C1B1A1y3x2w1y1x1w1v2w1y2z1y2x3w2y2z2A5z1A3z2A1n1c1m1z18.1m1n1o1j1e1b8a1b1g1o1w1F1O1R43T1S1R1P1N1M1L2K2L4K1J1I1G2D1C1B1A1z2w2v1u1t2r1q1p1r1s2r3s1u1v1y4z2y1z1B3C2D3E1J1L1M1N1L1G1E1D1E1G1L1P1Q2S6T1S1R1P1O1N2M2L2I2D1F1H1N1R1S2T2S8T1Q1M1F1z1u1r3s1r1t1D1G1P1Q1R1S1R2P1Q3R1Q1P1N1M1K1H1D1C1A1x1u1s1o1l1n1s1w1r1s2v1w1z2v4u1v2w1x1z1B1z1y1B1I1J1K1L1M1N1P1Q1R3S1R8T1S1Q1N1K1J2I1G1F8D3C1A1z1w1v1t1s7r3q2r1s2t2v1r1p2o1p4q2r2s1t1u2v3w2x1y1z2B2C1D1C1D1E4G1E2D2E2G2F1H1J6K6L1M2L2M2P3Q1R2S3R2S2R2S22T3S1R4T1R1P1E1B1t1j1h1p1y1z2w1y1z1v1q1y1H1J1L1N3O2P1O1N4L1N1O3Q1R4Q1P2O1L1I1J1I1B1x1p1g1d1c3b2a1b1c2.1u1v1d1g1u1.1v1p2q1r2q1p',
+  '2o1n1o2p4q3r1s1r2t1u1w1D2F1H1L1P1Q1R1S2T1Q1M67T1S2R1Q3P1O1N1M1L1K2J4I1H1G1E2D1C3B1z1y1w1v1u3t1r2p1q1r1s1t2u2v3w1x1y1z1A1B2C1E2F1G1I1J1K1J1I2F2E2D1C4B1A1z1B1z1y2x1y3z1y1w1v1u1t1s2v1w1x2y4x1y2z2y1z1A1j1a1o2x16.1m13a1c1g1m1w1H1N1R45T1S1Q1P1M1L2K2L5K1J1H1E1D1C1B1A1z4w1v1u2r2p1q2s1r1s2t1w1x1B1C1B4A1B8C1E1K3L1A2q1r1t1x1G1O1P2R6S1R1P1N2L1K1J2H2G1L2N1O1Q1S11T2S1O1G1B1x1v1u1v1w1x1w1y1J1M4T1R1P1Q3R1Q1P1O1K2H1D1z1x1v1t1r1p1m1j1n1v1z1t1s2u2w3u3t1u1v2w1y1B1z1A1C1G1I1K2L1M1N1P1Q2R1Q1P8T1S1R1O1M1K2J1G1F5D5C1B1y1x2v2t6r1q1p2o1p1q1r2s1v1u2p3o2p1o1p2q2s2t2u2v4w1y1A2B4C1D4E3D1C5D1G1H1J1K3J5K7L2M3O1P2R1Q2P1R1Q2P1R1S21T3S2R2S2T2S1M1K1C1t2n7.1p1w1G1I1L1N2O2P1O2M2L2M1N1O2Q1R1S2R2S1R2P1N1M1L1K1C1A1t1l1g1d2c1b2a1h1q4.1h1k1q1u1r3q1p2o1p',
+  '1k1j2i2j2l6m1l1m1n1o1q1w3x1D1M1Q1S3T2S66T1S3R1Q3P1O1N1M1L1K2I2H2G1F1E1D2C4B1z1y1w1v1u1t2s1r1q1p1q1r1s1t2u2v2w2x1y2A2B1C1D2F1G1I2J1I1H1F2G1H1G2F3E1D2C2B4A2z2y1w1v2u2t1u1v1w3x2w2x2y1x2y1z1g1a1v1y1u1t15.1r1f1b10a1g1i1n1u1D1M1Q45T1S1Q1O1N2L10K1I1G1E1D1B1A1z1x3w1v1u1s1r1q1p1r3s1u2v1x1y1B2C3B2A5C1D1C1F2H1F1D1F1y1q1s1u1w1z1G1L1N2P2Q5P1N1K1J1H2F2H1K1L1O1N2Q1R2S10T1Q1O1K1E1B1C2D1F2G2H1P1Q4T3S1R1Q1P1O1N1J1I1G1C1z1v1t1s1r1q1o2n1r1w1z1v1t1u1t1v1t3s3r1s1t1u1v1w4A1E1G1H1J1K1L1M1O1P4Q8T2S1Q1M1L1K1J1G1F5D4C1B1A2x2v1u1t1s2t2s1r1q1p2o1p1q1r1t1u1v1t2r1q1p2q1p2o2p2r2s2t2u2v2w1x3A1B4C6D2C5D1E1F1H1I2H1J2K2J4K4L1M1L3M1N3P1O1N1P2N1O2Q3S14T3S2R3Q1R2P1S1R1P1Q1O1N1G1z1q1i1z4.1B1u1r1v1E1F1H1K1M3O1N2M2L2N2O2P1Q5S1R2Q1E1D1K1J1D1B1v1n1h1d1c4b1w1D4.1i1j1l1m1k5j2k',
+  '2c4b1c1d1e2f1g3h1i1j1l1m1r3s1A1M1R10T2R1S59T1R1P2S1R1Q2P1O1N1M1L1K1I1H1G1F1E1D3C5B1A1z1y1w1v2u2s1r3q1s4t1u2v1w2x1y1A4B1D1E1F1I1H2I1H2G1H1I2J1I1H1G3F2E2D2C2B1A1z2y1x1w3v3t1u6w6x1y1c1a2.1u1r16.1l1e8a1b1f1m1o1t1C1K1R1S10T4S31T1S1P1N1M2L10K1J1I1F1D1B1A1z1y1x2w1v2t1s2q1s3t1v2w1x1y2B4C2B3C4D2J1A1D1C2E1A1C2D1C1F1J1L2N2O2M2L1J1H2G1E2D1J1K2M2P2Q1R2S1T2S7T1M1J1H1F1H1L1N1O1P2Q2R9T1S1P1N1L1H2G1F1x1v1s1r2q1p1m1n1q1v1y1x1u2t3s2r6q1r2t3y1z1D1E1F1I1J1L1M1N1O2P1R1S9T1S1P1N1L1K1J1G1F5D4C1B1y3w1v4u1v1u1t1s1r2q1p1q1r1t2w2u1t2s3r2q3p3q2r1s2t1u2v1w1x3z1A2B5C3D6C3D1F1H2F1I2K5J3K8L1M2N3M1L1N1M1O1P2Q1S14T2S1Q3P3O1M1O2R1M3N1J1D1t1h1t4.1s1r2u1z1A1D1G1J1M1N1O1N2M1L1M1O1P2O2P1Q1S2T2S3R1A1w1G1H1E1C1w1n1g1c1b1a1c1d1b4.1m1p1d1c6b4c',
+  '7a3b1c1f1h1j1k1m1n1r1v3C1E1K1R1S10T1K1N1R59T1Q1P2R1Q3P1O1N1M1L1K2I1G1F1D3B1C4B2A1z1y1w1v1u1t2s1r2q1r1s1t5u1v1w2x1y1z1A3B1C2D5G1F2G1H1I4H1G4F2E2D1C1B1A3z1y1x2w1v1u1t1s1t2u1v1w6x3w2a1r1p2r15.1o1d9a1g1i1p1t1z1I1P1S47T1R1Q1P1N1M3L1K4L3K1J1G1D1C2B2z3w1v1u1t2r1t3u1v3w1x1z1A12C1E1H1G1A1F1A1C1E4F1G1I2L3M1L1K1I1H2G2H1I3H2M3P1Q4R1S1T2S3R3S1R1N2M1N1P2R4S1T1S8T1R1P1N1L1H1D1E1B1y1s1r1p1q1p1q1o2n1r1w1v1u2s1q8p1o1p1q1r2s2w1x1y1C1D1E1G1J2L1M1N2O2R1S7T1R1P1N1L2K1J1F1E1D1C2D3C2B1z1x3w7v1u1t1s3r1t1u1v2w2v2u2t1s4r4q1p1q2r2s1t1u2v1w4x1z2A2B11C3D4E1G7I1J2K1L4K10L1O2N3O1Q3S2T3S4R1Q1R2Q1P3O1N2M1N1P2Q1M1L2N1M1I1y1o1p1u1z1C1v1m1u1v3t1w1C1I1M1N1O2N1M1N1O2Q2N2P1R4T1S1R2Q1H1E1I1J1F1D1y1q1k3g1d2a4.1d1f12a',
+  '7a1b1a1b1e1i1m1o1p2t1C1H3Q1R1S12T1J1M1R57T2S2Q1R2Q3P1O1N1M2L1I1H2F1D4C4B2A1y1x2v2t1s1r3q1r1t6u1v1w2x1y1z3A2B2C1E1F1E2F2G1F2G4H3G4F3D1C1B3z1y2x2w2t1r1s1t1u1v4w1x1w2v1u1s2a1i1g1r16.1g9a1b1j1k1s1x1E1O1R48T2S1R1Q1O1N1M3L1M2L3K1J1H1E1D2C1B1A2x1y1x1u1t2s1t1u2t1v4w1y1z1C8B2A1B1D1E1D2C1x1z1D2F1G1I1K1M2N1M1L1K1J1H1F2E1I1L2K3L2P2R2Q2S1R1P1R1S2R1Q1O1P1Q1R3Q2R1S16T1S1P2K1J1E2B1v1r1o2n1o2p1o1n1o2t2r1q1p1m3l2m1n1o2p2q1r2s1v1w1x1y1B1C1D1F1I1K2L1M1N1O2Q2S4T2S1Q1N2L1K1J1I1E2D3C1B3A1z1y1x2w2v6w1v1u3s1t1v6w3v1u1t3s2r1s2r2q4r1s1t1u1v5w1x1y2z3A3B6C1D1C5D1F2G5H1I1J2K1J2I1J8K1L1M2O1M2O1N1P1S2R1S1T1R2Q4P5O2N2M1L1K1O3P2L3O1M1D1v1o1i1j1k1h1n1w1v1t2p1s1z1H1M1N4O1Q1R1S1Q2M1Q1R1S4T1S1R1Q1P2O1N1M1F1D1z1u1o1i2h5.1p1o8a5b1a',
+  '2c3d1c1e1f1h1j1n1r1u1x1A2E1L1O4S13T2R1S4T2S51T2S4Q3P2O1N1L2K2H1G1F1E2D2C3B1A2z1x1w1v1u1t1s2r3q1r1t4u1v1u2v2w1x1y1z2A2B2C1D3E1F2G3H3I2H2G4F1E2D1C2B2A1z3x1w2u2t1u1v1w1x1w2v1u3t1s1o2a1t1p1w14.2l1c9a1e1j1l1u1A1G1Q1S50T1S1Q1O1N1M3L1M2L3K1J1H1G1E2D1C1B2y1A1y1v1u2s3t1u1v2w2x2z1A2z4y1z3y3A1B1E2D3E1G1I1K1L1M2O1E1B3G2F1G1J4L2M2Q1S3R5Q1R2Q1O2M2L1N1P3S16T1S1R1O1K1I1F1B1z1x1r1n1o1n1o1n2o1m1l1m1o1n3l1j3h1i2k1n1p2q2p1q2s1u1v1w1x1z1A1C1E1G1J1K2L1M1N2P2R2S3R1Q1P1M1L1K1I1H1F2B2C2B1A2z2y1x3w1v7w1v2u1t2u1v8w2v2u2t4s7r2s1t3v5w1x5y1z2A1B3C2D4C3D2E2F2G2H4I2F1H1J2K1L1K3L1M1N2M1N1P3O3Q2R1P1O5N2M1N3M2L1K2J1N2O1N2L4O1F1x1s1p3o1v1z1y1v2t1w1C1J1N2O3P2R1P1O1M1O2S4T1S3R1Q2P1N1M1F1C1z1t1m1c5.1t1p1g1h6b2c1e4f1e',
+  '2g4i1j1l1o1r1u1w1B1F1K2M1Q1R23T1S1R7S43T4S4Q2P2O1N1M1L1K1J4G1F2E1C3B1A1z2y2w2u1t1s2r2q2r1s2t2u4v3w1y1z2A2B2C2D2E2F1H6I2H2G1F1E2F2E1D2C2B1A1z3y1x2v2u2w2x1v1u1t3r1s1r1l1a1b1A1v15.2c10a1e1i1l1w1C1I1R51T1S1R1O1M6L4K1J1I1H1F2D2C1y1z1B1A1x1w1t1s3t1v3w2x2z1y1x5w1x1w2x1y1x1y1z1G1H2F2E1H2K1L1N2O1y1t2E2F1G1I1K3L1M1N1O1Q1R4S2P5Q1P1M2K1I1G1M1P19T1R1P1N1K1G1C1y2w1o1k1p1n1p1n1o1n1l3k1i1h2g1e2f2g1i1j1m1p2q1o1n1p2r1t1u2w1x1y1A1D1F1I1J1K1L2M2O1Q3R2Q2P1O1N1L1J1G1E1D2z2B2A1z2y3x12w6v3w1x6w2v1u2t6s4r2s1t1u2v6w2x3w1x1y1z1A1B2C2D4C5D1E2F2G3H1G1F1D1E1F1I1J1K1L1K1L2M2O1L1K1O1Q1P2O3P2Q1O1M10L3K1J2H1M1P1N3M2N1O1P1F1x1v1t1s1r1s1y1C1B1y1x1w1z1G1L1N1O1P3Q2R3N1P5T1S1R2Q2R2P1N1M1F1C1z1s7.1f2c1d2c2b1c1d1e1f1h1j2k1j1h',
+  '1k1m2p1r2q1t1x1A1C1F1J2N2O1R1S23T1R1P1Q2R2S1R1S43T3S1R3Q2P2O2N1M1K1J1I3G2F1E1D1C3B1A1z2y1w1v2u2s1r3q2r1s2t2u4v2w1x2y1z1A2B2C1D1E2F2G2J2K2J2I2H1G1F1E2F2E2D1C4B4A3x3w2x1u1s1r1p1q1r1s1q1j2a1D1v15.2c10a1c1h1l1y1A1I1R51T1S1R1O2M4L4K1J3I1F1E3D1C1B1A1z2u1t2s1t1u2v1w2u1v3w1v7w2x2y2C2F1E1D1E1F1G1I1L1K1L1M1N1C1w1C1F3I2J1K2L1M1O1P1Q1R4S1Q1R1Q2P3O1L1J1I1F1H1N1P13T1U3T2S1R1O2L1G1B1w1s1w1o3n1q1o1n1l1j2i1g1f1g3f1g1f4g1k1p1q1p1l1i1k1n1q2t1v2w1x1z1D1F1H1I1K3L1N1O4Q2P1O2N1M1J1H1E1D1B1v1w2y1z2y5x12w5v4w1x7w2v1u3t2s1t3s2r1s1r1s2u2v11w2x1z1A8C5D2E1F2G1H2G2F2D1E1G1I4K2L1O1M2L1O1P2O1N2O1N1O1P1N2L1K6L4K1J1H2F1N1P2M1N3M1O1P1F1u1q1r2s1v1C4D1E1H1L1N3O3P2Q1P2O1Q5T1S2Q2R1Q2O1M1L1D1B1w1k7.1d1i1f1e2d2c1d1e1g1i1l1n3m1l',
+  '1u1w1F1H1I4H1I1K1N1Q4S25T1S1P1O1P1M1O1N2S4T1S3R1S29T1S4R5Q3P1O1N2M1L1K1I1H2G3F1D2C1B1A1B1z1y1x2w1v1u2t1s1r4q1r1s3t3u2v3w1x1y1z1A1B2C2D2E2G2H1I2J2K2J2I2H2G1F1G2F1E3D1E1G2H1G1C1A2x7w1v1t1s2r1t1o1h1l1t13.1q1o14a1c1j1n1w1A1H1Q1S52T1R1Q1P2M2L2M1L4K1J1H2F2D2C1z1w3v1u1t1s3r1q1p1q1r1s1r1u1v3w2x1z1B3C6D1C1A1y1C1I1J1K1L1N1P1O1M1G1H1B1A1B1C1E1H1K1N1P1R1S1P1O2R1Q1O1P1O2N1M1L2K1H1E1F1J1L2S17T1S1R1N1I1G1F1z1t1u1w1y1r1p1n1o1n2o1n1m1k1j1i1g1e1f1m1n1j1i3h1i1m1q1p1k1c3a1f1p1q2v2x1A1D1E1F1H1J1K3L1M1N1O2N2L1J1I1G1E1z1t1o1k1i1h1m1s1t2u2t1u1v1w5x1y2x26w2v1u1t2u5t4s1t1u1v2u5v5w3x6y1z2B3C3D5E6D1E1F2G1I2J2K1I1J1M1O1M1N1M3K1L1M1L6K2J2I1H1G1F1E2D1C1N1M2L1M1N2K1L1M1H1x1q2n1o1q1w1y1E1F1L1J1N1P2Q1O1M1N4O1N1P1Q1P1R1S3T1S1Q1O1N2M1J1I1G1D1p1i1l6.2r1e2f5g1h1i1k1n1o1p1q2r1s',
+  '1w1y1F1H2J2K1L1M1N1O1Q1R3S25T1S2R2Q1N1O2R4T1S1P1O1P1S29T1S2R2Q6P2O2N1M1L1K1J1I1H3G2F1D2C1B2A1z1y1x2w2u2t2r4q1r2s2t3u1v3w2x1y1z1A1B2C2D1E1F2G2H2I2J1K2J3I2H3G2F2E2D1E2G2F1C1B1z1x2w1v1w1y1z1x1w1v1t3s1n1h1r1B13.2o13a1b1c1j1m1w1A1G1O1S52T1R2Q1N1M1L1M1P1N1M4K1J1I1H1G1D3C1z1y2w1v1u1t1s1r2q1p1o1p2r1q7w1x1z2A1B2C3D2C2B1D1G1H1K1L1M1N2O1L1J1F1A1w1u1x1D1J1N1Q2S1O3P1M1P2N2M2L2K1I1G1I1L1M1T1S17T1R1Q1M1G1E1B1x1u1w1C1w2r1p1n1o1n1p1n1l1n1q1o1k1f1d2p1m1k2i1k1l1n1q1p1k1c2a1b1e1i1m1u1w1x1y1A1D1E1F1H1J1K4L2N2M2K1H1F1D1A1v1p1j1e1c1d1i1q1r1s2r1q1s1u1v4x4y17w1x4w2x4w1v1u2v2u2t1u1t2r2s2t2u1v2u3v8w4x2y2B2C7D2E3D1C3D2E1F1H3I1K1G1I2M2L2J2K2L5K1J3I1H1G2F2E1D2C1K5L2K1L1M1I1z1s1m2l1m1q1s1B1D1J1L1N1Q1P1O1M1L1N5O3P2R1S2T1S1Q1O1M2L1I1G1E1D2d1n6.2q1e2f1g3h1i1j1k1o1q1p1q1r1s1t1u',
+  '1n1r1F1I2O1Q2S38T1R1Q2O2M1N1O1P3N1Q1R1S26T2S1R2Q1P4O2N3L1K1J2H5G1F2E1C3B1A1z1y2x2w2u2s1r1q2p2q1r2s1t2u1v4w1x2y1z1A2C2D3F1G5H1I2J3K2J4I3H1G1F6E2D2C1B1A2z1y1z1A1B1A1z1y1x3w1s1n1l1o15.1o1p11a1b1c1j1n1z1C1F1L1Q52T3S1P1O2L6K1J1H1F4D2C1B1A2x1w1v1u1t1r2p1r2q1r1q1r1q1n1p1q1r1t1w1y1z4B1C6D1C2D1G2K2L2M1K1I1D1B1v1o1n1r1y1D1H1J1I1K2L1M1P1O2P1O1N2M2N1M2L1O1Q2S15T2S1N1K1H1E1A1u1x1B1A1C1A2v1w1t1n1x3y1z1y2x2w1v3u1s1r2p1r1u1w1v1u1t1r1q1o1p2u1x1z1A1B1C1D1E1G1I5K2J1I1J1F1D1B1A1v1q1m1g1b4a1b1c1f1b1e1i1k1m1q2t1u1t1v1w1t1v13w2x1y1z2A1z1y3x8w2v2u1s1r1q6r1s2r3s1t3u1v7w1x1y1x1y1z1A1B1C1D5C4D1E1C5D1E1G1H3G1H1F3J1K1J1I2H1I1H2G1H1F5E3D3C1B2A1F1K1J2K1J2K2L1J1E1v1o1k1g1e1c1d1n1q1C1F1K1P1O1N1M2L2M1P2Q1O1K1L2O1Q2S1R1O1M1L2K1I1J1G1p1f1h1d1a1d1f3c3d6e1f2g1i1j2k1j2i1k',
+  '1f1j1A1I2P1R1S39T1R1Q2O2M4N1M1N1P2Q1S25T2S2R2Q1O3N1M1L3K1J1I2H3G3F1E1D1C2B2A1y2x1w2v2u2s1r1q3p1q1r1s2t2u1v3w1x2y1z1A1B1C2D1E2F2G2H1G2H1I2J4K3J4I2H1G1F4E3D2C9B1A1z1x3w1q1g1d1g15.1o1r11a1b1c1i1m1y1C1G1L1P52T3S1P1O2L1K3J2K1J1H1F2E2D2C2B1y1x1w2v1u1s1p1r4s1o2l1m1o1s1v3w1x1z2A1B1C1D1C4D1C1D1E1H1K5L1J1H2C1v1o1n1r1x1A1C1G2F1K2L2M3P1O2N1O1N3M1O2Q2S14T1S1R2K1G1D1y1v1x1A1D2B1w1x2y6B1A1z3y1v1t3v1u2s1t1u1w3x5w1y1z1A2B1C1D1E1G1I5J2I1H1G2A1z1y1t1n1i1c10a1b1c1i1n1q3r1u2t1u12w1x2y2A2B1A1z2y1x8w2v1u1t1s2r2q4r1s5r1s2t1u1v7w4x1y1z1B1C1D5C2D1C1D4C1D2E1F1G1F1E2F1H1F1J1I2K1J1H1G6F1E6D4C1B1A2z1D1I1H1I1K1J2K2L1J1F1x1p1l1h1e2c1h1m1z1C1G1M1N1O1N1M1L1M1N1P2Q1O2L1O1P1Q1S3Q1N1L4K1D1v1n1h1c1a2c2b1c2d6e3d1e1d3c2b1a1c',
+  '1b1c1H1O3S38T3S1R1Q1P1O2N3M2L3M1L1N2S2R5Q2R12S2T1S1R2Q1P1N1M6K1I1G3F3E1D6C1B1A1z1y1x1w1v3u1t1s1r2q1o1p1q1r2s1t2u2v2w2x2z1A2C2D2E1F4G3H2J13K4J3H1G1F2E4D2E2D3C2B1A2z1y1h1b1y1A17.12a1b1d1i1l1n1o1s1A1I1N1Q1R26T1S5T2S8T1S4R1Q1P2N1M3L1K2J4K1I2H1I1G1F2D2C2B1A2z1y1x1w1u1t1s1q1p1n1l1o1p1q1r1t1u1v1w1y1A1B6C2D3C1D1E1G2H3I1D2C2D1C1x1s1v1z1A1C1D1I3J1K1J1P1N1M5O1N1L2M1N5R1S2R1S8T1M1Q1H1F1G1I1D1B1D2E2D1E2F3G1F3E1D5C1A3B1A1z3y1z2B4C2B4C1D1E1F1H1J1K1J1I1H1I1J1H1G2x1w1v1u1s1o1k1e1b11a1d1g1i1j1n4q2s2v8w1x1y1z2B5C1B2A1z1y5x4w2u1s3r5s1u6s2t2u2v2w1u1t1u1v4w2x1y1z2y1z1A2B1z1B6C1D4E1D2E2C1H1F1H1G1E5D7C1B3A3z1y1x1w1x1z1E1G2F1G2I1H1G2F1B1u1p1m1k2j2h1m1r1x1G1K2N2M1N1O2P1R1Q2P2Q1P1Q2P1N1K1J1I1H1J1P2s1k1b5a1b1c2d3c1d6c2d1c1b4a',
+  '1b1f1E1M3S38T4S2Q2O1N1M4L3M1K1M3R1Q1P3O1P2Q1R3S6R3S1T1S1R1Q2P1N1M6K1I1G1F3E1D2C3B1C3B2A1y1x1w1v3u1t1s1r2q1o1p1q1r1s2t1u3v2w2y1z1A1B2C1D2E1F5G2H1I16K1J2I4J1H2F1E3F2E4D1C2B2A1z1v1e1b1D1x17.13a2c2e1g1i1n1u1B1J1P26T1S5T2S8T1R4Q1O1L1K6L6K1J2I1J1H1F2D4C1B1A1y2x1w1v1u1t1r1q1o1n1q1p1q1r1t1v1w1y1z2A2B4C2D3C2D1E4F1E1A1x2A1B1z1t1u2z1y1A1C2F1H3J3O1M1N2P1O1M2L1M1N1R1O1Q2R1S2Q1S4T2S2T2O2G1I1F1C1E1F1G1E1D1F1H5I2H1G2E2D2C2D4C2B2A1B10C2D2E1G1I1J2K2J2K1I1G1w1r1p1r1s1r1n1i1e2b9a1d1h2k1l1n2p1q1r1s1t2v7w1x1y1z1A1B7C2B1A2z3y3w1v1w1v1u1t1s2r2s6t1s1t1u2t5u1v1w2s1t1v6w4x1y1z1B1A1B1C1B6C1D1E3D1G1F1D1B1H1F1G1E2D1C2D6C2B1A4y3x3w1y1D1I2F2G2F2E1F1E1y1t3q1p1l2i1k1t1E1K2N2M2N1P1Q1R1Q1O1P1R1Q1P1Q1P1O1N1K1I1H1F1K1Q1p1t1j6a2b2c9b1c2d1c1b4a',
+  '1g1m1G1N2J1L1O1R37T3S1R1Q1P2O1N1M7L1M1P1Q2P4N3O10P2Q3R2Q2P1O1N4K2J1H1F1E2D2C2B6A1z1y1x2w1v1u4t1s1r1q1p1o1p1q1r1s1t2u2v2w1x1y1z1A2B1C2D1E2F5G3H2J2K11L2K2J4K1J2H4G1F1E4D1C3B1z1y1t1f1c17.2i13a4b1c1d1g1l1p1t1z1G1J1N1O4Q5R8S4R3Q1R2S2T4S5R1P1O1P2Q1P1N1L1J1F1I4L5K1J1H3G1F2D5C1B1A2z1x1w1v1u2s1q1o1r1q1r1s1t2u1v1x1y3z1B1A2B6C5D1C1B1z1y2A1z1w1u1x1B1A1y1A1C1D1E1G1H1I1J1M2N1L1M1O1N5L1M1P2N1O1P1Q2P1R1S1R2S2R1S1Q1L1K1I2H2E1H1J1K1I1H1I3J1K3J1I1G1E2D3E3D1E2F1E2D1C11D2E2F1G1I1J5K1L1I1G1w1s1o1p1o1n1l1i1f1d1c1b6a2b1c1f1i1k1l1n1p1q2r1s1t2v3w4x1y1z1A1B4C2D3C3B3A1z1y2w1v1w2v1u4t8u1t8u2w1t1s1u3v8w1x1y1z1y1z1B1A2z2A2B1C1D3C2E2D1F1E1D3C1B1C3B4A1z2y4x3w3v1w1A1G5E3D1F1G1C2x1w1x1w1s1n1j1k1s1B1H1K1L2K2M1O2P1O1P1Q1R1Q2O1N1M1L1J1H1G1E1J1I1r1u1j1b6a3b6a3b1c1d2c2b2a1c',
+  '1p1u1K1L1z1w1x1E1N17T1S3T4S14T2S1R2P1O1N1M2L1K4L1M2O2M3L2M1L9M2N2O1P3Q3P1O1N4K1J1I1G1E2D1B3A6z1y1x1w2v2u1t6r1q3p1r1s2t1u2v2w1x1y1z1A2B1C2D1E1F7G1H2G2I1J1K3L2M2N4M5L1K2L1K2J3I1J1G1F2E2D1C3B1y1w1r1g1d15.1o1n21a2b1c1f1k1r1t1z1A1F1G1I1J2K1M3N1O1P2Q2P1O1M1L2J2I1J1M1P1R1S2T3S1R1P3Q2P1Q1R2S1P1O1L1A1D2K3L4K1J1F1D1E2F2E4D2C3B1A1y1x1w2v1t1r1u3s2t2s1v1w1x1w1x4y2z1A2B1C5B1z1y1x1y1z1w1u1r1w2D1C2A2B1D2F1H1K1J2L1K1L1M1K1J4K1L1M1L2K1L2N1O1P3Q1R1P2Q1N1J1I1J1I1G1F1I1M1O1P1O2M1L2K1N1M2K1J1H1E2D1F2I2F1G1H1J2I1H1G2E6F2E2F4G1H1I1J4K1L1M1J1H1x1u1q1p1m1i1h3g1f1e1c5a2b1a1c1f1h1k1n2q2r2t1v1w3x3y1z1A1B2C9D6C1B1A1x5w3v1u2v3w1v3w5u1v2u1v1w1x1u1t1w1v1u3v5w1v1w3x1z2A2w1x1y1z1A4B1C1E1D1F1E1D1E1C3B3A1z4y1x4w5v5u1x1E2D1C3B1C2D2G2E3F1z1v2n1s1y1D1H2I1J2L1N1O1N1M1P3Q1N1L1K3I1G2F1G1x1v1w1h1b17a1b1c1d1c3b1c1e1h',
+  '1B1E1N1K1w1s1q1x1K17T1S3T8S10T1S2R2O2N1M6L3K3L1J2I1J1K4L1M7L2M1N2O4P2O1L2K1J1I1H1G1E1D1C1B1A3z2y4x2w1v1u1t1s1r1q1p1q1r1s1t4r1t2u2v4w2y2A3C2D1E1F7G4H1I1J1K1L1M1N5O3N3M4L5K3J1G1F2E2D1C3B1y1w1r1f1b15.1h1f22a1b1c1e1h1j1k1p1q2t2u1t1u1v2w2x1y1z1y1x2v1t1s2r1s1t1y1E1L1Q1S2T1R1Q1O1P8R1Q2P2Q1H1E1D1E2J3K1L1K1J1H2E3F2E4D1C4B1z1y1x1w2v1u1v2t3s2r4s5t2v1w1x1z1B1z3y1z2w1v1w1z2u1w1B3E1C2B1C3D1F6H2G1H3I1J6K2L1O5P1O1Q1N1J2M1I2J1L1O1Q2R3Q1P2N1O1L1K1I1G1F1E2D1E2G1F1G1H1I4J1I1G5H1G2H5I4H1J3L1M1N1O1K1I1D1C1A1z1s1l1h1f1h2j1i1g8a2b1c1e1i1m1o2q2t2w2x2y1z2A1B1C15D3C1B1y8w1v9w8v3w2v1w1v2t1v2w2v3w3x1z3A4w1y1A3B2C2F1G1E1D1F1E1D1A1z1y2x4w2v4u5t2s2r1s1v3C3A2B2C1G1I1G1E1F2G1B1A2v1x1B1E1H1I1K3L3M1L1N1O2N1L1K1I2F1H1F1D1A2v1w1v1e16a2b1c1f2h1j1m1o1q1s1v',
+  '1N2O1N1w2u1z1K6T4S7T1S3T2S2R2Q2R2S7T2S1P1O1L5M3L2K1J1I2G2K1I1H2G1H1I1K6L5K2L2M1N3P2O1L1K2J2H1F2D1C1B2z2y2x5w1v1u1t1s1r1q1p1o1q1r1t1u4t1v6w2x2z2B3C2D1E1F7G3H1I1J1K1L1M1N1O2P2Q1P3O4M3L6K1J1I1H1G2E2D1B3A1y1w1s1c1a1q1h11.1q1p24a1b1c1e1f2h1k1l3n1m3k1m2n1m2l1k1j2h2f1g1h1j1m1t1C1J1P1R2T1R1P1G1H1O1P2R2Q2P1N1L1N1P1Q1P1J2w1D1F1H1K3L1K1J1H4G1F2E4D3C1B1z1y1x1w1v2u1v2t1s3r1q1p3o3p2o2q1s1u1x1z1x2v2u1r2u1v1z1x1A1C1E3F1D1C1B3C1B1z1A5D1C1D1F2G1F1H2I1H4J1K3N1O1M1L1P1Q1J1I1Q1O1J1K1N1P1R1T3S1T1S1R1Q1P1N1J1I1F1D2C2B1C2D2E1F1G1I5J3K4J2K2L1K2J1I1H1G1J2M2N2P2L2K1J1I1B1t1o1l1m1n1m1l1j1e1c1b9a1b1e1g1l1p2t1v1w3x1y1z1B1C2D14E1D4C1y6x1w3x16w3v3w1v2t3w2v3w3x1B2A1y4w1y3B1C2D1I1H2F1D1F1G1F1A3w1v4u2t5s6r2p1r1v3B3z2A2B1F1K1H1E1F2H2C1y1A1B1D1G1I1J1K7L3K2J1I1G3E1B1x1r1p1v1w1u1c15a1b2c1f1j1o1r1w1C1F1H1G1J',
+  '4P2E1I1M1Q6T4S7T5S1R1Q4P3Q1R2S1T3S1Q1P1L1K1J4M2L1K3J1I1H2F1H1I4G2H1I2K3L1K2J3K4L1M1N2O1N1M2K1J1I1G1F1E1D2C1B1A1z2y1x5w2v1u1t1s1r1q1p1o2r4t1u1v2w6x1y2A2C5D1E1F2G2H2G2H2J3L1M1N1O1P1Q3R1Q1P2O1M3N2M5L2K2J2H2F1E1D1B3A1y2x1d1a1n1b11.2h15a4d4a1b1c1d1e1g1h1i1k1l2m2n4m2n1m2l2k1j1h1f1g1k1m1o1s1x1C1G1L1O2Q1P1O2J1I2D1E1F2G3H1J1K1N1Q1L1w2v1y1C1I1K2L2K3J1I1H1G2F6E1D1B2z1y2w1v2w1u1t1r1q1p1o1m1l2m1n7o1p1q1r1s1t1u3t1s1x1y1x1A2B1A1C3E1C1A3z1y1v1u1v3A3z2A3C1E1F1E1D2F2G1H1I1J1K1L2K1N1H1E1L1Q1O1L1M1P1R1S5T1S1R1Q1O1K1G1F1D1A1y1x3w2x2z1B1C2E2G1H1J1K4L2K4L1J1H1G1F1G1I1K1L1N2P1R1Q1O1N2M1L1K1G1C1z1w1u1s1p1n1l1i2j1h1c1a2b5a2b1d1j1r1s2v2x2y1A2C2D4E4F6E2D2C1B1z1y5z2y1z1y2x20w3v3w3v3w2x1C1B1A1y3x1y1A2B1C1D2G2I2G2H1I1G1B1x3w2v4u4t3s2r1s1r2q1r1u1z1A2z1y5z1D1I1G2E2F1D1C1y1B1C1D1F2I2J2K2L2K1J1I2H1G1F1D1C2B1z1w1t1w2x1s2b14a1b1c1d1i1r1z1E1I1M3N1O',
+  '2Q2R1P1O1P1S9T2S7T2S2R2Q1O3N2O1N1M1O1Q4R1Q1O1N2K1L3M2L1K1J1I2H1I1H1G3F3E1F1H1I6J1K2J8K5L2K1I1H2F1E1D2C1B1A2y1x6w1v1u1t1s1r1q2p1q1r1s2t2u2v1w5x3y1A1B1C6D2E1F1G4H2I1K1L4M1N1P1Q2R2S1R1Q2P6N2M3L2K3J1I1H1G1F1D1C1B2A1z1A1B1i1a1h1a1q1a9.1c1b15a1n1k1m1k2d1b1a1c1d1e1f1h2i1k1l2m7n6o1n1l1h1i1o1q1t1x1A1C1D1F1I2K1M1N2O1F1v1p1r1u1w1y1z1A1C1D1E1J1Q1N1A1x2s1w1E1I1K3L1M1L2K1I1H1G1F4E1F1G1D1B2A1y2x2y1v1u1s1q1p1n1m1k2j1k1n1o2n2o5n1o1r2s3t1z2C2B1A1z1C2D1C1A1y1x2v1u2s1u7w1v1x1y1z2B1z1A2B1C3D1F1H1I1K1L1F1A1F1N1Q1P1N1O1R8T1R1Q1M1I1E1D1B1x1v2t4s1t1u1w1x1z1A1C1D1F1I1K2L2M6L1H1E2D1G1K1L1M1O1Q1R2S2P2O1M1L1J1H1F1D1A1w1s1p2o2p1o1e2d1c1b7a1b1n1p2u2x1y1A1B1C2D3E5F1G1F5E2D2C2B1A6B2A2z1y2x2w5x5w3x14w2x1z1D1C2A2z1A3B2C1E1H1I1G1I1G1E2J1H1F1B1z1x4w4v3u3t7s1r1s1x3y2x2y2x1A2F1D1E1D2E5D1F2H2I1J3K2J2H1G1F1D1B1z1x1y2B1z1B1E1C1y1q3b13a1b1c1d1o1B1K2Q5R',
+  '4S3R1S18T1S1R1Q1P2O1N6M1L1M1N2O1N2M3L1M4O1M1L1J1G2F1G1I1J1G1F2E5D3E1F2G1E1F2G2J13K1H1G2E2D2C1A1z2y1x5w2v1u1t1s1r1q1p1q1r2s1t2u1v3w5x2y1z2B7D3E1G2H2J1K1J1K1L4M1O1P1Q2R2S2R2P6O5N1M3L1K1J1I1H1G1E1D1C1B2A1B1D1n1c1d1a1l1b9.1j1h14a1b1k1h1j1h4b1c1e1f1h1j1k1l2n2o5p2q5r2q1p2o1s1t1w1z1B1C2B1A2z1C1E1I1J1C1x2n1q1t1v1w2v1w1x1D1P1O1G1C1w2v1y1E1K2L2M1L2K1J1I2G2F4E1D1C1B1A1z1x2y1x1u1t1r3p1o1m2l1m2o7n1o2p2q2r1s1t1x3A3z1A1B1A1z1x2w2u2t4u4v1u1t2u1v4w4x1y1A1C1D1F1G1F2C2O1R1O1N1P1S8T1R1Q1K1J1F1E1B1x1t1q1o1n4p1q1s1t2w1z1A1D1F1H1J1K1M5L2K1G1D1E1G1K3M1O2Q2R1P1R1P1N3M1L1J1H1F1C1z1x3w1v1t1p1o1l1f1c8a1e1i1n1p2v1x1z1A1C1D1E3F5H1I1H4F1E8D6C3B2A1z2y2z5y1x2w1x13w2x1y2z1B4C1B2C1D1C1B2D1E1H1I1F2I1H1J1K1G1F1C1B1A1z4x4w3v1u2t1s3t3s1r1v1w2x2w1x1w2v1x1C2E3D4E2D2E1F2H5I1H1F1G1H1I1E1z2y1C1E2C1D1F1G1y1o1c3b11a1b1c1l1o1y1J1N1R6S',
+  '26T1S1Q1P1O6M7L1K1J1I3J1K1L1O2P1O1M1K1H1F3E2J1H1F2D4C1B1z1y1z1B2C1B1A1C1D2H1I1J7K1J3K1G1F2D3C1B1A2y2x4w2v2u1s2r2q2r2s2u2v2w6x1y2z2C7D3E1G2I6K4L1N1P2Q2R2S1R6Q3P1O3P2N1M1L2K2I1H1G1E1D1C1B1C1D1E1r1g1c1a1k1e9.1q1o13a1b1c1f1e1f1h2a1b1d1e1g1i1k1m2o2q4r1s2t2u5t1s1r3s1t1v1x1A2C1A1x1u1q1p1t1w2C1z1x1p1o1p1t2v1t1q1s1u1y2N1L1J1E1C1z1w1B1J1L3M1L3K1J1H1G1F2E3D2C2B1A2y2w1u1t1r2q1r1q2p3o1n4m2n1o2p2o1p2q1s1u1v3x3w2x1w2v2w1t5v1u2v2u6t2u4v1u1t1v1w1y1B1D1C1B1D1H1Q1P1R2P1Q1S8T1Q1O2K1G1E1B1w1r1o1l1k1n2o1l1k1j1n1t1u1z1A1B1A1B1E1H1K3L2K1J1I2E1H1K1M2N1M1O2Q1R1P2R1P1O2N2O1L1I2J1H1G1F2C2A1y1w1q1j1e7a2b1c1f1h1p1q1u1w1y1C1E2F2G3J1I1J3I2H1G1F1E1D5E3D9C3B5A1B1A3y1x5w1x6w2x1z1A1B7C1D1E1F1E1C2D1F2I1G1I1L2K1L1G1F1D2C1B1A2y1z1y3x4w2v3u3t1s1q1t7v2u1v1y1D1F5D1E1D1E3D1E2G4F1I1H1E1F2J1F2y1E1G2C1D1E1H1I1u1l3c2b10a1b1e1w1A1J1O1Q1R1S5T',
+  '26T1S1Q2O2L4M6L1K1J3I2J2K1N2P1O1M1K1H1F3E1I1J1G1F2D4C1B1z3y2z2A2C2F1H1J6K3J1K1J1G1F5C1B1A1y3x4w2v2u2s5r1s1t2u2v2w6x1y2z2C7D2E1F1G1I1J6K4L1N2P1Q2R3S2R5Q4P1Q1P1O1N2M2K2I1H1G1F1E3C1D1E1t1i1e1b1r1e9.1r1o13a2b2e1f1g1a1b1c1e1g1h1j1l1n1p1q1r5s1t2u1v1u3t3s4r1s1u1x1A2C1A1x1t1o1n1r1v1A1B1y1w1r1p1q1u2v1t1r1s1u1y1M1N2L2H1D1x1A1J5L3K1J1H1G1F2E3D2C2B1A2y2w1u1t1s4r1q1p1o1p1n3l1m1l1m1n1o1p3o1p2q1s1t1u1x3w5v1u1w1y1x1t2w1x3u3v1u1s1t2u2t1v1u4v2t1u1v1w2C1B2D1M1P1Q1R1Q2R1S8T1Q1N2K1G1F1B1w1r1o2m1n2o1l1g1e1k1r1t2A1B2x1C1F1J1L1M1L2K1J1H1E1H1J1L1M2N1M1O1Q2R1P2R1P2O1N2O1K1H2K1I1H1G1D1C2B1y1w1r1m1g1b5a3b1c2e1l1n1r1u1x1C1F1G2F1H2K3J1I2J2I1H1G3E4F1E1D10C5B2A2B1A1z2y3x2w1x1z1x4w2x1y1z1B8C2E1G1E1C2D1F4I1M3L1H1G1D3C1A3z1y2x6w3v4u1s1p1t1v1t1u3v1u2t1u1x1C1F5D1E5D1E3F2E1F2I1F1E1I1J1E1x1z1H1F2B1D1E1I1J1t1k3c2b10a1b1e1A1D1K1O1P1R1S5T',
+  '24T3S1Q1O1N4L3M2L1K1I8G1E1D1z1B1D1H2I1G1F3D3E1D4C1B1A1y1x1v1u2t2s3r1t1u1v1w1x1z1C1E3G1F1H1J1I1E1D3C1B1A1y7w3v1u2t2s1r2q2r2t2v2w8x1y1z1A1C3D6E1F1H1I10K2L1N1Q3S1R1S2T1Q1P2Q1R2S6T1S1R2N2L1K1J2I1G1F2E1D1C1D1A1r1i1d3a1.3a1f5.1c1b13a1b1c1d1e1h1j1l1m1n1p2q1p1n1m1j1g1i1h1l1i1t1v1z1A1u1p4o1n1k1j1g1d1c1g1k1p1t1v1t1q1o1k1j1k1m2v1u1t2p1s1v1x2z1y1z1A1C1M1N1P2Q1S1O1H2G1E1D1F2G1J2K1J1H1G2F1E2D6C2A1y1x1u4t2s1q1p1o1n3k3m3n2o1n2o1p1q1r1q2r2o1p1q3s1x1B1z3y1z1B1y2A1G1F1C1z1A1B1z1w1v1u1t1v1t1v1w1u2v1w1x1z1A1B1C1D1E1O2P1L1Q1S9T2S2O2L1G1F1z1s1p1n1o1q1r2s1r1p1g1f1p1t1w1v1s1l1j1n1x1H2J1I1B1A2F1K1L4M1L1M1P1S1T2R1P1N1K1L2O1P1O1N1O2P1N1L1K2F1D1C1A1y1u1n1g1c1d1b1c1f1e2c2e2j1p1q1r1q1p1r1v1z1E1H1G1H1J2L1N1O1M3L1K1J1H1G1H3I1H1F1E7C1D1C4B2C4B1A1z2B3A2x1z1A1y1x1w1x1z1A2z1A4C1E1G1F1E1F1H2J1F1D2E1H1J1K2L1K3L1J1I1F3E5C2z2y3x1y1x6w1v1t1r2s1t2s3r3s1y1D1E1G1E2D3C8D2E1G1H1J1K3F1G1F1C1B1C1F1H1J2K1n1g1d2c3b7a2c1m1r1M1O2Q2R1S5T',
+  '23T4S1Q1O1N4L2M2L1K1J1H7G1F1D1C1z1y1z1B1E1I1G1E7D4C1B1A1y1w1v1t1s1r1p1o3q1r2s1t1u1w1x1y1B2C1E1F1I1H3E1D1C1B1z1x1w8v1u2t2s1r1q2p1q1r2t2v2w7x1w1y1z1A1C3D3E3F1G1I1J10K2L1O1R3S1T1S1T1S1P1O2P1Q1S7T1S1R1O1N2L2K1J1I1H2F1E3D1B1y1n1l1j1g1d1.3a1e5.2c15a2b1d1g1i1k1m2o1n1k1g1f1c1d1f1k1o1t1C1E1F1E1z1v1u3v1s1m1o1m1k1g1c1f1l1n1m1h1e1c2a1b1c1n2u1s1p1q1t1w1z1C1D1E1F1H1J1O1P2R1S1R1O1J1G1E2C1F2G1J2K1J2H1G1F1E2D6C1B1A1y1x1u2t1u2t1s1r1p4n2k2m6n1o1p1r1u1t1m1l1n1o1m1q1t1v1t1v1A3z1x1y1z1A2D1F2H1F1D2C1A2y1x1w1u2v1w1v2u1v1w1y1C1E1C1E1I1P1Q1N1K2S9T1S1Q2P1M1L1H1E1x1q1o1n1p1r1t3u1v1t1v1z1A1C1B1v1o1l1m1u1D1G1H1y1p1r1B1E1K2M3N1M1N1Q2S2R1O1N1M1N4P3Q1P1N1L1J1G1F2D1A1z1v1p1k1g1h1j1i1f1e2d1f1g1j1k1m1p1u1x2w1v1u1w1z1H1K1I2L1O1P1N4L1K1J2I2K2J1G1F3D5C1B2A2B5C2B1A1B1C1B1A1B6y2x1z1B1A1z1B2C2D1G1F1E1F1E1G2I1F3E1I1K1J2L2K1L2K1J1H3F1E1D3C3A1B1y2x1z1y4x1w2v1t3r1s8r1v1A1B1I1F3D1C8D1E2F1G1H2J1E1A1C1K1G2D1F1I3K1D1h1g2d1c9b1c1j1o1B1A1P1Q2R3S5T',
+  '21T6S1Q2P2O2M2L2K1H1F1G3H4G1D1B1A1y2x1w1x1y1z2A2B1A4z1A1B1A1z1x2w1v1u1t2s1r1p3n1o1p1q2r1s2t2u1x1w1x1y1A3B1z1y1w1v1u1v1u5t1s1q2p1o1q2r2q1r1s1v5w6x1y1z1A2C4D2F3G1F1H1J4K1J2I1J1K2L1M1O1Q3S3T2S1M1L1N1O1Q1S7T4S1P1O2M1L1J1H1F1E2D1C2D1E1z1u1g2b6a6.1q1n1b1c7b9a1b1c1g1k1o1u1z1A1y1A2J1A1B1F1G1E3B1C1E1C2A1w1v3u1v1s1o1m1j1d1b5a1b1g1t1w1I1J1M1O1Q6T1U1T1U1T1S1Q1N1K1I1F1D1E1K1N1M1I1F4K2J1G2D8C1B1A1w2v2u1v1t1s1r2p2o1p1o1p1o4l1n1s1v1x1r1k1e1l1p1v1u1w1u1t1u1y1A1y1z1B2D2E1M1N1L4M1L1H3D2C3A1C1B1C3D1F1K1H1D1I1P1Q1P1O13T4S1P1N1D1y1v2s1t1u1v1w1y1z2A2C1E1F2H1I1K1M1L1y1q1n1l1k1p1x1I1L1Q3R1Q2P1Q1P1O1N3O1N5O1N1M1L2M1L1K1J1F1E1D1C1A1z1v1s1q1p1n1k1g3e2f1h1k1l1n1p1u1x1A1C1D1E1F1H1N1O2M4N2M4L6K2J2H1E4C1D1B1A1B1A1z1A1B5C2D5C1B2A1D6C1D1E1G1I1J2K2I2F2I1H1I1J1I1J1K1L1K1L1M1N1O1N1O2M1L2K1J1H1G1F2E3D1C1B1z1A1C1B1A2z1x2v1w1v1u1t1r4q1r1q3o1s2w2F4C3B2C4D4E2D1z1w1D1P1M3K2L1M1F1u1h1g1d6c1d1h1m1n1D1O1S15T',
+  '21T6S1R3P1O2M2L2J1H1G1H2I1H2G1H1E1D2A1y2x1w2x3y2z4x1y1z1B1A1y1x1w2v1u1t2s1r1p2n2o1p1q3r4s1v3w1y1z1B1A1x1v2u1v1w1u2t3s1r4o1p3r1s2t5w1x4y2x1y1z1A4C2D1F2G1H2G1I1J4K1J2H1J1K2L1M1O1R2S5T1S1M1L1O1P1R1S6T4S1N1Q1P1N1M1L1K1I1G1E1D2C3D1C1D1q1j1i1g1h1f3a6.1a1k1b1d1e1f1g1j2m1l1k1h1f1d1i1g1c1b1c1f1j1n1s1w1y1B1C1B1C1J1K1D1C2E1D1B1C1F2G1F1E1C2y4v1t3s1r1m1j1i1h1l2a1b1h1o1I1M1Q1R1S1T9U1S1Q1N1I1F1D2C1K1Q1P2H1L1M2O2M1I1E1D2C4D2C1B1A1w1v1u1t2v1u2s1r1q2o1p1q1p1o1m1n1m1j1n1t1w1v1r1o1m1n1l2w1t1u3t1v1y1A1D1G2H1J2P4N1M1L1H1E1F1E4C1E2F1G1D1E1F1J1K2G1N2Q1R1P13T1S1T2S1P1M1A1y1v2t1u1v1w1y1A1B2C2D1F1G2I1K1M1P1Q1L1D1y1v1u1z1B1K1M4S1R3O1N1L1K3O2N2O1N1M1K2H2J2I1H1F1E1D1C2A1y1v1u1r1n1k1i2h2g1f1i1j1l2n1r1w1A1D1G1I1K1M1N2O1N1O3N1M5L2K1J3K1J1K2J1G2D3C1A1y1z1B2z1B3C5D5C2B6C1D1E1G1J5K1J1G1I2J1I1J3K4L1M3O1N2M1L2K1L1J1I1G2F1E3D1C1B3C2B1A1y2w2x1v1u1s5r1p2n1o1q1t1v2D2C1B1A2z1A3C3D1E3D2C1v1x1I1P1M1K2L2M1L1B1u1o1m1e4c1d1e1i1p1x1B1P1Q16T',
+  '19T1Q1R4S2R2Q3P1M1L1K1J2I2H1I1J1I1G1E1C1B4z5x4w2v2s2t2s2u1x1y1x2w1u1t1s1r1p1o2n1o2p1q2r2s3t1v3w1x1z1C1D1F1E1A1x1w1x1A1D1C1z1y1u1s2q2p1q1r2s1t2v4w2x2z1A1B1A5z1B2C2E1G2H1J9K1G1E1K1L3M1N1Q23T1S1O1S1R3O1P1M1K1J1I1H1G1F3D1E1F1D1z1t1o1k1e9a1h1q1r1u1y1B1D1F1K1M2N1K1E2D1H1G1F1E1C1z1v1s1v1A1B1E1D2E4C1B4z3B1A6w1v1u1s1r1t1v2w1v1s1o1k1l1o2t1u3v1y1A1C1D1C1D1C1F2N2U1R1M1G3D1H1O1Q1S1P2K1O1R1S1R1O1K1H3F3G1E1D2B1A1B1A1B1A1x1w1v1u1t5s1w1t1C1A1x1w1z2B1z1x1w1u2t2s2u1v1x1C1K5N1S2T1S2R1P1O1N3L1J1H1J1L1K1F1H1K1J1I1J1L2M1N1P1R3S2T1U16T1R1N1D1E1D1B1D1F1H2K1J1I1K3L2M2P1Q1S13T1R1N1I1H3J1K1M2P2O2N2M1L1I1A1t1q1r1w1A1B4E1B1D1C1B1y1u1r1p1q2r1o1n2j1m2n1o1q1t1z1F1J1M1K1I1J2P3O2N1M2L2K1I2G2E1F1G1I1H2J1I1G1E2C2D1C1B1D1C8D2E3D2C1B1A1C1D2E2F1G1I8K1J3L1K1L2M4L2M1N2O2N5M1L1K1J1I1H1G1F1E4D4C1D1C1A2z1A1z1y4t1s1r1q2o1n1o1p1s1x1A2B1z1y1x1w1x1y1z1A1B2C2D4C1y1E1L2I3K1M1O1N1S1R1y1r1m1l1n1q1t1x1F1O1R2T2U2T2S12T',
+  '19T1Q1P1Q1R2S1R2Q3P1O1M1L2J1I3H2I1H1F1C1A1z1y3z5x2w2v2u4s1q1p2q1s1w1z1y1w1u1s2r1o2n1o2p1q2r2s1t3u2w2x1y1z2C1D2E1D2E2F1E1B1A2z1w1u1s2r3s1u1v5w1x1y1z1A1B1C7B1C1D1E1F2H1I6K4J1I1J1M1L3M1N1Q25T1S1T1P1O1P1Q1N1L2K1J1I1H4D1E1F1D1C1x1r1l1f1d2e1f1d1c1b1c1m2v1x1A1C1D1F1I1K1L1K1F2E1D3F1G1F1D1y1t1w1B1C4D2C3B1A2x1A2C1B1A1w1v4w1v1t1r1q1s1t1u2w3v1u1v1w2s1t1u1w1x4w1t1p1n1v1F2U1S1Q1J3D1H1N1P2S2L1P1R2S1O1L1J3H3I1G1F1E4C1B1z1x3w1u1t1v1u1z1A1z1y2A2z1B2C1A1x2w2u1t1u1D2F1I1N3Q3P4T2S2P1N2L1M2L1M1N2I1K1J1H1K1M1N1O1P2Q1R2S20T2S1K1H1G1F1H1J1K3M2N2O1N2O2Q2S13T1Q1M2J1I1H1J1L1M2Q1P3O2M1L1H1y1r1o1p1u1x1z1C2E1F2E1D1B1x1t1r1q3r2q1n1m2n2o1r1t1y1E1K4N2P3O2N1M2L1K1J1G2E2D1E1F1I1G3I1G1E3D3C1D2C1D1C4D1E5D2C1B1A1D1E3G1H1I9K4L1K1L1M3L3M1N2O1N1O1N6M1L1K1J1I2G1F1E2D3C3D1C1B1A1z1A1x1z1t2u1t2s1r1p1o2p1o1q1u1z1C1B1z1y1x1w2x2y1A1B4C2B1D1E1F2G1I2J1K1M1N1P1T1S1A2x1y1A1D1G1J1M1R1S2T1U3T2S12T',
+  '12T3S2T2S1Q1P1O1N1O1Q5P1N1L1K1J2I2G1F3E1D1C1A1y8x1w2v1u2t2s2r1q1p1o1n2o1p1r1t1u1v1w1v1u1t1r1q2p1q2r2s1t1u1v2w3x2y1z1A3C3D1E1F1I1J3K2J2K1J1H1E1D1C2z1A1B2A2y2z2B1D1E3F2E2D2E1H1I1J3K2L1K5J1K1M1N4Q2P1R1S20T4S1R1S2P3O1N3M2L1J1I2E3D4C1z1v1r1o1d2c1f1x2B2A2C3D2E1D4B1C2z1A1C3F2G1F1D1G2I1H1G2C1A3y1A1B2A1y1w1y1A1B1z1x1w1u1r1q2r1t2v1x1w1x1w1u2t2u1v2w1v1u1t2s1o1l1m1r1G1M1Q1T1R1L4J1K1O1Q1O1N1Q1R1P1O1M4K1L1J1I1H2K1F1E2B2A1y1w1v1u1t1u1v1x1v1w1x1B1z2A1B2D1E1G1H1F1E1D1C1E2J2L1M1P1R6T1U3T2S2R1P1O1P2Q1P1O1M1N2L1N3Q1S31T6S3R2S23T1S1Q1L1J1N1P1Q1R1S1Q1P2O2M1J1E1v1o1l1h1g1f1e1g1j1m1n2p1o1l1i1j1m1p1q2r2o2n1m1l1i1j1l1n1t1A1G1K1L2M5N1O2N1M1L1J1G1E6D2E1G1H2I1F2D1E1D1C1E1D1C3D1E1F2G2F2E4D1E1F1G1J4K14L6M3N5O5N1O2N3M1L1K2J2F6E1D2C1B1C1B1C4w2v1u1s4r1p1r1t1y1x1w1x3w2x2w1x2y2z1y1N1L1u1x3B1C1D1F1L2Q2T5S12T2S12T',
+  '12T1S1R1S2T2S1Q1P1O1M1O4P2O1M1L2J1I1H1G2F3E1D1C1A1y7x2w1v2u2t2s2r2p2n1o1p1q1s1t1u1v3w1v1t1r1q1p1q2r1s1t2u1v1w3x3y2A3C3D1E1F1H2J2K1J4K1I1G1F1E1C1D2E2D4A1B1C1D1E1F1G1F2E2D1E1F2I4K2L7K1M1N2Q1R1Q1P1Q1R1S20T6S1Q1P2N2O4M2L1K2G2E1D1C2B1C1A1x1v1u1m1j1h1j1y4B3C5D2B2A1B3A1C2E1G1H1I1H1E1F2H2G1E1D1B3y1z1A2z1y1w1x1z1A1y1x1w1u1s1p1q1r1t2v2x2w1u1t2u1v3w1v1u3t1q1o1m1p1C1G1N1T1R1N1L1K2J1K1O2P1O1P1R2P1M2K2J1K1J1I1G2J2E2B1A1z1x1v2u2t1u1v1w1x1y1B1z2A1B1D1E1F1G1H1G3E1F2J1M2O1Q1S10T2S2R1Q1P4Q1P1O1P1L1M1P3Q1R31T2S2T7S23T1S1Q1N1L1P1Q1R2S1Q1P2O2M1J1D1v1p1k1h2g1f1h1i1k3l1k2i1k1o1q1r2q1o1n2m1l1k2i1k1m1r1x1E1I1K1L1M8N1M1L1J1H1F2E6D2G2H1E1D1E1F2E1F2E3D1E1F4G1F1E4D1F1G1I1J4K13L6M4N5O4N3O2N2M2L1K1J2G1F1E1F3E2D1C1B3C1x3w2v1u4s1r1p1r1s2x5w1x3w3x2y1z1O1K1u1w1A1C2B1C1E1K2Q2T1S1R2S13T2S12T',
+  '2R2T3S3T2S1R2P4R1P1O1N1M1N4O1N1M2K2I1H1G2F1E2D2C1B1z2x1w2x3w1v2u1t2s3r1q1p4o2q1r1s1t1u1v1w1x2y1x1w1v5u2v2w1x2y4z2B3C4D1E1G2I7K3J1I1H1J2L1N1M2H2G2H1I3J2I1G2F1G1H1J1K3L1K3L1M5L1N1O1P1Q6R1S5T1S1Q1S12T1S1R1S1R1S1R1Q1O1N6P3O1K1J1H1G1E5C1A2z1x1v1t1s1z3B3C3B2C1A1y1A3y1z1A2B1C1E1H2I1H1E2D1E1D1E2C1A1x1w5v1u1s1t1v3w2v1t1q1r2s1u1v1t1u2v4u1w2x2w1v3u1t1s1n1m1v1y1D1L1Q1R1P1M1K2J1M1N1P2O1Q2P1O1M1K4H1I1G1H1G2E2C1B1z1x2v1w1u2t1v1w1x1y2z1A1B1C1D3E1F3G1I1J1K1L1P4R1S9T9S3R1Q1P1Q2S2R1S35T3S1T1S26T1S1R1Q1R3S1R2P2O1N1M1K1G1z1u2s1t1u1v1w1v1r5p1q1r1t1u1t1q1p2m3k1i3h1j1l1p1t1x1B1E1G2L2M4N2M1L1K1I2H1F1E4D5E1D1F3I3H1F1E2F2G2H2I1H4G1I3J4K11L6M5N14O3N2M2L2J1I2H3G1F2D1B1C1E1C1A1z2x2w1v1u1t1s2t1r1p1q1v1w3v1u1w1x7w1y1C1P1H1s1u1y2B1A1B1E1J1N1O2T1S1R15T2S11T1R',
+  '1O1P2T5S1T2S1Q1O1N1P2Q1P1O1N1M1L1M3N1M1L1K1J1I2H1G1F2E2D1C1B1A1z1x6w2v1u1t2s2r2q1p2o1n1o1p1q2r2s1t1u1v1w1x2y1z3A2z4y3x2z4A2B7D1E1F1H1I12K1L2O2S2O4M1N3O1N1M1L1K3J1L2M2L1K3L4M2N1P1Q2P4S1R1P1Q4T1S1R1O1R13T1S4R1Q4P1Q2R2Q1O1N1M1L1K1I1F1D3C1B1A1y1x1z1A3x1z3A3B1z1y1z1A1z1x1B1y2w1y1A3C1E1H1G1F1E2D2B1C1B2z1x1w1u1t4s1r2p1s2t1u2v1u1s1r2s2t1p1q1t2u1s1u1v1x1A1z2w1v1w2v1t1s1p1k1s1u1w1C1O1U1R1N1K1J1K2L1N2O1P1O2P1N1L2I1H1I2K2F1G1H1G1H1G1E1C1z2A1w2v2x2z1A1B3D1E2D1E1G1I1J1K2N2O3Q1P1O1P1R16T3S2R2S2T1S38T1S35T2R4O2N1M1J1F2D1F1I1L1N1P1N1D1A3z3A1z1y1u1q1p1l1j1g1h1i1h2f1g3h1j1m1s1w1y1H1I1L10M1L1K1I1H7E3D1G2K2J2I2G4H1I1J2K5J2K4J4K1L4M2L8M6N16O2N1M3L1K4J1I1G2E2D1F2D1C1z1y1x3w1u1t1u1v1u2p1s1v4t1u2x2v2w2v1y1C1P1G1s1t1w1A2z1C1G1J1L1M4S15T2S3T1S7T1P',
+  '1N1O1R1S2Q2P1R1T1S1Q1P3O1P1O1N1M2L2K1L1M1L1K1J1I2H2G2F3D1C1B1A1z1x7w2u1t2s2r1q1p2o2n1o1p2r4s1t1v1w2x2y2z1A7B2A3B2C2B2C7E1F1G1H1I3K9L1M1O1P2S2R2Q2P4Q5P3O1P1O1N1M2L2M1N3M1O1P2R2Q2S2R1N1I1M2R1Q1R1S1R2S14T3S3R1Q2P1Q1R3Q1O3N1M1L1I1F1E1D1C1B1z3y1z1y2x2w1x1y1z1A1B1y3x2z2A1y1x1z1A1B2C1D1E1D2C2B1z1y2x2z1y1w1u2s1r1q1p3o1s5u1s4r1s1r2m1p1q1r1p1t1u1w1y1x1w5u2s1o1i1n1p1s1z1M1U1Q1M1I1G1I2K4J1I1H2I1F1E1F1G1H2I1F1G2H1G1I2J1H1F2H3E1F1G3F1G2H1I1J3I1L1N1O1P7R1Q2P1Q1R15T7S77T2R2Q2P2O1N1L3J1K1M1N3O1I1F3E2F1E1B1w1q1l1k1h1e1d1e1f3e1f4g1i1l1o1q1x1B1H1J9M2L2K4I2H2G2F1H4J1I1J2G1I1H1I1J4K11J4K9L7M7N16O2N3M1L1K2L1K1J1H1G1E1D1F2E1D2B1z1y2x1w2v1w1v1s2r1u1t4s1u1w5v1u1v1x1J1I2x1y3B1D1H1J2K3P1Q2R1S16T3S4T2S1P',
+  '1N1O2Q1P1O2M1P1S1R1P1O2N2M1L1K3J1I2J2K1I1H1G4F2E2D2C1A1y1x1w3v2w2v1t2s4r1q1o2n2o1q1r6s1u1w2x1y3z1A2B6C2D3E6D4G1F1E1F1G1H1I1J2K3L2M3L2M1O2P1R1S6T3S6R2S2R1Q1P1O2N3O1N2M1P1Q2S1R3S1R1Q1K1G1L1P1O2N1R1S19T3S6R1Q1R1P2O2N2J1I1H1F1D1B1A1z1A3z1A1y1w1u1v1w1z1A1B1z3x2y1z1C1B1y2z1A2B2C2B1A1z1y1v1t1u1w2A1z1y1v1t1s1q1n1k1j1m1q1w2x1w1v1t1r1p1q2r2q1l2k1m1n1p2r1u3v1t1r1s1t1s1r1q1l1g1k1n1r1z1M1T1P1K1G2E1I1H1F1E1D1E2C1D1E1B1A1C5E1F1G1F1D1F1H2K1L2M3N1O1N1L2K1M2N1O5P1Q1S1R6T3S3R1S20T1S77T2S2R1Q2P1O1N1M3L1M3O1N1M1H2G2F2G1F1A1s1k2f1d5c2e1f3g2f1h1i1j1p1t1E1F1L8M2L2K2L2K3J1I2H2I2J1K2I2F2I1J1K3L2K3J1K6J4K5L2M2L11M6N17O1N4M2L2J1F1D1E2F1E1D2C1B2z1x4w1u1t1s1t1s3r1q1r1u1v4u1t1s1t1A2F1D1B1C3D1G3I2L1N1O2P1R14T3S1R3S1T2S1R1P',
+  '1O1P2Q2O1M1L1N1P1O1M3L1K1J2H5G1H2J1H2F2D2E2D3C1B1z1x1w1v3u1v1w1v1u1s2r5q4p1q2r1s1t2s1t1u1w1y2z3A2B8C1D1E1F6G2F2H5I3J1K1L2M1N6O3P2Q2S10T7S2R4Q3R1Q1P2O1R1S2T5S1Q1N1L1O1Q1P2O1R1S10T3S6T2S1Q2P1R1T4S2P1O1M1J1H1I1J1I1G1E1D1C2A1z3y1x1v1u1v1w1z1A2B2A2B1A3z4y4z1y2x1w1v1t1s1v1y3B1C1A1x1v1u1r1q1r1u1z1E1D1z1x1u1p1m1k1n4q1m1j2i1n2q3r1s2t2r1s1q1l1k2j1q1r1x1I1P1R1L1G1F1E1F1H1F1A1y2B1A1B1C1E2D1E1G1H1I1H1G1H1K1J1K1L1N3P2Q4R1Q1P1O1P4R1S4R1S1T1S10T2S19T1S1T1S75T2S3R1Q2P2O1N1M1L1K1L3N1M2L2H2E1F1G1F1D1w1p1k2g2e2d1e1g4i1h1g4f1g1j1m1x1C1J1K1L4M2L2K2J3K6J1I3J2K1I1H1F1G1I2J2K1L4K3J1I1J4I2J4K18L6M3N13O2N4M2L2K1H1F2E1I1H1F1E1D1C1B1A1z1y1x2w1v2u1t1r1s1r3p1s1v1u3t3s1u1v2z4B1D1E2F1E2I1L1N1M1N1O1Q2R3S8T2S1R2Q4R1Q1P1O',
+  '2N2P1M2N1M2L1K1J1I2H1I1G7E1F1H1I1G2F3C1D3C2B1A1y1w1v4u3v1u1r1q1p2o1p2q4r3s1t4u1w1z7B4C5D1E1F1H6J1G1F1H1I2J1L1N2O1M2L1N1O1P1Q7R3Q1R2S17T1S1R2Q1R1S4T1S2R1S7T1S1R1Q1O1Q3R1Q11T1S3R2S5T1S2Q1R1S1T4S1Q1P1N1L1I1K2J1I1H1G2F1D1C1z1y3w2u1v1x1z1A1B1C4D1C1A1x1y3z2y1x1w1v1u3t1s1q1t1y1x2z1B1E1C2w1y1A1C1D1K2L1I1y1v1q1j2g1m2q2p1l1j2g1p1q1t1r1o1m1p2s3r1q1g1e1k1p1v1y1G1R1Q1M1G1D1E1F1G1F1D1x1w1z1y2A1C1D1E1F1H1I1K1L1M1L1M1P1O4S9T3S1T2S35T1S3T2S77T2S2R1Q3P1O1N2M2L1M1N2M1L2K2H1E1D1E1G1E1B1v1q1n2k3i1j1k1l2m1l1k1i2g2f2e1f1h1r1x1G1H1J1K2L2K3J1I9J2K2J3K2H1G1H1I2J4K5J8I5J16K7L3M6N7O3N4M2L2K1J1H2E1K1J1I1H1F1D2C2B1y1x3w1v1u1t1s1q3o1q2t3s4r2q1s1w1z1y1z1A1B2C1B1E1C1H1L1I1J1L2N1O1P2R2S6T2S1R2P2Q3P1N1M',
+  '1L1K2L2I1J1K1J1I1G1F1E1D1E1F1E3D5C1D4E3C1B2A4z1w1u2t2s2t1u1t1s2p2o1p1q1r1s3t2s2t2v2w1x1z1B8C1D1E2D1E3F1G1I1J6K1F1D1E1F1H1K1M1P2R1Q2P1Q2R9S3R2S19T4S5T2S9T4S1T3S8T1S2R1Q3P3Q2R11S1R1Q1O1M1L1K2J2I1H3G1F1E1C1A1y1x1w1u2v1x1y1z1A3B2C1D1E1C1D1B1C1z1w1u1s1r1q1o2m1n1p1q1s1t2s1r1s1v1r1k2j1k1m1o1s3u1w1v1t3q1s1t1p1m2l1m1p1r1v2u1t1p1n1q1s1t1u1v1w1v1q1o1t1x1F1I1M1O1M1J1G1F3G1F1D1C3B2E1F1H1I3J1L1N1O2P1R1Q2T5S36T6S5T1S79T1S5R1Q2P2O3N1M2L2M3L2J1H1F1D2E1G1E1C1y1v1t1s1r2p1q2r2q1p1o1m1j3h3g1i1l1t1w2E1F1H4I9H5I6J2I1H5I1J1K6J2I7H3I3J3K12J5K4L4M9N3M5L3K1J1I2F1I1H1G1F1E2D2C1B1A1z1y2x2w1v1u1s1p1o1n1o1q1s2t4r1q3p1s2v1u1v3w1x1z1x1A1B1E1G1I1K1L2M1N3O5S1R3O2N5O2L',
+  '1K1J1H1I1F2E1G1H1G1D4C1D1E3C2B5A1B1C1D1C2B1A1x1y4x1v1t7s1r1q4o1q2s1t1u1v1u2t1u1v1w1v2x1z1B7C2D1E1F2E1F2H1I1J8K1F3D1G1K1M1P1S4T2S10T5S54T1S1R1P3O4N1O1P1Q12R1P1N2L2J1I2H4G2F1E1D1A1y1w1u1v2w1x1y1z1A2z2B1E1G1I1H1E1D1y1t1q1o1n1m1k1h1g1j1n1r1q1o1p1n2l1n1j1b5a1b1d1f1i2x1y1z1B1A1z1w1o1i1h1n1o1A1D2z2u1s1q1r1s1v1w1y1B1A1z1y1D1H1Q1P1N1K1J1I1J4I1G2F2D1F1H1I1J1K1M1N1L1K1M1O1P1Q1R1S1R2T3S1R1S36T2S3R3S3T1S79T1R6Q2P2O2N2M4L3K1J1I1G1E1D2E1F1E1D1B1y3x2u1v1w1v1u1s1r1q1n1l1j3i2h1k1o1v1x1C1B1C1E1F6G2F6G3H6I2J2I4H1I2J8I2H5G2H2I4J15I2J4K2L7M2N3M3L4K3J2I2G1H1F2E4D2C2B1A1y3x1w1v1t1q1o1n1o1p1r1t1u3r1q1p1n1o1p1r1u1s1q1r1s2t1u2v2u1C1F1H1J1K1L3K2L2R3S1Q1J1K3L1M1N2O1M1K1L',
+  '1K1J1G1F1E1D1E2F1E1D3B1C6B1A2y1x1y4z2y1A1B2y3x1w1t8r2q2n1o1q1r2s1t1u2v2u4w1y1z1B8C2D1E2D1F1H2J2K2L6K2I2H1J1L1M1O1R4T2S11T1S1T2S54T1S1Q1O5N2M1N1O1P2Q5R5Q1P1N1M1L2K1J3H1G4F2E1A1B1A1y1w1v2w1x3y1B1C1G2I1E1z1u1s1o1h1d2a1d1g1h1g1e1d1g1n1o1t4q1l1c7a1b1c1k1o1r1u1w3y1r1l1n1u1w1E1z1x1u1t1s1t1u1w1y1A1C1E2F1H1G1H1G1J2K1L2M2N1M1K1J1H1G2F1H1I1M1N1P1Q2P1N1L1N1Q3R5T2S2R36T1S1Q2P1Q1R2S82T1S1P1N2P2Q1P2Q1O1N2M5L4K2I2F3E1F1E1D1C1A1z2A1x4w1v2s1q1o1m3j2i1l2n1r1s1z1A1B1C1D8E8F1G4H2I2J2I1H1F1G1H1I1J8I3H4F2G1H8I9H4I3J3K5L8M3L2K5J3I1G1F2G3E3D3C1B1A2x2y2w1v1s1q2o1q1r1s1t2r1q1p2o2n1o1r1q1o1p3q1s1r1s1t1v1x1y1B1F1I1L1K1I1H2J3Q1P2R1L2K1L1M2N1L2J1N1M',
+  '1J1I1E1D3C1D2C1A1x1w1v1w2x1w1v1s2t2u3t1v3w1v1r1s1v1w2v2u1s8r1q1p1o1q1r4s1t1v4x2w2x2B1C1D2F1E4D1G1F2G1H1J1K6L4K4L2M1P1Q1R15T1S54T5S3R1P3O1N2M1L1K2L2N8O2N1M1N1M3K2J1I1H1G1F2E2D2C1z1A1z1y1x1y3z2A1z1v1s1o1h1d1b2a2b1c1f1i1h1c1b1d1f1l1p6u2t1p1j1e1c3b3c1d1k1p1u1x1v1u1s1v1C1F1E1y1E1z1E1D1C1D1E1F4G1H3I1K1M1L2K1L1K1J2K2J1L4N1Q1P1Q3P2Q2R2S3T1R1Q1P1N2S3T2S34T2S3R1Q2R4S56T8S15T1S1R1Q1P1O4N1O1N1L1M3K2J6I1H1G2F2E4D7C1y1x2w2s1p1m1k3j1l1m1n1r1s5x1y1z1A1B10C3B3C1D1E1F2G5I1H3I3H4G1F3E4D3E12F5E3F2G2H6I2J9K1J3I2H1G1F5E2D2F4E2D5C1B1A1B1C1z2x1w1u2r4s2q1p1o2m2l1k1l1m5n1o1n1m2q1o3p1r1t1w1z1B2D1K1L1J1H3E1D1E1G2H1G1F1E2C1G',
+  '2G2D3C1D1C1B1y1w1v2u1v1w1v1u1s1r2s1t1s1r1q1r1t1u2w1t1r1q1t1u1t10r5q1r4s1t1v1y2z1y2x1y1x3C2D3E3D1G3I1J2K6L4K4L1M1N1P1R1S15T1S54T1S1R2Q3R1Q1P2O1N1M2L2K2L2M2N4O2N1M2L1P1N5I1H1G1F3E2D1C1B1z2y2x2y1A1D1B1t1m1g1d1c2a1c1a1c1i1g1c2b2a1c1h1l2q1t7u1s1q1o1m1l1k1h1g1e1i1m1t2v1w2u1y1B1E2H1J1L1I1G1E1F1G1H1I4J1K1L2M1N1O1M1N3M2L1M3N2O1P1Q2R1S1R1Q1R2S2R2S3T2S2R2S3T1S34T3S2R1S2R4S57T2S5R1S15T1S1R1Q1P1O3M1N1O1N1M1L2K1J5I3H2G1F2E5D3C2B1C1B2y2x1u1t1q1n1m2j1k1l2n1q1r4w3x1y1B8C1B5A1B2C1D1E2F7H1I2H3G2F2E6C4D6E2D6E1D4E3F3G4H2I2J6K2J3I1H2G1E2D2C4D1F1E1D2E3D6C2B1C1z2x1w1v1t1s1r1s1t1u1r1q1o2m1l2j1l1m1n1o2n2o1p1m1n1q1t3o1n2m1p1t1u2w1J1L1G2F4D4E2D2C1E',
+  '2A1x5A1y1w1v1u1t2s1r3s2r1p1n1o2p1o1n1p1r1v1u2r2s1q3p7r2q5r4s1t1u2w2B1z1A7D1E1H1J1I1H1G1F1H5K1L1M1N2O1M4L2K1L1M2Q1S51T1S14T2S4R2P1N1O1P3Q1P1O2N1M2L4K4L3M1L1J4H1M1I4F1E2D2C4B1A1z2x1v1u2r2s1l1c2b4a1h1c1b1e1d1c2a1c1b2a1b1c1g1i1p1q1r1s6u2w2v1t1w3y1z1x1A1D1F2H1J1N2O1N3O4M1N2O1P1O2M3N1O2Q1R1S2R1S1T1S1Q1R3S1T1Q1S41T4S1T1S2T1S24T1S2R40T7S1R1Q1P1O1L1K2J1L1N1P2R1S11R2Q1P1O1N1M1L4K2I1H4G4F2E2D3C10B2A2z2y2x1w1v1u1t1r1q3o1p1r1u3w2x1y1z1A4B2z2y4v1u1t1r2q1s3u1p1n1q1r1u1x2y1z3B1A2y1x1w2x1y4A3z2y1x2w2v2w2y1z5A1B2C2D6E1F3G3H6G3F1E1D1C1B1A1y1x1w2x2y10C5B1x2y2x3w1u1t1s1t1u2s1o2n2m1n1o2n1o7p1q1p1q2o1n1m1n2o4n1q1v1w1B1C4B4C3B1A',
+  '4x2y2x1w2u1t1s2r3s2r1q1p6n2o1s1r1p1o4r2q7r1q4r4s2t1u3w1A1C2B6D1F1G1I2K2J2I1L5K1L1N1O1N1M4L2K1L1M2R1S51T1S14T2S1R3Q1P1O1N1O4Q1P1O1N1M3L4K8L1I1F3E2F1E1F2E1D2C3B1A2z1y3x1v1t1q1o1j1e1c1b1a1c1d1c1b1c1d13a1b1d1k1l2n1t1u3v1u1w2y1x1w1z1y1z1B1C1E1G1I1J1L2M1N1O1P1N1O6N1O2P1Q1P1O5P3Q3R1S1T7S1R1S41T1S2R3S2T3S22T1R2O40T2S3R3Q1P1O1N1K1J2G1J1M1O2Q1R10Q3P1O1N1M2L4J1H1G6F2E3D2C2B11A2z4y4x1w1v1u1s1q2p1s1t1x3w2x2y5A1y3x1u3t1s1r1o1l1k1l1n1p1o1j3h1l1q1t1w1y3A1y2v1u1v2w6y2x1w1v3u2t2u1w2x1y4z3A2B2C2D3E5F3E3F1E4D1C2B1z1x3w1x1y1z13B2A4y1x4w1u2t2s1t1r1p5n3o1p6q1s2r1p2q1p2o1n1m2k2n2p1z1A3x1A3C2B1A1y1x',
+  '1t1u1w1v2u1t2s4r2q4r2o3n1o1p1q5r1p1o1p1r2s1t1v1u3t1u2v1y1x1v1w1x2y1z2A1C2E2F1E3D5C1D1E1G1H2I1H1I1K1L2K5L2M1N1M6L1M1N3S10T6S7T4S1T1S13T9S1R5S11R2Q4P2Q2R1Q1P1O1N2M5L9K1J1G2D1E1G1D1C1B1C2B2A2z1y1x1v2u1r1q2p1k1d3a1b3c1f1i1k1c5a1c2b4a1c2g1k1m1o1p1r1t1v1w1y1z1A1C1F2H2G2J1K1L4N2O1P4Q1O1P4Q1R4Q3R3Q2R9S44T2S1O1J1C1u2r1t2w1B1D2J1L1O1P3R1S10T2S2T5S1R23T1S1R3Q1R1S9R1Q1P1N4M2L2J1G1F2C1D1E1G1H1G1F1E2D2C1F1H1I1H1I2K2J1I1H2G1F2G1F1D1C3A2B1C1B1A1z2y1w3v5w2x4y21x5w4x2w1v1u2t1r1q1o1m1k2l1j1h1g1e1c1f2d1e1f1m1p1o1n1p1r2s1q2p2s1u2v1u2t1s2p1r1q1p1n4m1p1q2t1u1v5w3v3w5x1w2v1t1s2t3r1s1r1t1u1v1w1v2u2v6w7x8y5x5w1v2u2t2s1r1q2p2o1p3q10r4s1t1r1p2o1s1m1k1l1o2v1u1w1x1u3t3s',
+  '2s1u1v3s5r1q2p1q3r3q1p2o1q6r4q1s1t1v2x1w1v1u1w4x1y1z5C2D1E3F1E3D5C2D2E2G1F1G1J3K6L5M1J3L1M1N2R1S10T6S7T6S13T8S3R4S10R2Q1P2Q2P5Q1P1O1N2M5L8K1J1I1F2D1E1J1E2C2B2A2z1y1x1v1u1t1s1q1n1h1f1b23a1b1g1k1l1n1o1q1r1t1u1x1y1z1B1D1F1G3I1J2L2M5O2P4Q2P1O1P2Q2R3Q8R1S1R7S44T1S1R1K1B1u1p1o1n1o1q1s1w1A1F1G1I1M1O3Q1R1S1T3S5T3S2T2S2R2S22T1S1Q1N1M1O1Q8R2Q1P1O1M4L1K1J1G1F2D2B2z1C3B1z1w2v1z1E1C2D1F3G1F4E1D1E1F1E2C3y1z2A1z1y2x1w3u1t2u2v2w4x7w15x9w2v1t1s2r1p1o1l1k1h1d1c8a1b1d2j1i1h1i1m1o2n2o2r2s1t1s2r1q2n1o1n1m1k1j2k1l1n1p2s1t1u4v1u4t1u1v1w1u3t1s1q1o1n2m1n1o1j1k2m1n1q1r1s2r1s1t5u2v7w8x5w2v1u1v1w3v2t3s1r4q16r2s1t1s3r1s3n1o1u2v1w1v1t2s4r',
+  '3p1q2t1s3r3q2p1q3r1q2p3o1p2r2s3t3u1v1w1y1A1z3y1z1A5z1D2E2F6E2D7C4D4E1I3K8L4M1N1M1L1M1N2Q1R10S5R4S1T3S4R14S16R11Q1P1O1N1L1M1O1L2J1N1O1P1O1N1M6L8K1J1H1F3D1F1D1B1C1B1A2z2y1x1v1u1s1q1p1k1g2c4a1b19a1b1g1k1l2o2r1u1v2y1A1C1D1F1G2I2J2L2M1N4O10P6Q9R9S42T2S1P1K1C1w1r1o2n1p1s1u1z1B1H1J1L1N1O2P2Q2P1N2M1O1N1M3K1L1P3S1Q1P1O1R1S5T14S3R1Q1L1E1A1x1D1L3P5Q1P1O1N1M1L1J2I1G1F1E1D2z2w1v1u1w1x1w1v2u1s1q1u1w2u1w1y1z2y1z1A2B1A1C3D1B1A2x4w2x1w1v1u4s3t2u5v1u3v8w2v10u7t2r1o1n1l1j2i2e1d5a1b2c2a2c1e1g1h1e1f2l4k1m1l1n1o2p2n1m1k1j5i1h1k2l1n2p1q1r4s1r5q1r1t1r1q1r1o1m1k1i1h4g2d1f1e1f1h1j1i1h1o1r1s1r4q2r3s3t2u3v1u3v5u4t4u1t5s15r1s2r4s1t1s2r2s1q1r2q2u4v1t2s1t1s1r',
+  '2n2l3s3r1q3p2q1s3r1q1p2o1p1q1r1s2t1v1w4z2A1B10C2B2E1G1I1H1G1E6D6C2D3C3D1E1I1J8K2L2M1N2O3M1N2P2Q6R9Q3R1S3R4Q13R2Q2P15Q10P1O1M1J1K1M1G1D1E1K1M2O1N1M4L5K3J2K1J1G1E1D4C3B1z2y1x1w1v1u1s1p1k1i1b7a1c19a1b1g2k1o1p1r1s1u1v2z1B1C1E1F1G1H2I1J1K1L3M2N3O9P6Q5R2S2R9S38T4S1R1Q1L1D1w1r1p1n1o1p1q1v1x1C1E1K1N2O1N2M1N1L2J1E2C2D1C1A1z1A1C1I1Q2R1O2M1Q1R6S3R3Q5R2Q2P1O1N1E1w1r1n1v1F1L2N1O4P1O1N1M1L1K1H2E1C2B1z1w1v2s1q1n1p1t1r3o1m1j1l1j1g1j1l1n1o2p1s1v3w1A3B1z1y2w1v1t2s1t3u1s2q2p1q2r8s2t4u3v1u1t1r3p2q2p1q1r3p2q2p1o1m2k1f1d2b1a1b2a1b20a1e1c2d1c1d1e2g3e1d1c2b2c1d3a1c2g1h1i1j1m1n1m1l1k2l2k1j1c5a2c1b1a1b15a1e1h2i2k1j1k1l1n1o2p1q2s3r1s3r6q1r7s3r2s3r2q9r11s2u2v6u1v1w1v2u1v1u1r',
+  '1r1s1p1n1p1q1r3s5r10s1t1u2v1w1y1z1B1C1B1A2B13C2D1E2F1E5D8C2D3C3D1E1G1H4I1J3K1L4M2N3M1N2O3P2Q4P6O3P5Q6P5Q7P2O2M2O13P2O9P4O1K1H1I1L1M1N1M2L1K3L1K2J1I1H1G2H1J1K1I1G1E1D1C5B1A2x1w1u1t1r1o1k1g1c1b4a1b1a1c10a1d1c8a1b1d1i1l1m1p1q2s1u1w1y1z1A1C1D1E1F2H2I2J2K2L2M4N5O7P4Q10R11S26T4S3R2Q1R1Q1P1J1C1x1u1t1s1t2u1y1z1D1E1I1J1K1L1J3H1E1B1A1w1v1u1v1u1v2x1A1C1H1N2P1O2N1O1P7Q2P4O1P3O1N1M2L1K1I1z1q2m1v1E1H1K1L2N2O2N1L1K1I1G1D2A3w1u1s1r2o1m1j1k1n1l2g1i1h1b7a1c1j1m1p3r2v1t2u3t1s1r4q3r1p1o2m1n2o3n2o2p3q4r2q1o1l1i2f1g2h1i1f1g1i2j1k1l1m1k1i1g1f1e1d2c2b1c4b1c2a1.19a1e2d2c4b12a4b2c1d1e3a1b1c11a1b6a1b11a1b1d1e1d2c1d1e1f2g1i2j3i1k4i1h2i1j1k1m1n2o3p1q6r3q3p1o3p1q5r1s1r5s1t1v1w4v3w2v1w1x4w1v',
+  '2w1v1s1p1q1r2s7t1u2t1u5v1w1x3y1A1C2D1C3B15C9D8C2D2C6D3E2F1I3K1L5M1L3M1N5O1P2O2N4M4N4O1P14O2N1M3N1M1K1H1J1M1N15O4P2O7P1M5L7K2I1G1F2E2F1H1I1H1E1D1C1B2z4y2w1u1r1n1j1e1b7a1b3a6.4a1b7a1b1e1h1l2p1r1s2t1v1w2y1A2C1E1F1G3H2I2J3K4L2M3N3O7P4Q1R2Q6R12S5T1S7T4S5T3S3R2Q2O1P1Q1P1O1J1F1D1B1A1z1y2x1y1A2D2F1G1H1G1F1D1B1z1x1w1s3r1s1t1y1z1C1F1I1M1N1O2N1M4N6O1N6M2L2J2H1G1E1v1k1g1k1v2E1I1J2L2N1M1K1J1H1E1C1z1x1w1s1r1q1p1o1m2i1g1d1c1d1c17a1c1g1l1m1k1m1l1k2m1n2o1n1m1l1m1o1p1n1m1i1h2k1i3g1h1j1l1m2n1m1n1o1l1m2h1d1b6a1b13a1b12a4.8a3.9a1g1b6a1.24a4.19a2.13a3b3a1b2a1b2a1b2c1e3g1h1i1j1l1n6q4p1o1m1k1j1k2o1p1q1r1q6r1s1t1u2w1v3u1v10w1y',
+  '1w1x1z1w1s1t2u1v1x2w4v4w5x1y5A1B3C3B17C3D4E4D4C5D1E7D2E1G1J1K9L3M1N3M4N1M2L4K2L5M2N3M2N8M1L1K1J1K3L1K1I1J2M2N2O11N1M2L1K1M5N2O1N1M1L3K1J1I6H2G2E2D3E1F1E1D1C1B1z1y1x2w2u1s1r1n1i1e1c1b8a1b3a7.3a1b6a1b1d1h1l1o1q1r1s1t2u1w1x2z1A1B2C1D1E3F2G2H1I2J3K5L2M2N6O5P5Q7R9S2T7S4T11S2R2Q2P1N1L1M3O1M1L1K1J1I1F1B2z1x1A2D3F1G1F1E1C1y1w1u1t2q2r1t1v1z1A1D1G1I1K1L1M2L1K2J2L5M1L1K1J4I1J1H1G2E2C1A1w1o2f1n1w3C1D1F1E2I1F1C2A1z1x1u1s1r1n1l1i2h2g1f1e1c11a4.8a1c1i1j1g3e1g2h1g1f2e1f2g1e1c1b3c4b1c1d3e1d2f2c2b35a8.2a7.14a3.23a5.16a4.18a1b1g1e4a1f1d1b8c1e1i1l9o1n1l1k1h1o2m2p4o1p1q3r1s2w1v2u1t1u1v10w',
+  '1w1y1z1y1x1w1y1z1A1C2A1z1y1x1w1x1z2y4z2A1B1A2B2A2B1A1z1A1B17C2D1E6F2E8D4E5D2E1G1J1K1L2K3J2K2L2M2L4K1L4K3H1I1J2K1L3K2L2K4L6K1J1I1H1G1H1J5K1L2M3N9M2L2H2F1J2M3L3M2L2J1I1G1F4E2F2E2D8C1B1z1x2w1v1u2o1k1g1d10a1b1a13.1a1c6a1b1f1j1m1p2r1t1u1v2w1x2y1z2A1B2C3D2E2G3I3J5K2L3M5N4O4P4Q6R13S2R8S10R3Q2O1K2J1L1M2N3O1M1K1H1E1C1y1B1D1E2F3E1D1A1x1t1p1o2n1p1r1u1v2A1D1E1G1I1J1K1J2I2G1I1J2L1K1J2I1G1F5E2C1B1A1y1x1t1m1e1b1e1m1u1z1y2v2x1D1C1z1v1t2s1q1m1j1i1e1c1b14a15.51a87.3a25.13a2.1a1j1f4b1c1b4a1b1d1k1l6n3o1p1l1o1m1f1o1n1l2k1l1m1o1q1r2q1u1w1u3v1u1v9w1s',
+  '1w1x2w1v1w1x1y1B4C1B1A1y1z2B2A5B1C2B1C1A1z2B1z1y1z2A1B13C2D2E1F1G1H2I2H2F8E3F6E2F1H1I1J1K1J1I3G2H2J2K1H2G1F7G2E2F1G10H4J1I1H3G1F4E1F1G1H1I2J1K4L2M3L3K4L1K1G2F1G1I3K3L1K1J1G3F1E1D2C2B5C3B1A2z1y1x1z1B1y1w2v1u1q1n1g1e2b10a1b1g1a13.1a1c6a1b1f1j1m1o1q1r1s1t2u2v1w2x3y1z1A1B2C1D1E2G4H3I3J3K5L4M2N4O4P3Q22R3S1R1S2Q1P1O2N1M3K2L1K1I1H1G2F1H2J2K2L2K1H1F1D2z1A4B2A1z1y1v1r1n1m2j1o1p1s1u1x1y1z1A1B1C1F1G2F1E3D1E2H1F1D2C5B1A1z4x1s1r1l1d2b1c1g1l2p1o2n1q1t1r1p1m1k2j1h1g1c14a19.22a1e1c2b1c2b9a1b8a2.2a115.7a1.5a2.4a2b1a1b1a1b1c4b1d1h4l2m5n1o1n1h1o1n3l2m1o1q2r1s1t1v1u1v1u3w1v1u1v5w1v1q',
+  '2x1v1u3v1w1z2C1D3E2C2D1C1A1C1D1C2B2C2D1B1A2B2A2z1A1B5C10D1E1F1H1I1J2K2J1H2G16F2G1H1I2J1I1G1F4E1F1G2H6D2C3D2C1D3E2D3E3D1E2G2H1G1F2E1D1B2A2C2D1E2G1I1J5K2L1K5J1K3L3G1H5I2J1H1G1z1u1A1B2A2z3y2x1y3z2y2w1u1t1v1y1v1s1q1p1o1h1c1b14a1d1a11.10a1c1g1j1m1o2q1r1s2t2u2v3w1x1y1z1A1B1C1D1E5F2G3H3I1J5K4L3M3N3O3P6Q8R6Q9R1P1O1K1J1I1G1E1B3z1A1B2A3C2D2E1F1G2H1G1E1C1A2w5v3w1v1u1q1n1m1g1f1m1n1q1s2t2u1v1w1z2B1A1B1A1z1y1z2C1A1y7x1w1v2t1s1t1k1h1c9a1g1i1j1f1e1d1b9a51.8a1b14a137.15a1b1e1j2k1j1k3l5m7n2o1p3r2t1u1v1u3x1v1u2v4w1v1r',
+  '2x1v1t1w2v1w1z1B1C1D2E1F1E3D1C1B1C1E1C2B1C2D1E1B1A2C1B1A1z1A1B6C9D2E1F1H1J4K1J2H2G5F5G5F2G1H3I1H1F5E2F1G1H6D2C3D2C1D2E4D1E1D2C2D3F2G1F2D1C1B2A1B1C3D1F1G1H1I2K2J1K2L1K1J4I1K1L1M1L4H2I3H2I1G1F1x1p1y2A1z2y2x3w6x2v1t1s1u1x1v1q1m1l1k1c1b1a1b13a1b1a11.10a1c1g1j1m1o2q1r2s2t1u3v2w1x1y1z1B2C2E6F2G2H3I1J5K5L3M2N3O3P7Q5R9Q8R1P1N1J1I1H1F1C1z1w1u1v1w2x1y2C3B1C2D1F1G1F1E1D1B1z1v1u4t3u2v1t1q1m1l1f1e1l1m1p1q1r3s1t1u1x2z1y1A1z1y2x2A1y2x5w1x2u1s3r1f1c10a1f1k1h1b12a51.23a137.15a1b1e3j1i1j4l4m7n1o1p1o1p1r1q2t2u1w1x1y1x1w3v5w1t',
+  '1x2w1B4D1E2F1E3F2E2D2C8D1C2D2C5D6C8D2E1F1G1H1I2J1K2J1I3J9H8G1H1I2H1G1F1E4D1C1B1A1C1B7A1x1v1s1v1u1t2v1r1q1r1s2t1s1u1w1x1z1A4B2A1z3x1z1A1B4C3E1D1C1B1D1F2G1F3E1F1I1J2O1M1L1K1I1F1C1A1y1z2A2D2C1A1y1w1u1t1r1q1p1o2m4n2m1l1k1g1d1i1m1e4a1b1a1b1c1b1a1b2a3.1a1f1i1h1a15.8a1c1f1i1m1o1q1r2s1t1u2v2w1x1y1z1A1B7C1B3C1D1E4G2H4I2J5K2L3M3N5O3N9O7P1Q2P3O1K1I1C1B1y3w1v1t1r1p1m2l1p2t1u1s3r1s1u1t1u1t1r1q1p1o1n1m1i1j2h1j1m2o2p1l1g1e1f1e2i1h1i1o1e2a1f1n1o1p1s1t1u1w1v1t1s1r1q4r1p3n1m1l1k1l1j1l8a6.3a2b1d3a65.2a1l1c1d1i1c2a158.5a1h1k2f1k1n2o1k1l2i2j1k2m1n2o1p1q1p2o1m1o2t5w2v1w1x2y1z',
+  '1x1w1A1B4D1E1F2E1F1G1F1E3D3C10D2C4D6C7D4E2F1G1H3I1J2I1J2K8I3H5G2H2I1H2F1E6D1C1A2y2x4y1x1w1t2v1w1v1w1r1p1n1p1o2k1o1r1s1v1w1y1z2A2z1y1w3x1y1A1B1C2A2D1C1B2A1B2D2E3D1E1G1I2O1M1L1J1G1C1x1v1u1v1x1z2D1C1B1x1v1t1r1p1n1k1i1h1g1f3e1d1c1d2c2b1c1d1b13a3.5a15.1a1h5a1b1c1f1i1m1p2r2t2u2v2w1x1y1z1A7B1A3B2C1E6G3H2I1J6K2L3M6N5M5N5O8P1N1M1L1G1D1y1w1q1o1r1t2q1p1o1n2m1o1p2r1p1o1c5a1b1g1h1g1k1h1i2g1f1c1f1h1f21a1h1n4a1o2n1o1p1o1l1i1f1c1b1d12a6.9a65.9a158.14a1g1f1d1e1h1j1l1m1n5o1m1l1k1n1r1s2u1v2w2v1w2x2y',
+  '1t1q1o1q2w1y1A1B3C1D2E4D3C8D1E3D4E9D9E6F2G1H6I3J1K3J1I5G1H1I1J2K1I1G1F1E5D2C2A1x6w1v1t1r2p1r2v1t1s1t1s1q2p2o2n1v4u1t6u3v2w1u1v2u1t2s2u1t4s1t1u1w1u1p2s1o1i1d3b1e1j3n1l1j1h1g1e1d1c2b21a1g3a24.1a3.1a1c5a1b1c1e1h1l1n2p2q3r1s2t1u1v2w7x2y2A1B1D1E2F3E5F2G3H3I2J7K3J1I3J4K2L2M2N2M1L1K1J1H1E1A1v1r1p1k1i2h1k1h1k1m1n1m1i1f5a1c3a11.9a6.4a13.2a2.7a6.2a6.2a77.3a187.1a1c1l2j1k1m2n1k1j1k1j2n2p1q1r2s1t2v3u',
+  '1r1k1i1l1p1q1u1x1z1A1B2C1D1E4D3C6D13E4D11E3F3E2F2H5I2J4K2J3G1F2G1I1J1K1L1J1H1F1E5D1C1B2z1x1v1w2x2w1v1u2r1q1p3s1r2p7o6q1r2s5r1s1v1t1p1n1m1p1m1j1k1m1n1m1k1h1f2e2k2e1f1e1b5a1b2c2d3c4b27a24.1a3.1a1b6a1b1d1g1j1l2n1o3p1q1r2s2t1u2v6w1x1y1A1B1C1D1E1F1E1D7E2F2G3H2I8J5I6J2K2L2M1L1K1H1D1B1x1u1s1p1m1l1g1d1b18a11.9a6.4a13.2a2.7a6.2a6.2a77.3a187.4a2c1i2m4j1k1m2n1o1p1o1p1s1u1t1s1o1m',
+  '1g1e1c1b1c1d1g1l1n1o1r1v1x1y1z8C2D1E7F1G2H6G11F5E5D1E5G2H1I2J1K2J1I1H2F5E1F1H1I1H1F1D1C3B1z1y1w1u1r1q1o1m1n1p1q4r1p3o2m1l1k3j2i2h2i1j2i2j6k4j1i1g5b4a1b1d2g2h1i1g1j1k2i1f1c1b40a1k1f2a26.1a1c7a2b1c1e1f1g1h1i1j4k2l1m1n1o2p3q1s1t2v1y3z1A7B1A3B1C2D1E3F1E2D3E1F2D4E2F2G3H2I2G1B1z1r1q1m1j1i2g8a20.4a28.1a20.2a14.5a62.4a2.4a195.1o1v1b1c2j1i1j3k1j1i1j2m1n1p1n1j',
+  '1h1d4b1c1f1h1k1q1u1w1x1y8C1D1E5F4G1H1I2H1G3H1G10F5E2D4E7G2H3I2H1G1F2E4D1E1F1G1F1C1B1A2z1y1w1v1t1r1o1n1l1j1k1l1m4n2m2l2j1i3h3g2f6g2h3i3h3g1e1c68a26.11a2b2c1d1e2g2e2g1i1j2k1l1m2n1o1q1r2t3v1w1y1A2B3A2z3A1B2C1D1E2D1C1B1D4E2C4D1E2F4G2F1E1C1w1u1n1l1h1c1b10a20.4a28.1a20.2a14.5a62.4a2.4a195.1a1e1b1a1g2h1g1j2i1h1g1f1j1m1n1o1m1k',
+  '1b5a1b1d1h1n1r1t1w1x1y2z1A3B2C1D1E1F1G12F2G2F5G1F1E3F1E2D1E4F5G2F4E8D1C2A3y1x2w2v1t1r1q2p1n1m1k1i1g1f1e2c1b2c3d2e2d5c8b14c2b7a1b2a15.5a1f1h1e1i1k3a2f1c2b13a2f2a1c1e1h2d2b4a24.26a1b1c1d1e2f1h1i1k1l1m1n1o1q1t1v2w3v4w2x4y2x1z2B2A2B1z2y4A1B1A1z1y2x1u1t1x1v1r1l1d4a8.2a64.3a23.4a59.3a204.2a1d8a1b1c1e2i1h2i1h1f',
+  '5a1b1c1f1k1o1r1t1v1w1x1y1z2A2B2C2D1E4F6E9F3G1F2E2F1E2D1E4F1G6F3E8D2C1z1y2w2v1u3t1r1p1o2n2l1i1h2e1c2b2a2b6c19b6c3b8a1b2a15.31a1d1c13a24.27a1b2c1d1e1f1g1i1j1l1m1n1p1r1t5u2v3w1x1y5x1y6A1y1x1y5z1y1x1w1u1t1q1n1c8a8.2a64.3a23.4a59.3a204.2a1d9a1b1d2g3f1e1c',
+  '4a2c1g1k1o1q1r2s2t1u1v1z4A3B1C4D2C4B2C3D1C1D2E1F2E3D6E3F6E2D3C2B2A2z2y1x1w1q1o2n3m1l2m1k2i2h1g1f2c5b9a2c1d1e1f1e1d11c11b7a1b1d1e1a18.7a2.11a1b1c2b1m1b16a25.30a3b1c1d1e1g1h1i1j1l1m1n1o1p2q3r2s1t6s2u2v1u1v3u4w1v1t1q1m1l3j10a163.5a197.5a1f2c10a7b1a',
+  '4a1c1d1h1l1n1p3q2p1r1s7y2z1A1B1C1B2A2y2z2A1B3A1B2C2D4C4D2E5D3C2B3A1z1x1w1v1t2s1r1q1o1l1d2c1a1b4d1e1d1c5b7a6.44a35.6a43.1a1b34a3b1c1d1e1f1g1i2k1n2m1n1m1l4k1l1m1n3o2p1q2r1t1j1e10a7.1a163.6a196.6a3b18a',
+  '4a1b1c1f1j1l1m2n2m1n1p1q6t2u1v1w3y4x2y3z2y2z8A6B2C3B2A1z1y1z2y1x1w1r1g1f1i1e1d1f1d1e1d1b1f1b21a8.41a38.4a40.3a2b40a2b1c2d1f3e2d4c2d1e1f2g1h1i2j1i1k12a369.5a2d1c2b21a',
+  '4a1b1c1e3h4j1k1l1m1o1n3o1p1q2r1t1u3v1w11x3y5z3A2z4A2z2x1u1r1l1h15a5.2a55.2a89.65a5b1a1b2a377.1a1i1f2a1b27a',
+  '6a1b3c3d1e2f1g1j3i2h1i1k2l1n2q2p1s5t2u2v11w1u1s1v1x1u1o1j1d1b9a165.8a4c1b24a2b4c31a377.3a1e1b5a1b1d1b20a',
+  '14a3b4c4b1c1b1e2g2f1j1k2m2n1o1p1q1r2s4t1s1q1s1q1p1m1f1b3a182.32a1b14a6b13a380.3a1c8a1e20a',
+  '28a2b1a1b2c1d5e1f1g1k1j3a1b1d1c1f1g1i1g1b1a187.10a1b3a1d2c2b20a9b1a2c1d1b9a382.1a1p1d1c2b1c1e1f3a1i2d18a',
+  '42a1f1c1a2.5a1f1e1b201.1a1j2g2e1b17a7b1c3b1a1g1f1i1c4a389.4b1f1l1m3a1m2h1b16a1b',
+  '33a1b8a1c2a2.8a201.19a2b2c3b6c12a389.2d1b5a1c1g2d1g17a1b',
+  '2a1c1h2n1k1h1f2d1c3d1b1c1b1c1b2c2b6a1b3a2b3h1i1k1i1a224.3a1g2i1h1i2l1m1n4o1n1l1j1e3a423.7a',
+  '30a1b12a224.23a423.7a',
+  '720.',
+  '720.',
+  '720.',
+  '720.',
+  '720.',
+  '720.',
+  '720.',
+  '720.',
+  '720.',
+  '676.2a42.',
+  '720.',
+  '700.2a18.',
+  '700.2a18.',
+  '53.3a664.',
+  '53.3a664.',
+  '720.',
+  '720.',
+  '720.',
+  '720.',
+  '720.',
+  '720.',
+  '720.',
+  '720.'
+];
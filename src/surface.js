@@ -0,0 +1,40 @@
+// What lies under a point on the globe: land or ocean, and how deep the water
+// is, from the half-degree raster in surface-data.js (rebuilt from the Earth
+// texture by scripts/build-surface-raster.js). Independent of the DOM.
+import { SURFACE_WIDTH, SURFACE_HEIGHT, SURFACE_DEPTH_STEP, SURFACE_LEVELS, SURFACE_ROWS } from './surface-data.js';
+
+let levels = null; // Uint8Array, row-major from 90°N and 180°W; decoded on first use
+
+function decodeRaster() {
+  levels = new Uint8Array(SURFACE_WIDTH * SURFACE_HEIGHT);
+  SURFACE_ROWS.forEach((row, j) => {
+    let i = j * SURFACE_WIDTH;
+    for (const [, count, level] of row.matchAll(/(\d+)(\D)/g)) {
+      levels.fill(SURFACE_LEVELS.indexOf(level), i, i + Number(count));
+      i += Number(count);
+    }
+  });
+  return levels;
+}
+
+// The whole raster: { width, height, cell (degrees), depth: Float32Array (m,
+// 0 on land) } row-major from the cell whose corner is 90°N, 180°W
+export function surfaceRaster() {
+  const raster = levels || decodeRaster();
+  return {
+    width: SURFACE_WIDTH,
+    height: SURFACE_HEIGHT,
+    cell: 180 / SURFACE_HEIGHT,
+    depth: Float32Array.from(raster, level => level * SURFACE_DEPTH_STEP)
+  };
+}
+
+// { ocean, depth (m of water, 0 on land) } at `lat`/`lon` in degrees
+export function surfaceAt(lat, lon) {
+  const raster = levels || decodeRaster();
+  const cell = 180 / SURFACE_HEIGHT;
+  const j = Math.min(SURFACE_HEIGHT - 1, Math.max(0, Math.floor((90 - lat) / cell)));
+  const i = Math.floor((((lon + 180) % 360 + 360) % 360) / cell) % SURFACE_WIDTH;
+  const level = raster[j * SURFACE_WIDTH + i];
+  return { ocean: level > 0, depth: level * SURFACE_DEPTH_STEP };
+}
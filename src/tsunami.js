@@ -0,0 +1,229 @@
+// Impact tsunami: the wave raised by the water cavity, spread over the real
+// ocean at the long-wave speed √(g h) and shrinking with distance, then run up
+// onto nearby coasts. The source wave is the cavity's rim wave (Collins et al.
+// 2005); its decay follows Ward & Asphaug (2000), steeper for cavities small
+// against the water depth, where dispersion spreads the wave out; depth changes
+// along the way shoal it by Green's law. Travel times are the fastest path over
+// the half-degree depth raster of surface.js, so land blocks the wave.
+// Independent of the DOM.
+import { surfaceRaster } from './surface.js';
+import { COASTAL_CITIES } from './coastal-cities.js';
+
+const g = 9.81;
+const EARTH_RADIUS = 6371000; // m
+const DEG = Math.PI / 180;
+const COAST_SEARCH = 3; // cells around a city searched for open water
+
+export const TSUNAMI_HEIGHTS = [0.1, 0.3, 1, 3, 10, 30, 100]; // m, wave-height contours
+export const TSUNAMI_ISOCHRONES = [0.5, 1, 2, 4, 8, 12, 18, 24]; // h, arrival-time contours
+
+// Wave at the source from a water cavity of `cavityDiameter` m in `depth` m of
+// water: { cavityRadius (m), amplitude (m, at the cavity rim), decay (exponent
+// of the fall-off with distance) }
+export function tsunamiSource({ cavityDiameter, depth }) {
+  const cavityRadius = cavityDiameter / 2;
+  return {
+    cavityRadius,
+    amplitude: Math.min(cavityDiameter / 14.1, depth),
+    decay: 0.5 + 0.575 * Math.exp(-0.0175 * cavityRadius / depth)
+  };
+}
+
+// Amplitude (m) `distance` m from the impact, in `depth` m of water, for a
+// wave that left a source in `sourceDepth` m
+export function tsunamiAmplitude(source, distance, depth, sourceDepth) {
+  const spreading = Math.pow(source.cavityRadius / Math.max(distance, source.cavityRadius), source.decay);
+  return source.amplitude * spreading * Math.pow(sourceDepth / Math.max(depth, 1), 0.25);
+}
+
+// Run-up (m above sea level) on the shore behind water `depth` m deep that a
+// wave of `amplitude` m reaches (Ward & Asphaug 2000)
+export function runUp(amplitude, depth) {
+  return Math.pow(amplitude, 0.8) * Math.pow(depth, 0.2);
+}
+
+// Spread the tsunami from `lat`/`lon` (degrees) over the ocean for at most
+// `maxTime` s, yielding to the browser every `batchSize` cells so the page
+// keeps rendering. Resolves to { source, width, height, cell (degrees), depth (m),
+// arrival (s), amplitude (m) } where depth, arrival and amplitude are
+// Float32Arrays over the raster, arrival Infinity and amplitude 0 where the
+// wave does not get (land included).
+export async function propagateTsunami({ lat, lon, cavityDiameter, waterDepth, maxTime = 24 * 3600, batchSize = 20000 }) {
+  const { width, height, cell, depth } = surfaceRaster();
+  const count = width * height;
+  const rowOf = la => Math.min(height - 1, Math.max(0, Math.floor((90 - la) / cell)));
+  const colOf = lo => Math.floor((((lo + 180) % 360 + 360) % 360) / cell) % width;
+  const start = rowOf(lat) * width + colOf(lon);
+  const sourceDepth = waterDepth || depth[start];
+  depth[start] = Math.max(depth[start], sourceDepth); // a forced water target on a land cell
+  const source = tsunamiSource({ cavityDiameter, depth: sourceDepth });
+
+  const arrival = new Float32Array(count).fill(Infinity);
+  const distance = new Float32Array(count).fill(Infinity);
+  const done = new Uint8Array(count);
+  const heap = new MinHeap(count);
+  arrival[start] = 0;
+  distance[start] = 0;
+  heap.push(start, 0);
+
+  const step = cell * DEG * EARTH_RADIUS; // m between rows
+  let settled = 0;
+  while (heap.size) {
+    const k = heap.pop();
+    if (done[k]) continue;
+    done[k] = 1;
+    if (++settled % batchSize === 0) await new Promise(resolve => setTimeout(resolve, 0));
+    const j = Math.floor(k / width);
+    const i = k - j * width;
+    const speed = Math.sqrt(g * depth[k]);
+    for (let dj = -1; dj <= 1; dj++) {
+      const nj = j + dj;
+      if (nj < 0 || nj >= height) continue;
+      for (let di = -1; di <= 1; di++) {
+        if (!di && !dj) continue;
+        const n = nj * width + (i + di + width) % width;
+        if (done[n] || depth[n] <= 0) continue;
+        // east-west steps shrink toward the poles; take the mean latitude
+        const across = di * step * Math.cos((90 - (j + nj + 1) * cell / 2) * DEG);
+        const length = Math.hypot(across, dj * step);
+        const time = arrival[k] + 2 * length / (speed + Math.sqrt(g * depth[n]));
+        if (time < arrival[n] && time <= maxTime) {
+          arrival[n] = time;
+          distance[n] = distance[k] + length;
+          heap.push(n, time);
+        }
+      }
+    }
+  }
+
+  const amplitude = new Float32Array(count);
+  for (let k = 0; k < count; k++) {
+    if (arrival[k] < Infinity) amplitude[k] = tsunamiAmplitude(source, distance[k], depth[k], sourceDepth);
+  }
+  return { source, width, height, cell, depth, arrival, amplitude };
+}
+
+// Arrival, wave height offshore and run-up at each of `cities` the wave
+// reaches, from the open water nearest its shore: [{ name, lat, lon,
+// population, arrival (s), amplitude (m), depth (m), runUp (m) }], highest
+// run-up first
+export function coastalRunUp(tsunami, cities = COASTAL_CITIES) {
+  const { width, height, cell, depth, arrival, amplitude } = tsunami;
+  const results = [];
+  cities.forEach(city => {
+    const j0 = Math.min(height - 1, Math.floor((90 - city.lat) / cell));
+    const i0 = Math.floor((((city.lon + 180) % 360 + 360) % 360) / cell) % width;
+    let best = null;
+    for (let dj = -COAST_SEARCH; dj <= COAST_SEARCH; dj++) {
+      const j = j0 + dj;
+      if (j < 0 || j >= height) continue;
+      for (let di = -COAST_SEARCH; di <= COAST_SEARCH; di++) {
+        const k = j * width + (i0 + di + width) % width;
+        if (!(arrival[k] < Infinity)) continue;
+        const gap = di * di + dj * dj;
+        if (!best || gap < best.gap || (gap === best.gap && amplitude[k] > amplitude[best.k])) best = { k, gap };
+      }
+    }
+    if (!best) return;
+    const { k } = best;
+    results.push({ ...city, arrival: arrival[k], amplitude: amplitude[k], depth: depth[k], runUp: runUp(amplitude[k], depth[k]) });
+  });
+  return results.sort((a, b) => b.runUp - a.runUp);
+}
+
+// Contour of `field` (values on the raster's cell centres; non-finite cells
+// and `mask`ed ones are left out) at `level`, as line segments
+// [[[lat, lon], [lat, lon]], ...] for the map (marching squares). Squares
+// across the dateline are included, with longitudes running on past 180°
+// so that their segments stay short.
+export function contourSegments({ width, height, cell }, field, level, mask = null) {
+  const segments = [];
+  const valid = k => Number.isFinite(field[k]) && (!mask || mask[k]);
+  const ks = [0, 0, 0, 0];
+  const v = [0, 0, 0, 0];
+  const lats = [0, 0, 0, 0];
+  const lons = [0, 0, 0, 0];
+  for (let j = 0; j < height - 1; j++) {
+    for (let i = 0; i < width; i++) {
+      const right = (i + 1) % width;
+      ks[0] = j * width + i;
+      ks[1] = j * width + right;
+      ks[2] = (j + 1) * width + right;
+      ks[3] = (j + 1) * width + i;
+      let above = 0;
+      let usable = true;
+      for (let c = 0; c < 4; c++) {
+        if (!valid(ks[c])) { usable = false; break; }
+        v[c] = field[ks[c]];
+        if (v[c] >= level) above++;
+      }
+      if (!usable || above === 0 || above === 4) continue;
+      // corners top-left, top-right, bottom-right, bottom-left
+      lats[0] = lats[1] = 90 - (j + 0.5) * cell;
+      lats[2] = lats[3] = 90 - (j + 1.5) * cell;
+      lons[0] = lons[3] = -180 + (i + 0.5) * cell;
+      lons[1] = lons[2] = -180 + (i + 1.5) * cell;
+      // crossing points on the edges top, right, bottom, left
+      const crossings = [];
+      for (let a = 0; a < 4; a++) {
+        const b = (a + 1) % 4;
+        if ((v[a] >= level) !== (v[b] >= level)) {
+          const t = (level - v[a]) / (v[b] - v[a]);
+          crossings.push([lats[a] + (lats[b] - lats[a]) * t, lons[a] + (lons[b] - lons[a]) * t]);
+        }
+      }
+      if (crossings.length === 2) segments.push(crossings);
+      else segments.push([crossings[0], crossings[1]], [crossings[2], crossings[3]]);
+    }
+  }
+  return segments;
+}
+
+// Binary min-heap of raster indices keyed by time
+class MinHeap {
+  constructor(capacity) {
+    this.items = new Int32Array(capacity * 4);
+    this.keys = new Float64Array(capacity * 4);
+    this.size = 0;
+  }
+
+  push(item, key) {
+    if (this.size === this.items.length) {
+      const items = new Int32Array(this.size * 2);
+      const keys = new Float64Array(this.size * 2);
+      items.set(this.items);
+      keys.set(this.keys);
+      this.items = items;
+      this.keys = keys;
+    }
+    let n = this.size++;
+    while (n > 0) {
+      const parent = (n - 1) >> 1;
+      if (this.keys[parent] <= key) break;
+      this.items[n] = this.items[parent];
+      this.keys[n] = this.keys[parent];
+      n = parent;
+    }
+    this.items[n] = item;
+    this.keys[n] = key;
+  }
+
+  pop() {
+    const top = this.items[0];
+    const item = this.items[--this.size];
+    const key = this.keys[this.size];
+    let n = 0;
+    for (;;) {
+      let child = 2 * n + 1;
+      if (child >= this.size) break;
+      if (child + 1 < this.size && this.keys[child + 1] < this.keys[child]) child++;
+      if (this.keys[child] >= key) break;
+      this.items[n] = this.items[child];
+      this.keys[n] = this.keys[child];
+      n = child;
+    }
+    this.items[n] = item;
+    this.keys[n] = key;
+    return top;
+  }
+}